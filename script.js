@@ -7,8 +7,121 @@
 const CONFIG = {
     TOTAL_QUESTIONS: 10,
     QUESTION_TIME_LIMIT: 10, // seconds
-    MIN_NUMBER: 1,
-    MAX_NUMBER: 26
+    ADAPTIVE_MIN_TIME: 4, // seconds, shortest time limit adaptive sessions give
+    ADAPTIVE_MAX_TIME: 15, // seconds, longest time limit adaptive sessions give
+    MAPPING_MODE: 'standard', // key from LETTER_MAPPINGS
+    SAMPLING_STRATEGY: 'random',
+    ARITHMETIC_OPERATIONS: ['add', 'subtract'], // operations used by letter arithmetic questions
+    ARITHMETIC_WRAP: false, // whether letter arithmetic wraps past Z (Z + B = B)
+    SEQUENCE_DIFFICULTY: 'medium', // key from SEQUENCE_DIFFICULTIES
+    COLUMN_LABEL_MAX: 'ZZ', // highest spreadsheet column label asked about (e.g. 'ZZZ' = 18278)
+    ANSWER_MODE: 'typed', // key from ANSWER_MODES
+    GAME_MODE: 'standard', // key from GAME_MODES
+    ENDLESS_LEVEL_UP: 5, // correct answers needed to go up a level in endless mode
+    RETRY_CORRECT_NEEDED: 2, // correct answers each mistake needs before a retry round ends
+    MAX_PLAYERS: 4, // most players in a hot-seat game
+    PLAYER_ORDER: 'rounds', // key from PLAYER_ORDERS
+    HISTORY_MAX_SESSIONS: 100 // finished quizzes kept on the device (oldest are dropped first)
+};
+
+// Days until a letter in each Leitner box is due again (box 1 comes back in the next session)
+const LEITNER_INTERVALS = [0, 1, 3, 7, 14];
+
+// Format version of the saved session history (version 0 was a bare array of sessions)
+const SESSION_HISTORY_VERSION = 1;
+
+// Format version of the in-progress quiz snapshot saved when the page is hidden (version 1 had no random state)
+const QUIZ_SNAPSHOT_VERSION = 2;
+
+// Version of the cross-window race messages; windows ignore messages from other versions
+const RACE_PROTOCOL_VERSION = 1;
+
+// Cross-window race messages, sent over a BroadcastChannel with the race code, sender id and name:
+// join (a window asks to race), start (the host sends the quiz options to the joining window),
+// answer (answered and correct counts after each question), finish (final counts and average time)
+// and leave (the window left the race or closed; leaving before finishing forfeits)
+const RACE_MESSAGES = {
+    JOIN: 'join',
+    START: 'start',
+    ANSWER: 'answer',
+    FINISH: 'finish',
+    LEAVE: 'leave'
+};
+
+// Version of the classroom messages exchanged with the live-quiz server (server.js); other versions are ignored
+const CLASSROOM_PROTOCOL_VERSION = 1;
+
+// Classroom messages: students send join (with their name) and answer (each answer record);
+// the server sends welcome (the student's id), start (the seed and options everyone shares),
+// question (the index every student moves to) and finish (the final leaderboard); both carry the student's
+// marked record for the question that just closed, which stands in place of the student's own
+const CLASSROOM_MESSAGES = {
+    JOIN: 'join',
+    ANSWER: 'answer',
+    WELCOME: 'welcome',
+    START: 'start',
+    QUESTION: 'question',
+    FINISH: 'finish'
+};
+
+// Elo rating settings for adaptive sessions
+const ELO_SETTINGS = {
+    INITIAL_RATING: 1000,
+    K_FACTOR: 32,
+    TARGET_SUCCESS: 0.7 // chance of a correct answer adaptive sessions aim for
+};
+
+// How answers are given: typed into the input, or picked from answer buttons
+const ANSWER_MODES = {
+    'typed': 'Typed answers',
+    'choice': 'Multiple choice'
+};
+
+// Game modes: how a session is paced
+// Untimed modes start no question timer, and their results are kept out of the timed statistics;
+// timed modes with questionTimer: false (blitz, which races one session clock) count as timed but start no question timer
+// Open-ended modes have no question limit; modes with lives end once every life is lost to a wrong answer or timeout
+// Modes with a sessionTime (seconds) run one countdown for the whole session and end when it runs out
+// Modes with levels speed up and ask about more letters as correct answers add up (see ENDLESS_LEVELS)
+// Retry rounds re-ask a finished session's mistakes and are started from the results screen (see QuizGame.startRetryRound)
+// Remote-controlled modes run no timer of their own: the classroom server moves every student on (see QuizGame.joinClassroom)
+const GAME_MODES = {
+    'standard': { label: 'Standard (timed)', timed: true },
+    'practice': { label: 'Practice (untimed)', timed: false },
+    'survival': { label: 'Survival (3 lives)', timed: true, openEnded: true, lives: 3 },
+    'blitz': { label: 'Blitz (60 seconds)', timed: true, questionTimer: false, openEnded: true, sessionTime: 60 },
+    'endless': { label: 'Endless (speeds up)', timed: true, openEnded: true, lives: 3, levels: true },
+    'retry': { label: 'Retry mistakes', timed: false, openEnded: true, retry: true },
+    'classroom': { label: 'Classroom (teacher-led)', timed: false, remote: true }
+};
+
+// Endless mode levels: seconds per question and how many letters from the start of the alphabet are asked
+// The last level is kept once reached
+const ENDLESS_LEVELS = [
+    { timeLimit: 10, letters: 10 },
+    { timeLimit: 8, letters: 15 },
+    { timeLimit: 6, letters: 20 },
+    { timeLimit: 4, letters: 26 }
+];
+
+// How hot-seat players share the device: one question each before passing it on, or the whole quiz each
+const PLAYER_ORDERS = {
+    'rounds': 'One question each, in rounds',
+    'turns': 'Whole quiz each, in turns'
+};
+
+// Letter numbering schemes: the number given to the first letter and whether the alphabet runs backwards
+const LETTER_MAPPINGS = {
+    'standard': { label: 'A=1 … Z=26', offset: 1, reversed: false },
+    'reverse': { label: 'Z=1 … A=26 (Atbash)', offset: 1, reversed: true },
+    'zero-based': { label: 'A=0 … Z=25', offset: 0, reversed: false }
+};
+
+// Step sizes and directions used by neighbour and pattern questions at each difficulty
+const SEQUENCE_DIFFICULTIES = {
+    'easy': { maxStep: 1, directions: ['forward'] },
+    'medium': { maxStep: 2, directions: ['forward', 'backward'] },
+    'hard': { maxStep: 4, directions: ['forward', 'backward'] }
 };
 
 // Global application state
@@ -18,7 +131,25 @@ let gameState = {
     answers: [],
     status: 'not-started', // 'not-started', 'active', 'completed'
     startTime: null,
-    endTime: null
+    endTime: null,
+    seed: null,
+    replay: false, // started from a quiz code, so the alphabet coverage is neither read nor updated
+    samplingStrategy: null,
+    questionTypes: [],
+    arithmeticOptions: null, // operations and wrapping used by letter arithmetic questions
+    sequenceDifficulty: null, // key from SEQUENCE_DIFFICULTIES used by neighbour and pattern questions
+    mappingMode: null,
+    answerMode: null,
+    adaptive: false,
+    focusItems: [],
+    gameMode: null,
+    dailyDate: null,
+    retryOf: null, // summary of the session a retry round comes from
+    retryQuestions: [], // questions a retry round re-asks
+    players: [], // hot-seat player names (empty for one player)
+    playerOrder: null,
+    currentPlayerIndex: 0,
+    raceCode: null // code of the cross-window race being played
 };
 
 // Accessibility state
@@ -34,1665 +165,6091 @@ const elements = {
     // Sections
     startSection: null,
     quizSection: null,
+    handoffSection: null,
     resultsSection: null,
     
     // Quiz elements
     currentQuestionSpan: null,
     totalQuestionsSpan: null,
+    playerTurn: null,
+    raceProgress: null,
+    livesDisplay: null,
+    levelDisplay: null,
+    timerContainer: null,
     timerDisplay: null,
     questionDisplay: null,
     answerInput: null,
+    answerChoices: null,
     submitBtn: null,
     feedback: null,
     
     // Control buttons
     startBtn: null,
+    dailyBtn: null,
     restartBtn: null,
+    replayBtn: null,
+    retryMistakesBtn: null,
+    handoffBtn: null,
+    
+    // Hot-seat handoff
+    handoffPlayer: null,
+    handoffMessage: null,
+    
+    // Start options
+    seedInput: null,
+    gameModeSelect: null,
+    strategySelect: null,
+    mappingSelect: null,
+    answerModeSelect: null,
+    adaptiveToggle: null,
+    arithmeticSelect: null,
+    arithmeticWrapToggle: null,
+    sequenceDifficultySelect: null,
+    playerNameInputs: null,
+    playerOrderSelect: null,
+    
+    // Cross-window race
+    raceNameInput: null,
+    raceCodeInput: null,
+    hostRaceBtn: null,
+    joinRaceBtn: null,
+    raceLobby: null,
+    
+    // Classroom live quiz
+    classroomNameInput: null,
+    joinClassroomBtn: null,
+    classroomStatus: null,
+    
+    questionTypeOptions: null,
+    
+    // Review schedule
+    reviewSchedule: null,
+    
+    // Progress charts
+    progressView: null,
+    
+    // Daily challenge calendar
+    dailyCalendar: null,
     
     // Results elements
     scoreSummary: null,
+    coachingTips: null,
+    retryReport: null,
+    leaderboard: null,
+    masteryHeatmap: null,
     detailedResults: null
 };
 
+// Answer input kinds and how the answer field behaves for each
+const INPUT_KINDS = {
+    'number': {
+        placeholder: 'Enter number',
+        inputMode: 'numeric',
+        pattern: '[0-9]*',
+        allowedKey: /^\d$/,
+        keyWarning: 'Please enter only numbers (0-9)'
+    },
+    'letter': {
+        placeholder: 'Enter letter (A-Z)',
+        inputMode: 'text',
+        pattern: null,
+        allowedKey: /^[a-zA-Z]$/,
+        keyWarning: 'Please enter only letters (A-Z)'
+    },
+    'word': {
+        placeholder: 'Enter word',
+        inputMode: 'text',
+        pattern: null,
+        allowedKey: /^[a-zA-Z]$/,
+        keyWarning: 'Please enter only letters (A-Z)'
+    },
+    'column': {
+        placeholder: 'Enter column label (e.g. AB)',
+        inputMode: 'text',
+        pattern: null,
+        allowedKey: /^[a-zA-Z]$/,
+        keyWarning: 'Please enter only letters (A-Z)'
+    },
+    'code': {
+        placeholder: 'Enter numbers (e.g. 8-9)',
+        inputMode: 'text',
+        pattern: null,
+        allowedKey: /^[\d\s,.\-]$/,
+        keyWarning: 'Please enter only numbers and separators (- , . or space)'
+    }
+};
+
+// Separators accepted between numbers in A1Z26 codes
+const A1Z26_SEPARATOR = /[\s,.\-]+/;
+
+// Local word list for word-value questions (covers every letter of the alphabet)
+const WORD_LIST = [
+    'ACE', 'ANT', 'ARM', 'BAG', 'BEE', 'BOX', 'CAB', 'CAT', 'COW', 'CUP',
+    'DOG', 'DUCK', 'EGG', 'ELF', 'FAN', 'FISH', 'FOX', 'GEM', 'GOAT', 'HAT',
+    'HEN', 'ICE', 'INK', 'JAM', 'JAR', 'JET', 'KEY', 'KID', 'KITE', 'LAMP',
+    'LEG', 'MAP', 'MOON', 'NET', 'NUT', 'OAK', 'OWL', 'PEN', 'PIG', 'QUIZ',
+    'QUEEN', 'RAT', 'RED', 'SKY', 'SUN', 'TOY', 'URN', 'VAN', 'VASE', 'WAX',
+    'WEB', 'YAK', 'YES', 'ZIP', 'ZOO'
+];
+
+// Letters that are easily mistaken for each other (mirrored or similar shapes)
+const LOOK_ALIKE_LETTERS = {
+    'A': ['H', 'R'], 'B': ['D', 'P', 'R'], 'C': ['G', 'O'], 'D': ['B', 'O', 'P'], 'E': ['F', 'B'],
+    'F': ['E', 'P'], 'G': ['C', 'Q'], 'H': ['N', 'A'], 'I': ['J', 'L'], 'J': ['I', 'L'],
+    'K': ['X', 'R'], 'L': ['I', 'J'], 'M': ['N', 'W'], 'N': ['M', 'H'], 'O': ['Q', 'D', 'C'],
+    'P': ['Q', 'B', 'R'], 'Q': ['P', 'O', 'G'], 'R': ['P', 'B', 'K'], 'S': ['Z'], 'T': ['F', 'Y'],
+    'U': ['V', 'W'], 'V': ['U', 'Y'], 'W': ['M', 'V'], 'X': ['K', 'Y'], 'Y': ['V', 'X'], 'Z': ['S', 'N']
+};
+
+// Digits that are easily mistaken for each other
+const LOOK_ALIKE_DIGITS = {
+    '0': ['8'], '1': ['7'], '2': ['5'], '3': ['8'], '5': ['2', '6'],
+    '6': ['9', '5'], '7': ['1'], '8': ['3', '0'], '9': ['6']
+};
+
+// Kinds of plausible wrong answers offered as multiple-choice distractors
+const DISTRACTOR_REASONS = {
+    'adjacent': 'Neighbouring answer',
+    'off-by-one': 'Off by one',
+    'look-alike': 'Look-alike',
+    'reversed-digits': 'Reversed digits',
+    'swapped': 'Swapped order',
+    'near': 'Nearby answer',
+    'listed': 'Other listed word'
+};
+
+// Letters and digits that are mirror images of each other when handwritten (b/d, p/q, m/w, n/u, 6/9)
+const MIRRORED_LETTERS = { 'B': 'D', 'D': 'B', 'P': 'Q', 'Q': 'P', 'M': 'W', 'W': 'M', 'N': 'U', 'U': 'N' };
+const MIRRORED_DIGITS = { '6': '9', '9': '6' };
+
+// Kinds of wrong answers found by the error-pattern analyzer, with a coaching tip for each
+const ERROR_PATTERNS = {
+    'off-by-one': {
+        label: 'Off by one',
+        tip: 'Your answer was one step away from the right one. Count again from the start of the alphabet, or anchor on every fifth letter: E, J, O, T.'
+    },
+    'mirrored': {
+        label: 'Mirrored letters',
+        tip: 'You swapped letters or digits that are mirror images, such as b/d, p/q, m/w or 6/9. Picture the letter written out before you answer.'
+    },
+    'reversed-alphabet': {
+        label: 'Counted from the wrong end',
+        tip: 'Your answer was the mirror position, counted from Z instead of A (or the other way round). Check which end of the alphabet the numbering starts from.'
+    },
+    'transposed': {
+        label: 'Transposed digits or letters',
+        tip: 'The right digits or letters were there, but in the wrong order, such as 12 for 21. Read your answer back before you submit it.'
+    },
+    'look-alike': {
+        label: 'Look-alike letters',
+        tip: 'You picked a letter or digit that looks like the right one, such as C for G or 3 for 8. Slow down on these pairs.'
+    }
+};
+
 /**
- * QuestionGenerator class
- * Handles question creation and answer validation for alphabet-number conversions
+ * LetterMapping class
+ * Converts between letters and numbers for the active numbering scheme
+ * The generator, input validation and on-screen hints all read the shared letterMapping instance
  */
-class QuestionGenerator {
-    constructor() {
-        this.questionTypes = ['alphabet-to-number', 'number-to-alphabet'];
-        this.alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-    }
-    
+class LetterMapping {
     /**
-     * Generates a random question of either type
-     * @returns {Object} Question object with id, type, prompt, correctAnswer, and displayValue
+     * @param {string} mode - Key from LETTER_MAPPINGS (defaults to CONFIG.MAPPING_MODE)
      */
-    generateQuestion() {
-        const questionType = this.getRandomQuestionType();
-        const questionId = this.generateQuestionId();
-        
-        if (questionType === 'alphabet-to-number') {
-            return this.generateAlphabetToNumberQuestion(questionId);
-        } else {
-            return this.generateNumberToAlphabetQuestion(questionId);
-        }
+    constructor(mode = CONFIG.MAPPING_MODE) {
+        this.alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+        this.setMode(mode);
     }
     
     /**
-     * Generates an alphabet-to-number question (e.g., "What number is the letter M?")
-     * @param {string} questionId - Unique identifier for the question
-     * @returns {Object} Question object
+     * Switches the numbering scheme
+     * @param {string} mode - Key from LETTER_MAPPINGS
      */
-    generateAlphabetToNumberQuestion(questionId) {
-        const randomIndex = Math.floor(Math.random() * 26);
-        const letter = this.alphabet[randomIndex];
-        const correctNumber = randomIndex + 1;
+    setMode(mode) {
+        if (!LETTER_MAPPINGS[mode]) {
+            throw new Error(`Unknown letter mapping: ${mode}`);
+        }
         
-        return {
-            id: questionId,
-            type: 'alphabet-to-number',
-            prompt: `What number is the letter ${letter}?`,
-            correctAnswer: correctNumber.toString(),
-            displayValue: letter
-        };
+        this.mode = mode;
     }
     
     /**
-     * Generates a number-to-alphabet question (e.g., "What letter is number 13?")
-     * @param {string} questionId - Unique identifier for the question
-     * @returns {Object} Question object
+     * Gets the active numbering scheme
+     * @returns {string} Key from LETTER_MAPPINGS
      */
-    generateNumberToAlphabetQuestion(questionId) {
-        const randomNumber = Math.floor(Math.random() * 26) + 1;
-        const correctLetter = this.alphabet[randomNumber - 1];
-        
-        return {
-            id: questionId,
-            type: 'number-to-alphabet',
-            prompt: `What letter is number ${randomNumber}?`,
-            correctAnswer: correctLetter,
-            displayValue: randomNumber.toString()
-        };
+    getMode() {
+        return this.mode;
     }
     
     /**
-     * Validates a user's answer against the correct answer
-     * @param {string} userAnswer - The user's input answer
-     * @param {string} correctAnswer - The correct answer
-     * @returns {boolean} True if the answer is correct, false otherwise
+     * Gets the human-readable name of the active scheme
+     * @returns {string} Scheme label (e.g., "A=1 … Z=26")
      */
-    validateAnswer(userAnswer, correctAnswer) {
-        if (!userAnswer || !correctAnswer) {
-            return false;
-        }
-        
-        // Normalize both answers for comparison
-        const normalizedUserAnswer = this.normalizeAnswer(userAnswer);
-        const normalizedCorrectAnswer = this.normalizeAnswer(correctAnswer);
-        
-        return normalizedUserAnswer === normalizedCorrectAnswer;
+    getLabel() {
+        return LETTER_MAPPINGS[this.mode].label;
     }
     
     /**
-     * Normalizes an answer for comparison (handles case insensitivity and whitespace)
-     * @param {string} answer - The answer to normalize
-     * @returns {string} Normalized answer
+     * Gets the smallest number used by the active scheme
+     * @returns {number} Number of the first letter
      */
-    normalizeAnswer(answer) {
-        return answer.toString().trim().toUpperCase();
+    getMin() {
+        return LETTER_MAPPINGS[this.mode].offset;
     }
     
     /**
-     * Gets available question types
-     * @returns {Array<string>} Array of question type strings
+     * Gets the largest number used by the active scheme
+     * @returns {number} Number of the last letter
      */
-    getQuestionTypes() {
-        return [...this.questionTypes];
+    getMax() {
+        return this.getMin() + this.alphabet.length - 1;
     }
     
     /**
-     * Validates if a user input is a valid letter (A-Z)
-     * @param {string} input - User input to validate
-     * @returns {boolean} True if valid letter, false otherwise
+     * Gets the accepted number range for letter answers
+     * @returns {Object} Range { min, max }
      */
-    isValidLetter(input) {
-        if (!input || typeof input !== 'string') {
-            return false;
-        }
-        
-        const normalized = input.trim().toUpperCase();
-        return normalized.length === 1 && /^[A-Z]$/.test(normalized);
+    getRange() {
+        return { min: this.getMin(), max: this.getMax() };
     }
     
     /**
-     * Validates if a user input is a valid number (1-26)
-     * @param {string} input - User input to validate
-     * @returns {boolean} True if valid number in range, false otherwise
+     * Converts a letter to its number
+     * @param {string} letter - Letter A-Z (case-insensitive)
+     * @returns {number|null} Number for the letter, or null if it is not a letter
      */
-    isValidNumber(input) {
-        if (!input || typeof input !== 'string') {
-            return false;
+    toNumber(letter) {
+        const index = typeof letter === 'string' ? this.alphabet.indexOf(letter.toUpperCase()) : -1;
+        if (index === -1) {
+            return null;
         }
         
-        const trimmed = input.trim();
-        const number = parseInt(trimmed, 10);
-        
-        // Check if it's a valid integer and in range
-        return !isNaN(number) && 
-               number.toString() === trimmed && 
-               number >= CONFIG.MIN_NUMBER && 
-               number <= CONFIG.MAX_NUMBER;
+        const position = LETTER_MAPPINGS[this.mode].reversed ? this.alphabet.length - 1 - index : index;
+        return position + this.getMin();
     }
     
     /**
-     * Validates user input based on expected answer type
-     * @param {string} input - User input to validate
-     * @param {string} expectedType - Expected answer type ('letter' or 'number')
-     * @returns {Object} Validation result with isValid and errorMessage
+     * Converts a number to its letter
+     * @param {number} number - Number in the active range
+     * @returns {string|null} Uppercase letter, or null if the number is out of range
      */
-    validateInput(input, expectedType) {
-        if (!input || input.trim() === '') {
-            return {
-                isValid: false,
-                errorMessage: 'Please enter an answer'
-            };
-        }
-        
-        if (expectedType === 'letter') {
-            if (!this.isValidLetter(input)) {
-                return {
-                    isValid: false,
-                    errorMessage: 'Please enter a single letter (A-Z)'
-                };
-            }
-        } else if (expectedType === 'number') {
-            if (!this.isValidNumber(input)) {
-                return {
-                    isValid: false,
-                    errorMessage: 'Please enter a number between 1 and 26'
-                };
-            }
+    toLetter(number) {
+        const position = number - this.getMin();
+        if (!Number.isInteger(position) || position < 0 || position >= this.alphabet.length) {
+            return null;
         }
         
-        return {
-            isValid: true,
-            errorMessage: null
-        };
+        const index = LETTER_MAPPINGS[this.mode].reversed ? this.alphabet.length - 1 - position : position;
+        return this.alphabet[index];
     }
     
     /**
-     * Gets a random question type
-     * @returns {string} Random question type
+     * Wraps a number into the active range (e.g., 27 becomes 1 when A=1)
+     * @param {number} number - Number that may be outside the range
+     * @returns {number} Wrapped number
      */
-    getRandomQuestionType() {
-        const randomIndex = Math.floor(Math.random() * this.questionTypes.length);
-        return this.questionTypes[randomIndex];
+    wrapNumber(number) {
+        const size = this.alphabet.length;
+        const min = this.getMin();
+        return ((number - min) % size + size) % size + min;
     }
     
     /**
-     * Generates a unique question ID
-     * @returns {string} Unique question identifier
+     * Describes the scheme in short form (e.g., "A=1, B=2, ..., Z=26")
+     * @returns {string} Description of the first two and last letters
      */
-    generateQuestionId() {
-        return `q_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    describe() {
+        const min = this.getMin();
+        const max = this.getMax();
+        return `${this.toLetter(min)}=${min}, ${this.toLetter(min + 1)}=${min + 1}, ..., ${this.toLetter(max)}=${max}`;
     }
 }
 
+// Numbering scheme shared by every component
+const letterMapping = new LetterMapping();
+
 /**
- * Timer class
- * Manages countdown functionality with callback system for quiz questions
+ * QuestionTypeRegistry class
+ * Holds the definition of every question type so new drills can be added in one place
+ *
+ * A definition has:
+ * - id: unique type key stored on questions and answer records
+ * - label: human-readable name
+ * - inputKind: key from INPUT_KINDS describing the expected answer
+ * - promptTemplate: prompt text with {placeholders} filled by the generator
+ * - generate(generator, questionId, letterIndex): returns a question object
+ * - validateInput(input, generator): optional format check returning { isValid, errorMessage }
+ * - normalize(answer, generator): optional answer normalizer used before comparison
+ * - renderResult(record): optional HTML for the answers in the results review
+ * - tokenize(answer): optional split of an answer into parts so the review can diff them one by one
+ * - tokenSeparator: text shown between diffed parts (defaults to none)
+ * - isDefault: whether the type is asked when no types are chosen
  */
-class Timer {
+class QuestionTypeRegistry {
     constructor() {
-        this.duration = 0;
-        this.timeRemaining = 0;
-        this.intervalId = null;
-        this.isRunning = false;
-        this.onTickCallback = null;
-        this.onCompleteCallback = null;
-        this.startTime = null;
-        this.pausedTime = 0;
-        this.isPaused = false;
+        this.definitions = new Map();
     }
     
     /**
-     * Starts the timer with specified duration and callbacks
-     * @param {number} duration - Timer duration in seconds
-     * @param {Function} onCompleteCallback - Callback function when timer completes
-     * @param {Function} onTickCallback - Optional callback function called every second
+     * Registers a question type definition
+     * @param {Object} definition - Question type definition
      */
-    start(duration, onCompleteCallback, onTickCallback = null) {
-        try {
-            if (this.isRunning) {
-                this.stop();
-            }
-            
-            this.duration = duration;
-            this.timeRemaining = duration;
-            this.onCompleteCallback = onCompleteCallback;
-            this.onTickCallback = onTickCallback;
-            this.isRunning = true;
-            this.startTime = this.getHighResolutionTime();
-            this.pausedTime = 0;
-            this.isPaused = false;
-            
-            // Call initial tick to update display immediately
-            if (this.onTickCallback) {
-                try {
-                    this.onTickCallback(this.timeRemaining);
-                } catch (callbackError) {
-                    console.error('Error in timer tick callback:', callbackError);
-                }
-            }
-            
-            // Handle zero duration immediately
-            if (duration <= 0) {
-                // Use setTimeout to ensure callback is called asynchronously
-                setTimeout(() => {
-                    this.handleTimerComplete();
-                }, 0);
-                return;
-            }
-            
-            // Start the countdown interval with error handling
-            try {
-                this.intervalId = setInterval(() => {
-                    try {
-                        this.tick();
-                    } catch (tickError) {
-                        console.error('Error in timer tick:', tickError);
-                        this.handleTimerError(tickError);
-                    }
-                }, 1000);
-            } catch (intervalError) {
-                console.error('Failed to start timer interval:', intervalError);
-                this.handleTimerError(intervalError);
-            }
-            
-        } catch (error) {
-            console.error('Failed to start timer:', error);
-            this.handleTimerError(error);
+    register(definition) {
+        if (!definition || !definition.id || typeof definition.generate !== 'function') {
+            throw new Error('Question type definition requires an id and a generate function');
         }
+        if (!INPUT_KINDS[definition.inputKind]) {
+            throw new Error(`Unknown input kind for question type ${definition.id}: ${definition.inputKind}`);
+        }
+        if (this.definitions.has(definition.id)) {
+            throw new Error(`Question type already registered: ${definition.id}`);
+        }
+        
+        this.definitions.set(definition.id, { isDefault: false, ...definition });
     }
     
     /**
-     * Stops the timer and clears the interval
+     * Removes a question type definition
+     * @param {string} id - Question type key
      */
-    stop() {
-        if (this.intervalId) {
-            clearInterval(this.intervalId);
-            this.intervalId = null;
-        }
-        
-        this.isRunning = false;
-        this.isPaused = false;
-        this.timeRemaining = 0;
-        this.onTickCallback = null;
-        this.onCompleteCallback = null;
+    unregister(id) {
+        this.definitions.delete(id);
     }
     
     /**
-     * Pauses the timer (useful for tab switching or focus loss)
+     * Gets a question type definition
+     * @param {string} id - Question type key
+     * @returns {Object|null} Definition, or null if not registered
      */
-    pause() {
-        try {
-            if (this.isRunning && !this.isPaused) {
-                this.isPaused = true;
-                this.pausedTime = this.getHighResolutionTime();
-                
-                if (this.intervalId) {
-                    clearInterval(this.intervalId);
-                    this.intervalId = null;
-                }
-                
-                console.log('Timer paused');
-            }
-        } catch (error) {
-            console.error('Error pausing timer:', error);
-        }
+    get(id) {
+        return this.definitions.get(id) || null;
     }
     
     /**
-     * Resumes the timer from paused state
+     * Checks if a question type is registered
+     * @param {string} id - Question type key
+     * @returns {boolean} True if registered
      */
-    resume() {
-        try {
-            if (this.isRunning && this.isPaused) {
-                this.isPaused = false;
-                
-                // Adjust start time to account for paused duration
-                const currentTime = this.getHighResolutionTime();
-                const pauseDuration = currentTime - this.pausedTime;
-                this.startTime += pauseDuration;
-                
-                // Restart the interval with error handling
-                try {
-                    this.intervalId = setInterval(() => {
-                        try {
-                            this.tick();
-                        } catch (tickError) {
-                            console.error('Error in timer tick after resume:', tickError);
-                            this.handleTimerError(tickError);
-                        }
-                    }, 1000);
-                    
-                    console.log('Timer resumed');
-                } catch (intervalError) {
-                    console.error('Failed to restart timer interval after resume:', intervalError);
-                    this.handleTimerError(intervalError);
-                }
-            }
-        } catch (error) {
-            console.error('Error resuming timer:', error);
-            this.handleTimerError(error);
-        }
+    has(id) {
+        return this.definitions.has(id);
     }
     
     /**
-     * Internal tick method called every second with enhanced error handling
-     * @private
+     * Gets all registered question types
+     * @returns {Array<string>} Array of question type keys
      */
-    tick() {
-        if (!this.isRunning || this.isPaused) {
-            return;
-        }
-        
-        try {
-            // Calculate actual time elapsed for accuracy using high-resolution time
-            const currentTime = this.getHighResolutionTime();
-            const elapsedTime = Math.floor((currentTime - this.startTime) / 1000);
-            this.timeRemaining = Math.max(0, this.duration - elapsedTime);
-            
-            // Call tick callback if provided
-            if (this.onTickCallback && typeof this.onTickCallback === 'function') {
-                try {
-                    this.onTickCallback(this.timeRemaining);
-                } catch (callbackError) {
-                    console.error('Error in timer tick callback:', callbackError);
-                    // Continue timer operation despite callback error
-                }
-            }
-            
-            // Check if timer has completed
-            if (this.timeRemaining <= 0) {
-                this.handleTimerComplete();
-            }
-            
-        } catch (error) {
-            console.error('Error in timer tick:', error);
-            this.handleTimerError(error);
-        }
+    getTypes() {
+        return Array.from(this.definitions.keys());
     }
     
     /**
-     * Handles timer completion
-     * @private
+     * Gets the question types asked when no types are chosen
+     * @returns {Array<string>} Array of question type keys
      */
-    handleTimerComplete() {
-        const callback = this.onCompleteCallback;
-        this.stop();
-        
-        // Call completion callback if provided
-        if (callback && typeof callback === 'function') {
-            callback();
-        }
+    getDefaultTypes() {
+        return this.getTypes().filter(id => this.definitions.get(id).isDefault);
     }
     
     /**
-     * Gets the current time remaining in seconds
-     * @returns {number} Time remaining in seconds
+     * Gets the expected input kind for a question type
+     * @param {string} id - Question type key
+     * @returns {string} Input kind key (defaults to 'letter')
      */
-    getTimeRemaining() {
-        return this.timeRemaining;
+    getInputKind(id) {
+        const definition = this.get(id);
+        return definition ? definition.inputKind : 'letter';
+    }
+}
+
+// Shared registry used by every component
+const questionTypeRegistry = new QuestionTypeRegistry();
+
+questionTypeRegistry.register({
+    id: 'alphabet-to-number',
+    label: 'Letter to number',
+    inputKind: 'number',
+    promptTemplate: 'What number is the letter {letter}?',
+    isDefault: true,
+    generate: (generator, questionId, letterIndex) => generator.generateAlphabetToNumberQuestion(questionId, letterIndex)
+});
+
+questionTypeRegistry.register({
+    id: 'number-to-alphabet',
+    label: 'Number to letter',
+    inputKind: 'letter',
+    promptTemplate: 'What letter is number {number}?',
+    isDefault: true,
+    generate: (generator, questionId, letterIndex) =>
+        generator.generateNumberToAlphabetQuestion(questionId,
+            letterIndex !== null ? generator.mapping.toNumber(generator.alphabet[letterIndex]) : null)
+});
+
+questionTypeRegistry.register({
+    id: 'word-to-value',
+    label: 'Word value',
+    inputKind: 'number',
+    promptTemplate: 'What is the value of {word}?',
+    generate: (generator, questionId, letterIndex) => generator.generateWordValueQuestion(questionId, letterIndex),
+    renderResult: (record) => `
+        <div class="result-correct">Correct: ${record.correctAnswer} (${QuestionGenerator.describeWordValue(record.displayValue)})</div>
+        ${!record.timedOut ? `<div class="result-user">Your answer: ${record.userAnswer || 'No answer'}</div>` : ''}
+    `
+});
+
+questionTypeRegistry.register({
+    id: 'value-to-word',
+    label: 'Word from value',
+    inputKind: 'word',
+    promptTemplate: 'Which of these words sums to {value}: {choices}?',
+    generate: (generator, questionId, letterIndex) => generator.generateValueToWordQuestion(questionId, letterIndex)
+});
+
+questionTypeRegistry.register({
+    id: 'cipher-decode',
+    label: 'A1Z26 decode',
+    inputKind: 'word',
+    promptTemplate: 'Decode the A1Z26 message: {code}',
+    generate: (generator, questionId, letterIndex) => generator.generateCipherDecodeQuestion(questionId, letterIndex),
+    tokenize: (answer) => answer.toString().trim().toUpperCase().split('')
+});
+
+questionTypeRegistry.register({
+    id: 'cipher-encode',
+    label: 'A1Z26 encode',
+    inputKind: 'code',
+    promptTemplate: 'Encode {word} in A1Z26 (e.g. HI = 8-9)',
+    generate: (generator, questionId, letterIndex) => generator.generateCipherEncodeQuestion(questionId, letterIndex),
+    normalize: (answer) => answer.toString().trim().split(A1Z26_SEPARATOR).filter(Boolean)
+        .map(part => parseInt(part, 10)).join('-'),
+    tokenize: (answer) => answer.toString().trim().split(A1Z26_SEPARATOR).filter(Boolean)
+        .map(part => parseInt(part, 10).toString()),
+    tokenSeparator: '-'
+});
+
+questionTypeRegistry.register({
+    id: 'letter-arithmetic',
+    label: 'Letter arithmetic',
+    inputKind: 'letter',
+    promptTemplate: 'What letter is {left} {operator} {right}?',
+    generate: (generator, questionId, letterIndex) => generator.generateLetterArithmeticQuestion(questionId, letterIndex)
+});
+
+questionTypeRegistry.register({
+    id: 'letter-distance',
+    label: 'Letter distance',
+    inputKind: 'number',
+    promptTemplate: 'How far apart are {first} and {second}?',
+    generate: (generator, questionId, letterIndex) => generator.generateLetterDistanceQuestion(questionId, letterIndex)
+});
+
+questionTypeRegistry.register({
+    id: 'letter-neighbour',
+    label: 'Letter neighbours',
+    inputKind: 'letter',
+    promptTemplate: 'What letter comes {distance} {direction} {letter}?',
+    generate: (generator, questionId, letterIndex) => generator.generateNeighbourQuestion(questionId, letterIndex)
+});
+
+questionTypeRegistry.register({
+    id: 'letter-sequence',
+    label: 'Letter patterns',
+    inputKind: 'letter',
+    promptTemplate: 'Complete the pattern: {terms}, ?',
+    generate: (generator, questionId, letterIndex) => generator.generateSequenceQuestion(questionId, letterIndex)
+});
+
+questionTypeRegistry.register({
+    id: 'column-to-number',
+    label: 'Column label to number',
+    inputKind: 'number',
+    promptTemplate: 'What column number is {label}?',
+    generate: (generator, questionId, letterIndex) => generator.generateColumnToNumberQuestion(questionId, letterIndex)
+});
+
+questionTypeRegistry.register({
+    id: 'number-to-column',
+    label: 'Number to column label',
+    inputKind: 'column',
+    promptTemplate: 'What column label is number {number}?',
+    generate: (generator, questionId, letterIndex) => generator.generateNumberToColumnQuestion(questionId, letterIndex)
+});
+
+/**
+ * SeededRandom class
+ * Deterministic pseudo-random number generator (mulberry32) so that a quiz can be replayed from its seed
+ */
+class SeededRandom {
+    /**
+     * @param {number} seed - 32-bit unsigned integer seed (a random seed is created if omitted)
+     */
+    constructor(seed = SeededRandom.createSeed()) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
     }
     
     /**
-     * Gets the elapsed time since timer started
-     * @returns {number} Elapsed time in seconds
+     * Creates a new random seed
+     * @returns {number} 32-bit unsigned integer seed
      */
-    getElapsedTime() {
-        if (!this.isRunning) {
-            return 0;
-        }
-        
-        try {
-            const currentTime = this.isPaused ? this.pausedTime : this.getHighResolutionTime();
-            return Math.floor((currentTime - this.startTime) / 1000);
-        } catch (error) {
-            console.error('Error calculating elapsed time:', error);
-            return 0;
-        }
+    static createSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
     }
     
     /**
-     * Checks if the timer is currently running
-     * @returns {boolean} True if timer is running, false otherwise
+     * Gets the seed for a calendar day, so everyone playing on the same local date gets the same questions
+     * @param {Date} date - Day to get the seed for (defaults to today)
+     * @returns {number} Seed such as 20261019 for 19 October 2026
      */
-    isActive() {
-        return this.isRunning;
+    static getDateSeed(date = new Date()) {
+        return date.getFullYear() * 10000 + (date.getMonth() + 1) * 100 + date.getDate();
     }
     
     /**
-     * Checks if the timer is currently paused
-     * @returns {boolean} True if timer is paused, false otherwise
+     * Normalizes a seed value to a 32-bit unsigned integer
+     * @param {number|string} seed - Seed value
+     * @returns {number} Normalized seed
      */
-    isPausedState() {
-        return this.isPaused;
+    static normalizeSeed(seed) {
+        const number = typeof seed === 'string' ? parseInt(seed.trim(), 10) : seed;
+        if (typeof number !== 'number' || !isFinite(number)) {
+            throw new Error(`Invalid seed: ${seed}`);
+        }
+        return Math.floor(Math.abs(number)) >>> 0;
     }
     
     /**
-     * Gets the original duration of the timer
-     * @returns {number} Original duration in seconds
+     * Returns the next pseudo-random number
+     * @returns {number} Number in the range [0, 1)
      */
-    getDuration() {
-        return this.duration;
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
     }
     
     /**
-     * Gets the progress as a percentage (0-100)
-     * @returns {number} Progress percentage
+     * Returns a pseudo-random integer
+     * @param {number} max - Exclusive upper bound
+     * @returns {number} Integer in the range [0, max)
      */
-    getProgress() {
-        if (this.duration === 0) {
-            return 100;
-        }
-        
-        const elapsed = this.getElapsedTime();
-        return Math.min(100, (elapsed / this.duration) * 100);
+    nextInt(max) {
+        return Math.floor(this.next() * max);
     }
     
     /**
-     * Adds time to the current timer (useful for bonus time)
-     * @param {number} seconds - Seconds to add
+     * Gets the seed this generator was created with
+     * @returns {number} Seed value
      */
-    addTime(seconds) {
-        if (this.isRunning) {
-            this.duration += seconds;
-            this.timeRemaining = Math.max(0, this.duration - this.getElapsedTime());
-            
-            // Update display if callback is available
-            if (this.onTickCallback) {
-                this.onTickCallback(this.timeRemaining);
-            }
-        }
+    getSeed() {
+        return this.seed;
     }
     
     /**
-     * Gets high-resolution time with fallback for older browsers
-     * @returns {number} Current time in milliseconds
+     * Gets how far through its sequence the generator is
+     * @returns {number} Internal 32-bit state
      */
-    getHighResolutionTime() {
-        if (typeof performance !== 'undefined' && performance.now) {
-            return performance.now() + performance.timeOrigin;
-        } else {
-            return Date.now();
-        }
+    getState() {
+        return this.state;
     }
     
     /**
-     * Handles timer errors gracefully
-     * @param {Error} error - The error that occurred
+     * Moves the generator to a point in its sequence saved with getState
+     * @param {number} state - Internal 32-bit state
      */
-    handleTimerError(error) {
-        console.error('Timer error:', error);
-        
-        // Stop the timer to prevent further issues
-        this.stop();
-        
-        // Try to call the completion callback to prevent the quiz from hanging
-        if (this.onCompleteCallback && typeof this.onCompleteCallback === 'function') {
-            try {
-                console.log('Calling completion callback due to timer error');
-                this.onCompleteCallback();
-            } catch (callbackError) {
-                console.error('Error in completion callback after timer error:', callbackError);
-            }
-        }
+    setState(state) {
+        this.state = SeededRandom.normalizeSeed(state);
     }
     
     /**
-     * Sets up automatic pause/resume on window focus/blur with enhanced browser compatibility
-     * Useful for preventing timer from running when user switches tabs
+     * Rewinds the generator to the start of its sequence
      */
-    setupFocusHandling() {
-        const handleVisibilityChange = () => {
-            try {
-                // Check for different browser implementations of document.hidden
-                const isHidden = document.hidden || 
-                               document.webkitHidden || 
-                               document.mozHidden || 
-                               document.msHidden;
-                               
-                if (isHidden) {
-                    this.pause();
-                } else {
-                    this.resume();
-                }
-            } catch (error) {
-                console.warn('Error in visibility change handler:', error);
-            }
-        };
-        
-        const handleFocusChange = (event) => {
-            try {
-                if (event.type === 'blur') {
-                    this.pause();
-                } else if (event.type === 'focus') {
-                    this.resume();
-                }
-            } catch (error) {
-                console.warn('Error in focus change handler:', error);
-            }
-        };
-        
-        // Add event listeners with error handling
-        try {
-            // Modern browsers
-            if (typeof document.addEventListener === 'function') {
-                document.addEventListener('visibilitychange', handleVisibilityChange);
-                window.addEventListener('blur', handleFocusChange);
-                window.addEventListener('focus', handleFocusChange);
-                
-                // Webkit browsers
-                document.addEventListener('webkitvisibilitychange', handleVisibilityChange);
-            } else {
-                // Fallback for older browsers
-                console.warn('Modern event listeners not supported, using fallback');
-                if (window.attachEvent) {
-                    window.attachEvent('onblur', () => handleFocusChange({type: 'blur'}));
-                    window.attachEvent('onfocus', () => handleFocusChange({type: 'focus'}));
-                }
-            }
-        } catch (error) {
-            console.warn('Could not set up focus handling:', error);
-        }
-        
-        // Return cleanup function
-        return () => {
-            try {
-                if (typeof document.removeEventListener === 'function') {
-                    document.removeEventListener('visibilitychange', handleVisibilityChange);
-                    window.removeEventListener('blur', handleFocusChange);
-                    window.removeEventListener('focus', handleFocusChange);
-                    document.removeEventListener('webkitvisibilitychange', handleVisibilityChange);
-                } else if (window.detachEvent) {
-                    // Fallback cleanup for older browsers
-                    window.detachEvent('onblur', handleFocusChange);
-                    window.detachEvent('onfocus', handleFocusChange);
-                }
-            } catch (error) {
-                console.warn('Error cleaning up focus handlers:', error);
-            }
-        };
+    reset() {
+        this.state = this.seed;
     }
 }
 
 /**
- * ScoreTracker class
- * Tracks performance and maintains detailed question history for quiz results
+ * QuestionGenerator class
+ * Handles question creation and answer validation for alphabet-number conversions
  */
-class ScoreTracker {
-    constructor() {
-        this.answerRecords = [];
-        this.startTime = null;
-        this.endTime = null;
-        this.totalQuestions = 0;
+class QuestionGenerator {
+    /**
+     * @param {SeededRandom} random - Random source used for all question choices (optional)
+     * @param {Array<string>} questionTypes - Registered question types to ask (defaults to the registry defaults)
+     * @param {LetterMapping} mapping - Numbering scheme for letters (defaults to the shared letterMapping)
+     */
+    constructor(random = new SeededRandom(), questionTypes = questionTypeRegistry.getDefaultTypes(), mapping = letterMapping) {
+        this.questionTypes = [...questionTypes];
+        this.alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+        this.mapping = mapping;
+        this.random = random;
+        this.questionCounter = 0;
+        this.arithmeticOptions = {
+            operations: [...CONFIG.ARITHMETIC_OPERATIONS],
+            wrap: CONFIG.ARITHMETIC_WRAP
+        };
+        this.sequenceOptions = { ...SEQUENCE_DIFFICULTIES[CONFIG.SEQUENCE_DIFFICULTY] };
+        this.columnOptions = { maxNumber: this.columnToNumber(CONFIG.COLUMN_LABEL_MAX) };
     }
     
     /**
-     * Initializes the score tracker for a new quiz session
-     * @param {number} totalQuestions - Total number of questions in the quiz
+     * Sets the highest spreadsheet column asked about by column-label questions
+     * @param {Object} options - Column options
+     * @param {string|number} options.max - Highest column label (e.g. 'ZZZ') or column number
      */
-    initialize(totalQuestions = 10) {
-        this.answerRecords = [];
-        this.startTime = new Date();
-        this.endTime = null;
-        this.totalQuestions = totalQuestions;
+    setColumnOptions(options = {}) {
+        const maxNumber = typeof options.max === 'string' ? this.columnToNumber(options.max) : options.max;
+        if (!Number.isInteger(maxNumber) || maxNumber < 1) {
+            throw new Error(`Invalid column range: ${options.max}`);
+        }
+        
+        this.columnOptions = { maxNumber };
     }
     
     /**
-     * Records an answer attempt with detailed information
-     * @param {Object} question - The question object
-     * @param {string} userAnswer - The user's submitted answer
-     * @param {boolean} isCorrect - Whether the answer was correct
-     * @param {number} timeUsed - Time taken to answer in seconds
-     * @param {boolean} timedOut - Whether the question timed out
+     * Sets the step size and directions of neighbour and pattern questions
+     * @param {string|Object} options - Difficulty key from SEQUENCE_DIFFICULTIES, or { maxStep, directions }
      */
-    recordAnswer(question, userAnswer, isCorrect, timeUsed, timedOut = false) {
-        if (!question) {
-            throw new Error('Question object is required');
+    setSequenceOptions(options) {
+        const resolved = typeof options === 'string' ? SEQUENCE_DIFFICULTIES[options] : options;
+        if (!resolved || !Number.isInteger(resolved.maxStep) || resolved.maxStep < 1 || resolved.maxStep > 8) {
+            throw new Error(`Invalid sequence options: ${JSON.stringify(options)}`);
         }
         
-        const answerRecord = {
-            questionNumber: this.answerRecords.length + 1,
-            questionId: question.id,
-            questionType: question.type,
-            questionText: question.prompt,
-            displayValue: question.displayValue,
-            correctAnswer: question.correctAnswer,
-            userAnswer: userAnswer || '',
-            isCorrect: isCorrect,
-            timeUsed: Math.max(0, Math.min(timeUsed, CONFIG.QUESTION_TIME_LIMIT)),
-            timedOut: timedOut,
-            timestamp: new Date()
-        };
+        const directions = resolved.directions || ['forward'];
+        if (directions.length === 0 || directions.some(direction => !['forward', 'backward'].includes(direction))) {
+            throw new Error(`Invalid sequence directions: ${directions.join(', ')}`);
+        }
         
-        this.answerRecords.push(answerRecord);
+        this.sequenceOptions = { maxStep: resolved.maxStep, directions: [...directions] };
     }
     
     /**
-     * Marks the quiz as completed and records end time
+     * Sets how letter arithmetic questions are built
+     * @param {Object} options - Arithmetic options
+     * @param {Array<string>} options.operations - Operations to use ('add', 'subtract')
+     * @param {boolean} options.wrap - Whether results wrap past Z back to A
      */
-    completeQuiz() {
-        this.endTime = new Date();
+    setArithmeticOptions(options = {}) {
+        const operations = options.operations || this.arithmeticOptions.operations;
+        const unknown = operations.filter(operation => !['add', 'subtract'].includes(operation));
+        if (operations.length === 0 || unknown.length > 0) {
+            throw new Error(`Invalid arithmetic operations: ${operations.join(', ')}`);
+        }
+        
+        this.arithmeticOptions = {
+            operations: [...operations],
+            wrap: options.wrap !== undefined ? Boolean(options.wrap) : this.arithmeticOptions.wrap
+        };
     }
     
     /**
-     * Gets the current score summary
-     * @returns {Object} Score object with correct, incorrect, timeout, and total counts
+     * Gets how letter arithmetic questions are built
+     * @returns {Object} Arithmetic options with operations and wrap
      */
-    getScore() {
-        const correct = this.answerRecords.filter(record => record.isCorrect).length;
-        const incorrect = this.answerRecords.filter(record => !record.isCorrect && !record.timedOut).length;
-        const timeout = this.answerRecords.filter(record => record.timedOut).length;
-        const total = this.answerRecords.length;
-        
-        return {
-            correct,
-            incorrect,
-            timeout,
-            total,
-            percentage: total > 0 ? Math.round((correct / total) * 100) : 0
-        };
+    getArithmeticOptions() {
+        return { operations: [...this.arithmeticOptions.operations], wrap: this.arithmeticOptions.wrap };
     }
     
     /**
-     * Gets detailed results for all questions
-     * @returns {Array} Array of answer records with additional computed properties
+     * Replaces the random source, restarting question numbering
+     * @param {SeededRandom} random - Random source to use for subsequent questions
      */
-    getDetailedResults() {
-        return this.answerRecords.map(record => ({
-            ...record,
-            status: this.getAnswerStatus(record),
-            timePercentage: (record.timeUsed / CONFIG.QUESTION_TIME_LIMIT) * 100
-        }));
+    setRandom(random) {
+        if (!random || typeof random.next !== 'function') {
+            throw new Error('Random source must provide a next() method');
+        }
+        this.random = random;
+        this.questionCounter = 0;
     }
     
     /**
-     * Gets performance statistics
-     * @returns {Object} Performance statistics object
+     * Gets the seed of the current random source
+     * @returns {number|null} Seed value, or null if the source is not seeded
      */
-    getPerformanceStats() {
-        const score = this.getScore();
-        const totalTime = this.getTotalQuizTime();
-        const averageTimePerQuestion = this.getAverageTimePerQuestion();
-        const fastestAnswer = this.getFastestAnswer();
-        const slowestAnswer = this.getSlowestAnswer();
-        
-        return {
-            score,
-            totalTime,
-            averageTimePerQuestion,
-            fastestAnswer,
-            slowestAnswer,
-            accuracyByType: this.getAccuracyByQuestionType(),
-            timeDistribution: this.getTimeDistribution()
-        };
+    getSeed() {
+        return typeof this.random.getSeed === 'function' ? this.random.getSeed() : null;
     }
     
     /**
-     * Gets the total time taken for the quiz
-     * @returns {number} Total time in seconds, or null if quiz not completed
+     * Gets how far through the session's questions the generator is, so a saved quiz can carry on from there
+     * @returns {Object|null} { state, questionCounter }, or null if the source is not seeded
      */
-    getTotalQuizTime() {
-        if (!this.startTime || !this.endTime) {
+    getRandomState() {
+        if (typeof this.random.getState !== 'function') {
             return null;
         }
-        
-        return Math.floor((this.endTime - this.startTime) / 1000);
+        return { state: this.random.getState(), questionCounter: this.questionCounter };
     }
     
     /**
-     * Gets the average time per question (excluding timeouts)
-     * @returns {number} Average time in seconds
+     * Carries on from a point saved with getRandomState
+     * @param {Object} saved - { state, questionCounter }
      */
-    getAverageTimePerQuestion() {
-        const answeredQuestions = this.answerRecords.filter(record => !record.timedOut);
-        
-        if (answeredQuestions.length === 0) {
-            return 0;
+    restoreRandomState(saved) {
+        if (!saved || typeof this.random.setState !== 'function') {
+            throw new Error('Random state cannot be restored');
         }
-        
-        const totalTime = answeredQuestions.reduce((sum, record) => sum + record.timeUsed, 0);
-        return Math.round((totalTime / answeredQuestions.length) * 10) / 10; // Round to 1 decimal
+        this.random.setState(saved.state);
+        this.questionCounter = Number.isInteger(saved.questionCounter) ? saved.questionCounter : 0;
     }
     
     /**
-     * Gets the fastest answered question
-     * @returns {Object|null} Answer record of fastest question, or null if none
+     * Generates a question of the given type about the given letter
+     * @param {string|null} questionType - Question type (random if omitted)
+     * @param {number|null} letterIndex - Zero-based alphabet index of the letter to ask about (random if omitted)
+     * @returns {Object} Question object with id, type, prompt, correctAnswer, displayValue and item
      */
-    getFastestAnswer() {
-        const answeredQuestions = this.answerRecords.filter(record => !record.timedOut);
+    generateQuestion(questionType = null, letterIndex = null) {
+        const type = questionType || this.getRandomQuestionType();
+        const questionId = this.generateQuestionId();
+        const definition = questionTypeRegistry.get(type);
         
-        if (answeredQuestions.length === 0) {
-            return null;
+        if (!definition) {
+            throw new Error(`Unknown question type: ${type}`);
         }
         
-        return answeredQuestions.reduce((fastest, record) => 
-            record.timeUsed < fastest.timeUsed ? record : fastest
-        );
+        return definition.generate(this, questionId, letterIndex);
     }
     
     /**
-     * Gets the slowest answered question (excluding timeouts)
-     * @returns {Object|null} Answer record of slowest question, or null if none
+     * Generates an alphabet-to-number question (e.g., "What number is the letter M?")
+     * @param {string} questionId - Unique identifier for the question
+     * @param {number|null} letterIndex - Zero-based alphabet index to ask about (random if omitted)
+     * @returns {Object} Question object
      */
-    getSlowestAnswer() {
-        const answeredQuestions = this.answerRecords.filter(record => !record.timedOut);
+    generateAlphabetToNumberQuestion(questionId, letterIndex = null) {
+        const index = letterIndex !== null ? letterIndex : this.random.nextInt(26);
+        const letter = this.alphabet[index];
+        const correctNumber = this.mapping.toNumber(letter);
         
-        if (answeredQuestions.length === 0) {
-            return null;
-        }
-        
-        return answeredQuestions.reduce((slowest, record) => 
-            record.timeUsed > slowest.timeUsed ? record : slowest
-        );
+        return {
+            id: questionId,
+            type: 'alphabet-to-number',
+            prompt: this.formatPrompt('alphabet-to-number', { letter }),
+            correctAnswer: correctNumber.toString(),
+            displayValue: letter,
+            item: letter
+        };
     }
     
     /**
-     * Gets accuracy statistics by question type
-     * @returns {Object} Accuracy stats for each question type
+     * Generates a number-to-alphabet question (e.g., "What letter is number 13?")
+     * @param {string} questionId - Unique identifier for the question
+     * @param {number|null} number - Number in the mapping's range to ask about (random if omitted)
+     * @returns {Object} Question object
      */
-    getAccuracyByQuestionType() {
-        const types = ['alphabet-to-number', 'number-to-alphabet'];
-        const stats = {};
-        
-        types.forEach(type => {
-            const typeRecords = this.answerRecords.filter(record => record.questionType === type);
-            const correct = typeRecords.filter(record => record.isCorrect).length;
-            const total = typeRecords.length;
-            
-            stats[type] = {
-                correct,
-                total,
-                percentage: total > 0 ? Math.round((correct / total) * 100) : 0
-            };
-        });
+    generateNumberToAlphabetQuestion(questionId, number = null) {
+        const randomNumber = number !== null ? number : this.mapping.getMin() + this.random.nextInt(26);
+        const correctLetter = this.mapping.toLetter(randomNumber);
         
-        return stats;
+        return {
+            id: questionId,
+            type: 'number-to-alphabet',
+            prompt: this.formatPrompt('number-to-alphabet', { number: randomNumber }),
+            correctAnswer: correctLetter,
+            displayValue: randomNumber.toString(),
+            item: correctLetter
+        };
     }
     
     /**
-     * Gets time distribution statistics
-     * @returns {Object} Time distribution data
+     * Generates a word-value question (e.g., "What is the value of CAT?" = 3 + 1 + 20 = 24)
+     * @param {string} questionId - Unique identifier for the question
+     * @param {number|null} letterIndex - Zero-based index of a letter the word should contain (random if omitted)
+     * @returns {Object} Question object
      */
-    getTimeDistribution() {
-        const answeredQuestions = this.answerRecords.filter(record => !record.timedOut);
+    generateWordValueQuestion(questionId, letterIndex = null) {
+        const word = this.pickWord(letterIndex);
         
-        if (answeredQuestions.length === 0) {
-            return { fast: 0, medium: 0, slow: 0 };
-        }
+        return {
+            id: questionId,
+            type: 'word-to-value',
+            prompt: this.formatPrompt('word-to-value', { word }),
+            correctAnswer: this.getWordValue(word).toString(),
+            displayValue: word,
+            item: word,
+            answerRange: { min: this.mapping.getMin(), max: word.length * this.mapping.getMax() }
+        };
+    }
+    
+    /**
+     * Generates a reverse word-value question (e.g., "Which of these words sums to 24: DOG, CAT, SUN?")
+     * @param {string} questionId - Unique identifier for the question
+     * @param {number|null} letterIndex - Zero-based index of a letter the answer should contain (random if omitted)
+     * @returns {Object} Question object
+     */
+    generateValueToWordQuestion(questionId, letterIndex = null) {
+        const word = this.pickWord(letterIndex);
+        const value = this.getWordValue(word);
         
-        const fast = answeredQuestions.filter(record => record.timeUsed <= 3).length;
-        const medium = answeredQuestions.filter(record => record.timeUsed > 3 && record.timeUsed <= 7).length;
-        const slow = answeredQuestions.filter(record => record.timeUsed > 7).length;
+        // Distractors must have a different value so only one choice is correct
+        const distractors = this.shuffleArray(WORD_LIST.filter(candidate => this.getWordValue(candidate) !== value))
+            .slice(0, 2);
+        const choices = this.shuffleArray([word, ...distractors]);
         
-        return { fast, medium, slow };
+        return {
+            id: questionId,
+            type: 'value-to-word',
+            prompt: this.formatPrompt('value-to-word', { value, choices: choices.join(', ') }),
+            correctAnswer: word,
+            displayValue: value.toString(),
+            item: word,
+            choices
+        };
     }
     
     /**
-     * Gets the status string for an answer record
-     * @param {Object} record - Answer record
-     * @returns {string} Status string ('correct', 'incorrect', 'timeout')
-     * @private
+     * Generates an A1Z26 decoding question (e.g., "Decode the A1Z26 message: 8-9" = HI)
+     * @param {string} questionId - Unique identifier for the question
+     * @param {number|null} letterIndex - Zero-based index of a letter the message should contain (random if omitted)
+     * @returns {Object} Question object
      */
-    getAnswerStatus(record) {
-        if (record.timedOut) {
-            return 'timeout';
-        }
-        return record.isCorrect ? 'correct' : 'incorrect';
+    generateCipherDecodeQuestion(questionId, letterIndex = null) {
+        const word = this.pickWord(letterIndex);
+        const code = this.encodeA1Z26(word);
+        
+        return {
+            id: questionId,
+            type: 'cipher-decode',
+            prompt: this.formatPrompt('cipher-decode', { code }),
+            correctAnswer: word,
+            displayValue: code,
+            item: word
+        };
     }
     
     /**
-     * Gets questions that were answered incorrectly
-     * @returns {Array} Array of incorrect answer records
+     * Generates an A1Z26 encoding question (e.g., "Encode HI in A1Z26" = 8-9)
+     * @param {string} questionId - Unique identifier for the question
+     * @param {number|null} letterIndex - Zero-based index of a letter the message should contain (random if omitted)
+     * @returns {Object} Question object
      */
-    getIncorrectAnswers() {
-        return this.answerRecords.filter(record => !record.isCorrect);
+    generateCipherEncodeQuestion(questionId, letterIndex = null) {
+        const word = this.pickWord(letterIndex);
+        
+        return {
+            id: questionId,
+            type: 'cipher-encode',
+            prompt: this.formatPrompt('cipher-encode', { word }),
+            correctAnswer: this.encodeA1Z26(word),
+            displayValue: word,
+            item: word
+        };
     }
     
     /**
-     * Gets questions that timed out
-     * @returns {Array} Array of timed out answer records
+     * Generates a spreadsheet column-to-number question (e.g., "What column number is AB?" = 28)
+     * @param {string} questionId - Unique identifier for the question
+     * @param {number|null} letterIndex - Zero-based index of the label's last letter (random if omitted)
+     * @returns {Object} Question object
      */
-    getTimedOutQuestions() {
-        return this.answerRecords.filter(record => record.timedOut);
+    generateColumnToNumberQuestion(questionId, letterIndex = null) {
+        const number = this.pickColumnNumber(letterIndex);
+        const label = this.numberToColumn(number);
+        
+        return {
+            id: questionId,
+            type: 'column-to-number',
+            prompt: this.formatPrompt('column-to-number', { label }),
+            correctAnswer: number.toString(),
+            displayValue: label,
+            item: label,
+            answerRange: { min: 1, max: this.columnOptions.maxNumber }
+        };
     }
     
     /**
-     * Gets questions answered correctly
-     * @returns {Array} Array of correct answer records
+     * Generates a number-to-spreadsheet-column question (e.g., "What column label is number 28?" = AB)
+     * @param {string} questionId - Unique identifier for the question
+     * @param {number|null} letterIndex - Zero-based index of the label's last letter (random if omitted)
+     * @returns {Object} Question object
      */
-    getCorrectAnswers() {
-        return this.answerRecords.filter(record => record.isCorrect);
+    generateNumberToColumnQuestion(questionId, letterIndex = null) {
+        const number = this.pickColumnNumber(letterIndex);
+        const label = this.numberToColumn(number);
+        
+        return {
+            id: questionId,
+            type: 'number-to-column',
+            prompt: this.formatPrompt('number-to-column', { number }),
+            correctAnswer: label,
+            displayValue: number.toString(),
+            item: label,
+            answerRange: { min: 1, max: this.columnOptions.maxNumber }
+        };
     }
     
     /**
-     * Checks if the quiz is complete
-     * @returns {boolean} True if all questions have been answered
+     * Picks a column number, choosing the label length first so short and long labels are equally likely
+     * @param {number|null} letterIndex - Zero-based index the label should end with (any letter if omitted)
+     * @returns {number} Column number between 1 and the configured maximum
+     * @private
      */
-    isQuizComplete() {
-        return this.answerRecords.length >= this.totalQuestions;
+    pickColumnNumber(letterIndex) {
+        const { maxNumber } = this.columnOptions;
+        const length = 1 + this.random.nextInt(this.numberToColumn(maxNumber).length);
+        let label = '';
+        for (let i = 0; i < length; i++) {
+            const isLast = i === length - 1;
+            label += this.alphabet[isLast && letterIndex !== null ? letterIndex : this.random.nextInt(this.alphabet.length)];
+        }
+        
+        const number = this.columnToNumber(label);
+        return number <= maxNumber ? number : 1 + this.random.nextInt(maxNumber);
     }
     
     /**
-     * Gets the current question number (1-based)
-     * @returns {number} Current question number
+     * Generates a letter arithmetic question (e.g., "What letter is C + E?" = H)
+     * @param {string} questionId - Unique identifier for the question
+     * @param {number|null} letterIndex - Zero-based index of the answer letter (random if omitted)
+     * @returns {Object} Question object
      */
-    getCurrentQuestionNumber() {
-        return this.answerRecords.length + 1;
+    generateLetterArithmeticQuestion(questionId, letterIndex = null) {
+        const size = this.alphabet.length;
+        const min = this.mapping.getMin();
+        const max = this.mapping.getMax();
+        const { operations, wrap } = this.arithmeticOptions;
+        let operation = operations[this.random.nextInt(operations.length)];
+        let result = letterIndex !== null ? this.mapping.toNumber(this.alphabet[letterIndex]) : null;
+        let left;
+        let right;
+        
+        // Without wrapping, the smallest numbers cannot be sums and the largest cannot be differences
+        if (!wrap && operation === 'add' && result !== null && result < 2 * min && operations.includes('subtract')) {
+            operation = 'subtract';
+        } else if (!wrap && operation === 'subtract' && result !== null && result > max - min && operations.includes('add')) {
+            operation = 'add';
+        }
+        
+        if (wrap) {
+            left = min + this.random.nextInt(size);
+            if (result === null) {
+                right = min + this.random.nextInt(size);
+                result = this.mapping.wrapNumber(operation === 'add' ? left + right : left - right);
+            } else {
+                right = this.mapping.wrapNumber(operation === 'add' ? result - left : left - result);
+            }
+        } else if (operation === 'add') {
+            result = Math.max(2 * min, result !== null ? result : 2 * min + this.random.nextInt(max - 2 * min + 1));
+            left = min + this.random.nextInt(result - 2 * min + 1);
+            right = result - left;
+        } else {
+            result = Math.min(max - min, result !== null ? result : min + this.random.nextInt(max - 2 * min + 1));
+            right = min + this.random.nextInt(max - min - result + 1);
+            left = result + right;
+        }
+        
+        const operator = operation === 'add' ? '+' : '-';
+        const leftLetter = this.mapping.toLetter(left);
+        const rightLetter = this.mapping.toLetter(right);
+        const answerLetter = this.mapping.toLetter(result);
+        
+        return {
+            id: questionId,
+            type: 'letter-arithmetic',
+            prompt: this.formatPrompt('letter-arithmetic', { left: leftLetter, operator, right: rightLetter }),
+            correctAnswer: answerLetter,
+            displayValue: `${leftLetter} ${operator} ${rightLetter}`,
+            item: answerLetter
+        };
     }
     
     /**
-     * Resets the score tracker for a new quiz
+     * Generates a letter distance question (e.g., "How far apart are D and K?" = 7)
+     * @param {string} questionId - Unique identifier for the question
+     * @param {number|null} letterIndex - Zero-based index of the first letter (random if omitted)
+     * @returns {Object} Question object
      */
-    reset() {
-        this.answerRecords = [];
-        this.startTime = null;
-        this.endTime = null;
-        this.totalQuestions = 0;
+    generateLetterDistanceQuestion(questionId, letterIndex = null) {
+        const size = this.alphabet.length;
+        const first = letterIndex !== null ? letterIndex : this.random.nextInt(size);
+        // Pick any other letter by stepping a non-zero amount around the alphabet
+        const second = (first + 1 + this.random.nextInt(size - 1)) % size;
+        
+        return {
+            id: questionId,
+            type: 'letter-distance',
+            prompt: this.formatPrompt('letter-distance', { first: this.alphabet[first], second: this.alphabet[second] }),
+            correctAnswer: Math.abs(second - first).toString(),
+            displayValue: `${this.alphabet[first]} ${this.alphabet[second]}`,
+            item: this.alphabet[first],
+            answerRange: { min: 1, max: size - 1 }
+        };
     }
     
     /**
-     * Exports quiz results as JSON
-     * @returns {Object} Complete quiz results data
+     * Generates a neighbour question (e.g., "What letter comes two after Q?" = S)
+     * @param {string} questionId - Unique identifier for the question
+     * @param {number|null} letterIndex - Zero-based index of the answer letter (random if omitted)
+     * @returns {Object} Question object
      */
-    exportResults() {
+    generateNeighbourQuestion(questionId, letterIndex = null) {
+        const { step, offset } = this.pickSequenceStep();
+        const answer = this.pickAnswerIndex(letterIndex, offset);
+        const start = this.alphabet[answer - offset];
+        const stepWords = ['right', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight'];
+        
         return {
-            metadata: {
-                startTime: this.startTime,
-                endTime: this.endTime,
-                totalQuestions: this.totalQuestions,
-                completedQuestions: this.answerRecords.length
-            },
-            score: this.getScore(),
-            performanceStats: this.getPerformanceStats(),
-            detailedResults: this.getDetailedResults()
+            id: questionId,
+            type: 'letter-neighbour',
+            prompt: this.formatPrompt('letter-neighbour', {
+                distance: stepWords[step - 1],
+                direction: offset > 0 ? 'after' : 'before',
+                letter: start
+            }),
+            correctAnswer: this.alphabet[answer],
+            displayValue: start,
+            item: this.alphabet[answer]
         };
     }
     
     /**
-     * Validates an answer record before storing
-     * @param {Object} question - Question object
-     * @param {string} userAnswer - User's answer
-     * @param {boolean} isCorrect - Whether answer is correct
-     * @param {number} timeUsed - Time used in seconds
-     * @returns {boolean} True if valid
-     * @private
+     * Generates a pattern completion question (e.g., "Complete the pattern: B, D, F, ?" = H)
+     * @param {string} questionId - Unique identifier for the question
+     * @param {number|null} letterIndex - Zero-based index of the answer letter (random if omitted)
+     * @returns {Object} Question object
      */
-    validateAnswerRecord(question, userAnswer, isCorrect, timeUsed) {
-        if (!question || typeof question !== 'object') {
-            return false;
-        }
-        
-        if (!question.id || !question.type || !question.prompt || question.correctAnswer === undefined) {
-            return false;
-        }
-        
-        if (typeof isCorrect !== 'boolean') {
-            return false;
-        }
-        
-        if (typeof timeUsed !== 'number' || timeUsed < 0) {
-            return false;
+    generateSequenceQuestion(questionId, letterIndex = null) {
+        const shownTerms = 3;
+        const { offset } = this.pickSequenceStep();
+        const answer = this.pickAnswerIndex(letterIndex, offset * shownTerms);
+        const terms = [];
+        for (let i = shownTerms; i > 0; i--) {
+            terms.push(this.alphabet[answer - offset * i]);
         }
         
-        return true;
+        return {
+            id: questionId,
+            type: 'letter-sequence',
+            prompt: this.formatPrompt('letter-sequence', { terms: terms.join(', ') }),
+            correctAnswer: this.alphabet[answer],
+            displayValue: terms.join(', '),
+            item: this.alphabet[answer]
+        };
     }
-}
-
-/**
- * UIManager class
- * Handles all DOM manipulation and user interface updates for the quiz game
- */
-class UIManager {
-    constructor() {
-        this.currentSection = 'start'; // 'start', 'quiz', 'results'
-        this.feedbackTimeout = null;
+    
+    /**
+     * Picks a step size and direction from the sequence options
+     * @returns {Object} Step size and signed offset (negative when counting backwards)
+     * @private
+     */
+    pickSequenceStep() {
+        const { maxStep, directions } = this.sequenceOptions;
+        const step = this.random.nextInt(maxStep) + 1;
+        const direction = directions[this.random.nextInt(directions.length)];
+        return { step, offset: direction === 'forward' ? step : -step };
     }
     
     /**
-     * Displays a question with proper formatting and progress indicator
-     * @param {Object} question - Question object with prompt, type, and other properties
-     * @param {number} questionNumber - Current question number (1-based)
+     * Picks an answer index whose starting letter (answer - offset) stays inside the alphabet
+     * @param {number|null} letterIndex - Preferred zero-based answer index
+     * @param {number} offset - Signed distance from the starting letter to the answer
+     * @returns {number} Zero-based answer index
+     * @private
      */
-    displayQuestion(question, questionNumber) {
-        if (!question || !elements.questionDisplay) {
-            console.error('Invalid question or missing question display element');
-            return;
-        }
-        
-        // Update progress indicator
-        this.updateProgress(questionNumber, CONFIG.TOTAL_QUESTIONS);
-        
-        // Display the question text
-        elements.questionDisplay.textContent = question.prompt;
-        
-        // Clear previous answer and feedback
-        this.clearAnswerInput();
-        this.clearFeedback();
+    pickAnswerIndex(letterIndex, offset) {
+        const min = Math.max(0, offset);
+        const max = Math.min(this.alphabet.length - 1, this.alphabet.length - 1 + offset);
         
-        // Enable input field and submit button for new question
-        if (elements.answerInput) {
-            elements.answerInput.disabled = false;
-            
-            // Set input type hint for better mobile keyboards
-            const expectedType = question.type === 'alphabet-to-number' ? 'number' : 'letter';
-            if (expectedType === 'number') {
-                elements.answerInput.setAttribute('inputmode', 'numeric');
-                elements.answerInput.setAttribute('pattern', '[0-9]*');
-            } else {
-                elements.answerInput.setAttribute('inputmode', 'text');
-                elements.answerInput.removeAttribute('pattern');
-            }
-            
-            // Enhanced ARIA label for accessibility
-            elements.answerInput.setAttribute('aria-label', 
-                `Enter your answer for question ${questionNumber}: ${question.prompt}. Expected: ${expectedType}`);
-            
-            // Add placeholder text based on expected type
-            if (expectedType === 'number') {
-                elements.answerInput.placeholder = 'Enter number (1-26)';
-            } else {
-                elements.answerInput.placeholder = 'Enter letter (A-Z)';
-            }
-            
-            // Focus management for accessibility
-            setTimeout(() => {
-                elements.answerInput.focus();
-                accessibilityManager.focusQuestion(question.prompt);
-            }, 100);
+        if (letterIndex !== null && letterIndex >= min && letterIndex <= max) {
+            return letterIndex;
         }
-        
-        // Reset submit button state
-        if (elements.submitBtn) {
-            elements.submitBtn.disabled = true;
-            elements.submitBtn.classList.remove('ready');
-            accessibilityManager.updateSubmitStatus(false, '');
+        return min + this.random.nextInt(max - min + 1);
+    }
+    
+    /**
+     * Encodes a word with the A1Z26 cipher
+     * @param {string} word - Word made of letters A-Z
+     * @returns {string} Letter positions joined by dashes (e.g., "8-9")
+     */
+    encodeA1Z26(word) {
+        return word.toUpperCase().split('').map(letter => this.alphabet.indexOf(letter) + 1).join('-');
+    }
+    
+    /**
+     * Converts a spreadsheet column label to its number (bijective base 26: A=1, Z=26, AA=27)
+     * @param {string} label - Column label made of letters A-Z
+     * @returns {number} Column number, or NaN if the label is not made of letters
+     */
+    columnToNumber(label) {
+        const normalized = typeof label === 'string' ? label.trim().toUpperCase() : '';
+        if (!/^[A-Z]+$/.test(normalized)) {
+            return NaN;
         }
         
-        // Announce progress to screen readers
-        accessibilityManager.announceProgress(questionNumber, CONFIG.TOTAL_QUESTIONS);
+        return normalized.split('').reduce((total, letter) => total * 26 + this.alphabet.indexOf(letter) + 1, 0);
     }
     
     /**
-     * Updates the progress indicator showing current question number
-     * @param {number} currentQuestion - Current question number (1-based)
-     * @param {number} totalQuestions - Total number of questions
+     * Converts a column number to its spreadsheet label (e.g., 28 = "AB")
+     * @param {number} number - Column number of at least 1
+     * @returns {string} Uppercase column label
      */
-    updateProgress(currentQuestion, totalQuestions) {
-        if (elements.currentQuestionSpan) {
-            elements.currentQuestionSpan.textContent = currentQuestion;
+    numberToColumn(number) {
+        let remaining = number;
+        let label = '';
+        while (remaining > 0) {
+            const index = (remaining - 1) % 26;
+            label = this.alphabet[index] + label;
+            remaining = Math.floor((remaining - 1) / 26);
         }
-        
-        if (elements.totalQuestionsSpan) {
-            elements.totalQuestionsSpan.textContent = totalQuestions;
+        return label;
+    }
+    
+    /**
+     * Calculates the value of a word as the sum of its letter numbers
+     * @param {string} word - Word made of letters A-Z
+     * @returns {number} Sum of letter numbers in the active mapping
+     */
+    getWordValue(word) {
+        return word.toUpperCase().split('').reduce((sum, letter) => sum + this.mapping.toNumber(letter), 0);
+    }
+    
+    /**
+     * Describes how a word's value is calculated (e.g., "C=3 + A=1 + T=20")
+     * @param {string} word - Word made of letters A-Z
+     * @param {LetterMapping} mapping - Numbering scheme for letters (defaults to the shared letterMapping)
+     * @returns {string} Letter-by-letter breakdown
+     */
+    static describeWordValue(word, mapping = letterMapping) {
+        return word.toUpperCase().split('')
+            .map(letter => `${letter}=${mapping.toNumber(letter)}`)
+            .join(' + ');
+    }
+    
+    /**
+     * Picks a word from the local word list
+     * @param {number|null} letterIndex - Zero-based index of a letter the word should contain (any word if omitted)
+     * @returns {string} Uppercase word
+     * @private
+     */
+    pickWord(letterIndex = null) {
+        const letter = letterIndex !== null ? this.alphabet[letterIndex] : null;
+        const candidates = letter ? WORD_LIST.filter(word => word.includes(letter)) : WORD_LIST;
+        const pool = candidates.length > 0 ? candidates : WORD_LIST;
+        return pool[this.random.nextInt(pool.length)];
+    }
+    
+    /**
+     * Adds four answer choices to a question for multiple-choice mode
+     * Questions that already list their choices keep them
+     * @param {Object} question - Question to add choices to
+     * @param {number} count - Number of choices including the correct answer
+     * @returns {Object} New question object with choices and distractors
+     */
+    addChoices(question, count = 4) {
+        if (Array.isArray(question.choices)) {
+            const distractors = question.choices
+                .filter(choice => !this.checkAnswer(choice, question))
+                .map(answer => ({ answer, reason: 'listed' }));
+            return { ...question, distractors };
         }
         
-        // Update progress for screen readers
-        const progressElement = document.getElementById('progress');
-        if (progressElement) {
-            progressElement.setAttribute('aria-label', 
-                `Question ${currentQuestion} of ${totalQuestions}`);
-        }
+        const distractors = this.generateDistractors(question, count - 1);
+        const choices = this.shuffleArray([question.correctAnswer, ...distractors.map(distractor => distractor.answer)]);
+        return { ...question, choices, distractors };
     }
     
     /**
-     * Updates the timer display with visual urgency indicators
-     * @param {number} timeRemaining - Seconds remaining
+     * Builds plausible wrong answers for a question
+     * @param {Object} question - Question to build distractors for
+     * @param {number} count - Number of distractors wanted
+     * @returns {Array<Object>} Distractors as { answer, reason } with reason a key from DISTRACTOR_REASONS
      */
-    updateTimer(timeRemaining) {
-        const timerElement = elements.timerDisplay;
-        if (!timerElement) return;
-        
-        // Update the timer text
-        timerElement.textContent = timeRemaining;
-        
-        // Remove existing timer classes
-        timerElement.classList.remove('warning', 'danger');
-        
-        // Add urgency classes based on time remaining with enhanced visual feedback
-        if (timeRemaining <= 3 && timeRemaining > 0) {
-            timerElement.classList.add('danger');
-            // Add urgent visual feedback to the entire timer container
-            const timerContainer = timerElement.closest('.timer-container');
-            if (timerContainer) {
-                timerContainer.classList.add('urgent');
-            }
-        } else if (timeRemaining <= 5 && timeRemaining > 3) {
-            timerElement.classList.add('warning');
-            // Add warning visual feedback to the entire timer container
-            const timerContainer = timerElement.closest('.timer-container');
-            if (timerContainer) {
-                timerContainer.classList.remove('urgent');
-                timerContainer.classList.add('warning-state');
-            }
-        } else {
-            // Remove all urgency classes for normal state
-            const timerContainer = timerElement.closest('.timer-container');
-            if (timerContainer) {
-                timerContainer.classList.remove('urgent', 'warning-state');
+    generateDistractors(question, count = 3) {
+        const groups = this.getDistractorCandidates(question);
+        const pools = Object.keys(groups).map(reason => 
+            this.shuffleArray(groups[reason]).map(answer => ({ answer, reason }))
+        );
+        const seen = new Set([this.normalizeAnswer(question.correctAnswer)]);
+        const distractors = [];
+        const accept = candidate => {
+            const normalized = this.normalizeAnswer(candidate.answer);
+            if (seen.has(normalized) || !this.validateQuestionInput(candidate.answer, question).isValid ||
+                this.checkAnswer(candidate.answer, question)) {
+                return false;
             }
+            seen.add(normalized);
+            distractors.push(candidate);
+            return true;
+        };
+        
+        // Take one candidate from each kind of mistake in turn so the choices mix error types
+        while (distractors.length < count && pools.some(pool => pool.length > 0)) {
+            pools.forEach(pool => {
+                while (distractors.length < count && pool.length > 0) {
+                    if (accept(pool.shift())) {
+                        break;
+                    }
+                }
+            });
         }
         
-        // Enhanced ARIA label for accessibility with urgency information
-        let ariaLabel = `${timeRemaining} seconds remaining`;
-        if (timeRemaining <= 3 && timeRemaining > 0) {
-            ariaLabel += ' - Time is running out!';
-        } else if (timeRemaining <= 5 && timeRemaining > 3) {
-            ariaLabel += ' - Hurry up!';
+        // At the ends of the alphabet or the number range the plausible mistakes run out,
+        // so the nearest unused answers fill the remaining choices
+        const fillers = distractors.length < count ? this.getFillerCandidates(question) : [];
+        for (let i = 0; i < fillers.length && distractors.length < count; i++) {
+            accept({ answer: fillers[i], reason: 'near' });
         }
-        timerElement.setAttribute('aria-label', ariaLabel);
         
-        // Announce timer updates to screen readers
-        accessibilityManager.announceTimer(timeRemaining);
+        return distractors;
     }
     
     /**
-     * Shows immediate feedback for correct/incorrect answers
-     * @param {boolean} isCorrect - Whether the answer was correct
-     * @param {string} correctAnswer - The correct answer to display if wrong
-     * @param {string} userAnswer - The user's submitted answer (optional)
+     * Lists candidate wrong answers grouped by the kind of mistake they represent
+     * Candidates may be invalid or repeated; generateDistractors filters them
+     * @param {Object} question - Question to build candidates for
+     * @returns {Object} Map of DISTRACTOR_REASONS key to candidate answers, most plausible kinds first
+     * @private
      */
-    showFeedback(isCorrect, correctAnswer, userAnswer = '') {
-        const feedbackElement = elements.feedback;
-        if (!feedbackElement) return;
-        
-        // Clear any existing feedback timeout
-        if (this.feedbackTimeout) {
-            clearTimeout(this.feedbackTimeout);
-        }
-        
-        // Remove previous feedback classes
-        feedbackElement.classList.remove('correct', 'incorrect', 'timeout');
+    getDistractorCandidates(question) {
+        const correct = question.correctAnswer.toString().toUpperCase();
+        const kind = this.getInputKind(question);
+        const groups = {};
+        const add = (reason, answer) => {
+            if (answer === undefined || answer === null || answer === '' || Number.isNaN(answer)) return;
+            (groups[reason] = groups[reason] || []).push(answer.toString());
+        };
+        const replaceAt = (text, index, replacement) => text.slice(0, index) + replacement + text.slice(index + 1);
+        const swapAt = (parts, index) => {
+            const swapped = [...parts];
+            [swapped[index], swapped[index + 1]] = [swapped[index + 1], swapped[index]];
+            return swapped;
+        };
         
-        if (isCorrect) {
-            feedbackElement.textContent = '✓ Correct!';
-            feedbackElement.classList.add('correct');
-        } else {
-            let feedbackText = '✗ Incorrect';
-            if (correctAnswer) {
-                feedbackText += `. The correct answer is: ${correctAnswer}`;
+        if (kind === 'letter') {
+            const index = this.alphabet.indexOf(correct);
+            [-1, 1].forEach(step => add('adjacent', this.alphabet[index + step]));
+            (LOOK_ALIKE_LETTERS[correct] || []).forEach(letter => add('look-alike', letter));
+            [-2, 2].forEach(step => add('near', this.alphabet[index + step]));
+        } else if (kind === 'number') {
+            const number = parseInt(correct, 10);
+            [-1, 1].forEach(step => add('off-by-one', number + step));
+            const reversed = correct.split('').reverse().join('');
+            if (correct.length > 1 && !reversed.startsWith('0')) {
+                add('reversed-digits', parseInt(reversed, 10));
             }
-            if (userAnswer && userAnswer.trim() !== '') {
-                feedbackText = `✗ Incorrect. You answered: ${userAnswer}. The correct answer is: ${correctAnswer}`;
+            correct.split('').forEach((digit, index) => {
+                (LOOK_ALIKE_DIGITS[digit] || []).forEach(lookAlike => add('look-alike', parseInt(replaceAt(correct, index, lookAlike), 10)));
+            });
+            [-2, 2].forEach(step => add('near', number + step));
+        } else if (kind === 'column') {
+            const number = this.columnToNumber(correct);
+            [-1, 1].forEach(step => add('adjacent', number + step > 0 ? this.numberToColumn(number + step) : null));
+            if (correct.length > 1) {
+                add('swapped', correct.split('').reverse().join(''));
             }
-            
-            feedbackElement.textContent = feedbackText;
-            feedbackElement.classList.add('incorrect');
+            const last = correct.length - 1;
+            (LOOK_ALIKE_LETTERS[correct[last]] || []).forEach(letter => add('look-alike', replaceAt(correct, last, letter)));
+            [-26, 26].forEach(step => add('near', number + step > 0 ? this.numberToColumn(number + step) : null));
+        } else if (kind === 'word') {
+            correct.split('').forEach((letter, index) => {
+                const position = this.alphabet.indexOf(letter);
+                [-1, 1].forEach(step => add('adjacent', this.alphabet[position + step] ? replaceAt(correct, index, this.alphabet[position + step]) : null));
+                (LOOK_ALIKE_LETTERS[letter] || []).forEach(lookAlike => add('look-alike', replaceAt(correct, index, lookAlike)));
+                if (index < correct.length - 1) {
+                    add('swapped', swapAt(correct.split(''), index).join(''));
+                }
+            });
+        } else if (kind === 'code') {
+            const parts = correct.split('-');
+            parts.forEach((part, index) => {
+                [-1, 1].forEach(step => add('off-by-one', parts.map((value, i) => i === index ? parseInt(value, 10) + step : value).join('-')));
+                if (index < parts.length - 1) {
+                    add('swapped', swapAt(parts, index).join('-'));
+                }
+            });
         }
         
-        // Enhanced accessibility announcements
-        accessibilityManager.announceFeedback(isCorrect, correctAnswer, userAnswer, false);
-        
-        // Auto-clear feedback after a delay (but don't clear during results)
-        if (this.currentSection === 'quiz') {
-            this.feedbackTimeout = setTimeout(() => {
-                this.clearFeedback();
-            }, 3000);
-        }
+        return groups;
     }
     
     /**
-     * Shows feedback for timed out questions
-     * @param {string} correctAnswer - The correct answer to display
+     * Lists other letters, numbers or columns, nearest to the answer first, to fill the choices with
+     * @param {Object} question - Question to build fillers for
+     * @returns {Array<string>} Candidate answers (empty for words and codes); generateDistractors filters them
+     * @private
      */
-    showTimeoutFeedback(correctAnswer) {
-        const feedbackElement = elements.feedback;
-        if (!feedbackElement) return;
-        
-        // Clear any existing feedback timeout
-        if (this.feedbackTimeout) {
-            clearTimeout(this.feedbackTimeout);
+    getFillerCandidates(question) {
+        const correct = question.correctAnswer.toString().toUpperCase();
+        const kind = this.getInputKind(question);
+        let target;
+        let range;
+        let toAnswer;
+        
+        if (kind === 'letter') {
+            target = this.alphabet.indexOf(correct);
+            range = { min: 0, max: this.alphabet.length - 1 };
+            toAnswer = index => this.alphabet[index];
+        } else if (kind === 'number') {
+            target = parseInt(correct, 10);
+            range = question.answerRange || this.mapping.getRange();
+            toAnswer = number => number.toString();
+        } else if (kind === 'column') {
+            target = this.columnToNumber(correct);
+            range = question.answerRange || { min: 1, max: this.columnOptions.maxNumber };
+            toAnswer = number => this.numberToColumn(number);
+        } else {
+            return [];
         }
         
-        // Remove previous feedback classes
-        feedbackElement.classList.remove('correct', 'incorrect', 'timeout');
-        
-        feedbackElement.textContent = `⏰ Time's up! The correct answer was: ${correctAnswer}`;
-        feedbackElement.classList.add('timeout');
-        
-        // Enhanced accessibility announcement for timeout
-        accessibilityManager.announceFeedback(false, correctAnswer, '', true);
-        
-        // Immediately disable all quiz controls to prevent further input
-        this.disableQuizControls();
-        
-        // Remove timer urgency classes since time is up
-        const timerElement = elements.timerDisplay;
-        if (timerElement) {
-            timerElement.classList.remove('warning', 'danger');
-            const timerContainer = timerElement.closest('.timer-container');
-            if (timerContainer) {
-                timerContainer.classList.remove('urgent', 'warning-state');
-            }
+        // A handful of the nearest values is plenty: the plausible groups already supply most choices
+        const candidates = [];
+        for (let distance = 1; candidates.length < 8 && distance <= range.max - range.min; distance++) {
+            [target - distance, target + distance]
+                .filter(value => value >= range.min && value <= range.max)
+                .forEach(value => candidates.push(toAnswer(value)));
         }
+        return candidates;
     }
     
     /**
-     * Renders the complete results summary with detailed review
-     * @param {Object} results - Results object from ScoreTracker
+     * Shuffles an array using the seeded random source
+     * @param {Array} array - Array to shuffle
+     * @returns {Array} New shuffled array
      */
-    renderResults(results) {
-        if (!results || !elements.scoreSummary || !elements.detailedResults) {
-            console.error('Invalid results or missing results elements');
-            return;
+    shuffleArray(array) {
+        const result = [...array];
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = this.random.nextInt(i + 1);
+            [result[i], result[j]] = [result[j], result[i]];
         }
-        
-        this.currentSection = 'results';
-        
-        // Render score summary
-        this.renderScoreSummary(results.score, results.performanceStats);
-        
+        return result;
+    }
+    
+    /**
+     * Fills a question type's prompt template
+     * @param {string} questionType - Registered question type key
+     * @param {Object} values - Values for the template placeholders
+     * @returns {string} Prompt text
+     */
+    formatPrompt(questionType, values) {
+        const definition = questionTypeRegistry.get(questionType);
+        const template = definition && definition.promptTemplate ? definition.promptTemplate : '';
+        return template.replace(/\{(\w+)\}/g, (match, key) => 
+            values[key] !== undefined ? values[key] : match
+        );
+    }
+    
+    /**
+     * Validates a user's answer against the correct answer
+     * @param {string} userAnswer - The user's input answer
+     * @param {string} correctAnswer - The correct answer
+     * @returns {boolean} True if the answer is correct, false otherwise
+     */
+    validateAnswer(userAnswer, correctAnswer) {
+        if (!userAnswer || !correctAnswer) {
+            return false;
+        }
+        
+        // Normalize both answers for comparison
+        const normalizedUserAnswer = this.normalizeAnswer(userAnswer);
+        const normalizedCorrectAnswer = this.normalizeAnswer(correctAnswer);
+        
+        return normalizedUserAnswer === normalizedCorrectAnswer;
+    }
+    
+    /**
+     * Checks a user's answer to a question using its type's normalizer
+     * @param {string} userAnswer - The user's input answer
+     * @param {Object} question - The question being answered
+     * @returns {boolean} True if the answer is correct, false otherwise
+     */
+    checkAnswer(userAnswer, question) {
+        const definition = question ? questionTypeRegistry.get(question.type) : null;
+        if (!definition || !definition.normalize) {
+            return this.validateAnswer(userAnswer, question ? question.correctAnswer : null);
+        }
+        
+        if (!userAnswer || !question.correctAnswer) {
+            return false;
+        }
+        
+        return definition.normalize(userAnswer, this) === definition.normalize(question.correctAnswer, this);
+    }
+    
+    /**
+     * Normalizes an answer for comparison (handles case insensitivity and whitespace)
+     * @param {string} answer - The answer to normalize
+     * @returns {string} Normalized answer
+     */
+    normalizeAnswer(answer) {
+        return answer.toString().trim().toUpperCase();
+    }
+    
+    /**
+     * Gets available question types
+     * @returns {Array<string>} Array of question type strings
+     */
+    getQuestionTypes() {
+        return [...this.questionTypes];
+    }
+    
+    /**
+     * Sets the question types to ask
+     * @param {Array<string>} questionTypes - Registered question type keys
+     */
+    setQuestionTypes(questionTypes) {
+        if (!Array.isArray(questionTypes) || questionTypes.length === 0) {
+            throw new Error('At least one question type is required');
+        }
+        
+        const unknown = questionTypes.filter(type => !questionTypeRegistry.has(type));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown question types: ${unknown.join(', ')}`);
+        }
+        
+        this.questionTypes = [...questionTypes];
+    }
+    
+    /**
+     * Gets the expected input kind for a question
+     * @param {Object} question - Question object
+     * @returns {string} Input kind key from INPUT_KINDS
+     */
+    getInputKind(question) {
+        return questionTypeRegistry.getInputKind(question ? question.type : null);
+    }
+    
+    /**
+     * Validates if a user input is a valid letter (A-Z), or up to maxLength letters for column labels
+     * @param {string} input - User input to validate
+     * @param {number} maxLength - Most letters accepted (defaults to a single letter)
+     * @returns {boolean} True if valid letter, false otherwise
+     */
+    isValidLetter(input, maxLength = 1) {
+        if (!input || typeof input !== 'string') {
+            return false;
+        }
+        
+        const normalized = input.trim().toUpperCase();
+        return normalized.length >= 1 && normalized.length <= maxLength && /^[A-Z]+$/.test(normalized);
+    }
+    
+    /**
+     * Validates if a user input is a valid number in range (the mapping's range unless a range is given)
+     * @param {string} input - User input to validate
+     * @param {number} min - Smallest accepted number
+     * @param {number} max - Largest accepted number
+     * @returns {boolean} True if valid number in range, false otherwise
+     */
+    isValidNumber(input, min = this.mapping.getMin(), max = this.mapping.getMax()) {
+        if (!input || typeof input !== 'string') {
+            return false;
+        }
+        
+        const trimmed = input.trim();
+        const number = parseInt(trimmed, 10);
+        
+        // Check if it's a valid integer and in range
+        return !isNaN(number) && 
+               number.toString() === trimmed && 
+               number >= min && 
+               number <= max;
+    }
+    
+    /**
+     * Validates if a user input is a word made only of letters
+     * @param {string} input - User input to validate
+     * @returns {boolean} True if valid word, false otherwise
+     */
+    isValidWord(input) {
+        if (!input || typeof input !== 'string') {
+            return false;
+        }
+        
+        return /^[A-Z]+$/.test(input.trim().toUpperCase());
+    }
+    
+    /**
+     * Validates if a user input is an A1Z26 code (numbers 1-26 with separators)
+     * @param {string} input - User input to validate
+     * @returns {boolean} True if valid code, false otherwise
+     */
+    isValidCode(input) {
+        if (!input || typeof input !== 'string' || !/^[\d\s,.\-]+$/.test(input.trim())) {
+            return false;
+        }
+        
+        const parts = input.trim().split(A1Z26_SEPARATOR).filter(Boolean);
+        // A1Z26 always numbers A as 1, whatever the active mapping
+        return parts.length > 0 && parts.every(part => this.isValidNumber(part, 1, this.alphabet.length));
+    }
+    
+    /**
+     * Validates user input based on expected answer type
+     * @param {string} input - User input to validate
+     * @param {string} expectedType - Expected answer type ('letter', 'number', 'column', 'word' or 'code')
+     * @param {Object} answerRange - Accepted number range { min, max } (defaults to the mapping's range)
+     * @returns {Object} Validation result with isValid and errorMessage
+     */
+    validateInput(input, expectedType, answerRange = null) {
+        if (!input || input.trim() === '') {
+            return {
+                isValid: false,
+                errorMessage: 'Please enter an answer'
+            };
+        }
+        
+        if (expectedType === 'letter') {
+            if (!this.isValidLetter(input)) {
+                return {
+                    isValid: false,
+                    errorMessage: 'Please enter a single letter (A-Z)'
+                };
+            }
+        } else if (expectedType === 'number') {
+            const { min, max } = answerRange || this.mapping.getRange();
+            if (!this.isValidNumber(input, min, max)) {
+                return {
+                    isValid: false,
+                    errorMessage: `Please enter a number between ${min} and ${max}`
+                };
+            }
+        } else if (expectedType === 'column') {
+            const { min, max } = answerRange || { min: 1, max: this.columnOptions.maxNumber };
+            const number = this.columnToNumber(input);
+            if (!this.isValidLetter(input, this.numberToColumn(max).length) || number < min || number > max) {
+                return {
+                    isValid: false,
+                    errorMessage: `Please enter a column label from ${this.numberToColumn(min)} to ${this.numberToColumn(max)}`
+                };
+            }
+        } else if (expectedType === 'word') {
+            if (!this.isValidWord(input)) {
+                return {
+                    isValid: false,
+                    errorMessage: 'Please enter a word using only letters (A-Z)'
+                };
+            }
+        } else if (expectedType === 'code') {
+            if (!this.isValidCode(input)) {
+                return {
+                    isValid: false,
+                    errorMessage: 'Please enter numbers from 1 to 26 separated by dashes (e.g. 8-9)'
+                };
+            }
+        }
+        
+        return {
+            isValid: true,
+            errorMessage: null
+        };
+    }
+    
+    /**
+     * Validates user input for a question using its type's validator
+     * @param {string} input - User input to validate
+     * @param {Object} question - The question being answered
+     * @returns {Object} Validation result with isValid and errorMessage
+     */
+    validateQuestionInput(input, question) {
+        const definition = question ? questionTypeRegistry.get(question.type) : null;
+        const expectedType = this.getInputKind(question);
+        
+        if (definition && definition.validateInput && input && input.trim() !== '') {
+            return definition.validateInput(input, this);
+        }
+        
+        const validation = this.validateInput(input, expectedType, question ? question.answerRange : null);
+        
+        // Questions with listed choices only accept one of them
+        if (validation.isValid && question && Array.isArray(question.choices)) {
+            const normalized = this.normalizeAnswer(input);
+            if (!question.choices.some(choice => this.normalizeAnswer(choice) === normalized)) {
+                return {
+                    isValid: false,
+                    errorMessage: `Please choose one of: ${question.choices.join(', ')}`
+                };
+            }
+        }
+        
+        return validation;
+    }
+    
+    /**
+     * Gets a random question type
+     * @returns {string} Random question type
+     */
+    getRandomQuestionType() {
+        const randomIndex = this.random.nextInt(this.questionTypes.length);
+        return this.questionTypes[randomIndex];
+    }
+    
+    /**
+     * Generates a question ID that is unique within the seeded sequence
+     * @returns {string} Question identifier
+     */
+    generateQuestionId() {
+        this.questionCounter++;
+        const seed = this.getSeed();
+        const prefix = seed !== null ? seed.toString(36) : Date.now().toString(36);
+        return `q_${prefix}_${this.questionCounter}`;
+    }
+}
+
+// Question sampling strategies and their display names
+const SAMPLING_STRATEGIES = {
+    'random': 'Fully random',
+    'unique': 'No repeated letters',
+    'balanced': 'Balanced question types',
+    'coverage': 'Whole alphabet over several quizzes'
+};
+
+/**
+ * QuestionSampler class
+ * Chooses which letters and question types make up a quiz session
+ */
+class QuestionSampler {
+    /**
+     * @param {QuestionGenerator} questionGenerator - Generator used to build the questions
+     * @param {string} strategy - Sampling strategy key from SAMPLING_STRATEGIES
+     */
+    constructor(questionGenerator, strategy = CONFIG.SAMPLING_STRATEGY) {
+        this.questionGenerator = questionGenerator;
+        this.storageKey = 'quiz_alphabet_coverage';
+        this.setStrategy(strategy);
+    }
+    
+    /**
+     * Sets the sampling strategy
+     * @param {string} strategy - Sampling strategy key
+     */
+    setStrategy(strategy) {
+        if (!Object.prototype.hasOwnProperty.call(SAMPLING_STRATEGIES, strategy)) {
+            throw new Error(`Unknown sampling strategy: ${strategy}`);
+        }
+        this.strategy = strategy;
+    }
+    
+    /**
+     * Gets the current sampling strategy
+     * @returns {string} Sampling strategy key
+     */
+    getStrategy() {
+        return this.strategy;
+    }
+    
+    /**
+     * Gets available sampling strategies
+     * @returns {Array<string>} Array of strategy keys
+     */
+    getStrategies() {
+        return Object.keys(SAMPLING_STRATEGIES);
+    }
+    
+    /**
+     * Builds the questions for one quiz session using the current strategy
+     * @param {number} count - Number of questions to build
+     * @param {Array<number>} priorityItems - Zero-based letter indexes to ask first, such as letters due for review
+     * @param {boolean} useCoverage - Let the coverage strategy skip letters already covered (off for replays,
+     *                                which must give the same questions whatever has been practised since)
+     * @returns {Array} Array of question objects
+     */
+    sample(count, priorityItems = [], useCoverage = true) {
+        const review = priorityItems.slice(0, count);
+        const remaining = count - review.length;
+        
+        switch (this.strategy) {
+            case 'unique':
+                return this.buildQuestions([...review, ...this.pickUniqueItems(remaining, review)], this.pickRandomTypes(count));
+            case 'balanced':
+                return this.buildQuestions([...review, ...this.pickUniqueItems(remaining, review)], this.pickBalancedTypes(count));
+            case 'coverage':
+                return this.buildQuestions([...review, ...this.pickCoverageItems(remaining, review, useCoverage)], this.pickBalancedTypes(count));
+            default: {
+                const questions = this.buildQuestions(review, this.pickRandomTypes(review.length));
+                for (let i = review.length; i < count; i++) {
+                    questions.push(this.questionGenerator.generateQuestion());
+                }
+                return questions;
+            }
+        }
+    }
+    
+    /**
+     * Records a finished session so the coverage strategy can move on to unseen letters
+     * @param {Array} questions - Questions asked in the session
+     */
+    commitSession(questions) {
+        if (this.strategy !== 'coverage' || !Array.isArray(questions)) {
+            return;
+        }
+        
+        const coverage = this.loadCoverage();
+        const alphabet = this.questionGenerator.alphabet;
+        questions.forEach(question => {
+            const isLetter = question && question.item && question.item.length === 1 && alphabet.includes(question.item);
+            if (isLetter && !coverage.seen.includes(question.item)) {
+                coverage.seen.push(question.item);
+            }
+        });
+        
+        // Start a new cycle once every letter has been practised
+        if (coverage.seen.length >= this.questionGenerator.alphabet.length) {
+            coverage.seen = [];
+            coverage.cycles++;
+        }
+        
+        this.saveCoverage(coverage);
+    }
+    
+    /**
+     * Gets progress through the current alphabet coverage cycle
+     * @returns {Object} Coverage progress with covered, total and cycles
+     */
+    getCoverageProgress() {
+        const coverage = this.loadCoverage();
+        return {
+            covered: coverage.seen.length,
+            total: this.questionGenerator.alphabet.length,
+            cycles: coverage.cycles
+        };
+    }
+    
+    /**
+     * Builds question objects from chosen letters and types
+     * @param {Array<number>} items - Zero-based letter indexes
+     * @param {Array<string>} types - Question types
+     * @returns {Array} Array of question objects
+     * @private
+     */
+    buildQuestions(items, types) {
+        return items.map((item, i) => this.questionGenerator.generateQuestion(types[i], item));
+    }
+    
+    /**
+     * Picks letters without repeats (repeating only once the alphabet is exhausted)
+     * @param {number} count - Number of letters to pick
+     * @param {Array<number>} exclude - Letter indexes already asked in the session
+     * @returns {Array<number>} Zero-based letter indexes
+     * @private
+     */
+    pickUniqueItems(count, exclude = []) {
+        const available = this.getAllItems().filter(index => !exclude.includes(index));
+        const pool = available.length > 0 ? available : this.getAllItems();
+        const items = [];
+        while (items.length < count) {
+            items.push(...this.shuffle(pool));
+        }
+        return items.slice(0, count);
+    }
+    
+    /**
+     * Picks letters not yet covered in the current cycle first
+     * @param {number} count - Number of letters to pick
+     * @param {Array<number>} exclude - Letter indexes already asked in the session
+     * @param {boolean} useCoverage - Read the saved coverage (otherwise every letter counts as unseen)
+     * @returns {Array<number>} Zero-based letter indexes
+     * @private
+     */
+    pickCoverageItems(count, exclude = [], useCoverage = true) {
+        const alphabet = this.questionGenerator.alphabet;
+        const seen = useCoverage ? this.loadCoverage().seen : [];
+        const available = this.getAllItems().filter(index => !exclude.includes(index));
+        const unseen = available.filter(index => !seen.includes(alphabet[index]));
+        const covered = available.filter(index => seen.includes(alphabet[index]));
+        
+        const items = [...this.shuffle(unseen), ...this.shuffle(covered)].slice(0, count);
+        return items.length < count ? items.concat(this.pickUniqueItems(count - items.length)) : items;
+    }
+    
+    /**
+     * Picks question types independently at random
+     * @param {number} count - Number of types to pick
+     * @returns {Array<string>} Question types
+     * @private
+     */
+    pickRandomTypes(count) {
+        const types = [];
+        for (let i = 0; i < count; i++) {
+            types.push(this.questionGenerator.getRandomQuestionType());
+        }
+        return types;
+    }
+    
+    /**
+     * Picks question types in equal shares, in random order
+     * @param {number} count - Number of types to pick
+     * @returns {Array<string>} Question types
+     * @private
+     */
+    pickBalancedTypes(count) {
+        const questionTypes = this.questionGenerator.getQuestionTypes();
+        const types = [];
+        for (let i = 0; i < count; i++) {
+            types.push(questionTypes[i % questionTypes.length]);
+        }
+        return this.shuffle(types);
+    }
+    
+    /**
+     * Gets every zero-based letter index
+     * @returns {Array<number>} Letter indexes
+     * @private
+     */
+    getAllItems() {
+        return Array.from({ length: this.questionGenerator.alphabet.length }, (_, index) => index);
+    }
+    
+    /**
+     * Shuffles an array using the generator's seeded random source
+     * @param {Array} array - Array to shuffle
+     * @returns {Array} New shuffled array
+     * @private
+     */
+    shuffle(array) {
+        return this.questionGenerator.shuffleArray(array);
+    }
+    
+    /**
+     * Loads alphabet coverage state from localStorage
+     * @returns {Object} Coverage state with seen letters and completed cycles
+     * @private
+     */
+    loadCoverage() {
+        try {
+            if (typeof localStorage !== 'undefined') {
+                const saved = JSON.parse(localStorage.getItem(this.storageKey));
+                if (saved && Array.isArray(saved.seen)) {
+                    return { seen: saved.seen, cycles: saved.cycles || 0 };
+                }
+            }
+        } catch (error) {
+            console.warn('Could not load alphabet coverage:', error);
+        }
+        return { seen: [], cycles: 0 };
+    }
+    
+    /**
+     * Saves alphabet coverage state to localStorage
+     * @param {Object} coverage - Coverage state
+     * @private
+     */
+    saveCoverage(coverage) {
+        try {
+            if (typeof localStorage !== 'undefined') {
+                localStorage.setItem(this.storageKey, JSON.stringify(coverage));
+            }
+        } catch (error) {
+            console.warn('Could not save alphabet coverage:', error);
+        }
+    }
+}
+
+/**
+ * LeitnerScheduler class
+ * Keeps each letter in a Leitner box across sessions: correct answers move a letter up a box,
+ * mistakes send it back to box 1, and higher boxes come back for review less often
+ */
+class LeitnerScheduler {
+    /**
+     * @param {string} storageKey - localStorage key for the boxes
+     */
+    constructor(storageKey = 'quiz_leitner_boxes') {
+        this.storageKey = storageKey;
+        this.alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+        this.dayMs = 24 * 60 * 60 * 1000;
+    }
+    
+    /**
+     * Moves letters between boxes from a session's answer records
+     * @param {Array} records - ScoreTracker answer records (records without a single-letter item are skipped)
+     * @param {number} now - Review time in milliseconds (defaults to now)
+     */
+    recordSession(records, now = Date.now()) {
+        if (!Array.isArray(records)) {
+            return;
+        }
+        
+        const boxes = this.loadBoxes();
+        records.forEach(record => {
+            if (!record || !this.isSchedulable(record.item)) {
+                return;
+            }
+            
+            const current = boxes[record.item] ? boxes[record.item].box : 0;
+            const box = record.isCorrect ? Math.min(current + 1, LEITNER_INTERVALS.length) : 1;
+            boxes[record.item] = {
+                box,
+                due: now + LEITNER_INTERVALS[box - 1] * this.dayMs,
+                lastReviewed: now
+            };
+        });
+        
+        this.saveBoxes(boxes);
+    }
+    
+    /**
+     * Gets the letters due for review, most overdue and lowest box first
+     * @param {number} now - Time to check against in milliseconds (defaults to now)
+     * @returns {Array<string>} Due letters
+     */
+    getDueItems(now = Date.now()) {
+        const boxes = this.loadBoxes();
+        return Object.keys(boxes)
+            .filter(item => this.isSchedulable(item) && boxes[item].due <= now)
+            .sort((a, b) => boxes[a].due - boxes[b].due || boxes[a].box - boxes[b].box);
+    }
+    
+    /**
+     * Gets the box and next due time of every letter
+     * @param {number} now - Time to check against in milliseconds (defaults to now)
+     * @returns {Array<Object>} One entry per letter with item, box, due and isDue (box and due are null for new letters)
+     */
+    getSchedule(now = Date.now()) {
+        const boxes = this.loadBoxes();
+        return this.alphabet.split('').map(item => {
+            const entry = boxes[item];
+            return {
+                item,
+                box: entry ? entry.box : null,
+                due: entry ? entry.due : null,
+                isDue: Boolean(entry) && entry.due <= now
+            };
+        });
+    }
+    
+    /**
+     * Describes when a schedule entry is next due (e.g., "Due now", "In 3 days")
+     * @param {Object} entry - Entry from getSchedule
+     * @param {number} now - Time to compare against in milliseconds (defaults to now)
+     * @returns {string} Short due description
+     */
+    describeDue(entry, now = Date.now()) {
+        if (!entry || entry.due === null) {
+            return 'New';
+        }
+        if (entry.due <= now) {
+            return 'Due now';
+        }
+        
+        const days = Math.ceil((entry.due - now) / this.dayMs);
+        return days === 1 ? 'In 1 day' : `In ${days} days`;
+    }
+    
+    /**
+     * Forgets every letter's box
+     */
+    reset() {
+        this.saveBoxes({});
+    }
+    
+    /**
+     * Checks whether an item is a single letter that can be scheduled
+     * @param {string} item - Question item
+     * @returns {boolean} True for a single letter A-Z
+     * @private
+     */
+    isSchedulable(item) {
+        return typeof item === 'string' && item.length === 1 && this.alphabet.includes(item);
+    }
+    
+    /**
+     * Loads the boxes from localStorage
+     * @returns {Object} Map of letter to { box, due, lastReviewed }
+     * @private
+     */
+    loadBoxes() {
+        try {
+            if (typeof localStorage !== 'undefined') {
+                const saved = JSON.parse(localStorage.getItem(this.storageKey));
+                if (saved && typeof saved === 'object' && saved.items) {
+                    return saved.items;
+                }
+            }
+        } catch (error) {
+            console.warn('Could not load review schedule:', error);
+        }
+        return {};
+    }
+    
+    /**
+     * Saves the boxes to localStorage
+     * @param {Object} boxes - Map of letter to { box, due, lastReviewed }
+     * @private
+     */
+    saveBoxes(boxes) {
+        try {
+            if (typeof localStorage !== 'undefined') {
+                localStorage.setItem(this.storageKey, JSON.stringify({ items: boxes }));
+            }
+        } catch (error) {
+            console.warn('Could not save review schedule:', error);
+        }
+    }
+}
+
+/**
+ * AdaptiveEngine class
+ * Keeps an Elo-style rating for the learner and for each letter, chooses letters near the
+ * target success rate and sets each question's time limit from the expected chance of success
+ */
+class AdaptiveEngine {
+    /**
+     * @param {string} storageKey - localStorage key for the ratings
+     */
+    constructor(storageKey = 'quiz_adaptive_ratings') {
+        this.storageKey = storageKey;
+        this.alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+        this.ratings = this.loadRatings();
+    }
+    
+    /**
+     * Gets the learner's rating
+     * @returns {number} Learner rating
+     */
+    getLearnerRating() {
+        return this.ratings.learner;
+    }
+    
+    /**
+     * Gets a letter's difficulty rating
+     * @param {string} item - Letter A-Z
+     * @returns {number} Item rating (the initial rating for unseen letters)
+     */
+    getItemRating(item) {
+        return this.ratings.items[item] !== undefined ? this.ratings.items[item] : ELO_SETTINGS.INITIAL_RATING;
+    }
+    
+    /**
+     * Gets the expected chance that the learner answers a letter correctly
+     * @param {string} item - Letter A-Z
+     * @returns {number} Expected score between 0 and 1
+     */
+    getExpectedScore(item) {
+        return 1 / (1 + Math.pow(10, (this.getItemRating(item) - this.ratings.learner) / 400));
+    }
+    
+    /**
+     * Updates the learner and letter ratings after an answer
+     * @param {string} item - Letter that was asked
+     * @param {boolean} isCorrect - Whether the answer was correct
+     */
+    recordAnswer(item, isCorrect) {
+        if (typeof item !== 'string' || !this.alphabet.includes(item) || item.length !== 1) {
+            return;
+        }
+        
+        const change = ELO_SETTINGS.K_FACTOR * ((isCorrect ? 1 : 0) - this.getExpectedScore(item));
+        this.ratings.items[item] = this.getItemRating(item) - change;
+        this.ratings.learner += change;
+        this.saveRatings();
+    }
+    
+    /**
+     * Chooses the next letter to ask, preferring letters whose expected score is nearest the target
+     * @param {SeededRandom} random - Random source used to pick among the closest letters
+     * @param {Array<string>} exclude - Letters already asked in the session
+     * @returns {string} Letter to ask
+     */
+    chooseNextItem(random, exclude = []) {
+        const available = this.alphabet.split('').filter(item => !exclude.includes(item));
+        const pool = available.length > 0 ? available : this.alphabet.split('');
+        
+        // Shuffle first so letters with equal ratings are not always asked in alphabetical order
+        for (let i = pool.length - 1; i > 0; i--) {
+            const j = random.nextInt(i + 1);
+            [pool[i], pool[j]] = [pool[j], pool[i]];
+        }
+        const ranked = pool
+            .map(item => ({ item, distance: Math.abs(this.getExpectedScore(item) - ELO_SETTINGS.TARGET_SUCCESS) }))
+            .sort((a, b) => a.distance - b.distance);
+        
+        // Pick among the closest few so the session is not fully predictable
+        const closest = ranked.slice(0, 3);
+        return closest[random.nextInt(closest.length)].item;
+    }
+    
+    /**
+     * Gets the time limit for a letter: more time when success is less likely
+     * @param {string} item - Letter to be asked
+     * @returns {number} Time limit in seconds, within CONFIG.ADAPTIVE_MIN_TIME and CONFIG.ADAPTIVE_MAX_TIME
+     */
+    getTimeLimit(item) {
+        const limit = Math.round(CONFIG.QUESTION_TIME_LIMIT * (1.5 - this.getExpectedScore(item)));
+        return Math.max(CONFIG.ADAPTIVE_MIN_TIME, Math.min(CONFIG.ADAPTIVE_MAX_TIME, limit));
+    }
+    
+    /**
+     * Forgets all ratings
+     */
+    reset() {
+        this.ratings = { learner: ELO_SETTINGS.INITIAL_RATING, items: {} };
+        this.saveRatings();
+    }
+    
+    /**
+     * Loads ratings from localStorage
+     * @returns {Object} Ratings with learner and items
+     * @private
+     */
+    loadRatings() {
+        try {
+            if (typeof localStorage !== 'undefined') {
+                const saved = JSON.parse(localStorage.getItem(this.storageKey));
+                if (saved && typeof saved.learner === 'number' && saved.items) {
+                    return { learner: saved.learner, items: saved.items };
+                }
+            }
+        } catch (error) {
+            console.warn('Could not load adaptive ratings:', error);
+        }
+        return { learner: ELO_SETTINGS.INITIAL_RATING, items: {} };
+    }
+    
+    /**
+     * Saves ratings to localStorage
+     * @private
+     */
+    saveRatings() {
+        try {
+            if (typeof localStorage !== 'undefined') {
+                localStorage.setItem(this.storageKey, JSON.stringify(this.ratings));
+            }
+        } catch (error) {
+            console.warn('Could not save adaptive ratings:', error);
+        }
+    }
+}
+
+/**
+ * SessionHistory class
+ * Stores finished quiz results on this device and summarises them per letter
+ */
+class SessionHistory {
+    /**
+     * @param {string} storageKey - localStorage key for saved sessions
+     * @param {number} maxSessions - Most sessions kept; older ones are dropped first
+     */
+    constructor(storageKey = 'quiz_session_history', maxSessions = CONFIG.HISTORY_MAX_SESSIONS) {
+        this.storageKey = storageKey;
+        this.maxSessions = maxSessions;
+        this.alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+    }
+    
+    /**
+     * Saves a finished session
+     * @param {Object} results - Results from ScoreTracker.exportResults
+     */
+    save(results) {
+        if (!results || !Array.isArray(results.detailedResults)) {
+            return;
+        }
+        
+        const sessions = this.getSessions();
+        sessions.push(results);
+        this.saveSessions(sessions);
+    }
+    
+    /**
+     * Gets every saved session, oldest first
+     * History saved by older versions is migrated; history from a newer version is ignored
+     * @returns {Array<Object>} Saved exportResults payloads
+     */
+    getSessions() {
+        try {
+            if (typeof localStorage !== 'undefined') {
+                const saved = JSON.parse(localStorage.getItem(this.storageKey));
+                if (Array.isArray(saved)) {
+                    return saved;
+                }
+                if (saved && Array.isArray(saved.sessions)) {
+                    if (saved.version > SESSION_HISTORY_VERSION) {
+                        console.warn(`Session history version ${saved.version} is newer than this app supports`);
+                        return [];
+                    }
+                    return saved.sessions;
+                }
+            }
+        } catch (error) {
+            console.warn('Could not load session history:', error);
+        }
+        return [];
+    }
+    
+    /**
+     * Gets one point per saved timed session for the progress charts
+     * @returns {Array<Object>} Oldest first, with session, date, accuracy (0-100), averageTime (seconds),
+     *                          timeouts and total
+     */
+    getTrend() {
+        return this.getSessions().filter(session => this.isTimedSession(session)).map((session, index) => {
+            const score = session.score || {};
+            const stats = session.performanceStats || {};
+            const metadata = session.metadata || {};
+            return {
+                session: index + 1,
+                date: metadata.endTime || metadata.startTime || null,
+                accuracy: score.percentage || 0,
+                averageTime: stats.averageTimePerQuestion || 0,
+                timeouts: score.timeout || 0,
+                total: score.total || 0
+            };
+        });
+    }
+    
+    /**
+     * Summarises every saved answer per letter
+     * @returns {Array<Object>} One entry per letter with item, attempts, correct, accuracy (0-100, null if unpractised)
+     *                          and medianTime (seconds over answered questions, null if none)
+     */
+    getLetterStats() {
+        const stats = {};
+        this.alphabet.split('').forEach(item => {
+            stats[item] = { item, attempts: 0, correct: 0, times: [] };
+        });
+        
+        this.getSessions().forEach(session => {
+            const timed = this.isTimedSession(session);
+            (session.detailedResults || []).forEach(record => {
+                const stat = stats[record.item];
+                if (!stat) return;
+                
+                stat.attempts++;
+                if (record.isCorrect) stat.correct++;
+                if (timed && !record.timedOut) stat.times.push(record.timeUsed);
+            });
+        });
+        
+        return this.alphabet.split('').map(item => {
+            const { attempts, correct, times } = stats[item];
+            return {
+                item,
+                attempts,
+                correct,
+                accuracy: attempts > 0 ? Math.round((correct / attempts) * 100) : null,
+                medianTime: this.getMedian(times)
+            };
+        });
+    }
+    
+    /**
+     * Checks whether a saved session was timed (sessions saved before game modes existed were)
+     * @param {Object} session - Saved exportResults payload
+     * @returns {boolean} False for untimed sessions such as practice
+     */
+    isTimedSession(session) {
+        const mode = session && session.metadata ? GAME_MODES[session.metadata.gameMode] : null;
+        return !mode || mode.timed;
+    }
+    
+    /**
+     * Removes every saved session
+     */
+    clear() {
+        this.saveSessions([]);
+    }
+    
+    /**
+     * Gets the median of a list of numbers
+     * @param {Array<number>} values - Numbers to summarise
+     * @returns {number|null} Median, or null for an empty list
+     * @private
+     */
+    getMedian(values) {
+        if (values.length === 0) {
+            return null;
+        }
+        
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+    
+    /**
+     * Saves sessions to localStorage, keeping at most maxSessions
+     * If storage is full, the oldest half is dropped until the rest fits
+     * @param {Array<Object>} sessions - Sessions to save
+     * @private
+     */
+    saveSessions(sessions) {
+        if (typeof localStorage === 'undefined') {
+            return;
+        }
+        
+        let kept = sessions.slice(-this.maxSessions);
+        while (true) {
+            try {
+                localStorage.setItem(this.storageKey, JSON.stringify({ version: SESSION_HISTORY_VERSION, sessions: kept }));
+                return;
+            } catch (error) {
+                if (kept.length <= 1) {
+                    console.warn('Could not save session history:', error);
+                    return;
+                }
+                kept = kept.slice(Math.ceil(kept.length / 2));
+            }
+        }
+    }
+}
+
+/**
+ * DailyChallenge class
+ * Builds the date-seeded daily quiz and keeps each day's best result in localStorage
+ */
+class DailyChallenge {
+    /**
+     * @param {string} storageKey - localStorage key for daily results
+     */
+    constructor(storageKey = 'quiz_daily_challenge') {
+        this.storageKey = storageKey;
+    }
+    
+    /**
+     * Gets the local calendar day of a date
+     * @param {Date} date - Date to convert (defaults to today)
+     * @returns {string} Day key such as '2026-10-19'
+     */
+    getDateKey(date = new Date()) {
+        const month = (date.getMonth() + 1).toString().padStart(2, '0');
+        const day = date.getDate().toString().padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+    
+    /**
+     * Gets the quiz options for a day's challenge
+     * The options are fixed so every player gets the same ten questions whatever they picked on the start screen
+     * @param {Date} date - Day of the challenge (defaults to today)
+     * @returns {Object} Options for QuizGame.startQuiz
+     */
+    getOptions(date = new Date()) {
+        return {
+            seed: SeededRandom.getDateSeed(date),
+            samplingStrategy: 'unique',
+            questionTypes: questionTypeRegistry.getDefaultTypes(),
+            mappingMode: 'standard',
+            gameMode: 'standard',
+            adaptive: false,
+            focusItems: [],
+            dailyDate: this.getDateKey(date)
+        };
+    }
+    
+    /**
+     * Records a finished challenge, keeping the best result of the day (higher score, then faster)
+     * @param {string} dateKey - Day the challenge belongs to
+     * @param {Object} results - Results from ScoreTracker.exportResults
+     * @returns {Object} The day's entry with best, attempts and whether this attempt is the new best
+     */
+    recordResult(dateKey, results) {
+        const days = this.loadDays();
+        const attempt = {
+            correct: results.score.correct,
+            total: results.score.total,
+            percentage: results.score.percentage,
+            totalTime: results.performanceStats ? results.performanceStats.totalTime : null
+        };
+        const previous = days[dateKey];
+        const isBest = !previous || attempt.percentage > previous.best.percentage ||
+            (attempt.percentage === previous.best.percentage && attempt.totalTime !== null &&
+                (previous.best.totalTime === null || attempt.totalTime < previous.best.totalTime));
+        
+        days[dateKey] = {
+            best: isBest ? attempt : previous.best,
+            attempts: (previous ? previous.attempts : 0) + 1
+        };
+        this.saveDays(days);
+        
+        return { ...days[dateKey], isBest };
+    }
+    
+    /**
+     * Gets a day's saved result
+     * @param {string} dateKey - Day to look up
+     * @returns {Object|null} { best, attempts }, or null if the day was not played
+     */
+    getDay(dateKey) {
+        return this.loadDays()[dateKey] || null;
+    }
+    
+    /**
+     * Counts consecutive days played, ending today (or yesterday while today is still unplayed)
+     * @param {Date} today - Day to count back from (defaults to today)
+     * @returns {number} Streak length in days
+     */
+    getStreak(today = new Date()) {
+        const days = this.loadDays();
+        const date = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+        if (!days[this.getDateKey(date)]) {
+            date.setDate(date.getDate() - 1);
+        }
+        
+        let streak = 0;
+        while (days[this.getDateKey(date)]) {
+            streak++;
+            date.setDate(date.getDate() - 1);
+        }
+        return streak;
+    }
+    
+    /**
+     * Gets the recent days for the calendar view, oldest first
+     * @param {Date} today - Last day shown (defaults to today)
+     * @param {number} count - Number of days to show
+     * @returns {Array<Object>} One entry per day with dateKey, date, isToday and best (null if not played)
+     */
+    getCalendar(today = new Date(), count = 28) {
+        const days = this.loadDays();
+        const calendar = [];
+        for (let offset = count - 1; offset >= 0; offset--) {
+            const date = new Date(today.getFullYear(), today.getMonth(), today.getDate() - offset);
+            const dateKey = this.getDateKey(date);
+            calendar.push({
+                dateKey,
+                date,
+                isToday: offset === 0,
+                best: days[dateKey] ? days[dateKey].best : null
+            });
+        }
+        return calendar;
+    }
+    
+    /**
+     * Loads daily results from localStorage
+     * @returns {Object} Map of day key to { best, attempts }
+     * @private
+     */
+    loadDays() {
+        try {
+            if (typeof localStorage !== 'undefined') {
+                const saved = JSON.parse(localStorage.getItem(this.storageKey));
+                if (saved && saved.days && typeof saved.days === 'object') {
+                    return saved.days;
+                }
+            }
+        } catch (error) {
+            console.warn('Could not load daily challenge results:', error);
+        }
+        return {};
+    }
+    
+    /**
+     * Saves daily results to localStorage
+     * @param {Object} days - Map of day key to { best, attempts }
+     * @private
+     */
+    saveDays(days) {
+        try {
+            if (typeof localStorage !== 'undefined') {
+                localStorage.setItem(this.storageKey, JSON.stringify({ days }));
+            }
+        } catch (error) {
+            console.warn('Could not save daily challenge results:', error);
+        }
+    }
+}
+
+/**
+ * EndlessLevels class
+ * Works out the endless mode level from the correct answers so far and keeps the personal best
+ */
+class EndlessLevels {
+    /**
+     * @param {string} storageKey - localStorage key for the personal best
+     */
+    constructor(storageKey = 'quiz_endless_best') {
+        this.storageKey = storageKey;
+    }
+    
+    /**
+     * Gets the level reached after a number of correct answers
+     * @param {number} correctCount - Correct answers so far
+     * @returns {number} Level, starting at 1 and capped at the last entry of ENDLESS_LEVELS
+     */
+    getLevel(correctCount) {
+        return Math.min(ENDLESS_LEVELS.length, Math.floor(correctCount / CONFIG.ENDLESS_LEVEL_UP) + 1);
+    }
+    
+    /**
+     * Gets the time limit and letter pool of a level
+     * @param {number} level - Level from getLevel
+     * @returns {Object} { timeLimit, letters } from ENDLESS_LEVELS
+     */
+    getSettings(level) {
+        return ENDLESS_LEVELS[Math.max(0, Math.min(ENDLESS_LEVELS.length, level) - 1)];
+    }
+    
+    /**
+     * Gets the personal best
+     * @returns {Object|null} { level, correct }, or null if endless mode was never finished
+     */
+    getBest() {
+        try {
+            if (typeof localStorage !== 'undefined') {
+                const saved = JSON.parse(localStorage.getItem(this.storageKey));
+                if (saved && typeof saved.level === 'number' && typeof saved.correct === 'number') {
+                    return saved;
+                }
+            }
+        } catch (error) {
+            console.warn('Could not load endless mode best:', error);
+        }
+        return null;
+    }
+    
+    /**
+     * Records a finished endless session, keeping the best (higher level, then more correct answers)
+     * @param {Object} results - Results from ScoreTracker.exportResults
+     * @returns {Object} { level, best, isBest } where level is the level this session reached
+     */
+    recordResult(results) {
+        const attempt = { level: this.getLevel(results.score.correct), correct: results.score.correct };
+        const previous = this.getBest();
+        const isBest = !previous || attempt.level > previous.level ||
+            (attempt.level === previous.level && attempt.correct > previous.correct);
+        
+        if (isBest) {
+            try {
+                if (typeof localStorage !== 'undefined') {
+                    localStorage.setItem(this.storageKey, JSON.stringify(attempt));
+                }
+            } catch (error) {
+                console.warn('Could not save endless mode best:', error);
+            }
+        }
+        
+        return { level: attempt.level, best: isBest ? attempt : previous, isBest };
+    }
+}
+
+/**
+ * ErrorPatternAnalyzer class
+ * Groups wrong answers by the kind of mistake behind them and collects repeated mix-ups
+ */
+class ErrorPatternAnalyzer {
+    /**
+     * @param {LetterMapping} mapping - Numbering scheme used to find mirror positions (defaults to the shared mapping)
+     */
+    constructor(mapping = letterMapping) {
+        this.mapping = mapping;
+        this.alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+    }
+    
+    /**
+     * Analyzes wrong answers; timeouts and blank answers are skipped
+     * @param {Array<Object>} records - Answer records from ScoreTracker
+     * @returns {Object} { totalMistakes, patterns, unclassified, confusions } with patterns sorted by count
+     */
+    analyze(records) {
+        const mistakes = (records || []).filter(record => 
+            !record.isCorrect && !record.timedOut && record.userAnswer && record.userAnswer.toString().trim()
+        );
+        const patterns = {};
+        const confusions = {};
+        let unclassified = 0;
+        
+        mistakes.forEach(record => {
+            const expected = this.normalize(record.correctAnswer);
+            const given = this.normalize(record.userAnswer);
+            const found = this.classifyRecord(record);
+            
+            if (found.length === 0) {
+                unclassified++;
+            }
+            
+            found.forEach(pattern => {
+                if (!patterns[pattern]) {
+                    patterns[pattern] = { pattern, ...ERROR_PATTERNS[pattern], count: 0, examples: [] };
+                }
+                patterns[pattern].count++;
+                patterns[pattern].examples.push({ 
+                    questionNumber: record.questionNumber, 
+                    correctAnswer: expected, 
+                    userAnswer: given 
+                });
+            });
+            
+            const key = `${expected}→${given}`;
+            if (!confusions[key]) {
+                confusions[key] = { expected, given, count: 0 };
+            }
+            confusions[key].count++;
+        });
+        
+        return {
+            totalMistakes: mistakes.length,
+            patterns: Object.values(patterns).sort((a, b) => b.count - a.count),
+            unclassified,
+            confusions: Object.values(confusions).sort((a, b) => b.count - a.count)
+        };
+    }
+    
+    /**
+     * Finds the error patterns behind one wrong answer
+     * Multi-part answers (codes, words, column labels) are compared part by part
+     * @param {Object} record - Answer record
+     * @returns {Array<string>} Keys from ERROR_PATTERNS; empty when no pattern fits
+     */
+    classifyRecord(record) {
+        const definition = questionTypeRegistry.get(record.questionType);
+        const split = (answer) => {
+            const normalized = this.normalize(answer);
+            if (definition && definition.tokenize) {
+                return definition.tokenize(normalized);
+            }
+            return /^[A-Z]+$/.test(normalized) ? normalized.split('') : [normalized];
+        };
+        
+        const expectedParts = split(record.correctAnswer);
+        const givenParts = split(record.userAnswer);
+        if (expectedParts.length !== givenParts.length) {
+            return [];
+        }
+        
+        if (expectedParts.length > 1 && this.isTransposition(expectedParts, givenParts)) {
+            return ['transposed'];
+        }
+        
+        const found = new Set();
+        expectedParts.forEach((expected, index) => {
+            if (expected !== givenParts[index]) {
+                const pattern = this.classifyPair(expected, givenParts[index]);
+                if (pattern) found.add(pattern);
+            }
+        });
+        return [...found];
+    }
+    
+    /**
+     * Classifies a single wrong letter or number
+     * @param {string} expected - Correct letter or number
+     * @param {string} given - Answered letter or number
+     * @returns {string|null} Key from ERROR_PATTERNS, or null when no pattern fits
+     */
+    classifyPair(expected, given) {
+        if (/^\d+$/.test(expected) && /^\d+$/.test(given)) {
+            return this.classifyNumbers(expected, given);
+        }
+        
+        if (/^[A-Z]$/.test(expected) && /^[A-Z]$/.test(given)) {
+            const expectedIndex = this.alphabet.indexOf(expected);
+            const givenIndex = this.alphabet.indexOf(given);
+            
+            if (Math.abs(expectedIndex - givenIndex) === 1) return 'off-by-one';
+            if (MIRRORED_LETTERS[expected] === given) return 'mirrored';
+            if (givenIndex === this.alphabet.length - 1 - expectedIndex) return 'reversed-alphabet';
+            if ((LOOK_ALIKE_LETTERS[expected] || []).includes(given)) return 'look-alike';
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Classifies a wrong number
+     * @param {string} expected - Correct number
+     * @param {string} given - Answered number
+     * @returns {string|null} Key from ERROR_PATTERNS, or null when no pattern fits
+     * @private
+     */
+    classifyNumbers(expected, given) {
+        const expectedValue = parseInt(expected, 10);
+        const givenValue = parseInt(given, 10);
+        const min = this.mapping.getMin();
+        const max = this.mapping.getMax();
+        
+        if (Math.abs(expectedValue - givenValue) === 1) return 'off-by-one';
+        if (expectedValue >= min && expectedValue <= max && givenValue === min + max - expectedValue) {
+            return 'reversed-alphabet';
+        }
+        if (expected.length > 1 && this.isTransposition(expected.split(''), given.split(''))) {
+            return 'transposed';
+        }
+        
+        // A single changed digit may be a mirrored or look-alike digit
+        if (expected.length === given.length) {
+            const changed = expected.split('').map((digit, index) => [digit, given[index]])
+                .filter(([digit, other]) => digit !== other);
+            if (changed.length === 1) {
+                const [digit, other] = changed[0];
+                if (MIRRORED_DIGITS[digit] === other) return 'mirrored';
+                if ((LOOK_ALIKE_DIGITS[digit] || []).includes(other)) return 'look-alike';
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Checks whether two answers hold the same parts in a different order
+     * @param {Array<string>} expectedParts - Parts of the correct answer
+     * @param {Array<string>} givenParts - Parts of the user's answer
+     * @returns {boolean} True for a reordering of the same parts
+     * @private
+     */
+    isTransposition(expectedParts, givenParts) {
+        if (expectedParts.join('\u0000') === givenParts.join('\u0000')) {
+            return false;
+        }
+        return [...expectedParts].sort().join('\u0000') === [...givenParts].sort().join('\u0000');
+    }
+    
+    /**
+     * Normalizes an answer for comparison
+     * @param {*} answer - Raw answer
+     * @returns {string} Trimmed, upper-case answer
+     * @private
+     */
+    normalize(answer) {
+        return (answer === undefined || answer === null) ? '' : answer.toString().trim().toUpperCase();
+    }
+}
+
+/**
+ * RaceChannel class
+ * Sends and receives race messages between windows on the same device over a BroadcastChannel
+ */
+class RaceChannel {
+    /**
+     * @param {string} channelName - BroadcastChannel name shared by every window of the quiz
+     */
+    constructor(channelName = 'alphabet-quiz-race') {
+        this.channelName = channelName;
+        this.channel = null;
+        this.raceCode = null;
+        this.playerName = null;
+        this.playerId = `p_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 6)}`;
+    }
+    
+    /**
+     * Checks whether the browser can race between windows
+     * @returns {boolean} True if BroadcastChannel is available
+     */
+    static isSupported() {
+        return typeof BroadcastChannel !== 'undefined';
+    }
+    
+    /**
+     * Starts listening for messages about one race
+     * @param {string} raceCode - Code both windows entered
+     * @param {string} playerName - Name shown to the other window
+     * @param {Function} onMessage - Called with each message from another window in the same race
+     */
+    open(raceCode, playerName, onMessage) {
+        this.close();
+        this.raceCode = raceCode;
+        this.playerName = playerName;
+        this.channel = new BroadcastChannel(this.channelName);
+        this.channel.onmessage = event => {
+            if (this.isRaceMessage(event.data)) {
+                onMessage(event.data);
+            }
+        };
+    }
+    
+    /**
+     * Sends a message to the other windows in the race
+     * @param {string} type - Message type from RACE_MESSAGES
+     * @param {Object} data - Message fields
+     * @returns {boolean} True if the message was sent
+     */
+    send(type, data = {}) {
+        if (!this.channel) {
+            return false;
+        }
+        
+        try {
+            this.channel.postMessage({
+                ...data,
+                version: RACE_PROTOCOL_VERSION,
+                type,
+                raceCode: this.raceCode,
+                playerId: this.playerId,
+                playerName: this.playerName
+            });
+            return true;
+        } catch (error) {
+            console.warn('Could not send race message:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Stops listening and releases the channel
+     */
+    close() {
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+    }
+    
+    /**
+     * Checks that a message belongs to this race and came from another window
+     * @param {Object} message - Received message
+     * @returns {boolean} True if the message should be handled
+     * @private
+     */
+    isRaceMessage(message) {
+        return Boolean(message) && message.version === RACE_PROTOCOL_VERSION &&
+            message.raceCode === this.raceCode && message.playerId !== this.playerId &&
+            Object.values(RACE_MESSAGES).includes(message.type);
+    }
+}
+
+/**
+ * ClassroomClient class
+ * Connects a student's quiz to the classroom live-quiz server (server.js) over a WebSocket
+ */
+class ClassroomClient {
+    /**
+     * @param {string} url - WebSocket address of the server (the server this page was loaded from if omitted)
+     */
+    constructor(url = ClassroomClient.getDefaultUrl()) {
+        this.url = url;
+        this.socket = null;
+    }
+    
+    /**
+     * Checks whether this page can join a classroom quiz
+     * @returns {boolean} True if WebSockets are available and the page was loaded from a server rather than a file
+     */
+    static isSupported() {
+        return typeof WebSocket !== 'undefined' && typeof location !== 'undefined' &&
+            (location.protocol === 'http:' || location.protocol === 'https:');
+    }
+    
+    /**
+     * Gets the live-quiz address of the server this page was loaded from
+     * @returns {string|null} WebSocket URL, or null outside a browser
+     */
+    static getDefaultUrl() {
+        if (typeof location === 'undefined') {
+            return null;
+        }
+        return `${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.host}/live`;
+    }
+    
+    /**
+     * Gets the quiz options every student starts a classroom quiz with
+     * Students start from the same seed with the default question types, arithmetic and step sizes, so a question index
+     * names the same question on every device (and on the server, which marks the answers)
+     * @param {Object} message - Start message from the server with seed, mappingMode and answerMode
+     * @returns {Object} Options for QuizGame.startQuiz
+     */
+    static getQuizOptions(message) {
+        return {
+            seed: message.seed,
+            samplingStrategy: 'unique',
+            questionTypes: questionTypeRegistry.getDefaultTypes(),
+            arithmeticOptions: { operations: CONFIG.ARITHMETIC_OPERATIONS, wrap: CONFIG.ARITHMETIC_WRAP },
+            sequenceDifficulty: CONFIG.SEQUENCE_DIFFICULTY,
+            mappingMode: message.mappingMode,
+            answerMode: message.answerMode,
+            gameMode: 'classroom',
+            adaptive: false,
+            focusItems: []
+        };
+    }
+    
+    /**
+     * Builds a classroom quiz's questions the way each student's quiz does, so the server can mark answers itself
+     * The questions get their own numbering, leaving the shared letterMapping alone
+     * @param {number} seed - Seed from the start message
+     * @param {string} mappingMode - Letter numbering scheme from the start message
+     * @returns {{ questions: Array, questionGenerator: QuestionGenerator }} Questions in the order they are asked,
+     *          and a generator with the quiz's numbering to check answers with
+     */
+    static buildQuestions(seed, mappingMode) {
+        const options = ClassroomClient.getQuizOptions({ seed, mappingMode });
+        const questionGenerator = new QuestionGenerator(new SeededRandom(options.seed), options.questionTypes,
+            new LetterMapping(options.mappingMode));
+        questionGenerator.setArithmeticOptions(options.arithmeticOptions);
+        questionGenerator.setSequenceOptions(options.sequenceDifficulty);
+        const questions = new QuestionSampler(questionGenerator, options.samplingStrategy).sample(CONFIG.TOTAL_QUESTIONS);
+        return { questions, questionGenerator };
+    }
+    
+    /**
+     * Connects and joins the classroom under a name
+     * @param {string} playerName - Name shown on the teacher's leaderboard
+     * @param {Function} onMessage - Called with each message from the server
+     * @param {Function} onClose - Called once if the connection fails or closes (not after close())
+     */
+    connect(playerName, onMessage, onClose) {
+        this.close();
+        const socket = new WebSocket(this.url);
+        this.socket = socket;
+        socket.onopen = () => this.send(CLASSROOM_MESSAGES.JOIN, { name: playerName });
+        socket.onmessage = event => {
+            try {
+                const message = JSON.parse(event.data);
+                if (message && message.version === CLASSROOM_PROTOCOL_VERSION &&
+                    Object.values(CLASSROOM_MESSAGES).includes(message.type)) {
+                    onMessage(message);
+                }
+            } catch (error) {
+                console.warn('Could not read classroom message:', error);
+            }
+        };
+        socket.onclose = () => {
+            if (this.socket === socket) {
+                this.socket = null;
+                onClose();
+            }
+        };
+    }
+    
+    /**
+     * Sends a message to the server
+     * @param {string} type - Message type from CLASSROOM_MESSAGES
+     * @param {Object} data - Message fields
+     * @returns {boolean} True if the message was sent
+     */
+    send(type, data = {}) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
+            return false;
+        }
+        
+        try {
+            this.socket.send(JSON.stringify({ ...data, version: CLASSROOM_PROTOCOL_VERSION, type }));
+            return true;
+        } catch (error) {
+            console.warn('Could not send classroom message:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Leaves the classroom and closes the connection
+     */
+    close() {
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close();
+        }
+    }
+}
+
+/**
+ * Timer class
+ * Manages countdown functionality with callback system for quiz questions
+ */
+class Timer {
+    constructor() {
+        this.duration = 0;
+        this.timeRemaining = 0;
+        this.intervalId = null;
+        this.isRunning = false;
+        this.onTickCallback = null;
+        this.onCompleteCallback = null;
+        this.startTime = null;
+        this.pausedTime = 0;
+        this.isPaused = false;
+    }
+    
+    /**
+     * Starts the timer with specified duration and callbacks
+     * @param {number} duration - Timer duration in seconds
+     * @param {Function} onCompleteCallback - Callback function when timer completes
+     * @param {Function} onTickCallback - Optional callback function called every second
+     */
+    start(duration, onCompleteCallback, onTickCallback = null) {
+        try {
+            if (this.isRunning) {
+                this.stop();
+            }
+            
+            this.duration = duration;
+            this.timeRemaining = duration;
+            this.onCompleteCallback = onCompleteCallback;
+            this.onTickCallback = onTickCallback;
+            this.isRunning = true;
+            this.startTime = this.getHighResolutionTime();
+            this.pausedTime = 0;
+            this.isPaused = false;
+            
+            // Call initial tick to update display immediately
+            if (this.onTickCallback) {
+                try {
+                    this.onTickCallback(this.timeRemaining);
+                } catch (callbackError) {
+                    console.error('Error in timer tick callback:', callbackError);
+                }
+            }
+            
+            // Handle zero duration immediately
+            if (duration <= 0) {
+                // Use setTimeout to ensure callback is called asynchronously
+                setTimeout(() => {
+                    this.handleTimerComplete();
+                }, 0);
+                return;
+            }
+            
+            // Start the countdown interval with error handling
+            try {
+                this.intervalId = setInterval(() => {
+                    try {
+                        this.tick();
+                    } catch (tickError) {
+                        console.error('Error in timer tick:', tickError);
+                        this.handleTimerError(tickError);
+                    }
+                }, 1000);
+            } catch (intervalError) {
+                console.error('Failed to start timer interval:', intervalError);
+                this.handleTimerError(intervalError);
+            }
+            
+        } catch (error) {
+            console.error('Failed to start timer:', error);
+            this.handleTimerError(error);
+        }
+    }
+    
+    /**
+     * Stops the timer and clears the interval
+     */
+    stop() {
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+        
+        this.isRunning = false;
+        this.isPaused = false;
+        this.timeRemaining = 0;
+        this.onTickCallback = null;
+        this.onCompleteCallback = null;
+    }
+    
+    /**
+     * Pauses the timer (useful for tab switching or focus loss)
+     */
+    pause() {
+        try {
+            if (this.isRunning && !this.isPaused) {
+                this.isPaused = true;
+                this.pausedTime = this.getHighResolutionTime();
+                
+                if (this.intervalId) {
+                    clearInterval(this.intervalId);
+                    this.intervalId = null;
+                }
+                
+                console.log('Timer paused');
+            }
+        } catch (error) {
+            console.error('Error pausing timer:', error);
+        }
+    }
+    
+    /**
+     * Resumes the timer from paused state
+     */
+    resume() {
+        try {
+            if (this.isRunning && this.isPaused) {
+                this.isPaused = false;
+                
+                // Adjust start time to account for paused duration
+                const currentTime = this.getHighResolutionTime();
+                const pauseDuration = currentTime - this.pausedTime;
+                this.startTime += pauseDuration;
+                
+                // Restart the interval with error handling
+                try {
+                    this.intervalId = setInterval(() => {
+                        try {
+                            this.tick();
+                        } catch (tickError) {
+                            console.error('Error in timer tick after resume:', tickError);
+                            this.handleTimerError(tickError);
+                        }
+                    }, 1000);
+                    
+                    console.log('Timer resumed');
+                } catch (intervalError) {
+                    console.error('Failed to restart timer interval after resume:', intervalError);
+                    this.handleTimerError(intervalError);
+                }
+            }
+        } catch (error) {
+            console.error('Error resuming timer:', error);
+            this.handleTimerError(error);
+        }
+    }
+    
+    /**
+     * Internal tick method called every second with enhanced error handling
+     * @private
+     */
+    tick() {
+        if (!this.isRunning || this.isPaused) {
+            return;
+        }
+        
+        try {
+            // Calculate actual time elapsed for accuracy using high-resolution time
+            const currentTime = this.getHighResolutionTime();
+            const elapsedTime = Math.floor((currentTime - this.startTime) / 1000);
+            this.timeRemaining = Math.max(0, this.duration - elapsedTime);
+            
+            // Call tick callback if provided
+            if (this.onTickCallback && typeof this.onTickCallback === 'function') {
+                try {
+                    this.onTickCallback(this.timeRemaining);
+                } catch (callbackError) {
+                    console.error('Error in timer tick callback:', callbackError);
+                    // Continue timer operation despite callback error
+                }
+            }
+            
+            // Check if timer has completed
+            if (this.timeRemaining <= 0) {
+                this.handleTimerComplete();
+            }
+            
+        } catch (error) {
+            console.error('Error in timer tick:', error);
+            this.handleTimerError(error);
+        }
+    }
+    
+    /**
+     * Handles timer completion
+     * @private
+     */
+    handleTimerComplete() {
+        const callback = this.onCompleteCallback;
+        this.stop();
+        
+        // Call completion callback if provided
+        if (callback && typeof callback === 'function') {
+            callback();
+        }
+    }
+    
+    /**
+     * Gets the current time remaining in seconds
+     * @returns {number} Time remaining in seconds
+     */
+    getTimeRemaining() {
+        return this.timeRemaining;
+    }
+    
+    /**
+     * Gets the elapsed time since timer started
+     * @returns {number} Elapsed time in seconds
+     */
+    getElapsedTime() {
+        if (!this.isRunning) {
+            return 0;
+        }
+        
+        try {
+            const currentTime = this.isPaused ? this.pausedTime : this.getHighResolutionTime();
+            return Math.floor((currentTime - this.startTime) / 1000);
+        } catch (error) {
+            console.error('Error calculating elapsed time:', error);
+            return 0;
+        }
+    }
+    
+    /**
+     * Checks if the timer is currently running
+     * @returns {boolean} True if timer is running, false otherwise
+     */
+    isActive() {
+        return this.isRunning;
+    }
+    
+    /**
+     * Checks if the timer is currently paused
+     * @returns {boolean} True if timer is paused, false otherwise
+     */
+    isPausedState() {
+        return this.isPaused;
+    }
+    
+    /**
+     * Gets the original duration of the timer
+     * @returns {number} Original duration in seconds
+     */
+    getDuration() {
+        return this.duration;
+    }
+    
+    /**
+     * Gets the progress as a percentage (0-100)
+     * @returns {number} Progress percentage
+     */
+    getProgress() {
+        if (this.duration === 0) {
+            return 100;
+        }
+        
+        const elapsed = this.getElapsedTime();
+        return Math.min(100, (elapsed / this.duration) * 100);
+    }
+    
+    /**
+     * Adds time to the current timer (useful for bonus time)
+     * @param {number} seconds - Seconds to add
+     */
+    addTime(seconds) {
+        if (this.isRunning) {
+            this.duration += seconds;
+            this.timeRemaining = Math.max(0, this.duration - this.getElapsedTime());
+            
+            // Update display if callback is available
+            if (this.onTickCallback) {
+                this.onTickCallback(this.timeRemaining);
+            }
+        }
+    }
+    
+    /**
+     * Gets high-resolution time with fallback for older browsers
+     * @returns {number} Current time in milliseconds
+     */
+    getHighResolutionTime() {
+        if (typeof performance !== 'undefined' && performance.now) {
+            return performance.now() + performance.timeOrigin;
+        } else {
+            return Date.now();
+        }
+    }
+    
+    /**
+     * Handles timer errors gracefully
+     * @param {Error} error - The error that occurred
+     */
+    handleTimerError(error) {
+        console.error('Timer error:', error);
+        
+        // Stop the timer to prevent further issues
+        this.stop();
+        
+        // Try to call the completion callback to prevent the quiz from hanging
+        if (this.onCompleteCallback && typeof this.onCompleteCallback === 'function') {
+            try {
+                console.log('Calling completion callback due to timer error');
+                this.onCompleteCallback();
+            } catch (callbackError) {
+                console.error('Error in completion callback after timer error:', callbackError);
+            }
+        }
+    }
+    
+    /**
+     * Sets up automatic pause/resume on window focus/blur with enhanced browser compatibility
+     * Useful for preventing timer from running when user switches tabs
+     */
+    setupFocusHandling() {
+        const handleVisibilityChange = () => {
+            try {
+                // Check for different browser implementations of document.hidden
+                const isHidden = document.hidden || 
+                               document.webkitHidden || 
+                               document.mozHidden || 
+                               document.msHidden;
+                               
+                if (isHidden) {
+                    this.pause();
+                } else {
+                    this.resume();
+                }
+            } catch (error) {
+                console.warn('Error in visibility change handler:', error);
+            }
+        };
+        
+        const handleFocusChange = (event) => {
+            try {
+                if (event.type === 'blur') {
+                    this.pause();
+                } else if (event.type === 'focus') {
+                    this.resume();
+                }
+            } catch (error) {
+                console.warn('Error in focus change handler:', error);
+            }
+        };
+        
+        // Add event listeners with error handling
+        try {
+            // Modern browsers
+            if (typeof document.addEventListener === 'function') {
+                document.addEventListener('visibilitychange', handleVisibilityChange);
+                window.addEventListener('blur', handleFocusChange);
+                window.addEventListener('focus', handleFocusChange);
+                
+                // Webkit browsers
+                document.addEventListener('webkitvisibilitychange', handleVisibilityChange);
+            } else {
+                // Fallback for older browsers
+                console.warn('Modern event listeners not supported, using fallback');
+                if (window.attachEvent) {
+                    window.attachEvent('onblur', () => handleFocusChange({type: 'blur'}));
+                    window.attachEvent('onfocus', () => handleFocusChange({type: 'focus'}));
+                }
+            }
+        } catch (error) {
+            console.warn('Could not set up focus handling:', error);
+        }
+        
+        // Return cleanup function
+        return () => {
+            try {
+                if (typeof document.removeEventListener === 'function') {
+                    document.removeEventListener('visibilitychange', handleVisibilityChange);
+                    window.removeEventListener('blur', handleFocusChange);
+                    window.removeEventListener('focus', handleFocusChange);
+                    document.removeEventListener('webkitvisibilitychange', handleVisibilityChange);
+                } else if (window.detachEvent) {
+                    // Fallback cleanup for older browsers
+                    window.detachEvent('onblur', handleFocusChange);
+                    window.detachEvent('onfocus', handleFocusChange);
+                }
+            } catch (error) {
+                console.warn('Error cleaning up focus handlers:', error);
+            }
+        };
+    }
+}
+
+/**
+ * ScoreTracker class
+ * Tracks performance and maintains detailed question history for quiz results
+ */
+class ScoreTracker {
+    constructor() {
+        this.answerRecords = [];
+        this.startTime = null;
+        this.endTime = null;
+        this.totalQuestions = 0;
+        this.sessionInfo = {};
+        this.errorAnalyzer = new ErrorPatternAnalyzer();
+    }
+    
+    /**
+     * Initializes the score tracker for a new quiz session
+     * @param {number|null} totalQuestions - Total number of questions in the quiz (null for open-ended sessions)
+     * @param {Object} sessionInfo - Session details exported with the results (e.g. seed)
+     */
+    initialize(totalQuestions = 10, sessionInfo = {}) {
+        this.answerRecords = [];
+        this.startTime = new Date();
+        this.endTime = null;
+        this.totalQuestions = totalQuestions;
+        this.sessionInfo = { ...sessionInfo };
+    }
+    
+    /**
+     * Records an answer attempt with detailed information
+     * @param {Object} question - The question object
+     * @param {string} userAnswer - The user's submitted answer
+     * @param {boolean} isCorrect - Whether the answer was correct
+     * @param {number} timeUsed - Time taken to answer in seconds
+     * @param {boolean} timedOut - Whether the question timed out
+     */
+    recordAnswer(question, userAnswer, isCorrect, timeUsed, timedOut = false) {
+        if (!question) {
+            throw new Error('Question object is required');
+        }
+        
+        // Sessions without a question timer keep the real response time; the others clamp it to the question's limit
+        const timeLimit = this.hasQuestionTimer() ? (question.timeLimit || CONFIG.QUESTION_TIME_LIMIT) : null;
+        const answerRecord = {
+            questionNumber: this.answerRecords.length + 1,
+            questionId: question.id,
+            questionType: question.type,
+            questionText: question.prompt,
+            displayValue: question.displayValue,
+            item: question.item || null,
+            correctAnswer: question.correctAnswer,
+            userAnswer: userAnswer || '',
+            isCorrect: isCorrect,
+            timeUsed: timeLimit !== null ? Math.max(0, Math.min(timeUsed, timeLimit)) : Math.max(0, timeUsed),
+            timeLimit: timeLimit,
+            timedOut: timedOut,
+            distractor: this.findChosenDistractor(question, userAnswer),
+            retryOf: question.retryOf || null,
+            timestamp: new Date()
+        };
+        
+        this.answerRecords.push(answerRecord);
+    }
+    
+    /**
+     * Takes over the outcome another device decided for a question (such as the classroom server's marking),
+     * replacing this device's own record of the question if it has one
+     * @param {Object} question - Question object
+     * @param {Object} marked - Marked record with userAnswer, isCorrect, timeUsed and timedOut
+     */
+    applyMarkedAnswer(question, marked) {
+        if (!question || !marked || typeof marked !== 'object') {
+            throw new Error('Question and marked record are required');
+        }
+        
+        const existing = this.answerRecords.find(record => record.questionId === question.id);
+        if (!existing) {
+            this.recordAnswer(question, marked.userAnswer, Boolean(marked.isCorrect), Number(marked.timeUsed) || 0, Boolean(marked.timedOut));
+            return;
+        }
+        
+        existing.userAnswer = marked.userAnswer || '';
+        existing.isCorrect = Boolean(marked.isCorrect);
+        existing.timedOut = Boolean(marked.timedOut);
+        existing.timeUsed = Math.max(0, Number(marked.timeUsed) || 0);
+        existing.distractor = this.findChosenDistractor(question, marked.userAnswer);
+    }
+    
+    /**
+     * Checks whether the session's game mode gives each question its own time limit
+     * @returns {boolean} False for untimed modes such as practice and for blitz
+     */
+    hasQuestionTimer() {
+        const mode = GAME_MODES[this.sessionInfo.gameMode];
+        return !mode || (mode.timed && mode.questionTimer !== false);
+    }
+    
+    /**
+     * Finds the multiple-choice distractor matching a user's answer
+     * @param {Object} question - The question object
+     * @param {string} userAnswer - The user's submitted answer
+     * @returns {Object|null} The chosen distractor { answer, reason }, or null for typed or correct answers
+     * @private
+     */
+    findChosenDistractor(question, userAnswer) {
+        if (!Array.isArray(question.distractors) || !userAnswer) {
+            return null;
+        }
+        
+        const normalized = userAnswer.toString().trim().toUpperCase();
+        const match = question.distractors.find(distractor => 
+            distractor.answer.toString().toUpperCase() === normalized
+        );
+        return match ? { ...match } : null;
+    }
+    
+    /**
+     * Marks the quiz as completed and records end time
+     */
+    completeQuiz() {
+        this.endTime = new Date();
+    }
+    
+    /**
+     * Gets the current score summary
+     * @returns {Object} Score object with correct, incorrect, timeout, and total counts
+     */
+    getScore() {
+        const correct = this.answerRecords.filter(record => record.isCorrect).length;
+        const incorrect = this.answerRecords.filter(record => !record.isCorrect && !record.timedOut).length;
+        const timeout = this.answerRecords.filter(record => record.timedOut).length;
+        const total = this.answerRecords.length;
+        
+        return {
+            correct,
+            incorrect,
+            timeout,
+            total,
+            percentage: total > 0 ? Math.round((correct / total) * 100) : 0
+        };
+    }
+    
+    /**
+     * Gets detailed results for all questions
+     * @returns {Array} Array of answer records with additional computed properties
+     */
+    getDetailedResults() {
+        return this.answerRecords.map(record => ({
+            ...record,
+            status: this.getAnswerStatus(record),
+            timePercentage: record.timeLimit !== null ? (record.timeUsed / (record.timeLimit || CONFIG.QUESTION_TIME_LIMIT)) * 100 : null
+        }));
+    }
+    
+    /**
+     * Gets performance statistics
+     * @returns {Object} Performance statistics object
+     */
+    getPerformanceStats() {
+        const score = this.getScore();
+        const totalTime = this.getTotalQuizTime();
+        const averageTimePerQuestion = this.getAverageTimePerQuestion();
+        const fastestAnswer = this.getFastestAnswer();
+        const slowestAnswer = this.getSlowestAnswer();
+        
+        return {
+            score,
+            totalTime,
+            averageTimePerQuestion,
+            fastestAnswer,
+            slowestAnswer,
+            accuracyByType: this.getAccuracyByQuestionType(),
+            timeDistribution: this.getTimeDistribution(),
+            longestStreak: this.getLongestStreak()
+        };
+    }
+    
+    /**
+     * Gets the longest run of consecutive correct answers
+     * @returns {number} Length of the longest streak
+     */
+    getLongestStreak() {
+        let longest = 0;
+        let current = 0;
+        this.answerRecords.forEach(record => {
+            current = record.isCorrect ? current + 1 : 0;
+            longest = Math.max(longest, current);
+        });
+        return longest;
+    }
+    
+    /**
+     * Gets the total time taken for the quiz
+     * @returns {number} Total time in seconds, or null if quiz not completed
+     */
+    getTotalQuizTime() {
+        if (!this.startTime || !this.endTime) {
+            return null;
+        }
+        
+        return Math.floor((this.endTime - this.startTime) / 1000);
+    }
+    
+    /**
+     * Gets the average time per question (excluding timeouts)
+     * @returns {number} Average time in seconds
+     */
+    getAverageTimePerQuestion() {
+        const answeredQuestions = this.answerRecords.filter(record => !record.timedOut);
+        
+        if (answeredQuestions.length === 0) {
+            return 0;
+        }
+        
+        const totalTime = answeredQuestions.reduce((sum, record) => sum + record.timeUsed, 0);
+        return Math.round((totalTime / answeredQuestions.length) * 10) / 10; // Round to 1 decimal
+    }
+    
+    /**
+     * Gets the fastest answered question
+     * @returns {Object|null} Answer record of fastest question, or null if none
+     */
+    getFastestAnswer() {
+        const answeredQuestions = this.answerRecords.filter(record => !record.timedOut);
+        
+        if (answeredQuestions.length === 0) {
+            return null;
+        }
+        
+        return answeredQuestions.reduce((fastest, record) => 
+            record.timeUsed < fastest.timeUsed ? record : fastest
+        );
+    }
+    
+    /**
+     * Gets the slowest answered question (excluding timeouts)
+     * @returns {Object|null} Answer record of slowest question, or null if none
+     */
+    getSlowestAnswer() {
+        const answeredQuestions = this.answerRecords.filter(record => !record.timedOut);
+        
+        if (answeredQuestions.length === 0) {
+            return null;
+        }
+        
+        return answeredQuestions.reduce((slowest, record) => 
+            record.timeUsed > slowest.timeUsed ? record : slowest
+        );
+    }
+    
+    /**
+     * Gets accuracy statistics by question type
+     * @returns {Object} Accuracy stats for each question type
+     */
+    getAccuracyByQuestionType() {
+        const recordedTypes = this.answerRecords.map(record => record.questionType);
+        const types = [...new Set([...questionTypeRegistry.getDefaultTypes(), ...recordedTypes])];
+        const stats = {};
+        
+        types.forEach(type => {
+            const typeRecords = this.answerRecords.filter(record => record.questionType === type);
+            const correct = typeRecords.filter(record => record.isCorrect).length;
+            const total = typeRecords.length;
+            
+            stats[type] = {
+                correct,
+                total,
+                percentage: total > 0 ? Math.round((correct / total) * 100) : 0
+            };
+        });
+        
+        return stats;
+    }
+    
+    /**
+     * Gets time distribution statistics
+     * @returns {Object} Time distribution data
+     */
+    getTimeDistribution() {
+        const answeredQuestions = this.answerRecords.filter(record => !record.timedOut);
+        
+        if (answeredQuestions.length === 0) {
+            return { fast: 0, medium: 0, slow: 0 };
+        }
+        
+        const fast = answeredQuestions.filter(record => record.timeUsed <= 3).length;
+        const medium = answeredQuestions.filter(record => record.timeUsed > 3 && record.timeUsed <= 7).length;
+        const slow = answeredQuestions.filter(record => record.timeUsed > 7).length;
+        
+        return { fast, medium, slow };
+    }
+    
+    /**
+     * Gets the status string for an answer record
+     * @param {Object} record - Answer record
+     * @returns {string} Status string ('correct', 'incorrect', 'timeout')
+     * @private
+     */
+    getAnswerStatus(record) {
+        if (record.timedOut) {
+            return 'timeout';
+        }
+        return record.isCorrect ? 'correct' : 'incorrect';
+    }
+    
+    /**
+     * Gets questions that were answered incorrectly
+     * @returns {Array} Array of incorrect answer records
+     */
+    getIncorrectAnswers() {
+        return this.answerRecords.filter(record => !record.isCorrect);
+    }
+    
+    /**
+     * Groups wrong answers by error pattern (off by one, mirrored, transposed and so on)
+     * @returns {Object} Analysis from ErrorPatternAnalyzer.analyze
+     */
+    getErrorPatterns() {
+        return this.errorAnalyzer.analyze(this.getIncorrectAnswers());
+    }
+    
+    /**
+     * Gets questions that timed out
+     * @returns {Array} Array of timed out answer records
+     */
+    getTimedOutQuestions() {
+        return this.answerRecords.filter(record => record.timedOut);
+    }
+    
+    /**
+     * Gets questions answered correctly
+     * @returns {Array} Array of correct answer records
+     */
+    getCorrectAnswers() {
+        return this.answerRecords.filter(record => record.isCorrect);
+    }
+    
+    /**
+     * Checks if the quiz is complete
+     * @returns {boolean} True if all questions have been answered
+     */
+    isQuizComplete() {
+        return this.totalQuestions !== null && this.answerRecords.length >= this.totalQuestions;
+    }
+    
+    /**
+     * Gets the current question number (1-based)
+     * @returns {number} Current question number
+     */
+    getCurrentQuestionNumber() {
+        return this.answerRecords.length + 1;
+    }
+    
+    /**
+     * Resets the score tracker for a new quiz
+     */
+    reset() {
+        this.answerRecords = [];
+        this.startTime = null;
+        this.endTime = null;
+        this.totalQuestions = 0;
+        this.sessionInfo = {};
+    }
+    
+    /**
+     * Gets the raw tracking state so an unfinished quiz can be resumed later
+     * @returns {Object} Plain data for restoreSnapshot
+     */
+    getSnapshot() {
+        return {
+            answerRecords: this.answerRecords.map(record => ({ ...record })),
+            startTime: this.startTime,
+            totalQuestions: this.totalQuestions,
+            sessionInfo: { ...this.sessionInfo }
+        };
+    }
+    
+    /**
+     * Restores tracking state saved by getSnapshot (dates may arrive as JSON strings)
+     * @param {Object} snapshot - Data from getSnapshot
+     */
+    restoreSnapshot(snapshot) {
+        if (!snapshot || !Array.isArray(snapshot.answerRecords)) {
+            throw new Error('Invalid score tracker snapshot');
+        }
+        
+        this.answerRecords = snapshot.answerRecords.map(record => ({ ...record, timestamp: new Date(record.timestamp) }));
+        this.startTime = snapshot.startTime ? new Date(snapshot.startTime) : new Date();
+        this.endTime = null;
+        this.totalQuestions = snapshot.totalQuestions !== undefined ? snapshot.totalQuestions : CONFIG.TOTAL_QUESTIONS;
+        this.sessionInfo = { ...snapshot.sessionInfo };
+    }
+    
+    /**
+     * Exports quiz results as JSON
+     * @returns {Object} Complete quiz results data
+     */
+    exportResults() {
+        return {
+            metadata: {
+                startTime: this.startTime,
+                endTime: this.endTime,
+                totalQuestions: this.totalQuestions,
+                completedQuestions: this.answerRecords.length,
+                seed: this.sessionInfo.seed !== undefined ? this.sessionInfo.seed : null,
+                samplingStrategy: this.sessionInfo.samplingStrategy || null,
+                questionTypes: this.sessionInfo.questionTypes ? [...this.sessionInfo.questionTypes] : [],
+                mappingMode: this.sessionInfo.mappingMode || null,
+                answerMode: this.sessionInfo.answerMode || null,
+                adaptive: Boolean(this.sessionInfo.adaptive),
+                focusItems: this.sessionInfo.focusItems ? [...this.sessionInfo.focusItems] : [],
+                gameMode: this.sessionInfo.gameMode || null,
+                dailyDate: this.sessionInfo.dailyDate || null,
+                retryOf: this.sessionInfo.retryOf || null,
+                playerName: this.sessionInfo.playerName || null
+            },
+            score: this.getScore(),
+            performanceStats: this.getPerformanceStats(),
+            errorPatterns: this.getErrorPatterns(),
+            detailedResults: this.getDetailedResults()
+        };
+    }
+    
+    /**
+     * Validates an answer record before storing
+     * @param {Object} question - Question object
+     * @param {string} userAnswer - User's answer
+     * @param {boolean} isCorrect - Whether answer is correct
+     * @param {number} timeUsed - Time used in seconds
+     * @returns {boolean} True if valid
+     * @private
+     */
+    validateAnswerRecord(question, userAnswer, isCorrect, timeUsed) {
+        if (!question || typeof question !== 'object') {
+            return false;
+        }
+        
+        if (!question.id || !question.type || !question.prompt || question.correctAnswer === undefined) {
+            return false;
+        }
+        
+        if (typeof isCorrect !== 'boolean') {
+            return false;
+        }
+        
+        if (typeof timeUsed !== 'number' || timeUsed < 0) {
+            return false;
+        }
+        
+        return true;
+    }
+}
+
+/**
+ * UIManager class
+ * Handles all DOM manipulation and user interface updates for the quiz game
+ */
+class UIManager {
+    constructor() {
+        this.currentSection = 'start'; // 'start', 'quiz', 'results'
+        this.feedbackTimeout = null;
+    }
+    
+    /**
+     * Displays a question with proper formatting and progress indicator
+     * @param {Object} question - Question object with prompt, type, and other properties
+     * @param {number} questionNumber - Current question number (1-based)
+     * @param {number|null} totalQuestions - Questions in the session (null for open-ended sessions)
+     */
+    displayQuestion(question, questionNumber, totalQuestions = CONFIG.TOTAL_QUESTIONS) {
+        if (!question || !elements.questionDisplay) {
+            console.error('Invalid question or missing question display element');
+            return;
+        }
+        
+        // Update progress indicator
+        this.updateProgress(questionNumber, totalQuestions);
+        
+        // Display the question text
+        elements.questionDisplay.textContent = question.prompt;
+        
+        // Clear previous answer and feedback
+        this.clearAnswerInput();
+        this.clearFeedback();
+        
+        // Enable input field and submit button for new question
+        if (elements.answerInput) {
+            elements.answerInput.disabled = false;
+            
+            // Set input type hint for better mobile keyboards
+            const expectedType = questionTypeRegistry.getInputKind(question.type);
+            const inputKind = INPUT_KINDS[expectedType];
+            elements.answerInput.setAttribute('inputmode', inputKind.inputMode);
+            if (inputKind.pattern) {
+                elements.answerInput.setAttribute('pattern', inputKind.pattern);
+            } else {
+                elements.answerInput.removeAttribute('pattern');
+            }
+            
+            // Enhanced ARIA label for accessibility
+            elements.answerInput.setAttribute('aria-label', 
+                `Enter your answer for question ${questionNumber}: ${question.prompt}. Expected: ${expectedType}`);
+            
+            // Add placeholder text based on expected type and answer range
+            if (expectedType === 'number') {
+                const { min, max } = question.answerRange || letterMapping.getRange();
+                elements.answerInput.placeholder = `Enter number (${min}-${max})`;
+            } else {
+                elements.answerInput.placeholder = inputKind.placeholder;
+            }
+            
+            // Multiple-choice questions show answer buttons in place of the text input
+            this.renderChoices(gameState.answerMode === 'choice' ? question.choices : null);
+            
+            // Focus management for accessibility
+            setTimeout(() => {
+                const firstChoice = elements.answerChoices ? elements.answerChoices.querySelector('.choice-btn') : null;
+                (firstChoice || elements.answerInput).focus();
+                accessibilityManager.focusQuestion(question.prompt);
+            }, 100);
+        }
+        
+        // Reset submit button state
+        if (elements.submitBtn) {
+            elements.submitBtn.disabled = true;
+            elements.submitBtn.classList.remove('ready');
+            accessibilityManager.updateSubmitStatus(false, '');
+        }
+        
+        // Announce progress to screen readers
+        accessibilityManager.announceProgress(questionNumber, totalQuestions);
+    }
+    
+    /**
+     * Renders the answer buttons for a multiple-choice question, or restores the text input
+     * @param {Array<string>|null} choices - Answer choices (null to use the text input)
+     */
+    renderChoices(choices) {
+        if (!elements.answerChoices) return;
+        
+        const form = elements.answerInput ? elements.answerInput.closest('form') : null;
+        elements.answerChoices.innerHTML = '';
+        
+        if (!Array.isArray(choices) || choices.length === 0) {
+            elements.answerChoices.style.display = 'none';
+            if (form) form.style.display = '';
+            return;
+        }
+        
+        choices.forEach((choice, index) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'choice-btn';
+            button.dataset.answer = choice;
+            button.textContent = choice;
+            button.setAttribute('aria-label', `Choice ${index + 1}: ${choice}`);
+            button.addEventListener('click', handleChoiceSelect);
+            elements.answerChoices.appendChild(button);
+        });
+        
+        elements.answerChoices.style.display = '';
+        if (form) form.style.display = 'none';
+    }
+    
+    /**
+     * Renders when each letter is next due for review
+     * @param {Array<Object>} schedule - Entries from LeitnerScheduler.getSchedule
+     * @param {Function} describeDue - Formats an entry's due time
+     */
+    renderReviewSchedule(schedule, describeDue) {
+        if (!elements.reviewSchedule || !Array.isArray(schedule)) return;
+        
+        const dueCount = schedule.filter(entry => entry.isDue).length;
+        const cellsHTML = schedule.map(entry => {
+            const statusClass = entry.box === null ? 'new' : (entry.isDue ? 'due' : 'scheduled');
+            const boxText = entry.box === null ? '' : `Box ${entry.box}`;
+            const dueText = describeDue(entry);
+            return `
+                <div class="review-cell ${statusClass}" role="listitem" aria-label="${entry.item}: ${boxText ? `${boxText}, ` : ''}${dueText}">
+                    <span class="review-letter">${entry.item}</span>
+                    <span class="review-due">${dueText}</span>
+                </div>
+            `;
+        }).join('');
+        
+        elements.reviewSchedule.innerHTML = `
+            <p class="review-summary">${dueCount === 1 ? '1 letter is' : `${dueCount} letters are`} due for review</p>
+            <div class="review-grid" role="list">${cellsHTML}</div>
+        `;
+    }
+    
+    /**
+     * Renders the daily challenge calendar with each day's best score
+     * @param {Array<Object>} calendar - Days from DailyChallenge.getCalendar
+     * @param {number} streak - Consecutive days played
+     */
+    renderDailyCalendar(calendar, streak) {
+        if (!elements.dailyCalendar || !Array.isArray(calendar)) return;
+        
+        const today = calendar.find(day => day.isToday);
+        const todayText = today && today.best ? `Today's best: ${today.best.percentage}%` : 'Not played today yet';
+        const cellsHTML = calendar.map(day => {
+            const statusClass = day.best ? 'played' : 'missed';
+            const label = day.best ? `${day.dateKey}: best ${day.best.percentage}%` : `${day.dateKey}: not played`;
+            return `
+                <div class="daily-cell ${statusClass}${day.isToday ? ' today' : ''}" role="listitem" aria-label="${label}">
+                    <span class="daily-day">${day.date.getDate()}</span>
+                    <span class="daily-score">${day.best ? `${day.best.percentage}%` : '–'}</span>
+                </div>
+            `;
+        }).join('');
+        
+        elements.dailyCalendar.innerHTML = `
+            <p class="review-summary">Streak: ${streak === 1 ? '1 day' : `${streak} days`} · ${todayText}</p>
+            <div class="daily-grid" role="list">${cellsHTML}</div>
+        `;
+    }
+    
+    /**
+     * Renders accuracy, average time and timeout charts over saved sessions
+     * @param {Array<Object>} trend - Points from SessionHistory.getTrend
+     * @param {number} maxSessions - How many sessions the history keeps
+     */
+    renderProgress(trend, maxSessions) {
+        if (!elements.progressView || !Array.isArray(trend)) return;
+        
+        const storageNote = `<p class="trend-note">Saved only in this browser. The last ${maxSessions} quizzes are kept.</p>`;
+        
+        if (trend.length === 0) {
+            elements.progressView.innerHTML = `
+                <p class="trend-empty">Finish a timed quiz to start tracking your progress.</p>
+                ${storageNote}
+            `;
+            return;
+        }
+        
+        const maxTime = Math.max(CONFIG.QUESTION_TIME_LIMIT, ...trend.map(point => point.averageTime));
+        const maxTimeouts = Math.max(1, ...trend.map(point => point.total));
+        
+        elements.progressView.innerHTML = `
+            <p class="trend-summary">${trend.length === 1 ? '1 quiz' : `${trend.length} quizzes`} so far</p>
+            ${this.renderTrendChart(trend, 'accuracy', { title: 'Accuracy', max: 100, unit: '%' })}
+            ${this.renderTrendChart(trend, 'averageTime', { title: 'Average time', max: maxTime, unit: 's' })}
+            ${this.renderTrendChart(trend, 'timeouts', { title: 'Timeouts', max: maxTimeouts, unit: '' })}
+            ${storageNote}
+            <button type="button" class="clear-history-btn" id="clear-history-btn">Clear history</button>
+        `;
+        
+        const clearButton = document.getElementById('clear-history-btn');
+        if (clearButton) {
+            clearButton.addEventListener('click', handleClearHistory);
+        }
+    }
+    
+    /**
+     * Renders one metric as a small SVG line chart
+     * @param {Array<Object>} trend - Points from SessionHistory.getTrend
+     * @param {string} key - Metric to chart ('accuracy', 'averageTime' or 'timeouts')
+     * @param {Object} options - { title, max, unit } for the axis and labels
+     * @returns {string} HTML for the chart
+     * @private
+     */
+    renderTrendChart(trend, key, { title, max, unit }) {
+        const width = 300;
+        const height = 80;
+        const padding = 6;
+        const step = trend.length > 1 ? (width - padding * 2) / (trend.length - 1) : 0;
+        
+        const points = trend.map((point, index) => {
+            const x = trend.length > 1 ? padding + index * step : width / 2;
+            const y = height - padding - (Math.min(point[key], max) / max) * (height - padding * 2);
+            return { x: Math.round(x * 10) / 10, y: Math.round(y * 10) / 10, point };
+        });
+        
+        const format = (value) => `${Math.round(value * 10) / 10}${unit}`;
+        const values = trend.map(point => point[key]);
+        const latest = values[values.length - 1];
+        const description = `${title}: latest ${format(latest)}, best ${format(key === 'accuracy' ? Math.max(...values) : Math.min(...values))} over ${trend.length} ${trend.length === 1 ? 'quiz' : 'quizzes'}`;
+        
+        const dotsHTML = points.map(({ x, y, point }) => `
+            <circle cx="${x}" cy="${y}" r="3"><title>Quiz ${point.session}: ${format(point[key])}</title></circle>
+        `).join('');
+        
+        return `
+            <figure class="trend-chart trend-${key}">
+                <figcaption><span>${title}</span><span class="trend-latest">${format(latest)}</span></figcaption>
+                <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="${description}" preserveAspectRatio="none">
+                    <line class="trend-axis" x1="${padding}" y1="${height - padding}" x2="${width - padding}" y2="${height - padding}"></line>
+                    ${points.length > 1 ? `<polyline points="${points.map(({ x, y }) => `${x},${y}`).join(' ')}"></polyline>` : ''}
+                    ${dotsHTML}
+                </svg>
+            </figure>
+        `;
+    }
+    
+    /**
+     * Updates the progress indicator showing current question number
+     * @param {number} currentQuestion - Current question number (1-based)
+     * @param {number} totalQuestions - Total number of questions
+     */
+    updateProgress(currentQuestion, totalQuestions) {
+        if (elements.currentQuestionSpan) {
+            elements.currentQuestionSpan.textContent = currentQuestion;
+        }
+        
+        if (elements.totalQuestionsSpan) {
+            elements.totalQuestionsSpan.textContent = totalQuestions !== null ? totalQuestions : '∞';
+        }
+        
+        // Update progress for screen readers
+        const progressElement = document.getElementById('progress');
+        if (progressElement) {
+            progressElement.setAttribute('aria-label', totalQuestions !== null ?
+                `Question ${currentQuestion} of ${totalQuestions}` : `Question ${currentQuestion}`);
+        }
+    }
+    
+    /**
+     * Shows the lives left in modes that have lives, and hides the display otherwise
+     * @param {number|null} livesRemaining - Lives left (null when the mode has no lives)
+     * @param {number} maxLives - Lives the session started with
+     */
+    updateLives(livesRemaining, maxLives = 0) {
+        const livesElement = elements.livesDisplay;
+        if (!livesElement) return;
+        
+        if (livesRemaining === null) {
+            livesElement.hidden = true;
+            livesElement.textContent = '';
+            return;
+        }
+        
+        const hearts = '♥'.repeat(livesRemaining) + '♡'.repeat(Math.max(0, maxLives - livesRemaining));
+        livesElement.innerHTML = `<span class="lives-hearts" aria-hidden="true">${hearts}</span>
+            <span class="lives-text">${livesRemaining === 1 ? '1 life left' : `${livesRemaining} lives left`}</span>`;
+        livesElement.hidden = false;
+    }
+    
+    /**
+     * Shows the pass screen between hot-seat turns, hiding the previous player's question
+     * @param {string} playerName - Player who takes the device next
+     * @param {string} message - Where the player picks up in the quiz
+     */
+    showHandoff(playerName, message) {
+        if (elements.handoffPlayer) {
+            elements.handoffPlayer.textContent = playerName;
+        }
+        if (elements.handoffMessage) {
+            elements.handoffMessage.textContent = message;
+        }
+        this.clearFeedback();
+        this.clearAnswerInput();
+        this.showSection('handoff');
+        
+        if (elements.handoffBtn) {
+            elements.handoffBtn.focus();
+        }
+    }
+    
+    /**
+     * Shows the opponent's progress in a cross-window race under the question counter, and the outcome once both have finished
+     * @param {Object|null} race - { opponent, total, result, outcome } from QuizGame (null hides the display)
+     */
+    updateRaceProgress(race) {
+        const raceElement = elements.raceProgress;
+        if (!raceElement) return;
+        
+        if (!race) {
+            raceElement.hidden = true;
+            raceElement.textContent = '';
+            return;
+        }
+        
+        const { opponent, total, result, outcome } = race;
+        let text;
+        if (opponent.left) {
+            text = `${opponent.name} left the race, so you win`;
+        } else if (outcome) {
+            text = outcome === 'won' ? `You beat ${opponent.name} ${result.correct}–${opponent.correct}!` :
+                outcome === 'lost' ? `${opponent.name} won ${opponent.correct}–${result.correct}` :
+                `Draw with ${opponent.name} ${result.correct}–${opponent.correct}`;
+        } else if (opponent.finished) {
+            text = `${opponent.name} finished with ${opponent.correct} correct`;
+        } else if (result) {
+            text = `Waiting for ${opponent.name}: ${opponent.answered} of ${total} answered`;
+        } else {
+            text = `${opponent.name}: ${opponent.answered} of ${total} answered · ${opponent.correct} correct`;
+        }
+        
+        raceElement.textContent = text;
+        raceElement.classList.toggle('finished', Boolean(outcome));
+        raceElement.hidden = false;
+    }
+    
+    /**
+     * Shows the race lobby status on the start screen
+     * @param {string} message - Status text (empty to clear)
+     */
+    showRaceLobby(message) {
+        if (elements.raceLobby) {
+            elements.raceLobby.textContent = message;
+        }
+    }
+    
+    /**
+     * Shows the classroom connection status on the start screen
+     * @param {string} message - Status text (empty to clear)
+     */
+    showClassroomStatus(message) {
+        if (elements.classroomStatus) {
+            elements.classroomStatus.textContent = message;
+        }
+    }
+    
+    /**
+     * Shows the quiz screen with a message in place of the question while a classroom quiz waits for the server
+     * @param {string} message - Message to show
+     */
+    showRemoteWaiting(message) {
+        this.showSection('quiz');
+        if (elements.questionDisplay) {
+            elements.questionDisplay.textContent = message;
+        }
+        this.clearFeedback();
+        this.renderChoices(null);
+        this.disableQuizControls();
+        this.setTimerVisible(false);
+    }
+    
+    /**
+     * Shows whose turn it is in hot-seat games, and hides the label otherwise
+     * @param {string|null} playerName - Player answering now (null for one player)
+     */
+    updatePlayerTurn(playerName) {
+        const turnElement = elements.playerTurn;
+        if (!turnElement) return;
+        
+        turnElement.textContent = playerName ? `${playerName}'s turn` : '';
+        turnElement.hidden = !playerName;
+    }
+    
+    /**
+     * Shows the level, its time limit and its letters in modes with levels, and hides the display otherwise
+     * @param {number|null} level - Current level (null when the mode has no levels)
+     * @param {Object|null} settings - The level's { timeLimit, letters } from ENDLESS_LEVELS
+     */
+    updateLevel(level, settings = null) {
+        const levelElement = elements.levelDisplay;
+        if (!levelElement) return;
+        
+        if (level === null || !settings) {
+            levelElement.hidden = true;
+            levelElement.textContent = '';
+            delete levelElement.dataset.level;
+            return;
+        }
+        
+        // Flash the display when the level goes up
+        const previousLevel = Number(levelElement.dataset.level);
+        levelElement.classList.toggle('level-up', previousLevel > 0 && level > previousLevel);
+        levelElement.dataset.level = level;
+        
+        const lastLetter = String.fromCharCode(64 + settings.letters);
+        levelElement.textContent = `Level ${level} · ${settings.timeLimit}s per question · letters A–${lastLetter}`;
+        levelElement.hidden = false;
+    }
+    
+    /**
+     * Shows or hides the question timer (untimed modes hide it)
+     * @param {boolean} visible - Whether the timer should be shown
+     */
+    setTimerVisible(visible) {
+        if (elements.timerContainer) {
+            elements.timerContainer.hidden = !visible;
+        }
+    }
+    
+    /**
+     * Updates the timer display with visual urgency indicators
+     * @param {number} timeRemaining - Seconds remaining
+     */
+    updateTimer(timeRemaining) {
+        const timerElement = elements.timerDisplay;
+        if (!timerElement) return;
+        
+        // Update the timer text
+        timerElement.textContent = timeRemaining;
+        
+        // Remove existing timer classes
+        timerElement.classList.remove('warning', 'danger');
+        
+        // Add urgency classes based on time remaining with enhanced visual feedback
+        if (timeRemaining <= 3 && timeRemaining > 0) {
+            timerElement.classList.add('danger');
+            // Add urgent visual feedback to the entire timer container
+            const timerContainer = timerElement.closest('.timer-container');
+            if (timerContainer) {
+                timerContainer.classList.add('urgent');
+            }
+        } else if (timeRemaining <= 5 && timeRemaining > 3) {
+            timerElement.classList.add('warning');
+            // Add warning visual feedback to the entire timer container
+            const timerContainer = timerElement.closest('.timer-container');
+            if (timerContainer) {
+                timerContainer.classList.remove('urgent');
+                timerContainer.classList.add('warning-state');
+            }
+        } else {
+            // Remove all urgency classes for normal state
+            const timerContainer = timerElement.closest('.timer-container');
+            if (timerContainer) {
+                timerContainer.classList.remove('urgent', 'warning-state');
+            }
+        }
+        
+        // Enhanced ARIA label for accessibility with urgency information
+        let ariaLabel = `${timeRemaining} seconds remaining`;
+        if (timeRemaining <= 3 && timeRemaining > 0) {
+            ariaLabel += ' - Time is running out!';
+        } else if (timeRemaining <= 5 && timeRemaining > 3) {
+            ariaLabel += ' - Hurry up!';
+        }
+        timerElement.setAttribute('aria-label', ariaLabel);
+        
+        // Announce timer updates to screen readers
+        accessibilityManager.announceTimer(timeRemaining);
+    }
+    
+    /**
+     * Shows immediate feedback for correct/incorrect answers
+     * @param {boolean} isCorrect - Whether the answer was correct
+     * @param {string} correctAnswer - The correct answer to display if wrong
+     * @param {string} userAnswer - The user's submitted answer (optional)
+     */
+    showFeedback(isCorrect, correctAnswer, userAnswer = '') {
+        const feedbackElement = elements.feedback;
+        if (!feedbackElement) return;
+        
+        // Clear any existing feedback timeout
+        if (this.feedbackTimeout) {
+            clearTimeout(this.feedbackTimeout);
+        }
+        
+        // Remove previous feedback classes
+        feedbackElement.classList.remove('correct', 'incorrect', 'timeout');
+        
+        if (isCorrect) {
+            feedbackElement.textContent = '✓ Correct!';
+            feedbackElement.classList.add('correct');
+        } else {
+            let feedbackText = '✗ Incorrect';
+            if (correctAnswer) {
+                feedbackText += `. The correct answer is: ${correctAnswer}`;
+            }
+            if (userAnswer && userAnswer.trim() !== '') {
+                feedbackText = `✗ Incorrect. You answered: ${userAnswer}. The correct answer is: ${correctAnswer}`;
+            }
+            
+            feedbackElement.textContent = feedbackText;
+            feedbackElement.classList.add('incorrect');
+        }
+        
+        // Enhanced accessibility announcements
+        accessibilityManager.announceFeedback(isCorrect, correctAnswer, userAnswer, false);
+        
+        // Auto-clear feedback after a delay (but don't clear during results)
+        if (this.currentSection === 'quiz') {
+            this.feedbackTimeout = setTimeout(() => {
+                this.clearFeedback();
+            }, 3000);
+        }
+    }
+    
+    /**
+     * Shows that an answer was kept without saying whether it was right, for hot-seat rounds where the
+     * next player still has to answer the same question
+     * @param {boolean} timedOut - Whether the question timed out rather than being answered
+     */
+    showAnswerSavedFeedback(timedOut = false) {
+        const feedbackElement = elements.feedback;
+        if (!feedbackElement) return;
+        
+        if (this.feedbackTimeout) {
+            clearTimeout(this.feedbackTimeout);
+        }
+        
+        feedbackElement.classList.remove('correct', 'incorrect', 'timeout');
+        const message = `${timedOut ? "⏰ Time's up!" : 'Answer saved.'} The answer is shown once everyone has had this question.`;
+        feedbackElement.textContent = message;
+        if (timedOut) {
+            feedbackElement.classList.add('timeout');
+        }
+        accessibilityManager.announce(message, 'polite');
+    }
+    
+    /**
+     * Shows feedback for timed out questions
+     * @param {string} correctAnswer - The correct answer to display
+     */
+    showTimeoutFeedback(correctAnswer) {
+        const feedbackElement = elements.feedback;
+        if (!feedbackElement) return;
+        
+        // Clear any existing feedback timeout
+        if (this.feedbackTimeout) {
+            clearTimeout(this.feedbackTimeout);
+        }
+        
+        // Remove previous feedback classes
+        feedbackElement.classList.remove('correct', 'incorrect', 'timeout');
+        
+        feedbackElement.textContent = `⏰ Time's up! The correct answer was: ${correctAnswer}`;
+        feedbackElement.classList.add('timeout');
+        
+        // Enhanced accessibility announcement for timeout
+        accessibilityManager.announceFeedback(false, correctAnswer, '', true);
+        
+        // Immediately disable all quiz controls to prevent further input
+        this.disableQuizControls();
+        
+        // Remove timer urgency classes since time is up
+        const timerElement = elements.timerDisplay;
+        if (timerElement) {
+            timerElement.classList.remove('warning', 'danger');
+            const timerContainer = timerElement.closest('.timer-container');
+            if (timerContainer) {
+                timerContainer.classList.remove('urgent', 'warning-state');
+            }
+        }
+    }
+    
+    /**
+     * Renders the complete results summary with detailed review
+     * @param {Object} results - Results object from ScoreTracker
+     */
+    renderResults(results, letterStats = null, dailyResult = null, levelResult = null) {
+        if (!results || !elements.scoreSummary || !elements.detailedResults) {
+            console.error('Invalid results or missing results elements');
+            return;
+        }
+        
+        this.currentSection = 'results';
+        
+        // Render score summary
+        this.renderScoreSummary(results.score, results.performanceStats, results.metadata, dailyResult, levelResult);
+        
+        // Render coaching tips for recurring mistakes
+        this.renderCoachingTips(results.errorPatterns);
+        
+        // A retry round is reported next to the first attempt; other sessions offer a retry of their mistakes
+        // (a classroom quiz offers neither a retry nor a replay, since starting one would leave the classroom)
+        const mode = results.metadata ? GAME_MODES[results.metadata.gameMode] : null;
+        const isRemote = Boolean(mode && mode.remote);
+        this.renderRetryReport(results.metadata ? results.metadata.retryOf : null, results.detailedResults);
+        if (elements.retryMistakesBtn) {
+            elements.retryMistakesBtn.hidden = isRemote || !(results.score.correct < results.score.total &&
+                !(results.metadata && (results.metadata.retryOf || results.metadata.playerName)));
+        }
+        if (elements.replayBtn) {
+            elements.replayBtn.hidden = isRemote;
+        }
+        
+        // Hot-seat games and classroom quizzes add their leaderboard after this (see renderLeaderboard and renderClassroomLeaderboard)
+        if (elements.leaderboard && !(results.metadata && results.metadata.playerName)) {
+            elements.leaderboard.innerHTML = '';
+            elements.leaderboard.hidden = true;
+        }
+        
+        // Render per-letter mastery across saved sessions
+        if (letterStats) {
+            this.renderMasteryHeatmap(letterStats);
+        }
+        
         // Render detailed question review
         this.renderDetailedResults(results.detailedResults);
         
-        // Show results section
-        this.showSection('results');
+        // Show results section
+        this.showSection('results');
+        
+        // Announce results to screen readers
+        accessibilityManager.announceResults(results.score);
+    }
+    
+    /**
+     * Renders coaching tips for the error patterns found in the wrong answers
+     * The section stays hidden when there were no wrong answers to analyze
+     * @param {Object} errorPatterns - Analysis from ScoreTracker.getErrorPatterns
+     * @private
+     */
+    renderCoachingTips(errorPatterns) {
+        const tipsElement = elements.coachingTips;
+        if (!tipsElement) return;
+        
+        if (!errorPatterns || errorPatterns.totalMistakes === 0) {
+            tipsElement.innerHTML = '';
+            tipsElement.hidden = true;
+            return;
+        }
+        
+        const tipsHTML = errorPatterns.patterns.map(pattern => {
+            const examples = pattern.examples.slice(0, 3)
+                .map(example => `Q${example.questionNumber}: ${example.userAnswer} for ${example.correctAnswer}`)
+                .join(', ');
+            return `
+                <li class="coaching-tip">
+                    <div class="coaching-pattern">
+                        <strong>${pattern.label}</strong>
+                        <span class="coaching-count">${pattern.count} ${pattern.count === 1 ? 'answer' : 'answers'}</span>
+                    </div>
+                    <div class="coaching-examples">${examples}</div>
+                    <p>${pattern.tip}</p>
+                </li>
+            `;
+        }).join('');
+        
+        const repeated = errorPatterns.confusions.filter(confusion => confusion.count > 1)
+            .map(confusion => `${confusion.given} for ${confusion.expected} (${confusion.count} times)`);
+        
+        let summaryText = '';
+        if (errorPatterns.patterns.length === 0) {
+            summaryText = 'Your mistakes did not follow a clear pattern. Go through them in the review below.';
+        } else if (errorPatterns.unclassified > 0) {
+            summaryText = `${errorPatterns.unclassified} other ${errorPatterns.unclassified === 1 ? 'mistake' : 'mistakes'} did not follow a clear pattern.`;
+        }
+        
+        tipsElement.innerHTML = `
+            <h3 id="coaching-title">Coaching Tips</h3>
+            ${tipsHTML ? `<ul class="coaching-list">${tipsHTML}</ul>` : ''}
+            ${repeated.length > 0 ? `<p class="coaching-confusions">Repeated mix-ups: ${repeated.join(', ')}</p>` : ''}
+            ${summaryText ? `<p class="coaching-summary">${summaryText}</p>` : ''}
+        `;
+        tipsElement.hidden = false;
+    }
+    
+    /**
+     * Renders the A-Z mastery grid, coloured by accuracy and paler for slower median answers
+     * Each cell starts a drill on its letter
+     * @param {Array<Object>} letterStats - Entries from SessionHistory.getLetterStats
+     * @private
+     */
+    renderMasteryHeatmap(letterStats) {
+        const heatmapElement = elements.masteryHeatmap;
+        if (!heatmapElement || !Array.isArray(letterStats)) return;
+        
+        const cellsHTML = letterStats.map(stat => {
+            if (stat.attempts === 0) {
+                return `
+                    <button type="button" class="mastery-cell untried" data-letter="${stat.item}" 
+                            aria-label="${stat.item}: not practised yet. Drill ${stat.item}">
+                        <span class="mastery-letter">${stat.item}</span>
+                        <span class="mastery-detail">–</span>
+                    </button>
+                `;
+            }
+            
+            const timeText = stat.medianTime !== null ? `${stat.medianTime}s` : 'no answers';
+            return `
+                <button type="button" class="mastery-cell" data-letter="${stat.item}" style="${this.getMasteryStyle(stat)}"
+                        aria-label="${stat.item}: ${stat.accuracy}% correct over ${stat.attempts} attempts, median time ${timeText}. Drill ${stat.item}">
+                    <span class="mastery-letter">${stat.item}</span>
+                    <span class="mastery-detail">${stat.accuracy}% · ${timeText}</span>
+                </button>
+            `;
+        }).join('');
+        
+        heatmapElement.innerHTML = `
+            <h3 id="mastery-title">Letter Mastery</h3>
+            <p class="mastery-help">From all saved quizzes. Green is accurate, red is often missed, and paler cells were answered more slowly. Select a letter to drill it.</p>
+            <div class="mastery-grid">${cellsHTML}</div>
+        `;
+        
+        heatmapElement.querySelectorAll('.mastery-cell').forEach(cell => {
+            cell.addEventListener('click', () => handleLetterDrill(cell.dataset.letter));
+        });
+    }
+    
+    /**
+     * Gets the inline colour of a mastery cell
+     * @param {Object} stat - Entry from SessionHistory.getLetterStats
+     * @returns {string} CSS declarations for the cell
+     * @private
+     */
+    getMasteryStyle(stat) {
+        const hue = Math.round(stat.accuracy * 1.2); // 0 = red, 120 = green
+        const slowness = stat.medianTime !== null ? Math.min(stat.medianTime / CONFIG.QUESTION_TIME_LIMIT, 1) : 1;
+        const lightness = Math.round(35 + slowness * 40);
+        const textColor = lightness < 55 ? 'white' : '#333';
+        return `background: hsl(${hue}, 65%, ${lightness}%); color: ${textColor};`;
+    }
+    
+    /**
+     * Renders the hot-seat leaderboard; choosing a player shows their results below it
+     * @param {Array<Object>} standings - Players in ranking order from QuizGame.getStandings
+     * @param {number} selectedIndex - Index in standings of the player whose results are shown
+     * @param {Function} onSelect - Called with a standings index when a player is chosen
+     */
+    renderLeaderboard(standings, selectedIndex, onSelect) {
+        const leaderboardElement = elements.leaderboard;
+        if (!leaderboardElement || !Array.isArray(standings)) return;
+        
+        const rowsHTML = standings.map((standing, index) => {
+            const { score, performanceStats } = standing.results;
+            return `
+                <li class="leaderboard-row ${index === selectedIndex ? 'selected' : ''}">
+                    <button type="button" class="leaderboard-player" data-index="${index}" aria-pressed="${index === selectedIndex}">
+                        <span class="leaderboard-rank">${standing.rank}</span>
+                        <span class="leaderboard-name"></span>
+                        <span class="leaderboard-score">${score.correct}/${score.total} (${score.percentage}%)</span>
+                        <span class="leaderboard-time">${performanceStats.averageTimePerQuestion}s avg</span>
+                    </button>
+                </li>
+            `;
+        }).join('');
+        
+        leaderboardElement.innerHTML = `
+            <h3 id="leaderboard-title">Leaderboard</h3>
+            <ol class="leaderboard-list">${rowsHTML}</ol>
+            <p class="leaderboard-help">Choose a player to see their answers.</p>
+        `;
+        
+        // Names are typed by the players, so they go in as text rather than markup
+        leaderboardElement.querySelectorAll('.leaderboard-name').forEach((nameElement, index) => {
+            nameElement.textContent = standings[index].name;
+        });
+        
+        leaderboardElement.querySelectorAll('.leaderboard-player').forEach(button => {
+            button.addEventListener('click', () => onSelect(Number(button.dataset.index)));
+        });
+        leaderboardElement.hidden = false;
+    }
+    
+    /**
+     * Renders the class leaderboard the classroom server sent at the end of a classroom quiz
+     * @param {Array<Object>} leaderboard - { id, name, rank, answered, correct, averageTime } in ranking order
+     * @param {string|null} playerId - This student's id, whose row is highlighted
+     */
+    renderClassroomLeaderboard(leaderboard, playerId) {
+        const leaderboardElement = elements.leaderboard;
+        if (!leaderboardElement || !Array.isArray(leaderboard)) return;
+        
+        const rowsHTML = leaderboard.map(entry => `
+            <li class="leaderboard-row ${entry.id === playerId ? 'selected' : ''}">
+                <div class="leaderboard-player leaderboard-entry">
+                    <span class="leaderboard-rank">${entry.rank}</span>
+                    <span class="leaderboard-name"></span>
+                    <span class="leaderboard-score">${entry.correct}/${CONFIG.TOTAL_QUESTIONS}</span>
+                    <span class="leaderboard-time">${entry.averageTime}s avg</span>
+                </div>
+            </li>
+        `).join('');
+        
+        leaderboardElement.innerHTML = `
+            <h3 id="leaderboard-title">Class leaderboard</h3>
+            <ol class="leaderboard-list">${rowsHTML}</ol>
+        `;
+        
+        // Names come from other students' devices, so they go in as text rather than markup
+        leaderboardElement.querySelectorAll('.leaderboard-name').forEach((nameElement, index) => {
+            const entry = leaderboard[index];
+            nameElement.textContent = `${entry.name}${entry.id === playerId ? ' (you)' : ''}`;
+        });
+        leaderboardElement.hidden = false;
+    }
+    
+    /**
+     * Renders a retry round next to the first attempt: each mistake, the answer first given and how the retry went
+     * @param {Object|null} retryOf - Summary of the original session from the results metadata (null outside retry rounds)
+     * @param {Array} detailedResults - The retry round's answer records
+     * @private
+     */
+    renderRetryReport(retryOf, detailedResults = []) {
+        const reportElement = elements.retryReport;
+        if (!reportElement) return;
+        
+        if (!retryOf || !Array.isArray(retryOf.mistakes)) {
+            reportElement.innerHTML = '';
+            reportElement.hidden = true;
+            return;
+        }
+        
+        const rowsHTML = retryOf.mistakes.map(mistake => {
+            const attempts = detailedResults.filter(record => record.retryOf === mistake.questionId);
+            const correct = attempts.filter(record => record.isCorrect).length;
+            const firstAnswer = mistake.timedOut ? 'timed out' : `answered ${mistake.userAnswer}`;
+            return `
+                <li class="retry-item ${correct >= CONFIG.RETRY_CORRECT_NEEDED ? 'fixed' : ''}">
+                    <div class="retry-question">Q${mistake.questionNumber}: ${mistake.questionText}</div>
+                    <div class="retry-outcome">
+                        First attempt: ${firstAnswer} (correct: ${mistake.correctAnswer})
+                        · Retry: ${correct} of ${CONFIG.RETRY_CORRECT_NEEDED} correct in ${attempts.length} ${attempts.length === 1 ? 'try' : 'tries'}
+                    </div>
+                </li>
+            `;
+        }).join('');
+        
+        const startTime = retryOf.startTime ? new Date(retryOf.startTime) : null;
+        reportElement.innerHTML = `
+            <h3 id="retry-report-title">First Attempt and Retry</h3>
+            <p class="retry-origin">
+                Retrying ${retryOf.mistakes.length} ${retryOf.mistakes.length === 1 ? 'mistake' : 'mistakes'} from the quiz
+                ${startTime ? `started at ${startTime.toLocaleTimeString()}` : ''}${retryOf.seed !== null && retryOf.seed !== undefined ? ` (quiz code ${retryOf.seed})` : ''},
+                which scored ${retryOf.score.correct} out of ${retryOf.score.total} (${retryOf.score.percentage}%) on the first attempt
+            </p>
+            <ul class="retry-list">${rowsHTML}</ul>
+        `;
+        reportElement.hidden = false;
+    }
+    
+    /**
+     * Renders the score summary section
+     * @param {Object} score - Score object with correct, incorrect, timeout counts
+     * @param {Object} performanceStats - Performance statistics (optional)
+     * @param {Object} metadata - Session metadata such as the seed (optional)
+     * @param {Object} dailyResult - The day's best and streak after a daily challenge (optional)
+     * @param {Object} levelResult - The level reached and personal best after an endless session (optional)
+     * @private
+     */
+    renderScoreSummary(score, performanceStats = null, metadata = null, dailyResult = null, levelResult = null) {
+        const summaryElement = elements.scoreSummary;
+        if (!summaryElement) return;
+        
+        const percentage = score.percentage || 0;
+        const performanceLevel = this.getPerformanceLevel(percentage);
+        
+        let summaryHTML = `
+            <div class="score-main">
+                <div class="score-percentage">${percentage}%</div>
+                <div class="score-fraction">${score.correct} out of ${score.total} correct</div>
+                <div class="performance-level ${performanceLevel.class}">${performanceLevel.text}</div>
+            </div>
+            <div class="score-breakdown">
+                <div class="score-item correct">
+                    <span class="score-label">Correct:</span>
+                    <span class="score-value">${score.correct}</span>
+                </div>
+                <div class="score-item incorrect">
+                    <span class="score-label">Incorrect:</span>
+                    <span class="score-value">${score.incorrect}</span>
+                </div>
+                <div class="score-item timeout">
+                    <span class="score-label">Timed Out:</span>
+                    <span class="score-value">${score.timeout}</span>
+                </div>
+            </div>
+        `;
+        
+        // Add performance stats if available
+        if (performanceStats && performanceStats.averageTimePerQuestion > 0) {
+            summaryHTML += `
+                <div class="performance-stats">
+                    <div class="stat-item">
+                        <span class="stat-label">Average Time:</span>
+                        <span class="stat-value">${performanceStats.averageTimePerQuestion}s</span>
+                    </div>
+                </div>
+            `;
+        }
+        
+        // Survival-style modes report how long the player lasted
+        if (metadata && GAME_MODES[metadata.gameMode] && GAME_MODES[metadata.gameMode].lives && performanceStats) {
+            summaryHTML += `
+                <div class="survival-stats">
+                    <div class="stat-item">
+                        <span class="stat-label">Survived:</span>
+                        <span class="stat-value">${score.total} ${score.total === 1 ? 'question' : 'questions'}${performanceStats.totalTime !== null ? ` in ${this.formatDuration(performanceStats.totalTime)}` : ''}</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Longest Streak:</span>
+                        <span class="stat-value">${performanceStats.longestStreak}</span>
+                    </div>
+                </div>
+            `;
+        }
+        
+        // Modes with a session clock report how much was answered in the time
+        if (metadata && GAME_MODES[metadata.gameMode] && GAME_MODES[metadata.gameMode].sessionTime && performanceStats) {
+            summaryHTML += `
+                <div class="survival-stats">
+                    <div class="stat-item">
+                        <span class="stat-label">Answered:</span>
+                        <span class="stat-value">${score.total} ${score.total === 1 ? 'question' : 'questions'} in ${this.formatDuration(GAME_MODES[metadata.gameMode].sessionTime)}</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Longest Streak:</span>
+                        <span class="stat-value">${performanceStats.longestStreak}</span>
+                    </div>
+                </div>
+            `;
+        }
+        
+        // Levelled modes report the level reached against the personal best
+        if (metadata && GAME_MODES[metadata.gameMode] && GAME_MODES[metadata.gameMode].levels && levelResult) {
+            summaryHTML += `
+                <div class="quiz-level">
+                    Level reached: ${levelResult.level} · ${levelResult.isBest ? 'new personal best!' : `personal best: level ${levelResult.best.level} (${levelResult.best.correct} correct)`}
+                </div>
+            `;
+        }
+        
+        // Daily challenges show the day's best so players can compare scores
+        if (metadata && metadata.dailyDate && dailyResult) {
+            summaryHTML += `
+                <div class="quiz-daily">
+                    Daily Challenge ${metadata.dailyDate}: ${dailyResult.isBest ? 'new best for today!' : `today's best is ${dailyResult.best.percentage}%`}
+                    · Streak: ${dailyResult.streak === 1 ? '1 day' : `${dailyResult.streak} days`}
+                </div>
+            `;
+        }
+        
+        // Show the quiz code so the same questions can be replayed or shared
+        if (metadata && metadata.seed !== null && metadata.seed !== undefined) {
+            summaryHTML += `
+                <div class="quiz-seed">
+                    Quiz code: <span class="seed-value">${metadata.seed}</span>
+                </div>
+            `;
+        }
+        
+        if (metadata && SAMPLING_STRATEGIES[metadata.samplingStrategy]) {
+            summaryHTML += `
+                <div class="quiz-strategy">
+                    Question mix: ${SAMPLING_STRATEGIES[metadata.samplingStrategy]}
+                </div>
+            `;
+        }
+        
+        if (metadata && LETTER_MAPPINGS[metadata.mappingMode]) {
+            summaryHTML += `
+                <div class="quiz-mapping">
+                    Numbering: ${LETTER_MAPPINGS[metadata.mappingMode].label}
+                </div>
+            `;
+        }
+        
+        if (metadata && ANSWER_MODES[metadata.answerMode]) {
+            summaryHTML += `
+                <div class="quiz-answer-mode">
+                    Answer style: ${ANSWER_MODES[metadata.answerMode]}
+                </div>
+            `;
+        }
+        
+        if (metadata && metadata.adaptive) {
+            summaryHTML += `
+                <div class="quiz-adaptive">
+                    Difficulty: Adaptive
+                </div>
+            `;
+        }
+        
+        if (metadata && metadata.playerName) {
+            summaryHTML += `
+                <div class="quiz-player">
+                    Player: <span class="quiz-player-name"></span>
+                </div>
+            `;
+        }
+        
+        if (metadata && GAME_MODES[metadata.gameMode]) {
+            summaryHTML += `
+                <div class="quiz-game-mode">
+                    Mode: ${GAME_MODES[metadata.gameMode].label}
+                </div>
+            `;
+        }
+        
+        if (metadata && Array.isArray(metadata.focusItems) && metadata.focusItems.length > 0) {
+            summaryHTML += `
+                <div class="quiz-focus">
+                    Drill: ${metadata.focusItems.join(', ')}
+                </div>
+            `;
+        }
+        
+        summaryElement.innerHTML = summaryHTML;
+        const playerNameElement = summaryElement.querySelector('.quiz-player-name');
+        if (playerNameElement) {
+            playerNameElement.textContent = metadata.playerName;
+        }
+    }
+    
+    /**
+     * Formats a number of seconds as minutes and seconds
+     * @param {number} seconds - Duration in seconds
+     * @returns {string} Duration such as "1m 05s" or "42s"
+     * @private
+     */
+    formatDuration(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const rest = seconds % 60;
+        return minutes > 0 ? `${minutes}m ${rest.toString().padStart(2, '0')}s` : `${rest}s`;
+    }
+    
+    /**
+     * Renders the detailed results showing each question and answer
+     * @param {Array} detailedResults - Array of detailed answer records
+     * @private
+     */
+    renderDetailedResults(detailedResults) {
+        const detailedElement = elements.detailedResults;
+        if (!detailedElement || !Array.isArray(detailedResults)) return;
+        
+        let resultsHTML = '<h3>Question Review</h3>';
+        
+        detailedResults.forEach((result, index) => {
+            const statusClass = result.status; // 'correct', 'incorrect', 'timeout'
+            const statusIcon = this.getStatusIcon(result.status);
+            const timeDisplay = result.timedOut ? 'Timed out' : `${result.timeUsed}s`;
+            const definition = questionTypeRegistry.get(result.questionType);
+            const answersHTML = definition && definition.renderResult ? 
+                definition.renderResult(result) : 
+                this.renderResultAnswers(result, definition);
+            const distractorHTML = result.distractor && DISTRACTOR_REASONS[result.distractor.reason] ?
+                `<div class="result-distractor">Distractor: ${DISTRACTOR_REASONS[result.distractor.reason]}</div>` : '';
+            
+            resultsHTML += `
+                <div class="result-item ${statusClass}">
+                    <div class="result-header">
+                        <span class="result-number">Q${result.questionNumber}</span>
+                        <span class="result-status">${statusIcon}</span>
+                        <span class="result-time">${timeDisplay}</span>
+                    </div>
+                    <div class="result-question">${result.questionText}</div>
+                    <div class="result-answers">
+                        ${answersHTML}
+                        ${distractorHTML}
+                    </div>
+                </div>
+            `;
+        });
+        
+        detailedElement.innerHTML = resultsHTML;
+    }
+    
+    /**
+     * Renders the correct and user answers for a result item
+     * @param {Object} result - Detailed answer record
+     * @param {Object} definition - Question type definition (optional)
+     * @returns {string} HTML for the answers
+     * @private
+     */
+    renderResultAnswers(result, definition = null) {
+        let userAnswerHTML = result.userAnswer || 'No answer';
+        
+        // Multi-part answers are compared part by part so near misses are visible
+        if (definition && definition.tokenize && result.userAnswer && !result.isCorrect) {
+            userAnswerHTML = this.renderAnswerDiff(
+                definition.tokenize(result.correctAnswer),
+                definition.tokenize(result.userAnswer),
+                definition.tokenSeparator || ''
+            );
+        }
+        
+        return `
+            <div class="result-correct">Correct: ${result.correctAnswer}</div>
+            ${!result.timedOut ? `<div class="result-user">Your answer: ${userAnswerHTML}</div>` : ''}
+        `;
+    }
+    
+    /**
+     * Renders a user's answer with each part marked as matching or not matching the correct answer
+     * @param {Array<string>} correctParts - Parts of the correct answer
+     * @param {Array<string>} userParts - Parts of the user's answer
+     * @param {string} separator - Text shown between parts
+     * @returns {string} HTML for the diffed answer
+     * @private
+     */
+    renderAnswerDiff(correctParts, userParts, separator = '') {
+        const length = Math.max(correctParts.length, userParts.length);
+        const parts = [];
+        
+        for (let i = 0; i < length; i++) {
+            const userPart = userParts[i] !== undefined ? userParts[i] : '_';
+            const statusClass = userParts[i] === correctParts[i] ? 'diff-match' : 'diff-miss';
+            parts.push(`<span class="diff-part ${statusClass}">${userPart}</span>`);
+        }
+        
+        return `<span class="answer-diff" aria-label="${userParts.join(separator)}">${parts.join(separator)}</span>`;
+    }
+    
+    /**
+     * Shows a specific section and hides others
+     * @param {string} sectionName - Name of section to show ('start', 'quiz', 'results')
+     */
+    showSection(sectionName) {
+        // Hide all sections
+        if (elements.startSection) elements.startSection.style.display = 'none';
+        if (elements.quizSection) elements.quizSection.style.display = 'none';
+        if (elements.handoffSection) elements.handoffSection.style.display = 'none';
+        if (elements.resultsSection) elements.resultsSection.style.display = 'none';
+        
+        // Show requested section
+        switch (sectionName) {
+            case 'start':
+                if (elements.startSection) elements.startSection.style.display = 'block';
+                this.currentSection = 'start';
+                break;
+            case 'quiz':
+                if (elements.quizSection) elements.quizSection.style.display = 'block';
+                this.currentSection = 'quiz';
+                // Enable input controls
+                this.enableQuizControls();
+                break;
+            case 'handoff':
+                if (elements.handoffSection) elements.handoffSection.style.display = 'block';
+                this.currentSection = 'handoff';
+                break;
+            case 'results':
+                if (elements.resultsSection) elements.resultsSection.style.display = 'block';
+                this.currentSection = 'results';
+                break;
+        }
+    }
+    
+    /**
+     * Enables quiz input controls
+     */
+    enableQuizControls() {
+        if (elements.answerInput) {
+            elements.answerInput.disabled = false;
+        }
+        if (elements.answerChoices) {
+            elements.answerChoices.querySelectorAll('.choice-btn').forEach(button => {
+                button.disabled = false;
+            });
+        }
+        
+        // Submit button will be enabled by validation system when input is valid
+        if (elements.submitBtn) {
+            elements.submitBtn.disabled = true;
+            elements.submitBtn.classList.remove('ready');
+        }
+    }
+    
+    /**
+     * Disables quiz input controls
+     */
+    /**
+     * Disables quiz input controls
+     */
+    disableQuizControls() {
+        if (elements.answerInput) {
+            elements.answerInput.disabled = true;
+            elements.answerInput.classList.remove('valid', 'invalid', 'focused');
+        }
+        if (elements.submitBtn) {
+            elements.submitBtn.disabled = true;
+            elements.submitBtn.classList.remove('ready');
+        }
+        if (elements.answerChoices) {
+            elements.answerChoices.querySelectorAll('.choice-btn').forEach(button => {
+                button.disabled = true;
+            });
+        }
+        
+        // Clear any input validation feedback
+        if (typeof clearInputValidationFeedback === 'function') {
+            clearInputValidationFeedback();
+        }
+    }
+    
+    /**
+     * Clears the answer input field and resets validation state
+     */
+    clearAnswerInput() {
+        if (elements.answerInput) {
+            elements.answerInput.value = '';
+            elements.answerInput.classList.remove('valid', 'invalid', 'focused');
+        }
+        
+        // Clear any input validation feedback
+        if (typeof clearInputValidationFeedback === 'function') {
+            clearInputValidationFeedback();
+        }
+        
+        // Reset submit button state
+        if (typeof updateSubmitButtonState === 'function') {
+            updateSubmitButtonState(false);
+        }
+    }
+    
+    /**
+     * Gets the current answer from the input field
+     * @returns {string} Current answer value
+     */
+    getCurrentAnswer() {
+        return elements.answerInput ? elements.answerInput.value.trim() : '';
+    }
+    
+    /**
+     * Clears the feedback display
+     */
+    clearFeedback() {
+        if (elements.feedback) {
+            elements.feedback.textContent = '';
+            elements.feedback.classList.remove('correct', 'incorrect');
+        }
+        
+        if (this.feedbackTimeout) {
+            clearTimeout(this.feedbackTimeout);
+            this.feedbackTimeout = null;
+        }
+    }
+    
+    /**
+     * Shows input validation error
+     * @param {string} errorMessage - Error message to display
+     */
+    showInputError(errorMessage) {
+        const feedbackElement = elements.feedback;
+        if (!feedbackElement) return;
+        
+        feedbackElement.textContent = errorMessage;
+        feedbackElement.classList.remove('correct');
+        feedbackElement.classList.add('incorrect');
+        
+        // Clear error after a delay
+        if (this.feedbackTimeout) {
+            clearTimeout(this.feedbackTimeout);
+        }
+        
+        this.feedbackTimeout = setTimeout(() => {
+            this.clearFeedback();
+        }, 3000);
+    }
+    
+    /**
+     * Gets performance level description based on percentage
+     * @param {number} percentage - Score percentage
+     * @returns {Object} Performance level with text and CSS class
+     * @private
+     */
+    getPerformanceLevel(percentage) {
+        if (percentage >= 90) {
+            return { text: 'Excellent!', class: 'excellent' };
+        } else if (percentage >= 80) {
+            return { text: 'Great job!', class: 'great' };
+        } else if (percentage >= 70) {
+            return { text: 'Good work!', class: 'good' };
+        } else if (percentage >= 60) {
+            return { text: 'Not bad!', class: 'okay' };
+        } else {
+            return { text: 'Keep practicing!', class: 'needs-improvement' };
+        }
+    }
+    
+    /**
+     * Gets status icon for result display
+     * @param {string} status - Status string ('correct', 'incorrect', 'timeout')
+     * @returns {string} Icon character
+     * @private
+     */
+    getStatusIcon(status) {
+        switch (status) {
+            case 'correct':
+                return '✓';
+            case 'incorrect':
+                return '✗';
+            case 'timeout':
+                return '⏰';
+            default:
+                return '?';
+        }
+    }
+    
+    /**
+     * Updates the quiz interface for accessibility
+     * @param {string} announcement - Text to announce to screen readers
+     */
+    announceToScreenReader(announcement) {
+        // Create or update a live region for screen reader announcements
+        let liveRegion = document.getElementById('sr-live-region');
+        if (!liveRegion) {
+            liveRegion = document.createElement('div');
+            liveRegion.id = 'sr-live-region';
+            liveRegion.className = 'sr-only';
+            liveRegion.setAttribute('aria-live', 'polite');
+            document.body.appendChild(liveRegion);
+        }
+        
+        liveRegion.textContent = announcement;
+    }
+    
+    /**
+     * Resets the UI to initial state
+     */
+    reset() {
+        this.clearFeedback();
+        this.clearAnswerInput();
+        this.currentSection = 'start';
+        
+        // Reset progress
+        this.updateProgress(1, CONFIG.TOTAL_QUESTIONS);
+        
+        // Reset timer display
+        this.updateTimer(CONFIG.QUESTION_TIME_LIMIT);
+        this.setTimerVisible(true);
+        this.updateLives(null);
+        this.updateLevel(null);
+        this.updatePlayerTurn(null);
+        this.updateRaceProgress(null);
+        
+        // Show start section
+        this.showSection('start');
+    }
+}
+
+/**
+ * QuizGame main controller class
+ * Orchestrates all components and manages the complete quiz flow
+ */
+class QuizGame {
+    constructor() {
+        this.questionGenerator = new QuestionGenerator();
+        this.questionSampler = new QuestionSampler(this.questionGenerator);
+        this.scheduler = new LeitnerScheduler();
+        this.adaptiveEngine = new AdaptiveEngine();
+        this.sessionHistory = new SessionHistory();
+        this.dailyChallenge = new DailyChallenge();
+        this.endlessLevels = new EndlessLevels();
+        this.timer = new Timer();
+        this.sessionTimer = new Timer();
+        this.scoreTracker = new ScoreTracker();
+        this.uiManager = new UIManager();
+        
+        // Hot-seat player slots, each { name, scoreTracker, questionIndex }; scoreTracker above is the player whose turn it is
+        this.players = [];
+        
+        // Cross-window race: { code, channel, opponent, result } while hosting, joining or racing
+        this.race = null;
+        
+        // Classroom live quiz: { client, playerId } while joined to the classroom server
+        this.classroom = null;
+        
+        // The learner's own letter numbering while a quiz uses another (a daily challenge, a replay or the teacher's)
+        this.learnerMappingMode = null;
+        
+        // Game state management
+        this.currentQuestion = null;
+        this.currentQuestionStartTime = null;
+        this.isWaitingForNextQuestion = false;
+        this.timerCleanupFunction = null;
+        
+        // Bind methods to preserve 'this' context
+        this.handleTimerComplete = this.handleTimerComplete.bind(this);
+        this.handleTimerTick = this.handleTimerTick.bind(this);
+        this.handleSessionTimeUp = this.handleSessionTimeUp.bind(this);
+    }
+    
+    /**
+     * Initializes and starts a new quiz session
+     * Requirements: 1.1, 1.2, 1.3
+     * @param {Object} options - Session options
+     * @param {number|string|null} options.seed - Seed to replay a specific question set (random if omitted)
+     * @param {string} options.samplingStrategy - Sampling strategy key (current strategy if omitted)
+     * @param {Array<string>} options.questionTypes - Registered question types to ask (current types if omitted)
+     * @param {Object} options.arithmeticOptions - Letter arithmetic { operations, wrap } (CONFIG.ARITHMETIC_OPERATIONS
+     *                                             and CONFIG.ARITHMETIC_WRAP if omitted)
+     * @param {string} options.sequenceDifficulty - Neighbour and pattern step sizes from SEQUENCE_DIFFICULTIES
+     *                                              (CONFIG.SEQUENCE_DIFFICULTY if omitted)
+     * @param {string} options.mappingMode - Letter numbering scheme from LETTER_MAPPINGS (current scheme if omitted)
+     * @param {string} options.answerMode - Answer style from ANSWER_MODES (CONFIG.ANSWER_MODE if omitted)
+     * @param {boolean} options.adaptive - Choose letters and time limits from the learner's rating as the quiz goes
+     *                                     (adaptive sessions depend on the ratings, so a quiz code does not replay them exactly)
+     * @param {Array<string>} options.focusItems - Letters to drill; every question is about one of them
+     * @param {string} options.gameMode - Game mode from GAME_MODES (CONFIG.GAME_MODE if omitted)
+     * @param {string|null} options.dailyDate - Day key when playing that day's challenge (see DailyChallenge.getOptions)
+     * @param {Object|null} options.retryOf - Summary of the session a retry round comes from (see startRetryRound)
+     * @param {Array<Object>} options.retryQuestions - Questions a retry round re-asks
+     * @param {Array<string>} options.players - Names for a hot-seat game (two to CONFIG.MAX_PLAYERS; fewer plays alone)
+     * @param {string} options.playerOrder - How hot-seat players take turns, from PLAYER_ORDERS (CONFIG.PLAYER_ORDER if omitted)
+     * @param {string|null} options.raceCode - Code of the cross-window race this quiz is part of (see hostRace and joinRace)
+     */
+    startQuiz(options = {}) {
+        const {
+            seed = null,
+            samplingStrategy = this.questionSampler.getStrategy(),
+            questionTypes = this.questionGenerator.getQuestionTypes(),
+            arithmeticOptions = { operations: CONFIG.ARITHMETIC_OPERATIONS, wrap: CONFIG.ARITHMETIC_WRAP },
+            sequenceDifficulty = CONFIG.SEQUENCE_DIFFICULTY,
+            mappingMode = letterMapping.getMode(),
+            answerMode = CONFIG.ANSWER_MODE,
+            adaptive = false,
+            focusItems = [],
+            gameMode = CONFIG.GAME_MODE,
+            dailyDate = null,
+            retryOf = null,
+            retryQuestions = [],
+            players = [],
+            playerOrder = CONFIG.PLAYER_ORDER,
+            raceCode = null
+        } = options;
         
-        // Announce results to screen readers
-        accessibilityManager.announceResults(results.score);
+        try {
+            // Starting anything other than the race leaves it, and likewise for the classroom quiz
+            if (raceCode === null) {
+                this.leaveRace();
+            }
+            if (!GAME_MODES[gameMode] || !GAME_MODES[gameMode].remote) {
+                this.leaveClassroom();
+            }
+            
+            // Reset game state
+            this.resetGameState();
+            
+            // Seed the question generator so the session can be replayed
+            const random = seed !== null ? new SeededRandom(seed) : new SeededRandom();
+            this.questionGenerator.setRandom(random);
+            this.questionGenerator.setQuestionTypes(questionTypes);
+            this.questionGenerator.setArithmeticOptions(arithmeticOptions);
+            gameState.sequenceDifficulty = SEQUENCE_DIFFICULTIES[sequenceDifficulty] ? sequenceDifficulty : CONFIG.SEQUENCE_DIFFICULTY;
+            this.questionGenerator.setSequenceOptions(gameState.sequenceDifficulty);
+            this.questionSampler.setStrategy(samplingStrategy);
+            // The quiz's numbering only lasts as long as the quiz; the learner's own comes back when it ends
+            this.keepLearnerMapping();
+            letterMapping.setMode(mappingMode);
+            updateMappingText();
+            gameState.seed = random.getSeed();
+            gameState.replay = seed !== null;
+            gameState.samplingStrategy = samplingStrategy;
+            gameState.questionTypes = this.questionGenerator.getQuestionTypes();
+            gameState.arithmeticOptions = this.questionGenerator.getArithmeticOptions();
+            gameState.mappingMode = mappingMode;
+            gameState.answerMode = ANSWER_MODES[answerMode] ? answerMode : CONFIG.ANSWER_MODE;
+            gameState.focusItems = [...focusItems];
+            gameState.gameMode = GAME_MODES[gameMode] ? gameMode : CONFIG.GAME_MODE;
+            gameState.players = players.length > 1 ? players.slice(0, CONFIG.MAX_PLAYERS) : [];
+            gameState.playerOrder = PLAYER_ORDERS[playerOrder] ? playerOrder : CONFIG.PLAYER_ORDER;
+            gameState.currentPlayerIndex = 0;
+            gameState.raceCode = raceCode;
+            if (this.isHotSeat() && this.getQuestionLimit() === null) {
+                throw new Error('Hot-seat games need a game mode with a set number of questions');
+            }
+            gameState.adaptive = Boolean(adaptive) && focusItems.length === 0 && !this.hasLevels() && !this.isHotSeat();
+            gameState.dailyDate = dailyDate;
+            gameState.retryOf = retryOf;
+            gameState.retryQuestions = [...retryQuestions];
+            if (this.isRetryRound() && gameState.retryQuestions.length === 0) {
+                throw new Error('A retry round needs questions to retry');
+            }
+            
+            // Initialize score tracker, one per player in hot-seat games
+            const sessionInfo = {
+                seed: gameState.seed,
+                samplingStrategy: gameState.samplingStrategy,
+                questionTypes: gameState.questionTypes,
+                mappingMode: gameState.mappingMode,
+                answerMode: gameState.answerMode,
+                adaptive: gameState.adaptive,
+                focusItems: gameState.focusItems,
+                gameMode: gameState.gameMode,
+                dailyDate: gameState.dailyDate,
+                retryOf: gameState.retryOf
+            };
+            this.players = gameState.players.map(name => {
+                const scoreTracker = new ScoreTracker();
+                scoreTracker.initialize(this.getQuestionLimit(), { ...sessionInfo, playerName: name });
+                return { name, scoreTracker, questionIndex: 0 };
+            });
+            if (this.isHotSeat()) {
+                this.scoreTracker = this.players[0].scoreTracker;
+            } else {
+                this.scoreTracker.initialize(this.getQuestionLimit(), sessionInfo);
+            }
+            
+            // Generate all questions for the quiz: drills ask only their letters, otherwise letters due for review
+            // come first (replays skip the review queue so a quiz code always gives the same questions, and hot-seat
+            // games skip it because the schedule belongs to this device's learner; every player gets the same questions)
+            // Adaptive, levelled and retry sessions build each question just before it is asked instead, and
+            // open-ended sessions add another batch whenever they run out
+            const drillItems = this.getFocusPriorityItems();
+            const priorityItems = drillItems.length > 0 ? drillItems :
+                (seed === null && !this.isHotSeat() ? this.scheduler.getDueItems() : []);
+            const buildsAsItGoes = gameState.adaptive || this.hasLevels() || this.isRetryRound();
+            gameState.questions = buildsAsItGoes ? [] : this.generateAllQuestions(priorityItems);
+            gameState.status = 'active';
+            gameState.startTime = new Date();
+            gameState.currentQuestionIndex = 0;
+            
+            // Set up timer focus handling
+            this.setupTimerFocusHandling();
+            
+            // Show quiz section
+            this.uiManager.showSection('quiz');
+            
+            // Modes with a session clock count down the whole session
+            const mode = GAME_MODES[gameState.gameMode];
+            if (mode.sessionTime) {
+                this.startSessionClock(mode.sessionTime);
+            }
+            
+            // Start first question, passing the device to the first player in hot-seat games;
+            // a classroom quiz waits for the server to send everyone to it
+            if (this.isHotSeat()) {
+                this.passToPlayer(0);
+            } else if (this.isRemoteControlled()) {
+                this.uiManager.showRemoteWaiting('Get ready! Your teacher will send the first question.');
+            } else {
+                this.nextQuestion();
+            }
+            this.refreshRaceProgress();
+            
+            console.log('Quiz started successfully');
+        } catch (error) {
+            console.error('Error starting quiz:', error);
+            this.handleError('Failed to start quiz. Please try again.');
+        }
     }
     
     /**
-     * Renders the score summary section
-     * @param {Object} score - Score object with correct, incorrect, timeout counts
-     * @param {Object} performanceStats - Performance statistics (optional)
+     * Advances to the next question or ends the quiz if all questions are completed
+     * Requirements: 1.2, 1.3
+     * @param {number|null} timeRemaining - Seconds left when resuming a question part-way (full time limit if null)
+     */
+    nextQuestion(timeRemaining = null) {
+        try {
+            // A session clock may have ended the quiz during the feedback delay
+            if (gameState.status !== 'active') {
+                return;
+            }
+            
+            // Check if quiz is complete: every question asked, every life lost, the session clock run out
+            // or every mistake in a retry round put right
+            const questionLimit = this.getQuestionLimit();
+            if ((questionLimit !== null && gameState.currentQuestionIndex >= questionLimit) ||
+                this.getLivesRemaining() === 0 || this.isSessionTimeUp() || this.isRetryComplete()) {
+                this.endQuiz();
+                return;
+            }
+            
+            // Stop any existing timer
+            this.timer.stop();
+            
+            // Get current question, generating it now if the session builds questions as it goes
+            if (!gameState.questions[gameState.currentQuestionIndex]) {
+                if (gameState.adaptive) {
+                    gameState.questions[gameState.currentQuestionIndex] = this.generateNextQuestion();
+                } else if (this.hasLevels()) {
+                    gameState.questions[gameState.currentQuestionIndex] = this.generateLevelQuestion();
+                } else if (this.isRetryRound()) {
+                    gameState.questions[gameState.currentQuestionIndex] = this.generateRetryQuestion();
+                } else {
+                    gameState.questions.push(...this.generateAllQuestions(this.getFocusPriorityItems()));
+                }
+            }
+            this.currentQuestion = gameState.questions[gameState.currentQuestionIndex];
+            const questionNumber = gameState.currentQuestionIndex + 1;
+            
+            // Display question
+            this.uiManager.displayQuestion(this.currentQuestion, questionNumber, questionLimit);
+            this.uiManager.updatePlayerTurn(this.isHotSeat() ? this.players[gameState.currentPlayerIndex].name : null);
+            this.refreshLives();
+            this.refreshLevel();
+            
+            // Record question start time, backdated by the time already spent on a resumed question
+            const timeLimit = this.currentQuestion.timeLimit || CONFIG.QUESTION_TIME_LIMIT;
+            const duration = timeRemaining !== null ? Math.max(0, Math.min(timeRemaining, timeLimit)) : timeLimit;
+            this.currentQuestionStartTime = Date.now() - (timeLimit - duration) * 1000;
+            this.isWaitingForNextQuestion = false;
+            
+            // Start timer for this question; untimed modes only measure the response time
+            // (a session clock keeps the timer display for itself)
+            this.uiManager.setTimerVisible(this.hasQuestionTimer() || this.hasSessionClock());
+            if (this.hasQuestionTimer()) {
+                this.timer.start(
+                    duration,
+                    this.handleTimerComplete,
+                    this.handleTimerTick
+                );
+            }
+            
+            console.log(`Question ${questionNumber} started:`, this.currentQuestion.prompt);
+        } catch (error) {
+            console.error('Error advancing to next question:', error);
+            this.handleError('Failed to load next question. Please try again.');
+        }
+    }
+    
+    /**
+     * Processes and validates a submitted answer
+     * Requirements: 4.4
+     * @param {string} answer - The user's submitted answer
+     */
+    submitAnswer(answer) {
+        try {
+            // Prevent submission if waiting for next question or quiz not active
+            if (this.isWaitingForNextQuestion || gameState.status !== 'active' || !this.currentQuestion) {
+                return;
+            }
+            
+            // Prevent answer submission after timer expiration
+            if (this.isQuestionTimeUp()) {
+                console.log('Answer submission blocked: timer has expired');
+                return;
+            }
+            
+            // Validate input format first
+            const validation = this.questionGenerator.validateQuestionInput(answer, this.currentQuestion);
+            
+            if (!validation.isValid) {
+                this.uiManager.showInputError(validation.errorMessage);
+                return;
+            }
+            
+            // Calculate time used
+            const timeUsed = Math.floor((Date.now() - this.currentQuestionStartTime) / 1000);
+            
+            // Stop timer
+            this.timer.stop();
+            
+            // Validate answer
+            const isCorrect = this.questionGenerator.checkAnswer(answer, this.currentQuestion);
+            
+            // Record the answer
+            this.scoreTracker.recordAnswer(
+                this.currentQuestion,
+                answer,
+                isCorrect,
+                timeUsed,
+                false // not timed out
+            );
+            this.updateAdaptiveRatings(isCorrect);
+            this.refreshLives();
+            this.reportRaceProgress(RACE_MESSAGES.ANSWER);
+            this.reportClassroomAnswer();
+            
+            // Show immediate feedback (in hot-seat rounds, not while the next player still has this question)
+            if (this.isAnswerHeldBack()) {
+                this.uiManager.showAnswerSavedFeedback(false);
+            } else {
+                this.uiManager.showFeedback(isCorrect, this.currentQuestion.correctAnswer, answer);
+            }
+            
+            // Disable input controls temporarily
+            this.uiManager.disableQuizControls();
+            this.isWaitingForNextQuestion = true;
+            
+            // Move to next question after feedback delay
+            setTimeout(() => this.advanceAfterFeedback(), 2000);
+            
+            console.log(`Answer submitted: ${answer}, Correct: ${isCorrect}, Time: ${timeUsed}s`);
+        } catch (error) {
+            console.error('Error processing answer:', error);
+            this.handleError('Failed to process answer. Please try again.');
+        }
+    }
+    
+    /**
+     * Ends the quiz and displays results
+     * Requirements: 1.3
+     */
+    endQuiz() {
+        try {
+            // Stop timers and cleanup
+            this.timer.stop();
+            this.sessionTimer.stop();
+            if (this.timerCleanupFunction) {
+                this.timerCleanupFunction();
+                this.timerCleanupFunction = null;
+            }
+            
+            // Update game state
+            gameState.status = 'completed';
+            gameState.endTime = new Date();
+            
+            // Results keep the values they were asked with, so the learner's numbering can come back now
+            this.restoreLearnerMapping();
+            
+            if (this.isHotSeat()) {
+                this.endHotSeatGame();
+                return;
+            }
+            
+            // Complete score tracking
+            this.scoreTracker.completeQuiz();
+            
+            // Get results
+            const results = this.scoreTracker.exportResults();
+            
+            // Tell the other window in a race that this one is done
+            if (this.race && gameState.raceCode !== null) {
+                this.race.result = { correct: results.score.correct, averageTime: results.performanceStats.averageTimePerQuestion };
+                this.reportRaceProgress(RACE_MESSAGES.FINISH);
+                this.refreshRaceProgress();
+            }
+            
+            // A retry round asks the same questions until they are right, so it would skew the
+            // sampler, the review boxes and the saved statistics; its results point back to the session instead.
+            // A classroom quiz is the teacher's choice of questions and numbering, so it is left out the same way
+            if (!this.isRetryRound() && !this.isRemoteControlled()) {
+                // A replay's letters were chosen without the coverage, so they do not count towards it either
+                if (!gameState.replay) {
+                    this.questionSampler.commitSession(gameState.questions);
+                }
+                
+                // Move letters between review boxes
+                this.scheduler.recordSession(results.detailedResults);
+                this.refreshReviewSchedule();
+                
+                // Keep the session for the mastery heatmap and progress charts
+                this.sessionHistory.save(results);
+                this.refreshProgress();
+            }
+            
+            // Keep the day's best daily challenge result
+            let dailyResult = null;
+            if (gameState.dailyDate) {
+                dailyResult = {
+                    ...this.dailyChallenge.recordResult(gameState.dailyDate, results),
+                    streak: this.dailyChallenge.getStreak()
+                };
+                this.refreshDailyCalendar();
+            }
+            
+            // Keep the endless mode personal best (drills ask fewer letters, so they do not count)
+            let levelResult = null;
+            if (this.hasLevels() && gameState.focusItems.length === 0) {
+                levelResult = this.endlessLevels.recordResult(results);
+            }
+            
+            // Display results
+            this.uiManager.renderResults(results, this.sessionHistory.getLetterStats(), dailyResult, levelResult);
+            
+            console.log('Quiz completed:', results);
+        } catch (error) {
+            console.error('Error ending quiz:', error);
+            this.handleError('Failed to complete quiz. Please check your results.');
+        }
+    }
+    
+    /**
+     * Finishes a hot-seat game and shows the leaderboard with the leader's results
+     * Hot-seat games are not added to this device's history or review schedule, which track a single learner
      * @private
      */
-    renderScoreSummary(score, performanceStats = null) {
-        const summaryElement = elements.scoreSummary;
-        if (!summaryElement) return;
+    endHotSeatGame() {
+        this.players.forEach(player => player.scoreTracker.completeQuiz());
+        const standings = this.getStandings();
+        const showPlayer = index => {
+            this.uiManager.renderResults(standings[index].results, this.sessionHistory.getLetterStats());
+            this.uiManager.renderLeaderboard(standings, index, showPlayer);
+        };
+        showPlayer(0);
         
-        const percentage = score.percentage || 0;
-        const performanceLevel = this.getPerformanceLevel(percentage);
+        console.log('Hot-seat game completed:', standings.map(standing => `${standing.name}: ${standing.results.score.correct}`).join(', '));
+    }
+    
+    /**
+     * Ranks hot-seat players by correct answers, then by average answer time
+     * @returns {Array<Object>} { name, rank, results } in ranking order; tied players share a rank
+     */
+    getStandings() {
+        const averageTime = results => results.performanceStats.averageTimePerQuestion;
+        const standings = this.players
+            .map(player => ({ name: player.name, results: player.scoreTracker.exportResults() }))
+            .sort((a, b) => b.results.score.correct - a.results.score.correct || averageTime(a.results) - averageTime(b.results));
+        
+        standings.forEach((standing, index) => {
+            const previous = standings[index - 1];
+            standing.rank = previous && previous.results.score.correct === standing.results.score.correct &&
+                averageTime(previous.results) === averageTime(standing.results) ? previous.rank : index + 1;
+        });
+        return standings;
+    }
+    
+    /**
+     * Moves on once an answer's feedback has been shown: to this player's next question, or to the next player
+     * @private
+     */
+    advanceAfterFeedback() {
+        // In a classroom quiz the server moves everyone on together (see showRemoteQuestion)
+        if (this.isRemoteControlled()) {
+            return;
+        }
         
-        let summaryHTML = `
-            <div class="score-main">
-                <div class="score-percentage">${percentage}%</div>
-                <div class="score-fraction">${score.correct} out of ${score.total} correct</div>
-                <div class="performance-level ${performanceLevel.class}">${performanceLevel.text}</div>
-            </div>
-            <div class="score-breakdown">
-                <div class="score-item correct">
-                    <span class="score-label">Correct:</span>
-                    <span class="score-value">${score.correct}</span>
-                </div>
-                <div class="score-item incorrect">
-                    <span class="score-label">Incorrect:</span>
-                    <span class="score-value">${score.incorrect}</span>
-                </div>
-                <div class="score-item timeout">
-                    <span class="score-label">Timed Out:</span>
-                    <span class="score-value">${score.timeout}</span>
-                </div>
-            </div>
-        `;
+        gameState.currentQuestionIndex++;
+        if (!this.isHotSeat() || gameState.status !== 'active') {
+            this.nextQuestion();
+            return;
+        }
         
-        // Add performance stats if available
-        if (performanceStats && performanceStats.averageTimePerQuestion > 0) {
-            summaryHTML += `
-                <div class="performance-stats">
-                    <div class="stat-item">
-                        <span class="stat-label">Average Time:</span>
-                        <span class="stat-value">${performanceStats.averageTimePerQuestion}s</span>
-                    </div>
-                </div>
-            `;
+        this.players[gameState.currentPlayerIndex].questionIndex = gameState.currentQuestionIndex;
+        const nextPlayer = this.getNextPlayerIndex();
+        if (nextPlayer === null) {
+            this.endQuiz();
+        } else if (nextPlayer !== gameState.currentPlayerIndex) {
+            this.passToPlayer(nextPlayer);
+        } else {
+            this.nextQuestion();
+        }
+    }
+    
+    /**
+     * Works out whose turn is next: in turns the current player carries on until their quiz is done,
+     * in rounds the device goes to the next player with questions left
+     * @returns {number|null} Index of the next player, or null once every player has finished
+     * @private
+     */
+    getNextPlayerIndex() {
+        const questionLimit = this.getQuestionLimit();
+        const hasQuestionsLeft = index => this.players[index].questionIndex < questionLimit;
+        const current = gameState.currentPlayerIndex;
+        if (gameState.playerOrder === 'turns' && hasQuestionsLeft(current)) {
+            return current;
+        }
+        
+        for (let step = 1; step <= this.players.length; step++) {
+            const index = (current + step) % this.players.length;
+            if (hasQuestionsLeft(index)) {
+                return index;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Hands the device to a player: their answers and place in the quiz become current and the
+     * pass screen is shown until they are ready (see startPlayerTurn)
+     * @param {number} index - Index of the player in this.players
+     * @private
+     */
+    passToPlayer(index) {
+        this.timer.stop();
+        const player = this.players[index];
+        gameState.currentPlayerIndex = index;
+        gameState.currentQuestionIndex = player.questionIndex;
+        this.scoreTracker = player.scoreTracker;
+        
+        const questionNumber = player.questionIndex + 1;
+        const message = gameState.playerOrder === 'turns' || player.questionIndex === 0 ?
+            `${player.name}, your quiz starts at question ${questionNumber} of ${this.getQuestionLimit()}.` :
+            `${player.name}, question ${questionNumber} of ${this.getQuestionLimit()} is yours.`;
+        const roundSummary = this.getRoundSummary(player.questionIndex - 1);
+        this.uiManager.showHandoff(player.name, roundSummary ? `${roundSummary} ${message}` : message);
+        accessibilityManager.announce(`Pass the device to ${player.name}`, 'assertive');
+    }
+    
+    /**
+     * Checks whether the current answer's feedback must not give the answer away: in rounds every player
+     * gets the same question in turn, so it stays hidden until the last of them has answered
+     * @returns {boolean} True while another player has still to answer the current question
+     * @private
+     */
+    isAnswerHeldBack() {
+        if (!this.isHotSeat() || gameState.playerOrder !== 'rounds') {
+            return false;
+        }
+        return this.players.some((player, index) =>
+            index !== gameState.currentPlayerIndex && player.questionIndex <= gameState.currentQuestionIndex);
+    }
+    
+    /**
+     * Describes how everyone did on a question once the round for it is over, for the pass screen
+     * @param {number} questionIndex - Question the round was for
+     * @returns {string} Summary such as "Question 2: the answer was M (Ann ✓, Ben ✗).", or '' if there is nothing to report
+     * @private
+     */
+    getRoundSummary(questionIndex) {
+        if (gameState.playerOrder !== 'rounds' || questionIndex < 0 ||
+            this.players.some(player => player.questionIndex <= questionIndex)) {
+            return '';
         }
         
-        summaryElement.innerHTML = summaryHTML;
+        const marks = this.players.map(player => {
+            const record = player.scoreTracker.answerRecords[questionIndex];
+            return `${player.name} ${record && record.isCorrect ? '✓' : '✗'}`;
+        });
+        return `Question ${questionIndex + 1}: the answer was ${gameState.questions[questionIndex].correctAnswer} (${marks.join(', ')}).`;
     }
     
     /**
-     * Renders the detailed results showing each question and answer
-     * @param {Array} detailedResults - Array of detailed answer records
-     * @private
+     * Starts the waiting player's turn once they have the device
      */
-    renderDetailedResults(detailedResults) {
-        const detailedElement = elements.detailedResults;
-        if (!detailedElement || !Array.isArray(detailedResults)) return;
+    startPlayerTurn() {
+        if (gameState.status !== 'active' || !this.isHotSeat() || this.uiManager.currentSection !== 'handoff') {
+            return;
+        }
         
-        let resultsHTML = '<h3>Question Review</h3>';
+        this.uiManager.showSection('quiz');
+        this.nextQuestion();
+    }
+    
+    /**
+     * Hosts a cross-window race: waits for another window to join with the same code, then both start the same questions
+     * @param {string} raceCode - Code the other window enters to join
+     * @param {string} playerName - Name shown in the other window
+     * @param {Object} options - Quiz options for both windows (see startQuiz); a seed is chosen if none is given
+     * @returns {boolean} True if the race is open (false if the browser cannot race between windows)
+     */
+    hostRace(raceCode, playerName, options = {}) {
+        // Both windows must get identical questions, so the race is seeded and not adaptive
+        const raceOptions = {
+            ...options,
+            seed: options.seed !== null && options.seed !== undefined ? options.seed : new SeededRandom().getSeed(),
+            adaptive: false,
+            focusItems: [],
+            players: []
+        };
         
-        detailedResults.forEach((result, index) => {
-            const statusClass = result.status; // 'correct', 'incorrect', 'timeout'
-            const statusIcon = this.getStatusIcon(result.status);
-            const timeDisplay = result.timedOut ? 'Timed out' : `${result.timeUsed}s`;
-            
-            resultsHTML += `
-                <div class="result-item ${statusClass}">
-                    <div class="result-header">
-                        <span class="result-number">Q${result.questionNumber}</span>
-                        <span class="result-status">${statusIcon}</span>
-                        <span class="result-time">${timeDisplay}</span>
-                    </div>
-                    <div class="result-question">${result.questionText}</div>
-                    <div class="result-answers">
-                        <div class="result-correct">Correct: ${result.correctAnswer}</div>
-                        ${!result.timedOut ? `<div class="result-user">Your answer: ${result.userAnswer || 'No answer'}</div>` : ''}
-                    </div>
-                </div>
-            `;
+        return this.openRace(raceCode, playerName, message => {
+            if (message.type === RACE_MESSAGES.JOIN && !this.race.opponent) {
+                this.race.opponent = this.createRaceOpponent(message);
+                this.race.channel.send(RACE_MESSAGES.START, { to: message.playerId, options: raceOptions });
+                this.startQuiz({ ...raceOptions, raceCode });
+            }
         });
-        
-        detailedElement.innerHTML = resultsHTML;
     }
     
     /**
-     * Shows a specific section and hides others
-     * @param {string} sectionName - Name of section to show ('start', 'quiz', 'results')
+     * Joins a cross-window race hosted in another window; the quiz starts when the host answers
+     * @param {string} raceCode - Code shown in the host window
+     * @param {string} playerName - Name shown in the other window
+     * @returns {boolean} True if the join request was sent (false if the browser cannot race between windows)
      */
-    showSection(sectionName) {
-        // Hide all sections
-        if (elements.startSection) elements.startSection.style.display = 'none';
-        if (elements.quizSection) elements.quizSection.style.display = 'none';
-        if (elements.resultsSection) elements.resultsSection.style.display = 'none';
+    joinRace(raceCode, playerName) {
+        const opened = this.openRace(raceCode, playerName, message => {
+            if (message.type === RACE_MESSAGES.START && message.to === this.race.channel.playerId && !this.race.opponent) {
+                this.race.opponent = this.createRaceOpponent(message);
+                this.startQuiz({ ...message.options, raceCode });
+            }
+        });
         
-        // Show requested section
-        switch (sectionName) {
-            case 'start':
-                if (elements.startSection) elements.startSection.style.display = 'block';
-                this.currentSection = 'start';
-                break;
-            case 'quiz':
-                if (elements.quizSection) elements.quizSection.style.display = 'block';
-                this.currentSection = 'quiz';
-                // Enable input controls
-                this.enableQuizControls();
-                break;
-            case 'results':
-                if (elements.resultsSection) elements.resultsSection.style.display = 'block';
-                this.currentSection = 'results';
-                break;
+        return opened && this.race.channel.send(RACE_MESSAGES.JOIN);
+    }
+    
+    /**
+     * Leaves the current race, if any, and closes its channel
+     */
+    leaveRace() {
+        if (this.race) {
+            if (this.race.opponent) {
+                this.race.channel.send(RACE_MESSAGES.LEAVE);
+            }
+            this.race.channel.close();
+            this.race = null;
         }
+        this.uiManager.updateRaceProgress(null);
+        this.uiManager.showRaceLobby('');
     }
     
     /**
-     * Enables quiz input controls
+     * Opens the race channel; answer, finish and leave messages update the opponent, everything else goes to onLobbyMessage
+     * @param {string} raceCode - Race code
+     * @param {string} playerName - This window's player name
+     * @param {Function} onLobbyMessage - Handles join and start messages
+     * @returns {boolean} True if the channel opened
+     * @private
      */
-    enableQuizControls() {
-        if (elements.answerInput) {
-            elements.answerInput.disabled = false;
+    openRace(raceCode, playerName, onLobbyMessage) {
+        this.leaveRace();
+        if (!RaceChannel.isSupported()) {
+            return false;
         }
         
-        // Submit button will be enabled by validation system when input is valid
-        if (elements.submitBtn) {
-            elements.submitBtn.disabled = true;
-            elements.submitBtn.classList.remove('ready');
-        }
+        const channel = new RaceChannel();
+        this.race = { code: raceCode, channel, opponent: null, result: null };
+        channel.open(raceCode, playerName, message => {
+            if ([RACE_MESSAGES.ANSWER, RACE_MESSAGES.FINISH, RACE_MESSAGES.LEAVE].includes(message.type)) {
+                this.handleOpponentProgress(message);
+            } else {
+                onLobbyMessage(message);
+            }
+        });
+        return true;
     }
     
     /**
-     * Disables quiz input controls
+     * Creates the opponent's progress record from their first message
+     * @param {Object} message - Join or start message from the other window
+     * @returns {Object} { id, name, answered, correct, finished, averageTime, left }
+     * @private
      */
+    createRaceOpponent(message) {
+        return {
+            id: message.playerId,
+            name: message.playerName || 'Opponent',
+            answered: 0,
+            correct: 0,
+            finished: false,
+            averageTime: null,
+            left: false
+        };
+    }
+    
     /**
-     * Disables quiz input controls
+     * Records the opponent's answer, finish or leave message and updates their progress
+     * @param {Object} message - Answer, finish or leave message
+     * @private
      */
-    disableQuizControls() {
-        if (elements.answerInput) {
-            elements.answerInput.disabled = true;
-            elements.answerInput.classList.remove('valid', 'invalid', 'focused');
+    handleOpponentProgress(message) {
+        const opponent = this.race && this.race.opponent;
+        if (!opponent || message.playerId !== opponent.id || opponent.left) {
+            return;
         }
-        if (elements.submitBtn) {
-            elements.submitBtn.disabled = true;
-            elements.submitBtn.classList.remove('ready');
+        
+        // Leaving before finishing forfeits the race; a finished opponent's result still counts
+        if (message.type === RACE_MESSAGES.LEAVE) {
+            opponent.left = !opponent.finished;
+            this.refreshRaceProgress();
+            return;
         }
         
-        // Clear any input validation feedback
-        if (typeof clearInputValidationFeedback === 'function') {
-            clearInputValidationFeedback();
+        opponent.answered = message.answered;
+        opponent.correct = message.correct;
+        if (message.type === RACE_MESSAGES.FINISH) {
+            opponent.finished = true;
+            opponent.averageTime = message.averageTime;
         }
+        this.refreshRaceProgress();
     }
     
     /**
-     * Clears the answer input field and resets validation state
+     * Sends this window's progress to the opponent
+     * @param {string} type - RACE_MESSAGES.ANSWER after each question, RACE_MESSAGES.FINISH at the end
+     * @private
      */
-    clearAnswerInput() {
-        if (elements.answerInput) {
-            elements.answerInput.value = '';
-            elements.answerInput.classList.remove('valid', 'invalid', 'focused');
-        }
-        
-        // Clear any input validation feedback
-        if (typeof clearInputValidationFeedback === 'function') {
-            clearInputValidationFeedback();
+    reportRaceProgress(type) {
+        if (!this.race || !this.race.opponent || gameState.raceCode === null) {
+            return;
         }
         
-        // Reset submit button state
-        if (typeof updateSubmitButtonState === 'function') {
-            updateSubmitButtonState(false);
+        const score = this.scoreTracker.getScore();
+        const progress = { answered: score.total, correct: score.correct };
+        if (type === RACE_MESSAGES.FINISH) {
+            progress.averageTime = this.race.result.averageTime;
         }
+        this.race.channel.send(type, progress);
     }
     
     /**
-     * Gets the current answer from the input field
-     * @returns {string} Current answer value
+     * Works out who won once both windows have finished: more correct answers, then the faster average time
+     * (an opponent who leaves before finishing forfeits straight away)
+     * @returns {string|null} 'won', 'lost' or 'draw', or null while either window is still playing
      */
-    getCurrentAnswer() {
-        return elements.answerInput ? elements.answerInput.value.trim() : '';
+    getRaceOutcome() {
+        if (this.race && this.race.opponent && this.race.opponent.left) {
+            return 'won';
+        }
+        if (!this.race || !this.race.result || !this.race.opponent || !this.race.opponent.finished) {
+            return null;
+        }
+        
+        const { result, opponent } = this.race;
+        const difference = result.correct - opponent.correct || opponent.averageTime - result.averageTime;
+        return difference > 0 ? 'won' : difference < 0 ? 'lost' : 'draw';
     }
     
     /**
-     * Clears the feedback display
+     * Shows the opponent's progress, and the outcome once the race is over
+     * @private
      */
-    clearFeedback() {
-        if (elements.feedback) {
-            elements.feedback.textContent = '';
-            elements.feedback.classList.remove('correct', 'incorrect');
+    refreshRaceProgress() {
+        if (!this.race || !this.race.opponent || gameState.raceCode === null) {
+            this.uiManager.updateRaceProgress(null);
+            return;
         }
         
-        if (this.feedbackTimeout) {
-            clearTimeout(this.feedbackTimeout);
-            this.feedbackTimeout = null;
-        }
+        this.uiManager.updateRaceProgress({
+            opponent: this.race.opponent,
+            total: this.getQuestionLimit(),
+            result: this.race.result,
+            outcome: this.getRaceOutcome()
+        });
     }
     
     /**
-     * Shows input validation error
-     * @param {string} errorMessage - Error message to display
+     * Joins the classroom quiz on the server this page was loaded from; the teacher's dashboard starts it
+     * and sends everyone from question to question (see server.js)
+     * @param {string} playerName - Name shown on the teacher's leaderboard
+     * @returns {boolean} True if the connection is being made (false if the page cannot reach a classroom server)
      */
-    showInputError(errorMessage) {
-        const feedbackElement = elements.feedback;
-        if (!feedbackElement) return;
-        
-        feedbackElement.textContent = errorMessage;
-        feedbackElement.classList.remove('correct');
-        feedbackElement.classList.add('incorrect');
-        
-        // Clear error after a delay
-        if (this.feedbackTimeout) {
-            clearTimeout(this.feedbackTimeout);
+    joinClassroom(playerName) {
+        this.leaveClassroom();
+        if (!ClassroomClient.isSupported()) {
+            return false;
         }
         
-        this.feedbackTimeout = setTimeout(() => {
-            this.clearFeedback();
-        }, 3000);
+        const client = new ClassroomClient();
+        this.classroom = { client, playerId: null };
+        client.connect(playerName, message => this.handleClassroomMessage(message), () => this.handleClassroomClosed());
+        return true;
     }
     
     /**
-     * Gets performance level description based on percentage
-     * @param {number} percentage - Score percentage
-     * @returns {Object} Performance level with text and CSS class
-     * @private
+     * Leaves the classroom quiz, if joined, and closes the connection
      */
-    getPerformanceLevel(percentage) {
-        if (percentage >= 90) {
-            return { text: 'Excellent!', class: 'excellent' };
-        } else if (percentage >= 80) {
-            return { text: 'Great job!', class: 'great' };
-        } else if (percentage >= 70) {
-            return { text: 'Good work!', class: 'good' };
-        } else if (percentage >= 60) {
-            return { text: 'Not bad!', class: 'okay' };
-        } else {
-            return { text: 'Keep practicing!', class: 'needs-improvement' };
+    leaveClassroom() {
+        if (this.classroom) {
+            this.restoreLearnerMapping();
+            this.classroom.client.close();
+            this.classroom = null;
         }
+        this.uiManager.showClassroomStatus('');
     }
     
     /**
-     * Gets status icon for result display
-     * @param {string} status - Status string ('correct', 'incorrect', 'timeout')
-     * @returns {string} Icon character
+     * Handles a message from the classroom server
+     * @param {Object} message - Message from CLASSROOM_MESSAGES
      * @private
      */
-    getStatusIcon(status) {
-        switch (status) {
-            case 'correct':
-                return '✓';
-            case 'incorrect':
-                return '✗';
-            case 'timeout':
-                return '⏰';
+    handleClassroomMessage(message) {
+        switch (message.type) {
+            case CLASSROOM_MESSAGES.WELCOME:
+                this.classroom.playerId = message.playerId;
+                this.uiManager.showClassroomStatus(`Joined as ${message.name}. Waiting for your teacher to start…`);
+                break;
+            case CLASSROOM_MESSAGES.START:
+                this.startQuiz(ClassroomClient.getQuizOptions(message));
+                break;
+            case CLASSROOM_MESSAGES.QUESTION:
+                this.showRemoteQuestion(message.index, message.marked);
+                break;
+            case CLASSROOM_MESSAGES.FINISH:
+                this.finishRemoteQuiz(message.leaderboard, message.marked);
+                break;
             default:
-                return '?';
+                break;
         }
     }
     
     /**
-     * Updates the quiz interface for accessibility
-     * @param {string} announcement - Text to announce to screen readers
+     * Moves to the question the classroom server sent, taking over the server's marking of the question it closed
+     * @param {number} index - Question index
+     * @param {Object|null} marked - { questionIndex, record } for the closed question (null if there is none)
+     * @private
      */
-    announceToScreenReader(announcement) {
-        // Create or update a live region for screen reader announcements
-        let liveRegion = document.getElementById('sr-live-region');
-        if (!liveRegion) {
-            liveRegion = document.createElement('div');
-            liveRegion.id = 'sr-live-region';
-            liveRegion.className = 'sr-only';
-            liveRegion.setAttribute('aria-live', 'polite');
-            document.body.appendChild(liveRegion);
+    showRemoteQuestion(index, marked = null) {
+        if (gameState.status !== 'active' || !this.isRemoteControlled() || !Number.isInteger(index) ||
+            index < 0 || index >= this.getQuestionLimit() || (this.currentQuestion && index === gameState.currentQuestionIndex)) {
+            return;
         }
         
-        liveRegion.textContent = announcement;
+        this.applyClassroomMarking(marked);
+        gameState.currentQuestionIndex = index;
+        this.nextQuestion();
     }
     
     /**
-     * Resets the UI to initial state
+     * Ends the classroom quiz when the server says so and shows the class leaderboard under the results
+     * @param {Array<Object>} leaderboard - Ranked students from the server
+     * @param {Object|null} marked - { questionIndex, record } for the last question asked (null if there is none)
+     * @private
      */
-    reset() {
-        this.clearFeedback();
-        this.clearAnswerInput();
-        this.currentSection = 'start';
-        
-        // Reset progress
-        this.updateProgress(1, CONFIG.TOTAL_QUESTIONS);
-        
-        // Reset timer display
-        this.updateTimer(CONFIG.QUESTION_TIME_LIMIT);
+    finishRemoteQuiz(leaderboard, marked = null) {
+        if (gameState.status !== 'active' || !this.isRemoteControlled()) {
+            return;
+        }
         
-        // Show start section
-        this.showSection('start');
+        this.applyClassroomMarking(marked);
+        this.endQuiz();
+        this.uiManager.renderClassroomLeaderboard(leaderboard, this.classroom.playerId);
     }
-}
-
-/**
- * QuizGame main controller class
- * Orchestrates all components and manages the complete quiz flow
- */
-class QuizGame {
-    constructor() {
-        this.questionGenerator = new QuestionGenerator();
-        this.timer = new Timer();
-        this.scoreTracker = new ScoreTracker();
-        this.uiManager = new UIManager();
+    
+    /**
+     * Takes over the server's record of a question it has closed, so this device's results match the class
+     * leaderboard even when an answer was still on its way as the question closed
+     * @param {Object|null} marked - { questionIndex, record } from the server
+     * @private
+     */
+    applyClassroomMarking(marked) {
+        const question = marked && Number.isInteger(marked.questionIndex) ? gameState.questions[marked.questionIndex] : null;
+        if (!question || !marked.record || typeof marked.record !== 'object') {
+            return;
+        }
         
-        // Game state management
-        this.currentQuestion = null;
-        this.currentQuestionStartTime = null;
-        this.isWaitingForNextQuestion = false;
-        this.timerCleanupFunction = null;
+        this.scoreTracker.applyMarkedAnswer(question, marked.record);
+    }
+    
+    /**
+     * Remembers the learner's own letter numbering before a quiz sets its own (once per quiz, so a quiz
+     * started over another keeps the numbering from before either)
+     * @private
+     */
+    keepLearnerMapping() {
+        if (this.learnerMappingMode === null) {
+            this.learnerMappingMode = letterMapping.getMode();
+        }
+    }
+    
+    /**
+     * Puts back the learner's own letter numbering once a quiz that set its own has ended or been left
+     * @private
+     */
+    restoreLearnerMapping() {
+        if (this.learnerMappingMode === null) {
+            return;
+        }
         
-        // Bind methods to preserve 'this' context
-        this.handleTimerComplete = this.handleTimerComplete.bind(this);
-        this.handleTimerTick = this.handleTimerTick.bind(this);
+        letterMapping.setMode(this.learnerMappingMode);
+        updateMappingText();
+        this.learnerMappingMode = null;
     }
     
     /**
-     * Initializes and starts a new quiz session
-     * Requirements: 1.1, 1.2, 1.3
+     * Handles the connection to the classroom server closing: a quiz in progress ends with the answers given so far
+     * @private
      */
-    startQuiz() {
-        try {
-            // Reset game state
-            this.resetGameState();
-            
-            // Initialize score tracker
-            this.scoreTracker.initialize(CONFIG.TOTAL_QUESTIONS);
-            
-            // Generate all questions for the quiz
-            gameState.questions = this.generateAllQuestions();
-            gameState.status = 'active';
-            gameState.startTime = new Date();
-            gameState.currentQuestionIndex = 0;
-            
-            // Set up timer focus handling
-            this.timerCleanupFunction = this.timer.setupFocusHandling();
-            
-            // Show quiz section
-            this.uiManager.showSection('quiz');
-            
-            // Start first question
-            this.nextQuestion();
-            
-            console.log('Quiz started successfully');
-        } catch (error) {
-            console.error('Error starting quiz:', error);
-            this.handleError('Failed to start quiz. Please try again.');
+    handleClassroomClosed() {
+        if (gameState.status === 'active' && this.isRemoteControlled()) {
+            this.endQuiz();
+            accessibilityManager.announce('Lost the connection to the classroom quiz', 'assertive');
         }
+        this.restoreLearnerMapping();
+        this.classroom = null;
+        this.uiManager.showClassroomStatus('Not connected to the classroom server');
     }
     
     /**
-     * Advances to the next question or ends the quiz if all questions are completed
-     * Requirements: 1.2, 1.3
+     * Sends the answer record just made to the classroom server
+     * @private
      */
-    nextQuestion() {
-        try {
-            // Check if quiz is complete
-            if (gameState.currentQuestionIndex >= CONFIG.TOTAL_QUESTIONS) {
-                this.endQuiz();
-                return;
-            }
-            
-            // Stop any existing timer
-            this.timer.stop();
-            
-            // Get current question
-            this.currentQuestion = gameState.questions[gameState.currentQuestionIndex];
-            const questionNumber = gameState.currentQuestionIndex + 1;
-            
-            // Display question
-            this.uiManager.displayQuestion(this.currentQuestion, questionNumber);
-            
-            // Record question start time
-            this.currentQuestionStartTime = Date.now();
-            this.isWaitingForNextQuestion = false;
-            
-            // Start timer for this question
-            this.timer.start(
-                CONFIG.QUESTION_TIME_LIMIT,
-                this.handleTimerComplete,
-                this.handleTimerTick
-            );
-            
-            console.log(`Question ${questionNumber} started:`, this.currentQuestion.prompt);
-        } catch (error) {
-            console.error('Error advancing to next question:', error);
-            this.handleError('Failed to load next question. Please try again.');
+    reportClassroomAnswer() {
+        if (!this.classroom || !this.isRemoteControlled()) {
+            return;
         }
+        
+        const records = this.scoreTracker.getDetailedResults();
+        this.classroom.client.send(CLASSROOM_MESSAGES.ANSWER, {
+            questionIndex: gameState.currentQuestionIndex,
+            record: records[records.length - 1]
+        });
     }
     
     /**
-     * Processes and validates a submitted answer
-     * Requirements: 4.4
-     * @param {string} answer - The user's submitted answer
+     * Checks whether the current game is a hot-seat game
+     * @returns {boolean} True when two or more players share the device
      */
-    submitAnswer(answer) {
-        try {
-            // Prevent submission if waiting for next question or quiz not active
-            if (this.isWaitingForNextQuestion || gameState.status !== 'active' || !this.currentQuestion) {
-                return;
-            }
-            
-            // Prevent answer submission after timer expiration
-            if (!this.timer.isActive() || this.timer.getTimeRemaining() <= 0) {
-                console.log('Answer submission blocked: timer has expired');
-                return;
-            }
-            
-            // Validate input format first
-            const expectedType = this.currentQuestion.type === 'alphabet-to-number' ? 'number' : 'letter';
-            const validation = this.questionGenerator.validateInput(answer, expectedType);
-            
-            if (!validation.isValid) {
-                this.uiManager.showInputError(validation.errorMessage);
-                return;
-            }
-            
-            // Calculate time used
-            const timeUsed = Math.floor((Date.now() - this.currentQuestionStartTime) / 1000);
-            
-            // Stop timer
-            this.timer.stop();
-            
-            // Validate answer
-            const isCorrect = this.questionGenerator.validateAnswer(answer, this.currentQuestion.correctAnswer);
-            
-            // Record the answer
-            this.scoreTracker.recordAnswer(
-                this.currentQuestion,
-                answer,
-                isCorrect,
-                timeUsed,
-                false // not timed out
-            );
-            
-            // Show immediate feedback
-            this.uiManager.showFeedback(isCorrect, this.currentQuestion.correctAnswer, answer);
-            
-            // Disable input controls temporarily
-            this.uiManager.disableQuizControls();
-            this.isWaitingForNextQuestion = true;
-            
-            // Move to next question after feedback delay
-            setTimeout(() => {
-                gameState.currentQuestionIndex++;
-                this.nextQuestion();
-            }, 2000);
-            
-            console.log(`Answer submitted: ${answer}, Correct: ${isCorrect}, Time: ${timeUsed}s`);
-        } catch (error) {
-            console.error('Error processing answer:', error);
-            this.handleError('Failed to process answer. Please try again.');
-        }
+    isHotSeat() {
+        return gameState.players.length > 1;
     }
     
     /**
-     * Ends the quiz and displays results
-     * Requirements: 1.3
+     * Checks whether questions move on when the classroom server says so rather than by the quiz's own timing
+     * @returns {boolean} True for remote-controlled modes such as classroom
      */
-    endQuiz() {
-        try {
-            // Stop timer and cleanup
-            this.timer.stop();
-            if (this.timerCleanupFunction) {
-                this.timerCleanupFunction();
-                this.timerCleanupFunction = null;
-            }
-            
-            // Update game state
-            gameState.status = 'completed';
-            gameState.endTime = new Date();
-            
-            // Complete score tracking
-            this.scoreTracker.completeQuiz();
-            
-            // Get results
-            const results = {
-                score: this.scoreTracker.getScore(),
-                performanceStats: this.scoreTracker.getPerformanceStats(),
-                detailedResults: this.scoreTracker.getDetailedResults()
-            };
-            
-            // Display results
-            this.uiManager.renderResults(results);
-            
-            console.log('Quiz completed:', results);
-        } catch (error) {
-            console.error('Error ending quiz:', error);
-            this.handleError('Failed to complete quiz. Please check your results.');
-        }
+    isRemoteControlled() {
+        const mode = GAME_MODES[gameState.gameMode];
+        return Boolean(mode && mode.remote);
     }
     
     /**
@@ -1706,8 +6263,9 @@ class QuizGame {
                 return;
             }
             
-            // Calculate time used (should be full duration)
-            const timeUsed = CONFIG.QUESTION_TIME_LIMIT;
+            // Calculate time used (the full duration, or the time until the classroom server moved on)
+            const timeUsed = this.hasQuestionTimer() ? this.currentQuestion.timeLimit || CONFIG.QUESTION_TIME_LIMIT :
+                Math.floor((Date.now() - this.currentQuestionStartTime) / 1000);
             
             // Record timeout
             this.scoreTracker.recordAnswer(
@@ -1717,19 +6275,24 @@ class QuizGame {
                 timeUsed,
                 true // timed out
             );
+            this.updateAdaptiveRatings(false);
+            this.refreshLives();
+            this.reportRaceProgress(RACE_MESSAGES.ANSWER);
+            this.reportClassroomAnswer();
             
             // Show timeout feedback
-            this.uiManager.showTimeoutFeedback(this.currentQuestion.correctAnswer);
+            if (this.isAnswerHeldBack()) {
+                this.uiManager.showAnswerSavedFeedback(true);
+            } else {
+                this.uiManager.showTimeoutFeedback(this.currentQuestion.correctAnswer);
+            }
             
             // Disable input controls
             this.uiManager.disableQuizControls();
             this.isWaitingForNextQuestion = true;
             
             // Move to next question after feedback delay
-            setTimeout(() => {
-                gameState.currentQuestionIndex++;
-                this.nextQuestion();
-            }, 2000);
+            setTimeout(() => this.advanceAfterFeedback(), 2000);
             
             console.log('Question timed out:', this.currentQuestion.prompt);
         } catch (error) {
@@ -1738,25 +6301,335 @@ class QuizGame {
     }
     
     /**
-     * Handles timer tick updates
-     * @param {number} timeRemaining - Seconds remaining
+     * Handles timer tick updates
+     * @param {number} timeRemaining - Seconds remaining
+     * @private
+     */
+    handleTimerTick(timeRemaining) {
+        this.uiManager.updateTimer(timeRemaining);
+    }
+    
+    /**
+     * Handles the session clock running out: an unanswered question is dropped and the quiz ends
+     * @private
+     */
+    handleSessionTimeUp() {
+        if (gameState.status !== 'active') {
+            return;
+        }
+        
+        console.log('Session time is up');
+        this.endQuiz();
+    }
+    
+    /**
+     * Starts the session clock, which shows on the timer display
+     * @param {number} seconds - Seconds left in the session
+     * @private
+     */
+    startSessionClock(seconds) {
+        this.sessionTimer.start(seconds, this.handleSessionTimeUp, this.handleTimerTick);
+    }
+    
+    /**
+     * Pauses both the question timer and the session clock while the page is hidden
+     * @private
+     */
+    setupTimerFocusHandling() {
+        const cleanupQuestionTimer = this.timer.setupFocusHandling();
+        const cleanupSessionTimer = this.sessionTimer.setupFocusHandling();
+        this.timerCleanupFunction = () => {
+            cleanupQuestionTimer();
+            cleanupSessionTimer();
+        };
+    }
+    
+    /**
+     * Generates all questions for the quiz session (one batch for open-ended sessions) using the current sampling strategy
+     * @param {Array<string>} dueItems - Letters to ask first (letters due for review, or a drill's letters)
+     * @returns {Array} Array of question objects
+     * @private
+     */
+    generateAllQuestions(dueItems = []) {
+        const alphabet = this.questionGenerator.alphabet;
+        const reviewItems = dueItems.map(item => alphabet.indexOf(item)).filter(index => index !== -1);
+        const questions = this.questionSampler.sample(CONFIG.TOTAL_QUESTIONS, reviewItems, !gameState.replay);
+        if (gameState.answerMode !== 'choice') {
+            return questions;
+        }
+        return questions.map(question => this.questionGenerator.addChoices(question));
+    }
+    
+    /**
+     * Generates the next adaptive question: the letter and time limit come from the ratings
+     * @returns {Object} Question object with adaptiveItem and timeLimit
+     * @private
+     */
+    generateNextQuestion() {
+        const asked = gameState.questions.map(question => question && question.adaptiveItem).filter(Boolean);
+        const letter = this.adaptiveEngine.chooseNextItem(this.questionGenerator.random, asked);
+        const question = {
+            ...this.questionGenerator.generateQuestion(null, this.questionGenerator.alphabet.indexOf(letter)),
+            adaptiveItem: letter,
+            timeLimit: this.adaptiveEngine.getTimeLimit(letter)
+        };
+        
+        return gameState.answerMode === 'choice' ? this.questionGenerator.addChoices(question) : question;
+    }
+    
+    /**
+     * Generates the next question of a levelled session: the level sets the time limit and which letters can come up
+     * @returns {Object} Question object with level and timeLimit
+     * @private
+     */
+    generateLevelQuestion() {
+        const level = this.getCurrentLevel();
+        const { timeLimit, letters } = this.endlessLevels.getSettings(level);
+        const alphabet = this.questionGenerator.alphabet;
+        const pool = gameState.focusItems.length > 0 ? gameState.focusItems : alphabet.slice(0, letters);
+        const letter = pool[this.questionGenerator.random.nextInt(pool.length)];
+        const question = {
+            ...this.questionGenerator.generateQuestion(null, alphabet.indexOf(letter)),
+            level,
+            timeLimit
+        };
+        
+        return gameState.answerMode === 'choice' ? this.questionGenerator.addChoices(question) : question;
+    }
+    
+    /**
+     * Generates the next question of a retry round, going round the mistakes that still need correct answers
+     * @returns {Object} Copy of a mistaken question with a new id and retryOf set to the original question's id
+     * @private
+     */
+    generateRetryQuestion() {
+        const pending = gameState.retryQuestions.filter(question => !this.isRetryItemDone(question.id));
+        const previous = gameState.questions[gameState.currentQuestionIndex - 1];
+        const previousIndex = previous ? gameState.retryQuestions.findIndex(question => question.id === previous.retryOf) : -1;
+        const next = pending.find(question => gameState.retryQuestions.indexOf(question) > previousIndex) || pending[0];
+        
+        return {
+            ...next,
+            id: `${next.id}-retry-${gameState.currentQuestionIndex + 1}`,
+            retryOf: next.id
+        };
+    }
+    
+    /**
+     * Starts a retry round from the session just finished, re-asking its wrong answers and timeouts
+     * until each has been answered correctly CONFIG.RETRY_CORRECT_NEEDED times
+     * @returns {boolean} True if a round was started (false if there were no mistakes, this is already a retry round
+     *                    or the session was a hot-seat game)
+     */
+    startRetryRound() {
+        if (gameState.status !== 'completed' || this.isRetryRound() || this.isHotSeat()) {
+            return false;
+        }
+        
+        // Wrong answers and timeouts, once per question
+        const mistakes = [];
+        [...this.scoreTracker.getIncorrectAnswers(), ...this.scoreTracker.getTimedOutQuestions()].forEach(record => {
+            if (!mistakes.some(mistake => mistake.questionId === record.questionId)) {
+                mistakes.push(record);
+            }
+        });
+        const retryQuestions = mistakes
+            .map(record => gameState.questions.find(question => question && question.id === record.questionId))
+            .filter(Boolean);
+        if (retryQuestions.length === 0) {
+            return false;
+        }
+        
+        const original = this.scoreTracker.exportResults();
+        const retryOf = {
+            startTime: original.metadata.startTime,
+            seed: original.metadata.seed,
+            gameMode: original.metadata.gameMode,
+            score: original.score,
+            mistakes: mistakes.map(record => ({
+                questionId: record.questionId,
+                questionNumber: record.questionNumber,
+                questionText: record.questionText,
+                correctAnswer: record.correctAnswer,
+                userAnswer: record.userAnswer,
+                timedOut: record.timedOut
+            }))
+        };
+        
+        this.startQuiz({
+            seed: gameState.seed,
+            samplingStrategy: gameState.samplingStrategy,
+            questionTypes: gameState.questionTypes,
+            arithmeticOptions: gameState.arithmeticOptions,
+            sequenceDifficulty: gameState.sequenceDifficulty,
+            mappingMode: gameState.mappingMode,
+            answerMode: gameState.answerMode,
+            gameMode: 'retry',
+            retryOf,
+            retryQuestions
+        });
+        return true;
+    }
+    
+    /**
+     * Checks whether the current session is a retry round
+     * @returns {boolean} True for the retry game mode
+     */
+    isRetryRound() {
+        const mode = GAME_MODES[gameState.gameMode];
+        return Boolean(mode && mode.retry);
+    }
+    
+    /**
+     * Checks whether a mistake has been answered correctly often enough in the retry round
+     * @param {string} questionId - Id of the original question
+     * @returns {boolean} True once it has CONFIG.RETRY_CORRECT_NEEDED correct answers
+     * @private
+     */
+    isRetryItemDone(questionId) {
+        const correct = this.scoreTracker.answerRecords.filter(record => record.isCorrect && record.retryOf === questionId).length;
+        return correct >= CONFIG.RETRY_CORRECT_NEEDED;
+    }
+    
+    /**
+     * Checks whether every mistake in a retry round has been put right
+     * @returns {boolean} True once a retry round is done (always false outside retry rounds)
+     */
+    isRetryComplete() {
+        return this.isRetryRound() && gameState.retryQuestions.every(question => this.isRetryItemDone(question.id));
+    }
+    
+    /**
+     * Checks whether the current game mode runs a question timer
+     * @returns {boolean} False for untimed modes such as practice and for blitz
+     */
+    hasQuestionTimer() {
+        const mode = GAME_MODES[gameState.gameMode];
+        return !mode || (mode.timed && mode.questionTimer !== false);
+    }
+    
+    /**
+     * Checks whether the current game mode runs a clock for the whole session
+     * @returns {boolean} True for modes with a sessionTime, such as blitz
+     */
+    hasSessionClock() {
+        const mode = GAME_MODES[gameState.gameMode];
+        return Boolean(mode && mode.sessionTime);
+    }
+    
+    /**
+     * Checks whether the session clock has run out
+     * @returns {boolean} True once a session clock has stopped (always false without one)
+     */
+    isSessionTimeUp() {
+        return this.hasSessionClock() && !this.sessionTimer.isActive();
+    }
+    
+    /**
+     * Gets how many questions the session asks
+     * @returns {number|null} CONFIG.TOTAL_QUESTIONS, or null for open-ended modes
+     */
+    getQuestionLimit() {
+        const mode = GAME_MODES[gameState.gameMode];
+        return mode && mode.openEnded ? null : CONFIG.TOTAL_QUESTIONS;
+    }
+    
+    /**
+     * Checks whether the current game mode goes up in levels, such as endless
+     * @returns {boolean} True for modes with levels
+     */
+    hasLevels() {
+        const mode = GAME_MODES[gameState.gameMode];
+        return Boolean(mode && mode.levels);
+    }
+    
+    /**
+     * Gets the level reached from the correct answers so far
+     * @returns {number|null} Level, or null if the mode has no levels
+     */
+    getCurrentLevel() {
+        return this.hasLevels() ? this.endlessLevels.getLevel(this.scoreTracker.getScore().correct) : null;
+    }
+    
+    /**
+     * Updates the level display with the current level's time limit and letters
+     * @private
+     */
+    refreshLevel() {
+        const level = this.getCurrentLevel();
+        this.uiManager.updateLevel(level, level !== null ? this.endlessLevels.getSettings(level) : null);
+    }
+    
+    /**
+     * Gets the lives left, counting every wrong answer and timeout so far as a lost life
+     * @returns {number|null} Lives left, or null if the mode has no lives
+     */
+    getLivesRemaining() {
+        const mode = GAME_MODES[gameState.gameMode];
+        if (!mode || !mode.lives) {
+            return null;
+        }
+        const livesLost = this.scoreTracker.answerRecords.filter(record => !record.isCorrect).length;
+        return Math.max(0, mode.lives - livesLost);
+    }
+    
+    /**
+     * Updates the lives display from the answers so far
      * @private
      */
-    handleTimerTick(timeRemaining) {
-        this.uiManager.updateTimer(timeRemaining);
+    refreshLives() {
+        const mode = GAME_MODES[gameState.gameMode];
+        this.uiManager.updateLives(this.getLivesRemaining(), mode && mode.lives ? mode.lives : 0);
     }
     
     /**
-     * Generates all questions for the quiz session
-     * @returns {Array} Array of question objects
+     * Gets the letters a drill asks about, repeated to fill one batch of questions
+     * @returns {Array<string>} Letters in asking order, or an empty list outside drills
+     * @private
+     */
+    getFocusPriorityItems() {
+        return gameState.focusItems.length > 0 ?
+            Array.from({ length: CONFIG.TOTAL_QUESTIONS }, (_, i) => gameState.focusItems[i % gameState.focusItems.length]) : [];
+    }
+    
+    /**
+     * Checks whether the current question's time has run out (never in untimed modes)
+     * @returns {boolean} True if answers should no longer be accepted
+     */
+    isQuestionTimeUp() {
+        return this.hasQuestionTimer() && (!this.timer.isActive() || this.timer.getTimeRemaining() <= 0);
+    }
+    
+    /**
+     * Updates the adaptive ratings after the current question is answered or times out
+     * @param {boolean} isCorrect - Whether the answer was correct
      * @private
      */
-    generateAllQuestions() {
-        const questions = [];
-        for (let i = 0; i < CONFIG.TOTAL_QUESTIONS; i++) {
-            questions.push(this.questionGenerator.generateQuestion());
+    updateAdaptiveRatings(isCorrect) {
+        if (gameState.adaptive && this.currentQuestion && this.currentQuestion.adaptiveItem) {
+            this.adaptiveEngine.recordAnswer(this.currentQuestion.adaptiveItem, isCorrect);
         }
-        return questions;
+    }
+    
+    /**
+     * Shows the current review schedule on the start screen
+     */
+    refreshReviewSchedule() {
+        this.uiManager.renderReviewSchedule(this.scheduler.getSchedule(), entry => this.scheduler.describeDue(entry));
+    }
+    
+    /**
+     * Shows the daily challenge calendar and streak on the start screen
+     */
+    refreshDailyCalendar() {
+        this.uiManager.renderDailyCalendar(this.dailyChallenge.getCalendar(), this.dailyChallenge.getStreak());
+    }
+    
+    /**
+     * Re-renders the progress charts from the saved session history
+     */
+    refreshProgress() {
+        this.uiManager.renderProgress(this.sessionHistory.getTrend(), this.sessionHistory.maxSessions);
     }
     
     /**
@@ -1770,7 +6643,26 @@ class QuizGame {
         gameState.status = 'not-started';
         gameState.startTime = null;
         gameState.endTime = null;
-        
+        gameState.seed = null;
+        gameState.replay = false;
+        gameState.samplingStrategy = null;
+        gameState.questionTypes = [];
+        gameState.arithmeticOptions = null;
+        gameState.sequenceDifficulty = null;
+        gameState.mappingMode = null;
+        gameState.answerMode = null;
+        gameState.adaptive = false;
+        gameState.focusItems = [];
+        gameState.gameMode = null;
+        gameState.dailyDate = null;
+        gameState.retryOf = null;
+        gameState.retryQuestions = [];
+        gameState.players = [];
+        gameState.playerOrder = null;
+        gameState.currentPlayerIndex = 0;
+        gameState.raceCode = null;
+        
+        this.players = [];
         this.currentQuestion = null;
         this.currentQuestionStartTime = null;
         this.isWaitingForNextQuestion = false;
@@ -1792,6 +6684,7 @@ class QuizGame {
         // If error is critical, reset to start state
         if (gameState.status === 'active') {
             this.timer.stop();
+            this.sessionTimer.stop();
             gameState.status = 'error';
         }
     }
@@ -1815,12 +6708,16 @@ class QuizGame {
         try {
             // Stop current quiz
             this.timer.stop();
+            this.sessionTimer.stop();
             if (this.timerCleanupFunction) {
                 this.timerCleanupFunction();
                 this.timerCleanupFunction = null;
             }
             
             // Reset everything
+            this.leaveRace();
+            this.leaveClassroom();
+            this.restoreLearnerMapping();
             this.resetGameState();
             
             // Show start section
@@ -1832,6 +6729,119 @@ class QuizGame {
         }
     }
     
+    /**
+     * Captures an active quiz so it can be resumed after the page is reloaded
+     * @returns {Object|null} Snapshot with the questions, answer records and time left, or null if no quiz is active
+     *                        (or the quiz is a hot-seat game, a race or a classroom quiz)
+     */
+    createSnapshot() {
+        // Hot-seat games, races and classroom quizzes are not saved: the device is passed around or the other
+        // players will not wait, so a reload ends the game
+        if (gameState.status !== 'active' || this.isHotSeat() || gameState.raceCode !== null || this.isRemoteControlled()) {
+            return null;
+        }
+        
+        return {
+            version: QUIZ_SNAPSHOT_VERSION,
+            timestamp: Date.now(),
+            game: {
+                questions: gameState.questions,
+                answers: gameState.answers,
+                startTime: gameState.startTime,
+                seed: gameState.seed,
+                replay: gameState.replay,
+                randomState: this.questionGenerator.getRandomState(),
+                samplingStrategy: gameState.samplingStrategy,
+                questionTypes: gameState.questionTypes,
+                arithmeticOptions: gameState.arithmeticOptions,
+                sequenceDifficulty: gameState.sequenceDifficulty,
+                mappingMode: gameState.mappingMode,
+                answerMode: gameState.answerMode,
+                adaptive: gameState.adaptive,
+                focusItems: gameState.focusItems,
+                gameMode: gameState.gameMode,
+                dailyDate: gameState.dailyDate,
+                retryOf: gameState.retryOf,
+                retryQuestions: gameState.retryQuestions
+            },
+            scoreTracker: this.scoreTracker.getSnapshot(),
+            // Once the current question is answered its feedback is showing, so there is no time left to restore
+            timeRemaining: this.isWaitingForNextQuestion || !this.hasQuestionTimer() ? null : this.timer.getTimeRemaining(),
+            sessionTimeRemaining: this.hasSessionClock() ? this.sessionTimer.getTimeRemaining() : null
+        };
+    }
+    
+    /**
+     * Resumes a quiz from a snapshot: the unanswered question comes back with the time it had left
+     * @param {Object} snapshot - Snapshot from createSnapshot
+     * @returns {boolean} True if the quiz was resumed
+     */
+    restoreSnapshot(snapshot) {
+        try {
+            if (!snapshot || snapshot.version !== QUIZ_SNAPSHOT_VERSION || !snapshot.game || !Array.isArray(snapshot.game.questions)) {
+                throw new Error('Unsupported quiz snapshot');
+            }
+            
+            const { game } = snapshot;
+            this.resetGameState();
+            
+            // Restore the session settings the quiz was started with; open-ended and adaptive quizzes keep
+            // generating questions, so they carry on from the saved point in the seed's sequence
+            this.questionGenerator.setRandom(new SeededRandom(game.seed));
+            this.questionGenerator.restoreRandomState(game.randomState);
+            this.questionGenerator.setQuestionTypes(game.questionTypes);
+            this.questionGenerator.setArithmeticOptions(game.arithmeticOptions ||
+                { operations: CONFIG.ARITHMETIC_OPERATIONS, wrap: CONFIG.ARITHMETIC_WRAP });
+            gameState.sequenceDifficulty = SEQUENCE_DIFFICULTIES[game.sequenceDifficulty] ? game.sequenceDifficulty : CONFIG.SEQUENCE_DIFFICULTY;
+            this.questionGenerator.setSequenceOptions(gameState.sequenceDifficulty);
+            this.questionSampler.setStrategy(game.samplingStrategy);
+            this.keepLearnerMapping();
+            letterMapping.setMode(game.mappingMode);
+            updateMappingText();
+            gameState.seed = game.seed;
+            gameState.replay = Boolean(game.replay);
+            gameState.samplingStrategy = game.samplingStrategy;
+            gameState.questionTypes = this.questionGenerator.getQuestionTypes();
+            gameState.arithmeticOptions = this.questionGenerator.getArithmeticOptions();
+            gameState.mappingMode = game.mappingMode;
+            gameState.answerMode = ANSWER_MODES[game.answerMode] ? game.answerMode : CONFIG.ANSWER_MODE;
+            gameState.adaptive = Boolean(game.adaptive);
+            gameState.focusItems = Array.isArray(game.focusItems) ? [...game.focusItems] : [];
+            gameState.gameMode = GAME_MODES[game.gameMode] ? game.gameMode : CONFIG.GAME_MODE;
+            gameState.dailyDate = game.dailyDate || null;
+            gameState.retryOf = game.retryOf || null;
+            gameState.retryQuestions = Array.isArray(game.retryQuestions) ? game.retryQuestions : [];
+            if (this.isRetryRound() && gameState.retryQuestions.length === 0) {
+                throw new Error('Retry round snapshot has no questions to retry');
+            }
+            gameState.questions = game.questions;
+            gameState.answers = Array.isArray(game.answers) ? game.answers : [];
+            gameState.startTime = game.startTime ? new Date(game.startTime) : new Date();
+            
+            // The recorded answers decide which question comes next
+            this.scoreTracker.restoreSnapshot(snapshot.scoreTracker);
+            const answeredCount = this.scoreTracker.answerRecords.length;
+            const timeRemaining = typeof snapshot.timeRemaining === 'number' ? snapshot.timeRemaining : null;
+            gameState.currentQuestionIndex = answeredCount;
+            gameState.status = 'active';
+            
+            this.setupTimerFocusHandling();
+            this.uiManager.showSection('quiz');
+            if (this.hasSessionClock()) {
+                this.startSessionClock(typeof snapshot.sessionTimeRemaining === 'number' ?
+                    snapshot.sessionTimeRemaining : GAME_MODES[gameState.gameMode].sessionTime);
+            }
+            this.nextQuestion(timeRemaining);
+            
+            console.log('Quiz resumed at question', answeredCount + 1);
+            return true;
+        } catch (error) {
+            console.error('Error restoring quiz:', error);
+            this.restartQuiz();
+            return false;
+        }
+    }
+    
     /**
      * Pauses the current quiz (useful for focus loss)
      */
@@ -1839,6 +6849,9 @@ class QuizGame {
         if (gameState.status === 'active' && this.timer.isActive()) {
             this.timer.pause();
         }
+        if (gameState.status === 'active' && this.sessionTimer.isActive()) {
+            this.sessionTimer.pause();
+        }
     }
     
     /**
@@ -1848,6 +6861,9 @@ class QuizGame {
         if (gameState.status === 'active' && this.timer.isPausedState()) {
             this.timer.resume();
         }
+        if (gameState.status === 'active' && this.sessionTimer.isPausedState()) {
+            this.sessionTimer.resume();
+        }
     }
 }
 
@@ -1858,39 +6874,247 @@ function initializeDOM() {
     // Get DOM element references
     elements.startSection = document.getElementById('start-section');
     elements.quizSection = document.getElementById('quiz-section');
+    elements.handoffSection = document.getElementById('handoff-section');
     elements.resultsSection = document.getElementById('results-section');
     
     elements.currentQuestionSpan = document.getElementById('current-question');
     elements.totalQuestionsSpan = document.getElementById('total-questions');
+    elements.playerTurn = document.getElementById('player-turn');
+    elements.raceProgress = document.getElementById('race-progress');
+    elements.livesDisplay = document.getElementById('lives-display');
+    elements.levelDisplay = document.getElementById('level-display');
+    elements.timerContainer = document.getElementById('timer-container');
     elements.timerDisplay = document.getElementById('timer');
     elements.questionDisplay = document.getElementById('question');
     elements.answerInput = document.getElementById('answer-input');
+    elements.answerChoices = document.getElementById('answer-choices');
     elements.submitBtn = document.getElementById('submit-btn');
     elements.feedback = document.getElementById('feedback');
     
     elements.startBtn = document.getElementById('start-btn');
+    elements.dailyBtn = document.getElementById('daily-btn');
     elements.restartBtn = document.getElementById('restart-btn');
-    
+    elements.replayBtn = document.getElementById('replay-btn');
+    elements.retryMistakesBtn = document.getElementById('retry-mistakes-btn');
+    elements.handoffBtn = document.getElementById('handoff-btn');
+    elements.handoffPlayer = document.getElementById('handoff-player');
+    elements.handoffMessage = document.getElementById('handoff-message');
+    
+    elements.seedInput = document.getElementById('seed-input');
+    elements.gameModeSelect = document.getElementById('game-mode-select');
+    elements.strategySelect = document.getElementById('strategy-select');
+    elements.mappingSelect = document.getElementById('mapping-select');
+    elements.answerModeSelect = document.getElementById('answer-mode-select');
+    elements.adaptiveToggle = document.getElementById('adaptive-toggle');
+    elements.arithmeticSelect = document.getElementById('arithmetic-select');
+    elements.arithmeticWrapToggle = document.getElementById('arithmetic-wrap-toggle');
+    elements.sequenceDifficultySelect = document.getElementById('sequence-difficulty-select');
+    elements.playerNameInputs = document.querySelectorAll('.player-name-input');
+    elements.playerOrderSelect = document.getElementById('player-order-select');
+    elements.raceNameInput = document.getElementById('race-name-input');
+    elements.raceCodeInput = document.getElementById('race-code-input');
+    elements.hostRaceBtn = document.getElementById('host-race-btn');
+    elements.joinRaceBtn = document.getElementById('join-race-btn');
+    elements.raceLobby = document.getElementById('race-lobby');
+    elements.classroomNameInput = document.getElementById('classroom-name-input');
+    elements.joinClassroomBtn = document.getElementById('join-classroom-btn');
+    elements.classroomStatus = document.getElementById('classroom-status');
+    elements.questionTypeOptions = document.getElementById('question-type-options');
+    
+    elements.reviewSchedule = document.getElementById('review-schedule');
+    elements.progressView = document.getElementById('progress-view');
+    elements.dailyCalendar = document.getElementById('daily-calendar');
     elements.scoreSummary = document.getElementById('score-summary');
+    elements.coachingTips = document.getElementById('coaching-tips');
+    elements.retryReport = document.getElementById('retry-report');
+    elements.leaderboard = document.getElementById('leaderboard');
+    elements.masteryHeatmap = document.getElementById('mastery-heatmap');
     elements.detailedResults = document.getElementById('detailed-results');
     
     // Set initial values
     elements.totalQuestionsSpan.textContent = CONFIG.TOTAL_QUESTIONS;
+    renderQuestionTypeOptions();
+    updateMappingText();
     
     // Set up event listeners
     setupEventListeners();
 }
 
+/**
+ * Renders a checkbox for every registered question type on the start screen
+ */
+function renderQuestionTypeOptions() {
+    if (!elements.questionTypeOptions) return;
+    
+    elements.questionTypeOptions.innerHTML = '';
+    questionTypeRegistry.getTypes().forEach(type => {
+        const definition = questionTypeRegistry.get(type);
+        const label = document.createElement('label');
+        label.className = 'option-checkbox';
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.name = 'question-type';
+        checkbox.value = type;
+        checkbox.checked = definition.isDefault;
+        
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(` ${definition.label || type}`));
+        elements.questionTypeOptions.appendChild(label);
+    });
+}
+
+/**
+ * Updates the instructions, input help and footer to describe the active letter mapping
+ */
+function updateMappingText() {
+    if (typeof document === 'undefined') return;
+    
+    const { min, max } = letterMapping.getRange();
+    const inputHelp = document.getElementById('input-help');
+    const numberRange = document.getElementById('number-range');
+    const mappingDescription = document.getElementById('mapping-description');
+    
+    if (inputHelp) {
+        inputHelp.textContent = `Enter a letter A through Z or a number ${min} through ${max}`;
+    }
+    if (numberRange) {
+        numberRange.textContent = `${min}-${max}`;
+    }
+    if (mappingDescription) {
+        mappingDescription.textContent = letterMapping.describe();
+    }
+}
+
+/**
+ * Gets the question types checked on the start screen
+ * @returns {Array<string>} Checked question type keys
+ */
+function getSelectedQuestionTypes() {
+    if (!elements.questionTypeOptions) return [];
+    
+    const checked = elements.questionTypeOptions.querySelectorAll('input[name="question-type"]:checked');
+    return Array.from(checked).map(checkbox => checkbox.value);
+}
+
+/**
+ * Gets the quiz options chosen in the start screen's selects
+ * @returns {Object} gameMode, samplingStrategy, mappingMode, answerMode and adaptive for QuizGame.startQuiz
+ */
+function getSelectedQuizOptions() {
+    const options = {};
+    if (elements.gameModeSelect) {
+        options.gameMode = elements.gameModeSelect.value;
+    }
+    if (elements.strategySelect) {
+        options.samplingStrategy = elements.strategySelect.value;
+    }
+    if (elements.mappingSelect) {
+        options.mappingMode = elements.mappingSelect.value;
+    }
+    if (elements.answerModeSelect) {
+        options.answerMode = elements.answerModeSelect.value;
+    }
+    if (elements.adaptiveToggle) {
+        options.adaptive = elements.adaptiveToggle.checked;
+    }
+    const arithmeticOptions = getSelectedArithmeticOptions();
+    if (arithmeticOptions) {
+        options.arithmeticOptions = arithmeticOptions;
+    }
+    if (elements.sequenceDifficultySelect) {
+        options.sequenceDifficulty = elements.sequenceDifficultySelect.value;
+    }
+    return options;
+}
+
+/**
+ * Gets the letter arithmetic options chosen on the start screen
+ * @returns {Object|null} Arithmetic options with operations and wrap, or null if the controls are missing
+ */
+function getSelectedArithmeticOptions() {
+    if (!elements.arithmeticSelect || !elements.arithmeticWrapToggle) return null;
+    
+    return {
+        operations: elements.arithmeticSelect.value.split(','),
+        wrap: elements.arithmeticWrapToggle.checked
+    };
+}
+
+/**
+ * Cleans a typed player name for display
+ * @param {string} name - Name as typed
+ * @returns {string} Trimmed name without characters that could be read as markup
+ */
+function sanitizePlayerName(name) {
+    return name.replace(/[<>&"']/g, '').trim();
+}
+
+/**
+ * Gets the hot-seat player names entered on the start screen
+ * @returns {Array<string>} Non-blank names in entry order
+ */
+function getSelectedPlayers() {
+    if (!elements.playerNameInputs) return [];
+    
+    return Array.from(elements.playerNameInputs)
+        .map(input => sanitizePlayerName(input.value))
+        .filter(name => name !== '')
+        .slice(0, CONFIG.MAX_PLAYERS);
+}
+
+/**
+ * Gets the name this window races under
+ * @returns {string} Name from the race panel, or 'Player' if it was left blank
+ */
+function getRaceName() {
+    const name = elements.raceNameInput ? sanitizePlayerName(elements.raceNameInput.value) : '';
+    return name || 'Player';
+}
+
 /**
  * Set up all event listeners
  */
 function setupEventListeners() {
     // Start button
     elements.startBtn.addEventListener('click', handleStartQuiz);
+    if (elements.dailyBtn) {
+        elements.dailyBtn.addEventListener('click', handleDailyChallenge);
+    }
     
     // Restart button
     elements.restartBtn.addEventListener('click', handleRestartQuiz);
     
+    // Replay button
+    if (elements.replayBtn) {
+        elements.replayBtn.addEventListener('click', handleReplayQuiz);
+    }
+    
+    if (elements.retryMistakesBtn) {
+        elements.retryMistakesBtn.addEventListener('click', handleRetryMistakes);
+    }
+    
+    if (elements.handoffBtn) {
+        elements.handoffBtn.addEventListener('click', handleHandoffReady);
+    }
+    
+    if (elements.hostRaceBtn) {
+        elements.hostRaceBtn.addEventListener('click', handleHostRace);
+    }
+    
+    if (elements.joinRaceBtn) {
+        elements.joinRaceBtn.addEventListener('click', handleJoinRace);
+    }
+    
+    if (elements.joinClassroomBtn) {
+        elements.joinClassroomBtn.addEventListener('click', handleJoinClassroom);
+    }
+    
+    // Preview the chosen numbering in the instructions
+    if (elements.mappingSelect) {
+        elements.mappingSelect.addEventListener('change', handleMappingChange);
+    }
+    
     // Submit button
     elements.submitBtn.addEventListener('click', handleSubmitAnswer);
     
@@ -1913,6 +7137,13 @@ function setupEventListeners() {
         });
     }
     
+    // Closing or leaving the page forfeits a race still in progress
+    window.addEventListener('pagehide', () => {
+        if (window.quizGame) {
+            window.quizGame.leaveRace();
+        }
+    });
+    
     // Prevent page refresh during quiz
     window.addEventListener('beforeunload', (e) => {
         if (gameState.status === 'active') {
@@ -1928,8 +7159,62 @@ function setupEventListeners() {
  */
 function handleStartQuiz() {
     console.log('Start quiz button clicked');
-    if (window.quizGame) {
-        window.quizGame.startQuiz();
+    if (!window.quizGame) return;
+    
+    // Use the quiz code if one was entered
+    const seedValue = elements.seedInput ? elements.seedInput.value.trim() : '';
+    if (seedValue !== '' && !/^\d+$/.test(seedValue)) {
+        elements.seedInput.classList.add('invalid');
+        elements.seedInput.setAttribute('aria-invalid', 'true');
+        elements.seedInput.focus();
+        accessibilityManager.announce('Quiz code must contain only digits', 'assertive');
+        return;
+    }
+    
+    if (elements.seedInput) {
+        elements.seedInput.classList.remove('invalid');
+        elements.seedInput.removeAttribute('aria-invalid');
+    }
+    
+    const options = { seed: seedValue !== '' ? seedValue : null, ...getSelectedQuizOptions() };
+    
+    // Two or more names make a hot-seat game, which needs a set number of questions
+    const players = getSelectedPlayers();
+    if (players.length > 1) {
+        if (GAME_MODES[options.gameMode] && GAME_MODES[options.gameMode].openEnded) {
+            accessibilityManager.announce('Hot-seat games need Standard or Practice mode', 'assertive');
+            elements.gameModeSelect.focus();
+            return;
+        }
+        options.players = players;
+        if (elements.playerOrderSelect) {
+            options.playerOrder = elements.playerOrderSelect.value;
+        }
+    }
+    
+    if (elements.questionTypeOptions) {
+        const questionTypes = getSelectedQuestionTypes();
+        if (questionTypes.length === 0) {
+            accessibilityManager.announce('Choose at least one question type', 'assertive');
+            const firstCheckbox = elements.questionTypeOptions.querySelector('input');
+            if (firstCheckbox) firstCheckbox.focus();
+            return;
+        }
+        options.questionTypes = questionTypes;
+    }
+    
+    window.quizGame.startQuiz(options);
+}
+
+/**
+ * Event handler for changing the letter numbering on the start screen
+ */
+function handleMappingChange() {
+    try {
+        letterMapping.setMode(elements.mappingSelect.value);
+        updateMappingText();
+    } catch (error) {
+        console.error('Error changing letter mapping:', error);
     }
 }
 
@@ -1943,6 +7228,178 @@ function handleRestartQuiz() {
     }
 }
 
+/**
+ * Event handler for replaying the last quiz with the same seed
+ */
+function handleReplayQuiz() {
+    console.log('Replay quiz button clicked');
+    if (window.quizGame) {
+        const { seed, samplingStrategy, questionTypes, arithmeticOptions, sequenceDifficulty, mappingMode, answerMode, adaptive, focusItems, gameMode, retryOf, retryQuestions, players, playerOrder } = window.quizGame.getGameState();
+        window.quizGame.startQuiz({ seed, samplingStrategy, questionTypes, arithmeticOptions, sequenceDifficulty, mappingMode, answerMode, adaptive, focusItems, gameMode, retryOf, retryQuestions, players, playerOrder });
+    }
+}
+
+/**
+ * Event handler for hosting a cross-window race with the options chosen on the start screen
+ */
+function handleHostRace() {
+    console.log('Host race button clicked');
+    if (!window.quizGame) return;
+    
+    // Both windows must finish on the same question, so races need a set number of questions
+    const options = getSelectedQuizOptions();
+    if (GAME_MODES[options.gameMode] && GAME_MODES[options.gameMode].openEnded) {
+        window.quizGame.uiManager.showRaceLobby('Races need Standard or Practice mode');
+        return;
+    }
+    const questionTypes = getSelectedQuestionTypes();
+    if (questionTypes.length > 0) {
+        options.questionTypes = questionTypes;
+    }
+    
+    const raceCode = (1000 + Math.floor(Math.random() * 9000)).toString();
+    if (!window.quizGame.hostRace(raceCode, getRaceName(), options)) {
+        window.quizGame.uiManager.showRaceLobby('This browser cannot race between windows');
+        return;
+    }
+    window.quizGame.uiManager.showRaceLobby(`Race code ${raceCode}: enter it in another window and press Join Race`);
+}
+
+/**
+ * Event handler for joining a race hosted in another window
+ */
+function handleJoinRace() {
+    console.log('Join race button clicked');
+    if (!window.quizGame || !elements.raceCodeInput) return;
+    
+    const raceCode = elements.raceCodeInput.value.trim();
+    if (!/^\d{4}$/.test(raceCode)) {
+        elements.raceCodeInput.classList.add('invalid');
+        elements.raceCodeInput.setAttribute('aria-invalid', 'true');
+        elements.raceCodeInput.focus();
+        window.quizGame.uiManager.showRaceLobby('Enter the 4-digit code shown in the host window');
+        return;
+    }
+    
+    elements.raceCodeInput.classList.remove('invalid');
+    elements.raceCodeInput.removeAttribute('aria-invalid');
+    if (!window.quizGame.joinRace(raceCode, getRaceName())) {
+        window.quizGame.uiManager.showRaceLobby('This browser cannot race between windows');
+        return;
+    }
+    window.quizGame.uiManager.showRaceLobby(`Waiting for race ${raceCode} to start…`);
+}
+
+/**
+ * Event handler for joining the classroom quiz on the server this page was loaded from
+ */
+function handleJoinClassroom() {
+    console.log('Join classroom button clicked');
+    if (!window.quizGame) return;
+    
+    const name = elements.classroomNameInput ? sanitizePlayerName(elements.classroomNameInput.value) : '';
+    if (!name) {
+        if (elements.classroomNameInput) {
+            elements.classroomNameInput.classList.add('invalid');
+            elements.classroomNameInput.setAttribute('aria-invalid', 'true');
+            elements.classroomNameInput.focus();
+        }
+        window.quizGame.uiManager.showClassroomStatus('Enter your name so your teacher can see it');
+        return;
+    }
+    
+    elements.classroomNameInput.classList.remove('invalid');
+    elements.classroomNameInput.removeAttribute('aria-invalid');
+    if (!window.quizGame.joinClassroom(name)) {
+        window.quizGame.uiManager.showClassroomStatus('Open the quiz from the address your teacher gives you to join');
+        return;
+    }
+    window.quizGame.uiManager.showClassroomStatus('Connecting to the classroom…');
+}
+
+/**
+ * Event handler for the pass screen: the next hot-seat player is holding the device
+ */
+function handleHandoffReady() {
+    console.log('Handoff ready button clicked');
+    if (window.quizGame) {
+        window.quizGame.startPlayerTurn();
+    }
+}
+
+/**
+ * Event handler for the retry mistakes button: re-asks the finished quiz's wrong answers and timeouts
+ */
+function handleRetryMistakes() {
+    console.log('Retry mistakes button clicked');
+    if (window.quizGame && !window.quizGame.startRetryRound()) {
+        console.warn('No mistakes to retry');
+    }
+}
+
+/**
+ * Event handler for clearing the saved session history after confirmation
+ */
+function handleClearHistory() {
+    console.log('Clear history button clicked');
+    if (!window.quizGame) return;
+    
+    if (confirm('Delete all saved quiz results from this device? Your progress charts and letter mastery will start over.')) {
+        window.quizGame.sessionHistory.clear();
+        window.quizGame.refreshProgress();
+    }
+}
+
+/**
+ * Event handler for starting today's daily challenge
+ * Only the answer style comes from the start screen; everything that decides the questions is fixed by the date
+ */
+function handleDailyChallenge() {
+    console.log('Daily challenge button clicked');
+    if (!window.quizGame) return;
+    
+    const options = window.quizGame.dailyChallenge.getOptions(new Date());
+    if (elements.answerModeSelect) {
+        options.answerMode = elements.answerModeSelect.value;
+    }
+    
+    window.quizGame.startQuiz(options);
+}
+
+/**
+ * Event handler for drilling one letter from the mastery heatmap
+ * Asks every question type about the letter, using the answer style, numbering, arithmetic and step sizes chosen on the start screen
+ * @param {string} letter - Letter to drill
+ */
+function handleLetterDrill(letter) {
+    console.log('Letter drill selected:', letter);
+    if (!window.quizGame) return;
+    
+    const options = {
+        focusItems: [letter],
+        questionTypes: questionTypeRegistry.getTypes(),
+        samplingStrategy: 'balanced'
+    };
+    if (elements.gameModeSelect) {
+        options.gameMode = elements.gameModeSelect.value;
+    }
+    if (elements.mappingSelect) {
+        options.mappingMode = elements.mappingSelect.value;
+    }
+    if (elements.answerModeSelect) {
+        options.answerMode = elements.answerModeSelect.value;
+    }
+    const arithmeticOptions = getSelectedArithmeticOptions();
+    if (arithmeticOptions) {
+        options.arithmeticOptions = arithmeticOptions;
+    }
+    if (elements.sequenceDifficultySelect) {
+        options.sequenceDifficulty = elements.sequenceDifficultySelect.value;
+    }
+    
+    window.quizGame.startQuiz(options);
+}
+
 /**
  * Event handler for input keydown events (Enter key submission and input filtering)
  */
@@ -1958,7 +7415,7 @@ function handleInputKeydown(e) {
     const currentQuestion = getCurrentQuestion();
     if (!currentQuestion) return;
     
-    const expectedType = currentQuestion.type === 'alphabet-to-number' ? 'number' : 'letter';
+    const expectedType = questionTypeRegistry.getInputKind(currentQuestion.type);
     
     // Allow control keys (backspace, delete, arrow keys, etc.)
     const controlKeys = [
@@ -1972,18 +7429,10 @@ function handleInputKeydown(e) {
     }
     
     // Filter input based on expected type
-    if (expectedType === 'number') {
-        // Only allow digits for number questions
-        if (!/^\d$/.test(e.key)) {
-            e.preventDefault();
-            showInputValidationFeedback('Please enter only numbers (0-9)', 'warning');
-        }
-    } else if (expectedType === 'letter') {
-        // Only allow letters for letter questions
-        if (!/^[a-zA-Z]$/.test(e.key)) {
-            e.preventDefault();
-            showInputValidationFeedback('Please enter only letters (A-Z)', 'warning');
-        }
+    const inputKind = INPUT_KINDS[expectedType];
+    if (inputKind && inputKind.allowedKey && !inputKind.allowedKey.test(e.key)) {
+        e.preventDefault();
+        showInputValidationFeedback(inputKind.keyWarning, 'warning');
     }
 }
 
@@ -1997,7 +7446,7 @@ function handleInputChange(e) {
     if (!currentQuestion) return;
     
     // Check if timer has expired and disable input if so
-    if (window.quizGame && (!window.quizGame.timer.isActive() || window.quizGame.timer.getTimeRemaining() <= 0)) {
+    if (window.quizGame && window.quizGame.isQuestionTimeUp()) {
         e.target.disabled = true;
         showInputValidationFeedback('Time has expired for this question', 'error');
         updateSubmitButtonState(false);
@@ -2015,12 +7464,9 @@ function handleInputChange(e) {
         return;
     }
     
-    // Get expected input type
-    const expectedType = currentQuestion.type === 'alphabet-to-number' ? 'number' : 'letter';
-    
     // Validate input using QuestionGenerator
     const questionGenerator = new QuestionGenerator();
-    const validation = questionGenerator.validateInput(input, expectedType);
+    const validation = questionGenerator.validateQuestionInput(input, currentQuestion);
     
     if (validation.isValid) {
         // Valid input - show success feedback and enable submit
@@ -2138,10 +7584,11 @@ function getCurrentQuestion() {
 /**
  * Sanitizes user input based on expected type
  * @param {string} input - Raw user input
- * @param {string} expectedType - Expected input type ('number' or 'letter')
+ * @param {string} expectedType - Expected input type ('number', 'letter', 'column', 'word' or 'code')
+ * @param {Object} answerRange - Accepted number range { min, max } (defaults to the letter mapping's range)
  * @returns {string} Sanitized input
  */
-function sanitizeInput(input, expectedType) {
+function sanitizeInput(input, expectedType, answerRange = null) {
     if (!input || typeof input !== 'string') {
         return '';
     }
@@ -2159,7 +7606,8 @@ function sanitizeInput(input, expectedType) {
         
         // Parse and validate range
         const number = parseInt(sanitized, 10);
-        if (isNaN(number) || number < 1 || number > 26) {
+        const { min, max } = answerRange || letterMapping.getRange();
+        if (isNaN(number) || number < min || number > max) {
             return '';
         }
         
@@ -2172,6 +7620,22 @@ function sanitizeInput(input, expectedType) {
         } else {
             return '';
         }
+    } else if (expectedType === 'column') {
+        // Keep letters only and reject labels longer than the highest column allows
+        sanitized = sanitized.replace(/[^a-zA-Z]/g, '').toUpperCase();
+        const maxLabel = answerRange ? new QuestionGenerator().numberToColumn(answerRange.max) : CONFIG.COLUMN_LABEL_MAX;
+        if (sanitized.length > maxLabel.length) {
+            return '';
+        }
+    } else if (expectedType === 'word') {
+        // Remove all non-letter characters
+        sanitized = sanitized.replace(/[^a-zA-Z]/g, '').toUpperCase();
+    } else if (expectedType === 'code') {
+        // Keep the numbers and join them with single dashes
+        sanitized = sanitized.replace(/[^\d\s,.\-]/g, '')
+            .split(A1Z26_SEPARATOR)
+            .filter(Boolean)
+            .join('-');
     }
     
     return sanitized;
@@ -2191,6 +7655,23 @@ function handleSubmitAnswer() {
     }
 }
 
+/**
+ * Event handler for picking a multiple-choice answer
+ * Fills the answer input and submits it through the same path as typed answers
+ * @param {Event} event - Click event from a choice button
+ */
+function handleChoiceSelect(event) {
+    const button = event.currentTarget;
+    if (!button || button.disabled || !elements.answerInput) return;
+    
+    elements.answerInput.value = button.dataset.answer;
+    handleSubmitAnswer();
+    
+    if (window.quizGame && window.quizGame.isWaitingForNextQuestion) {
+        button.classList.add('selected');
+    }
+}
+
 /**
  * Processes the actual answer submission with comprehensive error handling
  */
@@ -2222,21 +7703,21 @@ function processAnswerSubmission() {
         }
         
         // Prevent answer submission after timer expiration
-        if (window.quizGame && (!window.quizGame.timer.isActive() || window.quizGame.timer.getTimeRemaining() <= 0)) {
+        if (window.quizGame && window.quizGame.isQuestionTimeUp()) {
             console.log('Answer submission blocked: timer has expired');
             showInputValidationFeedback('Time has expired for this question', 'error');
             return;
         }
         
         // Determine expected input type
-        const expectedType = currentQuestion.type === 'alphabet-to-number' ? 'number' : 'letter';
+        const expectedType = questionTypeRegistry.getInputKind(currentQuestion.type);
         
         // Sanitize the input
-        const sanitizedAnswer = sanitizeInput(rawAnswer, expectedType);
+        const sanitizedAnswer = sanitizeInput(rawAnswer, expectedType, currentQuestion.answerRange);
         
         // Validate the sanitized input with enhanced error messages
         const questionGenerator = new QuestionGenerator();
-        const validation = questionGenerator.validateInput(sanitizedAnswer, expectedType);
+        const validation = questionGenerator.validateQuestionInput(sanitizedAnswer, currentQuestion);
         
         if (!validation.isValid) {
             showInputValidationFeedback(validation.errorMessage, 'error');
@@ -2614,43 +8095,44 @@ function setupPageRefreshWarning() {
     
     // Add pagehide listener for mobile browsers
     window.addEventListener('pagehide', (e) => {
-        if (gameState.status === 'active') {
-            // Try to save progress to localStorage if available
+        if (gameState.status === 'active' && window.quizGame) {
+            // Try to save a snapshot of the quiz to localStorage if available
             try {
                 if (typeof localStorage !== 'undefined') {
-                    const progressData = {
-                        currentQuestionIndex: gameState.currentQuestionIndex,
-                        answers: gameState.answers,
-                        startTime: gameState.startTime,
-                        timestamp: Date.now()
-                    };
-                    localStorage.setItem('quiz_progress_backup', JSON.stringify(progressData));
+                    const snapshot = window.quizGame.createSnapshot();
+                    if (snapshot) {
+                        localStorage.setItem('quiz_progress_backup', JSON.stringify(snapshot));
+                    }
                 }
             } catch (error) {
                 console.warn('Could not save progress:', error);
             }
         }
     });
-    
-    // Check for saved progress on page load
+}
+
+/**
+ * Offers to resume a quiz saved when the page was last hidden
+ * Must run after the game instance is created
+ */
+function restoreSavedProgress() {
     try {
         if (typeof localStorage !== 'undefined') {
             const savedProgress = localStorage.getItem('quiz_progress_backup');
             if (savedProgress) {
-                const progressData = JSON.parse(savedProgress);
-                const timeSinceSave = Date.now() - progressData.timestamp;
+                const snapshot = JSON.parse(savedProgress);
+                const timeSinceSave = Date.now() - snapshot.timestamp;
                 
-                // Only offer to restore if saved within the last hour
-                if (timeSinceSave < 3600000) {
+                // Clean up the saved snapshot so it is only offered once
+                localStorage.removeItem('quiz_progress_backup');
+                
+                // Only offer to restore snapshots this version can read that were saved within the last hour
+                if (snapshot.version === QUIZ_SNAPSHOT_VERSION && timeSinceSave < 3600000 && window.quizGame) {
                     const shouldRestore = confirm('It looks like you had a quiz in progress. Would you like to continue where you left off?');
-                    if (shouldRestore) {
-                        // Restore progress (implementation would depend on specific requirements)
-                        console.log('Restoring progress:', progressData);
+                    if (shouldRestore && !window.quizGame.restoreSnapshot(snapshot)) {
+                        alert('Sorry, your quiz could not be restored. Please start a new one.');
                     }
                 }
-                
-                // Clean up old progress data
-                localStorage.removeItem('quiz_progress_backup');
             }
         }
     } catch (error) {
@@ -2778,6 +8260,9 @@ function initializeApp() {
         // Create game instance with error handling
         try {
             window.quizGame = new QuizGame();
+            window.quizGame.refreshReviewSchedule();
+            window.quizGame.refreshProgress();
+            window.quizGame.refreshDailyCalendar();
             console.log('Game instance created successfully');
         } catch (gameError) {
             console.error('Failed to create game instance:', gameError);
@@ -2785,6 +8270,9 @@ function initializeApp() {
             return;
         }
         
+        // Resume a quiz left part-way through
+        restoreSavedProgress();
+        
         console.log('Application initialized successfully');
         
     } catch (error) {
@@ -2793,11 +8281,13 @@ function initializeApp() {
     }
 }
 
-// Initialize the application when DOM is loaded
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initializeApp);
-} else {
-    initializeApp();
+// Initialize the application when DOM is loaded (the classroom server loads this file without a page)
+if (typeof document !== 'undefined') {
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initializeApp);
+    } else {
+        initializeApp();
+    }
 }
 /**
 
@@ -3010,7 +8500,8 @@ class AccessibilityManager {
      * @param {number} totalQuestions - Total number of questions
      */
     announceProgress(currentQuestion, totalQuestions) {
-        const message = `Question ${currentQuestion} of ${totalQuestions}`;
+        const message = totalQuestions !== null && totalQuestions !== undefined ?
+            `Question ${currentQuestion} of ${totalQuestions}` : `Question ${currentQuestion}`;
         this.announce(message, 'polite');
     }
     
@@ -3147,9 +8638,8 @@ class AccessibilityManager {
                 const currentQuestion = gameState.questions[gameState.currentQuestionIndex];
                 if (!currentQuestion) return;
                 
-                const expectedType = currentQuestion.type === 'alphabet-to-number' ? 'number' : 'letter';
                 const questionGenerator = new QuestionGenerator();
-                const validation = questionGenerator.validateInput(value, expectedType);
+                const validation = questionGenerator.validateQuestionInput(value, currentQuestion);
                 
                 if (!validation.isValid) {
                     this.announce(validation.errorMessage, 'polite');
@@ -3179,4 +8669,9 @@ class AccessibilityManager {
 }
 
 // Initialize accessibility manager
-const accessibilityManager = new AccessibilityManager();
\ No newline at end of file
+const accessibilityManager = typeof document !== 'undefined' ? new AccessibilityManager() : null;
+
+// The classroom server (server.js) builds the same seeded questions as the students' quizzes to mark their answers
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CONFIG, ClassroomClient };
+}
\ No newline at end of file
@@ -0,0 +1,794 @@
+/**
+ * Classroom live-quiz server
+ * Serves the quiz to every device in the room and runs one teacher-led quiz for all of them over WebSockets.
+ * Students open the quiz from this server and join from the start screen; the teacher runs the quiz from the
+ * host dashboard (/host), which only opens on the laptop running the server.
+ *
+ * Usage: node server.js [port]   (Node.js 16 or later, no packages needed)
+ *
+ * Messages are JSON objects with a version and a type:
+ *   student → server: join { name }, answer { questionIndex, record } (only the record's userAnswer and timedOut are read)
+ *   host → server:    host {}, start { mappingMode, answerMode, timeLimit }, next {}, end {}
+ *   server → student: welcome { playerId, name }, start { seed, total, mappingMode, answerMode },
+ *                     question { index, timeLimit, marked }, finish { leaderboard, marked }
+ *   server → host:    state { phase, questionIndex, total, timeLimit, deadline, joinUrls, leaderboard }
+ * Every student builds the quiz from the same seed, so a question index names the same question on every device.
+ * The server builds the same questions from script.js and marks each answer itself, timing it from when the
+ * question was sent, so a student cannot claim a correct answer or a faster time than they gave.
+ * When a question closes, students who have not answered it get a timeout, and each student is sent their marked
+ * record for it (marked { questionIndex, record }) to take over in place of their own.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { CONFIG, ClassroomClient } = require('./script.js');
+
+// Keep in step with CLASSROOM_PROTOCOL_VERSION in script.js
+const CLASSROOM_PROTOCOL_VERSION = 1;
+const QUESTION_COUNT = CONFIG.TOTAL_QUESTIONS;
+
+const SERVER_SETTINGS = {
+    DEFAULT_PORT: 8080,
+    DEFAULT_TIME_LIMIT: 20, // seconds per question
+    TIME_LIMITS: [10, 20, 30, 60],
+    MAPPING_MODES: ['standard', 'reverse', 'zero-based'],
+    ANSWER_MODES: ['typed', 'choice'],
+    FEEDBACK_PAUSE: 2000, // milliseconds to show feedback once everyone has answered
+    MAX_MESSAGE_BYTES: 16 * 1024,
+    MAX_ANSWER_LENGTH: 64,
+    MAX_NAME_LENGTH: 20
+};
+
+// Files the server hands out, by request path
+const STATIC_FILES = {
+    '/': 'index.html',
+    '/index.html': 'index.html',
+    '/script.js': 'script.js',
+    '/styles.css': 'styles.css',
+    '/host': 'host.html',
+    '/host.html': 'host.html'
+};
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8'
+};
+
+// Key suffix every WebSocket handshake hashes (RFC 6455)
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xA
+};
+
+/**
+ * LiveSocket class
+ * Minimal server side of a WebSocket connection: unfragmented or fragmented text messages, ping and close
+ */
+class LiveSocket {
+    /**
+     * @param {net.Socket} socket - Socket handed over after the upgrade handshake
+     */
+    constructor(socket) {
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.isOpen = true;
+        this.onMessage = () => {};
+        this.onClose = () => {};
+        
+        socket.on('data', data => this.handleData(data));
+        socket.on('close', () => this.handleClosed());
+        socket.on('error', error => {
+            console.warn('Socket error:', error.message);
+            this.handleClosed();
+        });
+    }
+    
+    /**
+     * Completes the WebSocket handshake for an upgrade request
+     * @param {http.IncomingMessage} request - Upgrade request
+     * @param {net.Socket} socket - Request socket
+     * @returns {LiveSocket|null} Open connection, or null if the request was not a valid WebSocket upgrade
+     */
+    static accept(request, socket) {
+        const key = request.headers['sec-websocket-key'];
+        if (!key || String(request.headers.upgrade).toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return null;
+        }
+        
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', ''
+        ].join('\r\n'));
+        return new LiveSocket(socket);
+    }
+    
+    /**
+     * Sends a JSON message
+     * @param {Object} message - Message to send
+     */
+    send(message) {
+        this.sendFrame(OPCODES.TEXT, Buffer.from(JSON.stringify(message)));
+    }
+    
+    /**
+     * Closes the connection
+     * @param {number} code - WebSocket close code
+     */
+    close(code = 1000) {
+        if (!this.isOpen) return;
+        
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code);
+        this.sendFrame(OPCODES.CLOSE, payload);
+        this.socket.end();
+        this.handleClosed();
+    }
+    
+    /**
+     * Writes one unmasked frame (servers never mask)
+     * @param {number} opcode - Frame opcode
+     * @param {Buffer} payload - Frame payload
+     * @private
+     */
+    sendFrame(opcode, payload) {
+        if (!this.isOpen) return;
+        
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 0x10000) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+    
+    /**
+     * Reads every complete frame in the buffer
+     * @param {Buffer} data - Bytes received
+     * @private
+     */
+    handleData(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+        
+        while (this.isOpen && this.buffer.length >= 2) {
+            const fin = (this.buffer[0] & 0x80) !== 0;
+            const opcode = this.buffer[0] & 0x0f;
+            const masked = (this.buffer[1] & 0x80) !== 0;
+            let length = this.buffer[1] & 0x7f;
+            let offset = 2;
+            
+            if (length === 126) {
+                if (this.buffer.length < 4) return;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) return;
+                length = Number(this.buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+            
+            // Clients must mask their frames, and quiz messages are small
+            if (!masked) {
+                this.close(1002);
+                return;
+            }
+            if (length > SERVER_SETTINGS.MAX_MESSAGE_BYTES) {
+                this.close(1009);
+                return;
+            }
+            if (this.buffer.length < offset + 4 + length) return;
+            
+            const mask = this.buffer.subarray(offset, offset + 4);
+            const payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i % 4];
+            }
+            this.buffer = this.buffer.subarray(offset + 4 + length);
+            this.handleFrame(fin, opcode, payload);
+        }
+    }
+    
+    /**
+     * Handles one decoded frame
+     * @param {boolean} fin - Whether this is the last frame of a message
+     * @param {number} opcode - Frame opcode
+     * @param {Buffer} payload - Unmasked payload
+     * @private
+     */
+    handleFrame(fin, opcode, payload) {
+        switch (opcode) {
+            case OPCODES.TEXT:
+            case OPCODES.CONTINUATION:
+                this.fragments.push(payload);
+                if (this.fragments.reduce((total, fragment) => total + fragment.length, 0) > SERVER_SETTINGS.MAX_MESSAGE_BYTES) {
+                    this.close(1009);
+                    return;
+                }
+                if (fin) {
+                    const text = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.handleText(text);
+                }
+                break;
+            case OPCODES.PING:
+                this.sendFrame(OPCODES.PONG, payload);
+                break;
+            case OPCODES.CLOSE:
+                this.close();
+                break;
+            case OPCODES.PONG:
+                break;
+            default:
+                // Binary frames are not part of the protocol
+                this.close(1003);
+        }
+    }
+    
+    /**
+     * Parses a text message and passes it on if it speaks this protocol version
+     * @param {string} text - Message text
+     * @private
+     */
+    handleText(text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            console.warn('Ignoring message that is not JSON');
+            return;
+        }
+        
+        if (message && message.version === CLASSROOM_PROTOCOL_VERSION && typeof message.type === 'string') {
+            this.onMessage(message);
+        }
+    }
+    
+    /**
+     * Marks the connection closed and tells the owner once
+     * @private
+     */
+    handleClosed() {
+        if (!this.isOpen) return;
+        
+        this.isOpen = false;
+        this.socket.destroy();
+        this.onClose();
+    }
+}
+
+/**
+ * ClassroomSession class
+ * Runs one quiz for the room: who has joined, which question everyone is on, and every student's answer records
+ */
+class ClassroomSession {
+    /**
+     * @param {Array<string>} joinUrls - Addresses students can open, shown on the host dashboard
+     */
+    constructor(joinUrls = []) {
+        this.joinUrls = joinUrls;
+        this.players = new Map(); // id → { id, name, socket, connected, records: Map(questionIndex → record) }
+        this.hosts = new Set();
+        this.phase = 'lobby'; // 'lobby', 'question', 'finished'
+        this.settings = { mappingMode: 'standard', answerMode: 'typed', timeLimit: SERVER_SETTINGS.DEFAULT_TIME_LIMIT };
+        this.seed = null;
+        this.questions = []; // answer key built from the seed (see ClassroomClient.buildQuestions)
+        this.questionTimes = []; // { askedAt, endedAt } in milliseconds for each question asked
+        this.questionGenerator = null; // checks answers with the quiz's numbering
+        this.questionIndex = -1;
+        this.deadline = null;
+        this.advanceTimer = null;
+        this.nextPlayerId = 1;
+    }
+    
+    /**
+     * Takes over a new connection; it becomes a student or a host with its first message
+     * @param {LiveSocket} socket - Open connection
+     * @param {boolean} isLocal - Whether the connection comes from this machine (only local connections can host)
+     */
+    connect(socket, isLocal) {
+        let player = null;
+        let isHost = false;
+        
+        socket.onMessage = message => {
+            if (message.type === 'join' && !player && !isHost) {
+                player = this.addStudent(socket, message.name);
+            } else if (message.type === 'host' && !player && isLocal) {
+                isHost = true;
+                this.hosts.add(socket);
+                this.sendState(socket);
+            } else if (message.type === 'answer' && player) {
+                this.recordAnswer(player, message.questionIndex, message.record);
+            } else if (isHost) {
+                this.handleHostMessage(message);
+            }
+        };
+        
+        socket.onClose = () => {
+            if (player) {
+                player.connected = false;
+                this.broadcastState();
+                this.advanceIfEveryoneAnswered();
+            }
+            this.hosts.delete(socket);
+        };
+    }
+    
+    /**
+     * Adds a student and catches them up if the quiz is already running
+     * @param {LiveSocket} socket - Student connection
+     * @param {string} name - Name as typed
+     * @returns {Object} The new player
+     * @private
+     */
+    addStudent(socket, name) {
+        const player = {
+            id: `s${this.nextPlayerId++}`,
+            name: ClassroomSession.cleanName(name),
+            socket,
+            connected: true,
+            records: new Map()
+        };
+        this.players.set(player.id, player);
+        this.send(player, 'welcome', { playerId: player.id, name: player.name });
+        
+        if (this.phase === 'question') {
+            this.send(player, 'start', this.getStartMessage());
+            this.send(player, 'question', { index: this.questionIndex, timeLimit: this.settings.timeLimit, marked: null });
+        }
+        
+        console.log(`${player.name} joined`);
+        this.broadcastState();
+        return player;
+    }
+    
+    /**
+     * Handles a dashboard command
+     * @param {Object} message - Host message
+     * @private
+     */
+    handleHostMessage(message) {
+        switch (message.type) {
+            case 'start':
+                this.start(message);
+                break;
+            case 'next':
+                if (this.phase === 'question') this.advance();
+                break;
+            case 'end':
+                if (this.phase === 'question') this.finish();
+                break;
+            default:
+                console.warn('Unknown host message:', message.type);
+        }
+    }
+    
+    /**
+     * Starts a new quiz for everyone connected; earlier answers are cleared and students who left are dropped
+     * @param {Object} options - { mappingMode, answerMode, timeLimit } from the dashboard (unknown values fall back)
+     */
+    start(options = {}) {
+        this.settings = {
+            mappingMode: SERVER_SETTINGS.MAPPING_MODES.includes(options.mappingMode) ? options.mappingMode : 'standard',
+            answerMode: SERVER_SETTINGS.ANSWER_MODES.includes(options.answerMode) ? options.answerMode : 'typed',
+            timeLimit: SERVER_SETTINGS.TIME_LIMITS.includes(options.timeLimit) ? options.timeLimit : SERVER_SETTINGS.DEFAULT_TIME_LIMIT
+        };
+        this.seed = crypto.randomInt(1, 0x7fffffff);
+        ({ questions: this.questions, questionGenerator: this.questionGenerator } =
+            ClassroomClient.buildQuestions(this.seed, this.settings.mappingMode));
+        this.questionTimes = [];
+        this.questionIndex = -1;
+        
+        this.players.forEach((player, id) => {
+            if (player.connected) {
+                player.records.clear();
+            } else {
+                this.players.delete(id);
+            }
+        });
+        
+        this.phase = 'question';
+        this.broadcast('start', this.getStartMessage());
+        console.log(`Quiz started with seed ${this.seed} for ${this.players.size} students`);
+        this.askQuestion(0);
+    }
+    
+    /**
+     * Sends everyone to a question and starts its countdown
+     * @param {number} index - Question index
+     * @private
+     */
+    askQuestion(index) {
+        clearTimeout(this.advanceTimer);
+        const closedIndex = this.questionIndex;
+        this.endQuestion();
+        this.questionIndex = index;
+        this.questionTimes[index] = { askedAt: Date.now(), endedAt: null };
+        this.deadline = Date.now() + this.settings.timeLimit * 1000;
+        this.advanceTimer = setTimeout(() => this.advance(), this.settings.timeLimit * 1000);
+        
+        this.players.forEach(player => this.send(player, 'question', {
+            index,
+            timeLimit: this.settings.timeLimit,
+            marked: this.getMarkedRecord(player, closedIndex)
+        }));
+        this.broadcastState();
+    }
+    
+    /**
+     * Moves everyone to the next question, or finishes after the last one
+     * @private
+     */
+    advance() {
+        if (this.questionIndex + 1 < QUESTION_COUNT) {
+            this.askQuestion(this.questionIndex + 1);
+        } else {
+            this.finish();
+        }
+    }
+    
+    /**
+     * Ends the quiz and sends everyone the final leaderboard
+     */
+    finish() {
+        clearTimeout(this.advanceTimer);
+        this.endQuestion();
+        this.phase = 'finished';
+        this.deadline = null;
+        
+        const leaderboard = this.getLeaderboard();
+        this.players.forEach(player => this.send(player, 'finish', {
+            leaderboard,
+            marked: this.getMarkedRecord(player, this.questionIndex)
+        }));
+        this.broadcastState();
+        console.log('Quiz finished:', leaderboard.map(entry => `${entry.name} ${entry.correct}`).join(', '));
+    }
+    
+    /**
+     * Closes the current question: notes when it stopped taking answers, and every student without an answer
+     * to it gets a timeout, so an answer still on its way when the question closed counts as too late
+     * @private
+     */
+    endQuestion() {
+        const times = this.questionTimes[this.questionIndex];
+        if (!times || times.endedAt !== null) {
+            return;
+        }
+        
+        times.endedAt = Date.now();
+        this.players.forEach(player => {
+            if (!player.records.has(this.questionIndex)) {
+                player.records.set(this.questionIndex, this.markAnswer(this.questionIndex, ''));
+            }
+        });
+    }
+    
+    /**
+     * Gets a student's marked record for a closed question, which their quiz takes over from its own
+     * @param {Object} player - Student
+     * @param {number} questionIndex - Closed question (-1 before the first)
+     * @returns {Object|null} { questionIndex, record }, or null if the student has no record for it
+     * @private
+     */
+    getMarkedRecord(player, questionIndex) {
+        return player.records.has(questionIndex) ? { questionIndex, record: player.records.get(questionIndex) } : null;
+    }
+    
+    /**
+     * Marks a student's answer to the current question against the server's own answer key and keeps the record;
+     * repeated or malformed answers, and answers to questions that have closed, are ignored
+     * (the student already got a timeout for those when the question closed; see endQuestion)
+     * @param {Object} player - Student who answered
+     * @param {number} questionIndex - Question the answer is for
+     * @param {Object} record - ScoreTracker answer record from the student (only userAnswer and timedOut are used)
+     * @private
+     */
+    recordAnswer(player, questionIndex, record) {
+        if (!record || typeof record !== 'object' || !Number.isInteger(questionIndex) ||
+            player.records.has(questionIndex) || this.phase !== 'question' || questionIndex !== this.questionIndex) {
+            return;
+        }
+        
+        player.records.set(questionIndex, this.markAnswer(questionIndex, record.timedOut === true ? '' : record.userAnswer));
+        this.broadcastState();
+        this.advanceIfEveryoneAnswered();
+    }
+    
+    /**
+     * Builds the answer record for a question: correctness comes from the answer key, and the time from
+     * when the question was sent until now (or until it closed, for a timeout)
+     * @param {number} questionIndex - Question answered
+     * @param {string} userAnswer - Answer given ('' for a timeout)
+     * @returns {Object} Answer record
+     * @private
+     */
+    markAnswer(questionIndex, userAnswer) {
+        const question = this.questions[questionIndex];
+        const answer = typeof userAnswer === 'string' ? userAnswer.slice(0, SERVER_SETTINGS.MAX_ANSWER_LENGTH) : '';
+        const timedOut = answer.trim() === '';
+        const times = this.questionTimes[questionIndex];
+        const endedAt = timedOut && times.endedAt !== null ? times.endedAt : Date.now();
+        const seconds = Math.min((endedAt - times.askedAt) / 1000, this.settings.timeLimit);
+        
+        return {
+            questionId: question.id,
+            questionType: question.type,
+            item: question.item || null,
+            correctAnswer: question.correctAnswer,
+            userAnswer: answer,
+            isCorrect: !timedOut && this.questionGenerator.checkAnswer(answer, question),
+            timedOut,
+            timeUsed: Math.round(Math.max(0, seconds) * 10) / 10
+        };
+    }
+    
+    /**
+     * Moves on after a short pause once every connected student has answered the current question
+     * @private
+     */
+    advanceIfEveryoneAnswered() {
+        if (this.phase !== 'question') return;
+        
+        const connected = Array.from(this.players.values()).filter(player => player.connected);
+        if (connected.length > 0 && connected.every(player => player.records.has(this.questionIndex))) {
+            clearTimeout(this.advanceTimer);
+            this.advanceTimer = setTimeout(() => this.advance(), SERVER_SETTINGS.FEEDBACK_PAUSE);
+        }
+    }
+    
+    /**
+     * Ranks students by correct answers, then by average time on answered questions
+     * @returns {Array<Object>} { id, name, rank, connected, answered, correct, averageTime, answeredCurrent }
+     *                          in ranking order (answered leaves out timeouts); tied students share a rank
+     */
+    getLeaderboard() {
+        const entries = Array.from(this.players.values()).map(player => {
+            const records = Array.from(player.records.values());
+            const answered = records.filter(record => !record.timedOut);
+            const totalTime = answered.reduce((total, record) => total + record.timeUsed, 0);
+            return {
+                id: player.id,
+                name: player.name,
+                connected: player.connected,
+                answered: answered.length,
+                correct: records.filter(record => record.isCorrect).length,
+                averageTime: answered.length > 0 ? Math.round(totalTime / answered.length * 10) / 10 : 0,
+                answeredCurrent: player.records.has(this.questionIndex)
+            };
+        });
+        
+        entries.sort((a, b) => b.correct - a.correct || a.averageTime - b.averageTime || a.name.localeCompare(b.name));
+        entries.forEach((entry, index) => {
+            const previous = entries[index - 1];
+            entry.rank = previous && previous.correct === entry.correct && previous.averageTime === entry.averageTime ?
+                previous.rank : index + 1;
+        });
+        return entries;
+    }
+    
+    /**
+     * Gets the quiz settings every student starts from
+     * @returns {Object} Start message fields
+     * @private
+     */
+    getStartMessage() {
+        return {
+            seed: this.seed,
+            total: QUESTION_COUNT,
+            mappingMode: this.settings.mappingMode,
+            answerMode: this.settings.answerMode
+        };
+    }
+    
+    /**
+     * Sends a message to one student
+     * @param {Object} player - Student
+     * @param {string} type - Message type
+     * @param {Object} data - Message fields
+     * @private
+     */
+    send(player, type, data = {}) {
+        if (player.connected) {
+            player.socket.send({ ...data, version: CLASSROOM_PROTOCOL_VERSION, type });
+        }
+    }
+    
+    /**
+     * Sends a message to every connected student
+     * @param {string} type - Message type
+     * @param {Object} data - Message fields
+     * @private
+     */
+    broadcast(type, data = {}) {
+        this.players.forEach(player => this.send(player, type, data));
+    }
+    
+    /**
+     * Sends the dashboard state to one host
+     * @param {LiveSocket} socket - Host connection
+     * @private
+     */
+    sendState(socket) {
+        socket.send({
+            version: CLASSROOM_PROTOCOL_VERSION,
+            type: 'state',
+            phase: this.phase,
+            questionIndex: this.questionIndex,
+            total: QUESTION_COUNT,
+            timeLimit: this.settings.timeLimit,
+            deadline: this.deadline,
+            joinUrls: this.joinUrls,
+            leaderboard: this.getLeaderboard()
+        });
+    }
+    
+    /**
+     * Sends the dashboard state to every host
+     * @private
+     */
+    broadcastState() {
+        this.hosts.forEach(socket => this.sendState(socket));
+    }
+    
+    /**
+     * Cleans a student name for display on other devices
+     * @param {string} name - Name as sent
+     * @returns {string} Trimmed, shortened name without characters that could be read as markup ('Student' if blank)
+     */
+    static cleanName(name) {
+        const cleaned = String(name || '').replace(/[<>&"']/g, '').trim().slice(0, SERVER_SETTINGS.MAX_NAME_LENGTH);
+        return cleaned || 'Student';
+    }
+}
+
+/**
+ * Lists the addresses other devices on the network can reach this server on
+ * @param {number} port - Port the server listens on
+ * @returns {Array<string>} URLs for the student page
+ */
+function getJoinUrls(port) {
+    const urls = [];
+    Object.values(os.networkInterfaces()).forEach(addresses => {
+        (addresses || []).forEach(address => {
+            if (address.family === 'IPv4' && !address.internal) {
+                urls.push(`http://${address.address}:${port}/`);
+            }
+        });
+    });
+    return urls.length > 0 ? urls : [`http://localhost:${port}/`];
+}
+
+/**
+ * Checks whether a request comes from this machine
+ * @param {net.Socket} socket - Request socket
+ * @returns {boolean} True for loopback addresses
+ */
+function isLocalAddress(socket) {
+    return ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(socket.remoteAddress);
+}
+
+/**
+ * Checks whether a WebSocket upgrade comes from a page this server served
+ * Browsers send the page's Origin with every upgrade, so another site open in the teacher's browser is turned away
+ * even though its connection comes from this machine
+ * @param {http.IncomingMessage} request - Upgrade request
+ * @returns {boolean} True if the Origin header names this server's host
+ */
+function isSameOrigin(request) {
+    const { origin, host } = request.headers;
+    if (!origin || !host) {
+        return false;
+    }
+    
+    try {
+        return new URL(origin).host === host;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Checks whether a request may control the quiz: it must come from this machine and address it as localhost,
+ * so a site that points its own name at this machine (DNS rebinding) cannot pass as the dashboard
+ * @param {http.IncomingMessage} request - Request for the dashboard or upgrade request
+ * @returns {boolean} True if the request can host
+ */
+function canHost(request) {
+    const hostname = new URL(`http://${request.headers.host || 'invalid'}`).hostname;
+    return isLocalAddress(request.socket) && ['localhost', '127.0.0.1', '[::1]'].includes(hostname);
+}
+
+/**
+ * Creates the classroom server: static files over HTTP and the live quiz on /live
+ * @param {Object} options - { port, root } (defaults: SERVER_SETTINGS.DEFAULT_PORT and this file's folder)
+ * @returns {{ server: http.Server, session: ClassroomSession }} Server (not yet listening) and its quiz session
+ */
+function createClassroomServer(options = {}) {
+    const { port = SERVER_SETTINGS.DEFAULT_PORT, root = __dirname } = options;
+    const session = new ClassroomSession(getJoinUrls(port));
+    
+    const server = http.createServer((request, response) => {
+        const pathname = new URL(request.url, 'http://localhost').pathname;
+        const file = STATIC_FILES[pathname];
+        if (!file || request.method !== 'GET') {
+            response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            response.end('Not found');
+            return;
+        }
+        
+        // The dashboard controls the quiz, so it only opens on the teacher's machine
+        if (file === 'host.html' && !canHost(request)) {
+            response.writeHead(403, { 'Content-Type': 'text/plain; charset=utf-8' });
+            response.end('The host dashboard only opens on the computer running the server');
+            return;
+        }
+        
+        fs.readFile(path.join(root, file), (error, content) => {
+            if (error) {
+                console.error(`Could not read ${file}:`, error.message);
+                response.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+                response.end('Could not read file');
+                return;
+            }
+            response.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)], 'Cache-Control': 'no-cache' });
+            response.end(content);
+        });
+    });
+    
+    server.on('upgrade', (request, socket) => {
+        if (new URL(request.url, 'http://localhost').pathname !== '/live') {
+            socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+            return;
+        }
+        if (!isSameOrigin(request)) {
+            socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+            return;
+        }
+        
+        const liveSocket = LiveSocket.accept(request, socket);
+        if (liveSocket) {
+            session.connect(liveSocket, canHost(request));
+        }
+    });
+    
+    return { server, session };
+}
+
+if (require.main === module) {
+    const port = Number(process.argv[2] || process.env.PORT) || SERVER_SETTINGS.DEFAULT_PORT;
+    const { server, session } = createClassroomServer({ port });
+    
+    server.on('error', error => {
+        console.error('Server error:', error.message);
+        process.exit(1);
+    });
+    server.listen(port, () => {
+        console.log(`Host dashboard: http://localhost:${port}/host`);
+        console.log(`Students open: ${session.joinUrls.join('  ')}`);
+    });
+}
+
+module.exports = { createClassroomServer, ClassroomSession, LiveSocket, isSameOrigin, canHost, SERVER_SETTINGS };
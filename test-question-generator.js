@@ -281,6 +281,603 @@ testRunner.test('Handles edge cases correctly', () => {
     }
 });
 
+// Test seeded generation
+testRunner.test('Same seed produces the same question sequence', () => {
+    const first = new QuestionGenerator(new SeededRandom(12345));
+    const second = new QuestionGenerator(new SeededRandom(12345));
+    
+    for (let i = 0; i < 10; i++) {
+        const a = first.generateQuestion();
+        const b = second.generateQuestion();
+        assertEquals(a.id, b.id, `Question ${i}: IDs should match`);
+        assertEquals(a.type, b.type, `Question ${i}: Types should match`);
+        assertEquals(a.prompt, b.prompt, `Question ${i}: Prompts should match`);
+        assertEquals(a.correctAnswer, b.correctAnswer, `Question ${i}: Answers should match`);
+    }
+});
+
+testRunner.test('setRandom restarts the sequence from the new seed', () => {
+    const generator = new QuestionGenerator(new SeededRandom(7));
+    const firstRun = [];
+    for (let i = 0; i < 5; i++) {
+        firstRun.push(generator.generateQuestion().prompt);
+    }
+    
+    generator.setRandom(new SeededRandom(7));
+    assertEquals(generator.getSeed(), 7, 'Should report the new seed');
+    for (let i = 0; i < 5; i++) {
+        assertEquals(generator.generateQuestion().prompt, firstRun[i], `Question ${i} should be replayed`);
+    }
+});
+
+testRunner.test('SeededRandom stays within range and accepts string seeds', () => {
+    const random = new SeededRandom('42');
+    assertEquals(random.getSeed(), 42, 'String seed should be parsed');
+    
+    for (let i = 0; i < 100; i++) {
+        const value = random.next();
+        assertTrue(value >= 0 && value < 1, 'next() should be in [0, 1)');
+        const integer = random.nextInt(26);
+        assertTrue(Number.isInteger(integer) && integer >= 0 && integer < 26, 'nextInt() should be in [0, max)');
+    }
+    
+    let threw = false;
+    try {
+        new SeededRandom('abc');
+    } catch (error) {
+        threw = true;
+    }
+    assertTrue(threw, 'Non-numeric seed should be rejected');
+});
+
+// Test sampling strategies
+testRunner.test('QuestionSampler unique strategy never repeats a letter', () => {
+    const sampler = new QuestionSampler(new QuestionGenerator(new SeededRandom(99)), 'unique');
+    const items = sampler.sample(10).map(question => question.item);
+    
+    assertEquals(new Set(items).size, 10, 'All ten letters should be different');
+});
+
+testRunner.test('QuestionSampler balanced strategy splits question types evenly', () => {
+    const sampler = new QuestionSampler(new QuestionGenerator(new SeededRandom(99)), 'balanced');
+    const questions = sampler.sample(10);
+    const numberQuestions = questions.filter(question => question.type === 'alphabet-to-number').length;
+    
+    assertEquals(numberQuestions, 5, 'Half of the questions should be alphabet-to-number');
+    assertEquals(new Set(questions.map(question => question.item)).size, 10, 'Letters should not repeat');
+});
+
+testRunner.test('QuestionSampler coverage strategy asks unseen letters first', () => {
+    const sampler = new QuestionSampler(new QuestionGenerator(new SeededRandom(5)), 'coverage');
+    sampler.storageKey = 'quiz_alphabet_coverage_test';
+    if (typeof localStorage === 'undefined') {
+        return; // Coverage is only persisted where localStorage exists
+    }
+    localStorage.removeItem(sampler.storageKey);
+    
+    const seen = new Set();
+    for (let session = 0; session < 2; session++) {
+        const questions = sampler.sample(10);
+        questions.forEach(question => {
+            assertFalse(seen.has(question.item), `${question.item} should not be repeated before the alphabet is covered`);
+            seen.add(question.item);
+        });
+        sampler.commitSession(questions);
+    }
+    assertEquals(sampler.getCoverageProgress().covered, 20, 'Twenty letters should be covered');
+    
+    localStorage.removeItem(sampler.storageKey);
+});
+
+testRunner.test('QuestionSampler coverage strategy can leave the saved coverage out', () => {
+    if (typeof localStorage === 'undefined') {
+        return; // Coverage is only persisted where localStorage exists
+    }
+    const createSampler = () => {
+        const sampler = new QuestionSampler(new QuestionGenerator(new SeededRandom(12)), 'coverage');
+        sampler.storageKey = 'quiz_alphabet_coverage_test';
+        return sampler;
+    };
+    localStorage.removeItem('quiz_alphabet_coverage_test');
+    const fresh = createSampler().sample(10, [], false).map(question => question.prompt);
+    
+    const sampler = createSampler();
+    sampler.commitSession(sampler.sample(10));
+    const replay = createSampler().sample(10, [], false).map(question => question.prompt);
+    
+    assertEquals(replay.join('|'), fresh.join('|'), 'Saved coverage should not change the questions when left out');
+    localStorage.removeItem('quiz_alphabet_coverage_test');
+});
+
+testRunner.test('QuestionSampler rejects unknown strategies', () => {
+    let threw = false;
+    try {
+        new QuestionSampler(new QuestionGenerator(), 'alphabetical');
+    } catch (error) {
+        threw = true;
+    }
+    assertTrue(threw, 'Unknown strategy should throw');
+});
+
+// Test question type registry
+testRunner.test('Registry provides the two built-in types by default', () => {
+    assertContains(questionTypeRegistry.getDefaultTypes(), 'alphabet-to-number', 'Should include alphabet-to-number');
+    assertContains(questionTypeRegistry.getDefaultTypes(), 'number-to-alphabet', 'Should include number-to-alphabet');
+    assertEquals(questionTypeRegistry.getInputKind('alphabet-to-number'), 'number', 'Letter questions expect numbers');
+    assertEquals(questionTypeRegistry.getInputKind('number-to-alphabet'), 'letter', 'Number questions expect letters');
+});
+
+testRunner.test('Registered question types are generated, validated and checked through their definition', () => {
+    questionTypeRegistry.register({
+        id: 'test-double',
+        label: 'Double the position',
+        inputKind: 'number',
+        promptTemplate: 'What is twice the position of {letter}?',
+        generate: (generator, questionId, letterIndex) => {
+            const index = letterIndex !== null ? letterIndex : generator.random.nextInt(26);
+            return {
+                id: questionId,
+                type: 'test-double',
+                prompt: generator.formatPrompt('test-double', { letter: generator.alphabet[index] }),
+                correctAnswer: ((index + 1) * 2).toString(),
+                displayValue: generator.alphabet[index],
+                item: generator.alphabet[index]
+            };
+        },
+        validateInput: (input) => ({
+            isValid: /^\d+$/.test(input.trim()),
+            errorMessage: 'Please enter a whole number'
+        }),
+        normalize: (answer) => parseInt(answer, 10).toString()
+    });
+    
+    try {
+        const generator = new QuestionGenerator(new SeededRandom(1), ['test-double']);
+        const question = generator.generateQuestion(null, 25);
+        
+        assertEquals(question.prompt, 'What is twice the position of Z?', 'Prompt should come from the template');
+        assertEquals(question.correctAnswer, '52', 'Answer should come from the definition');
+        assertTrue(generator.validateQuestionInput('52', question).isValid, 'Custom validator should accept 52');
+        assertTrue(generator.checkAnswer('052', question), 'Custom normalizer should be used for comparison');
+    } finally {
+        questionTypeRegistry.unregister('test-double');
+    }
+});
+
+testRunner.test('setQuestionTypes rejects unregistered types', () => {
+    const generator = new QuestionGenerator();
+    let threw = false;
+    try {
+        generator.setQuestionTypes(['not-a-type']);
+    } catch (error) {
+        threw = true;
+    }
+    assertTrue(threw, 'Unknown question types should throw');
+});
+
+// Test word-value questions
+testRunner.test('Word-value questions sum the letter positions', () => {
+    const generator = new QuestionGenerator(new SeededRandom(3));
+    
+    assertEquals(generator.getWordValue('CAT'), 24, 'CAT should be 3 + 1 + 20');
+    assertEquals(QuestionGenerator.describeWordValue('cat'), 'C=3 + A=1 + T=20', 'Breakdown should list each letter');
+    
+    const question = generator.generateWordValueQuestion('test-id', 16);
+    assertTrue(question.displayValue.includes('Q'), 'Word should contain the requested letter');
+    assertEquals(question.prompt, `What is the value of ${question.displayValue}?`, 'Should use the word prompt');
+    assertEquals(question.correctAnswer, generator.getWordValue(question.displayValue).toString(), 'Answer should be the word value');
+});
+
+testRunner.test('Word-value answers are validated against the question range', () => {
+    const generator = new QuestionGenerator();
+    const question = {
+        id: 'test-id',
+        type: 'word-to-value',
+        prompt: 'What is the value of QUIZ?',
+        correctAnswer: '80',
+        displayValue: 'QUIZ',
+        answerRange: { min: 1, max: 104 }
+    };
+    
+    assertTrue(generator.validateQuestionInput('80', question).isValid, 'Should accept answers above 26');
+    assertFalse(generator.validateQuestionInput('105', question).isValid, 'Should reject answers above the range');
+    assertTrue(generator.isValidNumber('80', 1, 104), 'isValidNumber should accept a custom range');
+    assertFalse(generator.isValidNumber('80'), 'isValidNumber should keep the 1-26 default');
+});
+
+testRunner.test('Value-to-word questions offer exactly one word with the value', () => {
+    const generator = new QuestionGenerator(new SeededRandom(11));
+    const question = generator.generateValueToWordQuestion('test-id');
+    const value = parseInt(question.displayValue, 10);
+    
+    assertEquals(question.choices.length, 3, 'Should offer three words');
+    assertContains(question.choices, question.correctAnswer, 'Choices should include the answer');
+    assertEquals(question.choices.filter(word => generator.getWordValue(word) === value).length, 1, 'Only one word should match');
+    assertTrue(generator.validateQuestionInput(question.correctAnswer.toLowerCase(), question).isValid, 'Listed word should be accepted');
+    assertFalse(generator.validateQuestionInput('ZZZ', question).isValid, 'Unlisted word should be rejected');
+});
+
+// Test A1Z26 cipher questions
+testRunner.test('A1Z26 encoding numbers the letters from A = 1', () => {
+    const generator = new QuestionGenerator(new SeededRandom(7));
+    
+    assertEquals(generator.encodeA1Z26('hi'), '8-9', 'HI should encode to 8-9');
+    
+    const question = generator.generateCipherDecodeQuestion('test-id');
+    const decoded = question.displayValue.split('-').map(part => generator.alphabet[parseInt(part, 10) - 1]).join('');
+    assertEquals(decoded, question.correctAnswer, 'The message should decode to the answer');
+});
+
+testRunner.test('Cipher answers accept multiple letters and separators', () => {
+    const generator = new QuestionGenerator(new SeededRandom(8));
+    const decode = generator.generateCipherDecodeQuestion('decode-id');
+    const encode = generator.generateCipherEncodeQuestion('encode-id');
+    
+    assertTrue(generator.validateQuestionInput(decode.correctAnswer.toLowerCase(), decode).isValid, 'Multi-letter answer should be valid');
+    assertTrue(generator.checkAnswer(decode.correctAnswer.toLowerCase(), decode), 'Decoded word should be correct');
+    
+    const spaced = encode.correctAnswer.split('-').join(' ');
+    assertTrue(generator.validateQuestionInput(spaced, encode).isValid, 'Space-separated code should be valid');
+    assertTrue(generator.checkAnswer(spaced, encode), 'Space-separated code should be correct');
+    assertFalse(generator.isValidCode('8-27'), 'Numbers above 26 should be rejected');
+    assertFalse(generator.isValidCode('8-X'), 'Letters should be rejected in codes');
+});
+
+// Test letter arithmetic questions
+testRunner.test('Letter arithmetic answers match the letter positions', () => {
+    const generator = new QuestionGenerator(new SeededRandom(21));
+    
+    for (let i = 0; i < 50; i++) {
+        const question = generator.generateLetterArithmeticQuestion(`test-${i}`);
+        const [left, operator, right] = question.displayValue.split(' ');
+        const leftNumber = generator.alphabet.indexOf(left) + 1;
+        const rightNumber = generator.alphabet.indexOf(right) + 1;
+        const expected = operator === '+' ? leftNumber + rightNumber : leftNumber - rightNumber;
+        
+        assertTrue(expected >= 1 && expected <= 26, `${question.displayValue} should not wrap by default`);
+        assertEquals(question.correctAnswer, generator.alphabet[expected - 1], `${question.displayValue} should be correct`);
+    }
+});
+
+testRunner.test('Letter arithmetic can wrap past Z and target a letter', () => {
+    const generator = new QuestionGenerator(new SeededRandom(4));
+    generator.setArithmeticOptions({ operations: ['add'], wrap: true });
+    assertEquals(JSON.stringify(generator.getArithmeticOptions()), JSON.stringify({ operations: ['add'], wrap: true }), 'Options should be kept');
+    
+    const question = generator.generateLetterArithmeticQuestion('test-id', 0);
+    assertEquals(question.correctAnswer, 'A', 'Requested answer letter should be used');
+    assertTrue(question.prompt.includes('+'), 'Only addition should be used');
+    
+    const [left, , right] = question.displayValue.split(' ');
+    const sum = generator.alphabet.indexOf(left) + generator.alphabet.indexOf(right) + 2;
+    assertEquals(sum, 27, `${question.displayValue} should wrap past Z to A`);
+});
+
+testRunner.test('Letter distance questions expect the gap between two letters', () => {
+    const generator = new QuestionGenerator(new SeededRandom(2));
+    const question = generator.generateLetterDistanceQuestion('test-id', 3);
+    const [first, second] = question.displayValue.split(' ');
+    
+    assertEquals(first, 'D', 'First letter should be the requested one');
+    assertEquals(question.correctAnswer, Math.abs(generator.alphabet.indexOf(second) - 3).toString(), 'Answer should be the distance');
+    assertTrue(generator.validateQuestionInput('25', question).isValid, '25 should be an accepted distance');
+    assertFalse(generator.validateQuestionInput('26', question).isValid, '26 is not a possible distance');
+});
+
+// Test neighbour and pattern questions
+testRunner.test('Neighbour questions count the requested steps', () => {
+    const generator = new QuestionGenerator(new SeededRandom(31));
+    generator.setSequenceOptions('hard');
+    
+    for (let i = 0; i < 50; i++) {
+        const question = generator.generateNeighbourQuestion(`test-${i}`);
+        const stepWords = ['right', 'two', 'three', 'four'];
+        const match = question.prompt.match(/comes (\w+) (after|before) ([A-Z])\?/);
+        assertTrue(match !== null, `Prompt should describe the step: ${question.prompt}`);
+        
+        const step = stepWords.indexOf(match[1]) + 1;
+        const start = generator.alphabet.indexOf(match[3]);
+        const expected = match[2] === 'after' ? start + step : start - step;
+        assertEquals(question.correctAnswer, generator.alphabet[expected], question.prompt);
+    }
+});
+
+testRunner.test('Pattern questions continue an evenly spaced sequence', () => {
+    const generator = new QuestionGenerator(new SeededRandom(32));
+    generator.setSequenceOptions({ maxStep: 2, directions: ['forward'] });
+    
+    const question = generator.generateSequenceQuestion('test-id', 7);
+    assertEquals(question.correctAnswer, 'H', 'Requested answer letter should be used');
+    
+    const terms = question.displayValue.split(', ').map(letter => generator.alphabet.indexOf(letter));
+    const step = terms[1] - terms[0];
+    assertTrue(step === 1 || step === 2, 'Step should be within the difficulty');
+    assertEquals(terms[2] - terms[1], step, 'Terms should be evenly spaced');
+    assertEquals(generator.alphabet.indexOf(question.correctAnswer) - terms[2], step, 'Answer should continue the pattern');
+});
+
+testRunner.test('Easy sequence difficulty only counts forwards by one', () => {
+    const generator = new QuestionGenerator(new SeededRandom(33));
+    generator.setSequenceOptions('easy');
+    
+    for (let i = 0; i < 20; i++) {
+        assertTrue(generator.generateNeighbourQuestion(`test-${i}`).prompt.includes('right after'), 'Should ask for the next letter');
+    }
+});
+
+// Test letter numbering modes
+testRunner.test('Letter mappings convert in both directions', () => {
+    const reverse = new LetterMapping('reverse');
+    assertEquals(reverse.toNumber('Z'), 1, 'Z should be 1 in reverse mode');
+    assertEquals(reverse.toNumber('a'), 26, 'A should be 26 in reverse mode');
+    assertEquals(reverse.toLetter(2), 'Y', '2 should be Y in reverse mode');
+    assertEquals(reverse.describe(), 'Z=1, Y=2, ..., A=26', 'Reverse description should start at Z');
+    
+    const zeroBased = new LetterMapping('zero-based');
+    assertEquals(zeroBased.toNumber('A'), 0, 'A should be 0 in zero-based mode');
+    assertEquals(zeroBased.toLetter(25), 'Z', '25 should be Z in zero-based mode');
+    assertEquals(zeroBased.toLetter(26), null, '26 should be out of range in zero-based mode');
+    assertEquals(zeroBased.wrapNumber(27), 1, '27 should wrap to B in zero-based mode');
+    
+    let threw = false;
+    try {
+        zeroBased.setMode('roman');
+    } catch (error) {
+        threw = true;
+    }
+    assertTrue(threw, 'Unknown mappings should be rejected');
+});
+
+testRunner.test('Generated questions and validation follow the mapping', () => {
+    const generator = new QuestionGenerator(new SeededRandom(8), undefined, new LetterMapping('zero-based'));
+    
+    const toNumber = generator.generateAlphabetToNumberQuestion('test-id', 0);
+    assertEquals(toNumber.correctAnswer, '0', 'A should be answered with 0');
+    assertTrue(generator.validateQuestionInput('0', toNumber).isValid, '0 should be a valid answer');
+    assertFalse(generator.isValidNumber('26'), '26 should be out of range');
+    assertEquals(generator.validateInput('26', 'number').errorMessage, 'Please enter a number between 0 and 25',
+        'Range message should use the mapping');
+    
+    const toLetter = generator.generateNumberToAlphabetQuestion('test-id', 25);
+    assertEquals(toLetter.correctAnswer, 'Z', '25 should be Z');
+    assertEquals(generator.getWordValue('CAT'), 2 + 0 + 19, 'Word values should use the mapping');
+    assertEquals(QuestionGenerator.describeWordValue('CAT', generator.mapping), 'C=2 + A=0 + T=19', 'Breakdowns should use the mapping');
+    assertTrue(generator.isValidCode('1-26'), 'A1Z26 codes should keep their own numbering');
+    
+    generator.mapping.setMode('reverse');
+    for (let i = 0; i < 30; i++) {
+        const question = generator.generateLetterArithmeticQuestion(`test-${i}`);
+        const [left, operator, right] = question.displayValue.split(' ');
+        const leftNumber = generator.mapping.toNumber(left);
+        const rightNumber = generator.mapping.toNumber(right);
+        const expected = operator === '+' ? leftNumber + rightNumber : leftNumber - rightNumber;
+        assertEquals(question.correctAnswer, generator.mapping.toLetter(expected), `${question.displayValue} should be correct in reverse mode`);
+    }
+});
+
+// Test spreadsheet column labels
+testRunner.test('Column labels convert to and from numbers', () => {
+    const generator = new QuestionGenerator(new SeededRandom(5));
+    const pairs = [['A', 1], ['Z', 26], ['AA', 27], ['AB', 28], ['AZ', 52], ['ZZ', 702], ['AAA', 703], ['ZZZ', 18278]];
+    
+    pairs.forEach(([label, number]) => {
+        assertEquals(generator.columnToNumber(label), number, `${label} should be column ${number}`);
+        assertEquals(generator.numberToColumn(number), label, `Column ${number} should be ${label}`);
+    });
+    assertTrue(isNaN(generator.columnToNumber('A1')), 'Labels with digits should be rejected');
+});
+
+testRunner.test('Column questions stay within the configured range', () => {
+    const generator = new QuestionGenerator(new SeededRandom(6), ['column-to-number', 'number-to-column']);
+    generator.setColumnOptions({ max: 'ZZZ' });
+    let longest = 0;
+    
+    for (let i = 0; i < 60; i++) {
+        const question = generator.generateQuestion();
+        const label = question.type === 'column-to-number' ? question.displayValue : question.correctAnswer;
+        const number = generator.columnToNumber(label);
+        
+        assertTrue(number >= 1 && number <= 18278, `${label} should be within ZZZ`);
+        assertEquals(question.answerRange.max, 18278, 'Answer range should reach ZZZ');
+        assertTrue(generator.validateQuestionInput(question.correctAnswer, question).isValid, `${question.correctAnswer} should be valid`);
+        assertTrue(generator.checkAnswer(question.correctAnswer.toLowerCase(), question), `${question.correctAnswer} should be correct`);
+        longest = Math.max(longest, label.length);
+    }
+    
+    assertEquals(longest, 3, 'Three-letter labels should be asked');
+    
+    const targeted = generator.generateNumberToColumnQuestion('test-id', 1);
+    assertTrue(targeted.correctAnswer.endsWith('B'), 'Requested letter should end the label');
+});
+
+testRunner.test('Column label validation accepts several letters', () => {
+    const generator = new QuestionGenerator();
+    assertTrue(generator.isValidLetter('ab', 2), 'Two letters should be valid when allowed');
+    assertFalse(generator.isValidLetter('AB'), 'Single-letter answers should still reject two letters');
+    
+    const range = { min: 1, max: 702 };
+    assertTrue(generator.validateInput('ZZ', 'column', range).isValid, 'ZZ should be within range');
+    assertEquals(generator.validateInput('AAA', 'column', range).errorMessage, 'Please enter a column label from A to ZZ',
+        'Labels past the range should be rejected');
+    assertEquals(sanitizeInput(' a-b ', 'column', range), 'AB', 'Column input should keep its letters');
+    assertEquals(sanitizeInput('ABC', 'column', range), '', 'Over-long labels should be cleared');
+});
+
+// Test multiple-choice distractors
+testRunner.test('Distractors are plausible wrong answers', () => {
+    const generator = new QuestionGenerator(new SeededRandom(10));
+    
+    const letterQuestion = generator.addChoices(generator.generateNumberToAlphabetQuestion('test-id', 13));
+    assertEquals(letterQuestion.choices.length, 4, 'Four choices should be offered');
+    assertContains(letterQuestion.choices, 'M', 'Correct answer should be a choice');
+    letterQuestion.distractors.forEach(({ answer, reason }) => {
+        assertTrue(answer !== 'M', 'Distractors should be wrong');
+        if (reason === 'adjacent') {
+            assertContains(['L', 'N'], answer, 'Adjacent distractors should neighbour M');
+        } else if (reason === 'look-alike') {
+            assertContains(LOOK_ALIKE_LETTERS.M, answer, 'Look-alike distractors should resemble M');
+        }
+    });
+    
+    const numberQuestion = generator.addChoices(generator.generateAlphabetToNumberQuestion('test-id', 0));
+    numberQuestion.distractors.forEach(({ answer }) => {
+        assertTrue(generator.isValidNumber(answer), `${answer} should be within 1-26`);
+    });
+    assertContains(numberQuestion.choices, '2', 'Off-by-one number should be offered for A');
+});
+
+testRunner.test('Questions at the ends of the range still get four distinct choices', () => {
+    Object.keys(LETTER_MAPPINGS).forEach(mode => {
+        const mapping = new LetterMapping(mode);
+        for (let seed = 1; seed <= 10; seed++) {
+            const generator = new QuestionGenerator(new SeededRandom(seed), undefined, mapping);
+            const questions = [
+                generator.generateNumberToAlphabetQuestion('letter-a', mapping.toNumber('A')),
+                generator.generateNumberToAlphabetQuestion('letter-z', mapping.toNumber('Z')),
+                generator.generateAlphabetToNumberQuestion('number-min', generator.alphabet.indexOf(mapping.toLetter(mapping.getMin()))),
+                generator.generateAlphabetToNumberQuestion('number-max', generator.alphabet.indexOf(mapping.toLetter(mapping.getMax())))
+            ];
+            questions.forEach(original => {
+                const question = generator.addChoices(original);
+                const label = `${original.correctAnswer} in ${mode} numbering`;
+                assertEquals(question.choices.length, 4, `${label} should get four choices`);
+                assertEquals(new Set(question.choices).size, 4, `${label} should get distinct choices`);
+                question.distractors.forEach(({ answer }) => {
+                    assertTrue(generator.validateQuestionInput(answer, question).isValid, `${answer} should be a valid answer for ${label}`);
+                });
+            });
+        }
+    });
+});
+
+testRunner.test('Every question type gets distinct valid choices', () => {
+    const generator = new QuestionGenerator(new SeededRandom(11), questionTypeRegistry.getTypes());
+    
+    for (let i = 0; i < 80; i++) {
+        const question = generator.addChoices(generator.generateQuestion());
+        const normalized = question.choices.map(choice => generator.normalizeAnswer(choice));
+        
+        assertTrue(question.choices.length >= 3, `${question.type} should have at least three choices`);
+        assertEquals(new Set(normalized).size, normalized.length, `${question.type} choices should be distinct`);
+        assertEquals(question.choices.filter(choice => generator.checkAnswer(choice, question)).length, 1,
+            `${question.type} should have exactly one correct choice`);
+        question.choices.forEach(choice => {
+            assertTrue(generator.validateQuestionInput(choice, question).isValid, `${choice} should be a valid answer to ${question.type}`);
+        });
+    }
+});
+
+// Test the Leitner review scheduler
+testRunner.test('LeitnerScheduler moves letters between boxes', () => {
+    if (typeof localStorage === 'undefined') {
+        return; // Boxes are only persisted where localStorage exists
+    }
+    const scheduler = new LeitnerScheduler('quiz_leitner_boxes_test');
+    scheduler.reset();
+    const day = 24 * 60 * 60 * 1000;
+    const now = Date.UTC(2024, 0, 1);
+    
+    scheduler.recordSession([
+        { item: 'Q', isCorrect: false },
+        { item: 'R', isCorrect: true },
+        { item: 'CAT', isCorrect: true }
+    ], now);
+    
+    const schedule = scheduler.getSchedule(now);
+    const entry = item => schedule.find(e => e.item === item);
+    assertEquals(entry('Q').box, 1, 'Missed letters should go to box 1');
+    assertEquals(entry('R').box, 1, 'New correct letters should start in box 1');
+    assertEquals(entry('S').box, null, 'Unseen letters should have no box');
+    assertEquals(schedule.length, 26, 'Every letter should be listed');
+    assertEquals(scheduler.getDueItems(now).length, 2, 'Box 1 letters should be due in the next session');
+    
+    scheduler.recordSession([{ item: 'R', isCorrect: true }], now);
+    assertEquals(scheduler.getDueItems(now).join(''), 'Q', 'Promoted letters should no longer be due');
+    assertEquals(scheduler.describeDue(entry('S'), now), 'New', 'Unseen letters should be described as new');
+    assertEquals(scheduler.describeDue(scheduler.getSchedule(now).find(e => e.item === 'R'), now), 'In 1 day', 'Box 2 should be due in a day');
+    assertContains(scheduler.getDueItems(now + day), 'R', 'Box 2 letters should be due after a day');
+    
+    scheduler.reset();
+    localStorage.removeItem(scheduler.storageKey);
+});
+
+testRunner.test('QuestionSampler asks priority letters first', () => {
+    ['random', 'unique', 'balanced', 'coverage'].forEach(strategy => {
+        const sampler = new QuestionSampler(new QuestionGenerator(new SeededRandom(9)), strategy);
+        sampler.storageKey = 'quiz_alphabet_coverage_test';
+        const questions = sampler.sample(10, [16, 17, 18]);
+        
+        assertEquals(questions.length, 10, `${strategy} should still build ten questions`);
+        assertEquals(questions.slice(0, 3).map(q => q.item).join(''), 'QRS', `${strategy} should ask due letters first`);
+        if (strategy !== 'random') {
+            assertFalse(questions.slice(3).some(q => ['Q', 'R', 'S'].includes(q.item)), `${strategy} should not repeat due letters`);
+        }
+    });
+});
+
+// Test the adaptive difficulty engine
+testRunner.test('AdaptiveEngine updates ratings and time limits', () => {
+    const engine = new AdaptiveEngine('quiz_adaptive_ratings_test');
+    engine.reset();
+    
+    assertEquals(engine.getExpectedScore('Q'), 0.5, 'Equal ratings should give an even chance');
+    assertEquals(engine.getTimeLimit('Q'), CONFIG.QUESTION_TIME_LIMIT, 'Even chances should keep the default time limit');
+    
+    engine.recordAnswer('Q', false);
+    engine.recordAnswer('Q', false);
+    engine.recordAnswer('A', true);
+    assertTrue(engine.getItemRating('Q') > ELO_SETTINGS.INITIAL_RATING, 'Missed letters should get harder');
+    assertTrue(engine.getItemRating('A') < ELO_SETTINGS.INITIAL_RATING, 'Known letters should get easier');
+    assertTrue(engine.getTimeLimit('Q') > engine.getTimeLimit('A'), 'Harder letters should get more time');
+    
+    for (let i = 0; i < 50; i++) {
+        engine.recordAnswer('A', true);
+    }
+    assertTrue(engine.getTimeLimit('A') >= CONFIG.ADAPTIVE_MIN_TIME, 'Time limits should not drop below the minimum');
+    
+    engine.reset();
+    if (typeof localStorage !== 'undefined') {
+        localStorage.removeItem(engine.storageKey);
+    }
+});
+
+testRunner.test('AdaptiveEngine chooses letters near the target success rate', () => {
+    const engine = new AdaptiveEngine('quiz_adaptive_ratings_test');
+    engine.reset();
+    engine.ratings.items.R = ELO_SETTINGS.INITIAL_RATING - 147; // about 70% expected success
+    engine.ratings.items.S = ELO_SETTINGS.INITIAL_RATING - 150;
+    engine.ratings.items.T = ELO_SETTINGS.INITIAL_RATING - 140;
+    
+    const random = new SeededRandom(3);
+    for (let i = 0; i < 10; i++) {
+        assertContains(['R', 'S', 'T'], engine.chooseNextItem(random), 'Letters nearest the target should be chosen');
+    }
+    assertFalse(['R', 'S', 'T'].includes(engine.chooseNextItem(random, ['R', 'S', 'T'])), 'Asked letters should be skipped');
+    
+    engine.reset();
+    if (typeof localStorage !== 'undefined') {
+        localStorage.removeItem(engine.storageKey);
+    }
+});
+
+testRunner.test('Daily challenge gives the same questions for the same date', () => {
+    const daily = new DailyChallenge('quiz_daily_challenge_test');
+    const day = new Date(2026, 9, 19, 8, 30);
+    const options = daily.getOptions(day);
+    
+    assertEquals(options.seed, 20261019, 'Seed should come from the local date');
+    assertEquals(options.dailyDate, '2026-10-19', 'Day key should be the local date');
+    assertEquals(daily.getOptions(new Date(2026, 9, 19, 23, 59)).seed, options.seed, 'Seed should not change during the day');
+    assertFalse(daily.getOptions(new Date(2026, 9, 20)).seed === options.seed, 'Seed should change the next day');
+    
+    const buildQuiz = () => {
+        const generator = new QuestionGenerator(new SeededRandom(options.seed), options.questionTypes);
+        const sampler = new QuestionSampler(generator, options.samplingStrategy);
+        return sampler.sample(10).map(question => question.prompt).join('|');
+    };
+    assertEquals(buildQuiz(), buildQuiz(), 'Every player should get the same questions that day');
+});
+
 // Run tests when this file is loaded
 if (typeof window !== 'undefined') {
     // Browser environment
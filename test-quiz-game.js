@@ -0,0 +1,699 @@
+/**
+ * Unit tests for the QuizGame controller
+ * Drives whole sessions through QuizGame with the page left out: the UI is a stand-in that records what it was asked to show
+ */
+
+/**
+ * Test utilities and helpers
+ */
+const TestUtils = {
+    /**
+     * Creates a promise that resolves after specified milliseconds
+     * @param {number} ms - Milliseconds to wait
+     * @returns {Promise} Promise that resolves after delay
+     */
+    delay: (ms) => new Promise(resolve => setTimeout(resolve, ms)),
+    
+    /**
+     * Asserts that a condition is true
+     * @param {boolean} condition - Condition to test
+     * @param {string} message - Error message if assertion fails
+     */
+    assert: (condition, message) => {
+        if (!condition) {
+            throw new Error(`Assertion failed: ${message}`);
+        }
+    },
+    
+    /**
+     * Asserts that two values are equal
+     * @param {*} actual - Actual value
+     * @param {*} expected - Expected value
+     * @param {string} message - Error message if assertion fails
+     */
+    assertEqual: (actual, expected, message) => {
+        if (actual !== expected) {
+            throw new Error(`Assertion failed: ${message}. Expected: ${expected}, Actual: ${actual}`);
+        }
+    },
+    
+    /**
+     * Creates a stand-in for UIManager: every method is accepted and recorded, and the shown section is tracked
+     * @returns {Object} Mock UI ({ currentSection, calls })
+     */
+    createMockUI: () => {
+        const ui = { currentSection: 'start', calls: [] };
+        return new Proxy(ui, {
+            get(target, name) {
+                if (name in target) {
+                    return target[name];
+                }
+                return (...args) => {
+                    target.calls.push({ name, args });
+                    if (name === 'showSection') {
+                        target.currentSection = args[0];
+                    } else if (name === 'showHandoff') {
+                        target.currentSection = 'handoff';
+                    }
+                };
+            }
+        });
+    },
+    
+    /**
+     * Creates a QuizGame with a mock UI that keeps its saved progress under test storage keys
+     * @returns {QuizGame} Game ready to start
+     */
+    createTestGame: () => {
+        const game = new QuizGame();
+        game.uiManager = TestUtils.createMockUI();
+        game.scheduler = new LeitnerScheduler('quiz_leitner_boxes_test');
+        game.adaptiveEngine = new AdaptiveEngine('quiz_adaptive_ratings_test');
+        game.sessionHistory = new SessionHistory('quiz_session_history_test');
+        game.dailyChallenge = new DailyChallenge('quiz_daily_challenge_test');
+        game.endlessLevels = new EndlessLevels('quiz_endless_best_test');
+        game.questionSampler.storageKey = 'quiz_alphabet_coverage_test';
+        game.sessionHistory.clear();
+        return game;
+    },
+    
+    /**
+     * Runs an action that ends a question, then moves on straight away instead of after the feedback pause
+     * @param {Function} action - Action that answers or times out the current question
+     */
+    skipFeedbackPause: (action) => {
+        const pending = [];
+        const realSetTimeout = globalThis.setTimeout;
+        globalThis.setTimeout = callback => pending.push(callback);
+        try {
+            action();
+        } finally {
+            globalThis.setTimeout = realSetTimeout;
+        }
+        pending.forEach(callback => callback());
+    },
+    
+    /**
+     * Answers the current question and moves on
+     * @param {QuizGame} game - Game with a question showing
+     * @param {string} answer - Answer to give (the correct answer if omitted)
+     */
+    answerQuestion: (game, answer = String(game.currentQuestion.correctAnswer)) => {
+        TestUtils.skipFeedbackPause(() => game.submitAnswer(answer));
+    },
+    
+    /**
+     * Lets the current question time out and moves on
+     * @param {QuizGame} game - Game with a question showing
+     */
+    timeOutQuestion: (game) => {
+        TestUtils.skipFeedbackPause(() => game.handleTimerComplete());
+    },
+    
+    /**
+     * Gets a wrong but well-formed answer to a letter or number question
+     * @param {Object} question - Question to answer
+     * @returns {string} Wrong answer
+     */
+    wrongAnswer: (question) => {
+        const correct = String(question.correctAnswer);
+        if (/^\d+$/.test(correct)) {
+            return String(correct === '1' ? 2 : Number(correct) - 1);
+        }
+        return correct === 'A' ? 'B' : 'A';
+    },
+    
+    /**
+     * Takes the device on the pass screen if it is showing, then answers the question
+     * @param {QuizGame} game - Hot-seat game
+     * @param {boolean} correct - Whether to answer correctly
+     */
+    playTurn: (game, correct = true) => {
+        if (game.uiManager.currentSection === 'handoff') {
+            game.startPlayerTurn();
+        }
+        TestUtils.answerQuestion(game, correct ? String(game.currentQuestion.correctAnswer) : TestUtils.wrongAnswer(game.currentQuestion));
+    },
+    
+    /**
+     * Gets the calls the mock UI got to one method
+     * @param {QuizGame} game - Game with a mock UI
+     * @param {string} name - UIManager method name
+     * @returns {Array<Array>} Arguments of each call in order
+     */
+    callsTo: (game, name) => game.uiManager.calls.filter(call => call.name === name).map(call => call.args),
+    
+    /**
+     * Stops a game's timers and puts the shared game state back to the start
+     * @param {QuizGame} game - Game to stop
+     */
+    stopGame: (game) => {
+        game.restartQuiz();
+        game.sessionHistory.clear();
+    }
+};
+
+/**
+ * QuizGame test suite
+ */
+const QuizGameTests = {
+    /**
+     * Test that a resumed open-ended quiz carries on with new questions instead of replaying the seed from the start
+     */
+    async testSnapshotKeepsRandomState() {
+        console.log('Testing QuizGame snapshot random state...');
+        
+        const game = TestUtils.createTestGame();
+        game.startQuiz({ seed: 4242, gameMode: 'survival', samplingStrategy: 'random' });
+        for (let i = 0; i < 3; i++) {
+            TestUtils.answerQuestion(game);
+        }
+        
+        // Snapshots go through localStorage as JSON
+        const snapshot = JSON.parse(JSON.stringify(game.createSnapshot()));
+        while (gameState.questions.length <= CONFIG.TOTAL_QUESTIONS) {
+            TestUtils.answerQuestion(game);
+        }
+        const firstBatch = gameState.questions.slice(0, CONFIG.TOTAL_QUESTIONS).map(question => question.prompt);
+        const secondBatch = gameState.questions.slice(CONFIG.TOTAL_QUESTIONS).map(question => question.prompt);
+        const secondBatchIds = gameState.questions.slice(CONFIG.TOTAL_QUESTIONS).map(question => question.id);
+        TestUtils.stopGame(game);
+        
+        const resumed = TestUtils.createTestGame();
+        TestUtils.assert(resumed.restoreSnapshot(snapshot), 'The snapshot should be restored');
+        TestUtils.assertEqual(gameState.currentQuestionIndex, 3, 'The quiz should resume after the answered questions');
+        while (gameState.questions.length <= CONFIG.TOTAL_QUESTIONS) {
+            TestUtils.answerQuestion(resumed);
+        }
+        const resumedBatch = gameState.questions.slice(CONFIG.TOTAL_QUESTIONS).map(question => question.prompt);
+        TestUtils.assertEqual(resumedBatch.join('|'), secondBatch.join('|'), 'The resumed quiz should get the same next batch as the original');
+        TestUtils.assert(resumedBatch.join('|') !== firstBatch.slice(0, resumedBatch.length).join('|'), 'The next batch should not replay the first');
+        TestUtils.assertEqual(gameState.questions[CONFIG.TOTAL_QUESTIONS].id, secondBatchIds[0], 'Question numbering should carry on');
+        TestUtils.stopGame(resumed);
+        
+        TestUtils.assert(!resumed.restoreSnapshot({ ...snapshot, version: 1 }), 'Snapshots without the random state should be rejected');
+        
+        console.log('✓ QuizGame snapshot random state test passed');
+    },
+    
+    /**
+     * Test that a quiz code replays the same questions whatever the alphabet coverage, and leaves the coverage alone
+     */
+    async testReplayIgnoresCoverage() {
+        console.log('Testing QuizGame replays with the coverage strategy...');
+        
+        const game = TestUtils.createTestGame();
+        const playQuiz = seed => {
+            game.startQuiz({ seed, samplingStrategy: 'coverage', gameMode: 'practice' });
+            const prompts = gameState.questions.map(question => question.prompt);
+            while (gameState.status === 'active') {
+                TestUtils.answerQuestion(game);
+            }
+            return prompts;
+        };
+        localStorage.removeItem(game.questionSampler.storageKey);
+        
+        const original = playQuiz(77);
+        TestUtils.assertEqual(game.questionSampler.getCoverageProgress().covered, 0, 'A seeded quiz should not count towards the coverage');
+        
+        playQuiz(null);
+        TestUtils.assertEqual(game.questionSampler.getCoverageProgress().covered, CONFIG.TOTAL_QUESTIONS, 'An unseeded quiz should count towards the coverage');
+        
+        const replay = playQuiz(77);
+        TestUtils.assertEqual(replay.join('|'), original.join('|'), 'The replay should ask the same questions as the original');
+        TestUtils.assertEqual(game.questionSampler.getCoverageProgress().covered, CONFIG.TOTAL_QUESTIONS, 'The replay should leave the coverage as it was');
+        
+        TestUtils.stopGame(game);
+        localStorage.removeItem(game.questionSampler.storageKey);
+        console.log('✓ QuizGame replay coverage test passed');
+    },
+    
+    /**
+     * Test that the arithmetic chosen at the start shapes the questions and survives a resume, and that
+     * classroom quizzes keep the defaults so every device builds the same questions
+     */
+    async testArithmeticOptions() {
+        console.log('Testing QuizGame arithmetic options...');
+        
+        const game = TestUtils.createTestGame();
+        game.startQuiz({
+            seed: 606,
+            questionTypes: ['letter-arithmetic'],
+            arithmeticOptions: { operations: ['subtract'], wrap: true },
+            gameMode: 'survival'
+        });
+        TestUtils.assert(gameState.questions.every(question => question.displayValue.includes(' - ')), 'Only subtraction should be asked');
+        TestUtils.assertEqual(JSON.stringify(gameState.arithmeticOptions), JSON.stringify({ operations: ['subtract'], wrap: true }), 'The options should be kept with the game');
+        
+        const snapshot = JSON.parse(JSON.stringify(game.createSnapshot()));
+        TestUtils.stopGame(game);
+        const resumed = TestUtils.createTestGame();
+        TestUtils.assert(resumed.restoreSnapshot(snapshot), 'The snapshot should be restored');
+        TestUtils.assertEqual(resumed.questionGenerator.getArithmeticOptions().wrap, true, 'A resumed quiz should keep wrapping');
+        TestUtils.assertEqual(resumed.questionGenerator.getArithmeticOptions().operations.join(','), 'subtract', 'A resumed quiz should keep its operations');
+        TestUtils.stopGame(resumed);
+        
+        const classroomOptions = ClassroomClient.getQuizOptions({ seed: 606, mappingMode: 'standard', answerMode: 'typed' });
+        TestUtils.assertEqual(classroomOptions.arithmeticOptions.operations.join(','), CONFIG.ARITHMETIC_OPERATIONS.join(','), 'Classroom quizzes should use the default operations');
+        TestUtils.assertEqual(classroomOptions.arithmeticOptions.wrap, CONFIG.ARITHMETIC_WRAP, 'Classroom quizzes should use the default wrapping');
+        
+        console.log('✓ QuizGame arithmetic options test passed');
+    },
+    
+    /**
+     * Test that the step sizes chosen at the start shape neighbour questions and survive a resume, and that
+     * classroom quizzes keep the default step sizes
+     */
+    async testSequenceDifficulty() {
+        console.log('Testing QuizGame sequence difficulty...');
+        
+        const game = TestUtils.createTestGame();
+        game.startQuiz({ seed: 707, questionTypes: ['letter-neighbour'], sequenceDifficulty: 'easy', gameMode: 'survival' });
+        TestUtils.assert(gameState.questions.every(question => question.prompt.includes('right after')), 'Easy neighbour questions should ask for the next letter');
+        TestUtils.assertEqual(gameState.sequenceDifficulty, 'easy', 'The difficulty should be kept with the game');
+        
+        const snapshot = JSON.parse(JSON.stringify(game.createSnapshot()));
+        TestUtils.stopGame(game);
+        const resumed = TestUtils.createTestGame();
+        TestUtils.assert(resumed.restoreSnapshot(snapshot), 'The snapshot should be restored');
+        TestUtils.assertEqual(resumed.questionGenerator.sequenceOptions.maxStep, SEQUENCE_DIFFICULTIES.easy.maxStep, 'A resumed quiz should keep its step sizes');
+        TestUtils.stopGame(resumed);
+        
+        const unknown = TestUtils.createTestGame();
+        unknown.startQuiz({ seed: 707, sequenceDifficulty: 'impossible' });
+        TestUtils.assertEqual(gameState.sequenceDifficulty, CONFIG.SEQUENCE_DIFFICULTY, 'An unknown difficulty should fall back to the default');
+        TestUtils.stopGame(unknown);
+        
+        const classroomOptions = ClassroomClient.getQuizOptions({ seed: 707, mappingMode: 'standard', answerMode: 'typed' });
+        TestUtils.assertEqual(classroomOptions.sequenceDifficulty, CONFIG.SEQUENCE_DIFFICULTY, 'Classroom quizzes should use the default step sizes');
+        
+        console.log('✓ QuizGame sequence difficulty test passed');
+    },
+    
+    /**
+     * Test that in rounds the device goes round the players and no one sees the answer before their go
+     */
+    async testHotSeatRounds() {
+        console.log('Testing QuizGame hot-seat rounds...');
+        
+        const game = TestUtils.createTestGame();
+        game.startQuiz({ seed: 11, players: ['Ann', 'Ben'], playerOrder: 'rounds', samplingStrategy: 'random' });
+        TestUtils.assertEqual(game.uiManager.currentSection, 'handoff', 'The game should start on the pass screen');
+        TestUtils.assertEqual(TestUtils.callsTo(game, 'showHandoff')[0][0], 'Ann', 'The first player should get the device');
+        
+        game.startPlayerTurn();
+        TestUtils.assertEqual(game.uiManager.currentSection, 'quiz', 'Taking the device should show the question');
+        game.startPlayerTurn();
+        TestUtils.assertEqual(TestUtils.callsTo(game, 'displayQuestion').length, 1, 'Taking the device twice should not skip a question');
+        
+        TestUtils.answerQuestion(game);
+        TestUtils.assertEqual(TestUtils.callsTo(game, 'showFeedback').length, 0, 'The first player should not see the answer while the next still has the question');
+        TestUtils.assertEqual(TestUtils.callsTo(game, 'showAnswerSavedFeedback').length, 1, 'The first player should be told the answer was kept');
+        TestUtils.assertEqual(gameState.currentPlayerIndex, 1, 'The device should go to the next player');
+        TestUtils.assertEqual(gameState.currentQuestionIndex, 0, 'The next player should get the same question');
+        TestUtils.assert(game.scoreTracker === game.players[1].scoreTracker, "The next player's answers should become current");
+        
+        TestUtils.playTurn(game, false);
+        const feedback = TestUtils.callsTo(game, 'showFeedback');
+        TestUtils.assertEqual(feedback.length, 1, 'The last player in the round should see the answer');
+        TestUtils.assertEqual(feedback[0][0], false, 'A wrong answer should be marked wrong');
+        
+        const [name, message] = TestUtils.callsTo(game, 'showHandoff').pop();
+        TestUtils.assertEqual(name, 'Ann', 'The next round should go back to the first player');
+        TestUtils.assert(message.startsWith(`Question 1: the answer was ${gameState.questions[0].correctAnswer} (Ann ✓, Ben ✗).`),
+            'The pass screen should show how the round went');
+        TestUtils.assertEqual(gameState.currentQuestionIndex, 1, 'The next round should ask the next question');
+        
+        game.players[0].questionIndex = CONFIG.TOTAL_QUESTIONS;
+        TestUtils.assertEqual(game.getNextPlayerIndex(), 1, 'Players who have finished should be skipped');
+        game.players[1].questionIndex = CONFIG.TOTAL_QUESTIONS;
+        TestUtils.assertEqual(game.getNextPlayerIndex(), null, 'No one should be next once everyone has finished');
+        
+        TestUtils.stopGame(game);
+        console.log('✓ QuizGame hot-seat rounds test passed');
+    },
+    
+    /**
+     * Test that in turns each player answers every question before passing the device on
+     */
+    async testHotSeatTurns() {
+        console.log('Testing QuizGame hot-seat turns...');
+        
+        const game = TestUtils.createTestGame();
+        game.startQuiz({ seed: 12, players: ['Ann', 'Ben'], playerOrder: 'turns', samplingStrategy: 'random' });
+        TestUtils.playTurn(game);
+        TestUtils.assertEqual(gameState.currentPlayerIndex, 0, 'The player should keep the device until their quiz is done');
+        TestUtils.assertEqual(game.uiManager.currentSection, 'quiz', 'No pass screen should show mid-turn');
+        TestUtils.assertEqual(TestUtils.callsTo(game, 'showFeedback').length, 1, 'Answers should be shown straight away in turns');
+        TestUtils.assertEqual(game.getNextPlayerIndex(), 0, 'The current player should be next while they have questions left');
+        
+        while (gameState.currentPlayerIndex === 0) {
+            TestUtils.playTurn(game);
+        }
+        TestUtils.assertEqual(game.players[0].questionIndex, CONFIG.TOTAL_QUESTIONS, 'The first player should have finished');
+        TestUtils.assertEqual(gameState.currentQuestionIndex, 0, 'The next player should start at the first question');
+        TestUtils.assertEqual(game.uiManager.currentSection, 'handoff', 'The device should be passed on');
+        TestUtils.assert(TestUtils.callsTo(game, 'showHandoff').pop()[1].includes('your quiz starts at question 1'),
+            'The pass screen should say where the quiz starts');
+        
+        game.passToPlayer(0);
+        TestUtils.assertEqual(gameState.currentQuestionIndex, CONFIG.TOTAL_QUESTIONS, "Passing back should restore the player's place");
+        TestUtils.assert(game.scoreTracker === game.players[0].scoreTracker, "Passing back should restore the player's answers");
+        
+        TestUtils.stopGame(game);
+        console.log('✓ QuizGame hot-seat turns test passed');
+    },
+    
+    /**
+     * Test the final standings: tied players share a rank and hot-seat games stay out of the learner's history
+     */
+    async testHotSeatStandings() {
+        console.log('Testing QuizGame hot-seat standings...');
+        
+        const game = TestUtils.createTestGame();
+        game.startQuiz({ seed: 13, players: ['Ann', 'Ben', 'Cat'], playerOrder: 'rounds', samplingStrategy: 'random' });
+        while (gameState.status === 'active') {
+            const isCatsFirstQuestion = gameState.currentPlayerIndex === 2 && gameState.currentQuestionIndex === 0;
+            TestUtils.playTurn(game, !isCatsFirstQuestion);
+        }
+        
+        TestUtils.assertEqual(gameState.status, 'completed', 'The game should end once everyone has finished');
+        const standings = TestUtils.callsTo(game, 'renderLeaderboard')[0][0];
+        TestUtils.assertEqual(standings.map(standing => standing.name).join(','), 'Ann,Ben,Cat', 'Players should be ranked by correct answers');
+        TestUtils.assertEqual(standings.map(standing => standing.rank).join(','), '1,1,3', 'Tied players should share a rank');
+        TestUtils.assertEqual(standings[2].results.score.correct, CONFIG.TOTAL_QUESTIONS - 1, "Each player's own answers should be counted");
+        TestUtils.assert(TestUtils.callsTo(game, 'renderResults')[0][0] === standings[0].results, "The leader's results should be shown first");
+        TestUtils.assertEqual(game.sessionHistory.getSessions().length, 0, "Hot-seat games should not be saved to the learner's history");
+        
+        game.players[1].scoreTracker.answerRecords[0].timeUsed = 5;
+        TestUtils.assertEqual(game.getStandings().map(standing => standing.rank).join(','), '1,2,3', 'A slower player should rank below on a tie');
+        
+        TestUtils.stopGame(game);
+        console.log('✓ QuizGame hot-seat standings test passed');
+    },
+    
+    /**
+     * Test that a retry round asks each mistake once, goes round them in order and ends when each has enough correct answers
+     */
+    async testRetryRound() {
+        console.log('Testing QuizGame retry round...');
+        
+        const game = TestUtils.createTestGame();
+        game.startQuiz({ seed: 21, samplingStrategy: 'random' });
+        TestUtils.answerQuestion(game, TestUtils.wrongAnswer(game.currentQuestion));
+        TestUtils.timeOutQuestion(game);
+        TestUtils.answerQuestion(game, TestUtils.wrongAnswer(game.currentQuestion));
+        while (gameState.status === 'active') {
+            TestUtils.answerQuestion(game);
+        }
+        const [first, second, third] = gameState.questions.map(question => question.id);
+        
+        TestUtils.assert(game.startRetryRound(), 'A session with mistakes should start a retry round');
+        TestUtils.assert(game.isRetryRound(), 'The retry game mode should be active');
+        TestUtils.assertEqual(gameState.retryQuestions.map(question => question.id).join(','), [first, second, third].join(','),
+            'Each mistake should be retried once, a timeout included only once');
+        TestUtils.assertEqual(gameState.retryOf.mistakes.length, 3, 'The round should point back to each mistake');
+        TestUtils.assert(gameState.retryOf.mistakes[1].timedOut, 'The timeout should be kept as a timeout');
+        TestUtils.assertEqual(gameState.retryOf.seed, 21, 'The round should point back to the original session');
+        TestUtils.assert(!game.startRetryRound(), 'A retry round should not start another while running');
+        
+        // a ✓, b ✓, c ✓, a ✗, b ✓ (done), c ✓ (done), a ✓ (done)
+        const answers = [true, true, true, false, true, true, true];
+        const asked = [];
+        answers.forEach((correct, index) => {
+            TestUtils.assert(!game.isRetryComplete(), `The round should not be complete before answer ${index + 1}`);
+            asked.push(game.currentQuestion.retryOf);
+            TestUtils.answerQuestion(game, correct ? String(game.currentQuestion.correctAnswer) : TestUtils.wrongAnswer(game.currentQuestion));
+            if (index === 2) {
+                TestUtils.assert(!game.isRetryItemDone(first), `A mistake should need ${CONFIG.RETRY_CORRECT_NEEDED} correct answers`);
+            }
+        });
+        TestUtils.assertEqual(asked.join(','), [first, second, third, first, second, third, first].join(','),
+            'The round should go round the mistakes that still need answers, in order');
+        TestUtils.assertEqual(new Set(gameState.questions.map(question => question.id)).size, answers.length, 'Each retry question should get its own id');
+        TestUtils.assert(game.isRetryComplete(), 'The round should be complete once every mistake has enough correct answers');
+        TestUtils.assertEqual(gameState.status, 'completed', 'The round should end once complete');
+        TestUtils.assertEqual(game.sessionHistory.getSessions().length, 1, 'Only the original session should be saved to history');
+        TestUtils.stopGame(game);
+        
+        const perfect = TestUtils.createTestGame();
+        perfect.startQuiz({ seed: 22, samplingStrategy: 'random' });
+        while (gameState.status === 'active') {
+            TestUtils.answerQuestion(perfect);
+        }
+        TestUtils.assert(!perfect.startRetryRound(), 'A session without mistakes should not start a retry round');
+        TestUtils.stopGame(perfect);
+        
+        console.log('✓ QuizGame retry round test passed');
+    },
+    
+    /**
+     * Test that survival keeps adding questions while lives are left and ends when the last one is lost
+     */
+    async testSurvivalLives() {
+        console.log('Testing QuizGame survival lives...');
+        
+        const game = TestUtils.createTestGame();
+        game.startQuiz({ seed: 31, gameMode: 'survival', samplingStrategy: 'random' });
+        TestUtils.assertEqual(gameState.questions.length, CONFIG.TOTAL_QUESTIONS, 'Survival should start with one batch of questions');
+        TestUtils.assertEqual(game.getLivesRemaining(), GAME_MODES.survival.lives, 'Survival should start with every life');
+        
+        for (let i = 0; i < CONFIG.TOTAL_QUESTIONS; i++) {
+            TestUtils.answerQuestion(game);
+        }
+        TestUtils.assertEqual(gameState.status, 'active', 'Survival should not end after one batch');
+        TestUtils.assertEqual(gameState.questions.length, CONFIG.TOTAL_QUESTIONS * 2, 'A new batch should be added when the questions run out');
+        TestUtils.assert(game.currentQuestion === gameState.questions[CONFIG.TOTAL_QUESTIONS], 'The quiz should carry on into the new batch');
+        
+        TestUtils.answerQuestion(game, TestUtils.wrongAnswer(game.currentQuestion));
+        TestUtils.timeOutQuestion(game);
+        TestUtils.assertEqual(game.getLivesRemaining(), 1, 'Wrong answers and timeouts should each cost a life');
+        TestUtils.assertEqual(TestUtils.callsTo(game, 'updateLives').pop().join('/'), `1/${GAME_MODES.survival.lives}`, 'The lives display should be updated');
+        TestUtils.assertEqual(gameState.status, 'active', 'Survival should carry on while a life is left');
+        
+        TestUtils.answerQuestion(game, TestUtils.wrongAnswer(game.currentQuestion));
+        TestUtils.assertEqual(game.getLivesRemaining(), 0, 'The last life should be lost');
+        TestUtils.assertEqual(gameState.status, 'completed', 'Survival should end when the last life is lost');
+        const results = TestUtils.callsTo(game, 'renderResults')[0][0];
+        TestUtils.assertEqual(results.score.total, CONFIG.TOTAL_QUESTIONS + 3, 'Every question asked should be in the results');
+        TestUtils.assertEqual(game.sessionHistory.getSessions().length, 1, 'The survival session should be saved');
+        
+        TestUtils.stopGame(game);
+        console.log('✓ QuizGame survival lives test passed');
+    },
+    
+    /**
+     * Test that a classroom quiz takes over the server's marking of each closed question, even over its own answer
+     */
+    async testClassroomMarking() {
+        console.log('Testing QuizGame classroom marking...');
+        
+        const game = TestUtils.createTestGame();
+        const sent = [];
+        game.classroom = { client: { send: (type, data) => sent.push({ type, ...data }), close: () => {} }, playerId: 's1' };
+        game.handleClassroomMessage({ type: CLASSROOM_MESSAGES.START, seed: 808, mappingMode: 'standard', answerMode: 'typed' });
+        game.handleClassroomMessage({ type: CLASSROOM_MESSAGES.QUESTION, index: 0, marked: null });
+        
+        // The answer is still on its way when the server closes the question and marks it as a timeout
+        TestUtils.answerQuestion(game);
+        TestUtils.assertEqual(sent.filter(message => message.type === CLASSROOM_MESSAGES.ANSWER).length, 1, 'The answer should be sent to the server');
+        TestUtils.assert(game.scoreTracker.getDetailedResults()[0].isCorrect, 'The answer should first count as given');
+        const timeout = { userAnswer: '', isCorrect: false, timedOut: true, timeUsed: 20 };
+        game.handleClassroomMessage({ type: CLASSROOM_MESSAGES.QUESTION, index: 1, marked: { questionIndex: 0, record: timeout } });
+        
+        const first = game.scoreTracker.getDetailedResults()[0];
+        TestUtils.assertEqual(gameState.currentQuestionIndex, 1, 'The quiz should move to the question the server sent');
+        TestUtils.assert(first.timedOut && !first.isCorrect, 'The server\'s timeout should replace the answer');
+        TestUtils.assertEqual(game.scoreTracker.getDetailedResults().length, 1, 'The record should be replaced, not added to');
+        
+        // A question left unanswered takes the server's record without one of its own
+        const answer = String(gameState.questions[1].correctAnswer);
+        game.handleClassroomMessage({ type: CLASSROOM_MESSAGES.FINISH, leaderboard: [],
+            marked: { questionIndex: 1, record: { userAnswer: answer, isCorrect: true, timedOut: false, timeUsed: 4 } } });
+        TestUtils.assertEqual(gameState.status, 'completed', 'The quiz should end when the server finishes it');
+        const results = TestUtils.callsTo(game, 'renderResults')[0][0];
+        TestUtils.assertEqual(results.score.total, 2, 'Both questions should be in the results');
+        TestUtils.assertEqual(results.score.correct, 1, 'The results should match the server\'s marking');
+        TestUtils.assertEqual(results.detailedResults[1].userAnswer, answer, 'The server\'s record should be kept');
+        
+        game.classroom = null;
+        TestUtils.stopGame(game);
+        console.log('✓ QuizGame classroom marking test passed');
+    },
+    
+    /**
+     * Test that a quiz with its own letter numbering gives the learner's back when it ends or is left, in every mode
+     */
+    async testMappingRestored() {
+        console.log('Testing QuizGame mapping restore...');
+        
+        const game = TestUtils.createTestGame();
+        letterMapping.setMode('reverse');
+        try {
+            // The daily challenge always uses the standard numbering
+            game.startQuiz(game.dailyChallenge.getOptions(new Date(2024, 0, 15)));
+            TestUtils.assertEqual(letterMapping.getMode(), 'standard', 'The daily challenge should use its own numbering');
+            while (gameState.status === 'active') {
+                TestUtils.answerQuestion(game);
+            }
+            TestUtils.assertEqual(letterMapping.getMode(), 'reverse', 'The learner\'s numbering should come back after the daily challenge');
+            
+            // A hot-seat game ends through its own path
+            game.startQuiz({ seed: 909, mappingMode: 'zero-based', players: ['Ada', 'Bo'] });
+            while (gameState.status === 'active') {
+                TestUtils.playTurn(game);
+            }
+            TestUtils.assertEqual(letterMapping.getMode(), 'reverse', 'The learner\'s numbering should come back after a hot-seat game');
+            
+            // Starting one quiz over another keeps the numbering from before both, and leaving puts it back
+            game.startQuiz({ seed: 910, mappingMode: 'standard' });
+            game.startQuiz({ seed: 911, mappingMode: 'zero-based' });
+            game.restartQuiz();
+            TestUtils.assertEqual(letterMapping.getMode(), 'reverse', 'The learner\'s numbering should come back when a quiz is left');
+        } finally {
+            TestUtils.stopGame(game);
+            letterMapping.setMode('standard');
+        }
+        
+        console.log('✓ QuizGame mapping restore test passed');
+    },
+    
+    /**
+     * Test that player names on the leaderboards are shown as text, never read as markup
+     */
+    async testLeaderboardNamesAsText() {
+        console.log('Testing leaderboard names...');
+        
+        const leaderboardElement = elements.leaderboard;
+        elements.leaderboard = document.createElement('section');
+        try {
+            const name = '<img src="x" onerror="alert(1)">';
+            const uiManager = new UIManager();
+            const results = { score: { correct: 1, total: 2, percentage: 50 }, performanceStats: { averageTimePerQuestion: 3 } };
+            
+            uiManager.renderLeaderboard([{ name, rank: 1, results }], 0, () => {});
+            TestUtils.assert(elements.leaderboard.querySelector('img') === null, 'A hot-seat name should not become markup');
+            TestUtils.assertEqual(elements.leaderboard.querySelector('.leaderboard-name').textContent, name, 'A hot-seat name should be shown as typed');
+            
+            uiManager.renderClassroomLeaderboard([{ id: 's1', name, rank: 1, correct: 1, averageTime: 3 }], 's1');
+            TestUtils.assert(elements.leaderboard.querySelector('img') === null, 'A classroom name should not become markup');
+            TestUtils.assertEqual(elements.leaderboard.querySelector('.leaderboard-name').textContent, `${name} (you)`, 'A classroom name should be shown as sent');
+        } finally {
+            elements.leaderboard = leaderboardElement;
+        }
+        
+        console.log('✓ Leaderboard names test passed');
+    },
+    
+    /**
+     * Test that a window leaving a race part-way forfeits it, and that leaving tells the other window
+     */
+    async testRaceLeave() {
+        console.log('Testing QuizGame race leave...');
+        
+        if (!RaceChannel.isSupported()) {
+            console.log('✓ QuizGame race leave test skipped (no BroadcastChannel)');
+            return;
+        }
+        
+        const raceCode = `test_${Math.random().toString(36).substr(2, 6)}`;
+        const guest = new RaceChannel();
+        const received = [];
+        guest.open(raceCode, 'Ben', message => received.push(message));
+        
+        const game = TestUtils.createTestGame();
+        TestUtils.assert(game.hostRace(raceCode, 'Ann', { seed: 41, samplingStrategy: 'random' }), 'The race should open');
+        guest.send(RACE_MESSAGES.JOIN);
+        await TestUtils.delay(50);
+        TestUtils.assertEqual(gameState.raceCode, raceCode, 'The race should start when the other window joins');
+        
+        guest.send(RACE_MESSAGES.ANSWER, { answered: 1, correct: 1 });
+        await TestUtils.delay(50);
+        TestUtils.assertEqual(game.getRaceOutcome(), null, 'The race should be undecided while both windows play');
+        
+        guest.send(RACE_MESSAGES.LEAVE);
+        await TestUtils.delay(50);
+        TestUtils.assertEqual(game.getRaceOutcome(), 'won', 'An opponent who leaves part-way should forfeit');
+        TestUtils.assert(TestUtils.callsTo(game, 'updateRaceProgress').pop()[0].opponent.left, 'The race display should show the opponent left');
+        
+        game.leaveRace();
+        await TestUtils.delay(50);
+        TestUtils.assert(received.some(message => message.type === RACE_MESSAGES.LEAVE), 'Leaving should tell the other window');
+        TestUtils.stopGame(game);
+        
+        // An opponent who finished before leaving keeps their result
+        const rematchCode = `${raceCode}_2`;
+        guest.open(rematchCode, 'Ben', () => {});
+        const rematch = TestUtils.createTestGame();
+        rematch.hostRace(rematchCode, 'Ann', { seed: 42, samplingStrategy: 'random' });
+        guest.send(RACE_MESSAGES.JOIN);
+        await TestUtils.delay(50);
+        guest.send(RACE_MESSAGES.FINISH, { answered: CONFIG.TOTAL_QUESTIONS, correct: 3, averageTime: 2 });
+        guest.send(RACE_MESSAGES.LEAVE);
+        await TestUtils.delay(50);
+        TestUtils.assertEqual(rematch.getRaceOutcome(), null, 'A finished opponent leaving should not decide the race early');
+        while (gameState.status === 'active') {
+            TestUtils.answerQuestion(rematch);
+        }
+        TestUtils.assertEqual(rematch.getRaceOutcome(), 'won', 'The race should be decided on the scores');
+        TestUtils.assert(!rematch.race.opponent.left, 'A finished opponent should not count as having left');
+        
+        guest.close();
+        TestUtils.stopGame(rematch);
+        console.log('✓ QuizGame race leave test passed');
+    }
+};
+
+/**
+ * Test runner
+ */
+async function runQuizGameTests() {
+    console.log('Starting QuizGame tests...\n');
+    
+    const tests = [
+        QuizGameTests.testSnapshotKeepsRandomState,
+        QuizGameTests.testReplayIgnoresCoverage,
+        QuizGameTests.testArithmeticOptions,
+        QuizGameTests.testSequenceDifficulty,
+        QuizGameTests.testHotSeatRounds,
+        QuizGameTests.testHotSeatTurns,
+        QuizGameTests.testHotSeatStandings,
+        QuizGameTests.testRetryRound,
+        QuizGameTests.testSurvivalLives,
+        QuizGameTests.testClassroomMarking,
+        QuizGameTests.testMappingRestored,
+        QuizGameTests.testLeaderboardNamesAsText,
+        QuizGameTests.testRaceLeave
+    ];
+    
+    let passed = 0;
+    let failed = 0;
+    
+    for (const test of tests) {
+        try {
+            await test();
+            passed++;
+        } catch (error) {
+            console.error(`✗ Test failed: ${error.message}`);
+            failed++;
+        }
+    }
+    
+    console.log(`\nQuizGame Tests Complete:`);
+    console.log(`✓ Passed: ${passed}`);
+    console.log(`✗ Failed: ${failed}`);
+    console.log(`Total: ${passed + failed}`);
+    
+    if (failed === 0) {
+        console.log('\n🎉 All QuizGame tests passed!');
+    } else {
+        console.log(`\n❌ ${failed} test(s) failed.`);
+    }
+    
+    return { passed, failed, total: passed + failed };
+}
+
+// Export for use in other test files or manual execution
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { QuizGameTests, runQuizGameTests, TestUtils };
+}
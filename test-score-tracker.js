@@ -472,6 +472,7 @@ const ScoreTrackerTests = {
         TestUtils.assertEqual(exportData.metadata.completedQuestions, 2, 'Metadata should include completed questions');
         TestUtils.assert(exportData.metadata.startTime instanceof Date, 'Metadata should include start time');
         TestUtils.assert(exportData.metadata.endTime instanceof Date, 'Metadata should include end time');
+        TestUtils.assertEqual(exportData.metadata.seed, null, 'Metadata seed should be null when not provided');
         
         // Check score
         TestUtils.assert(exportData.score, 'Export should include score');
@@ -486,6 +487,508 @@ const ScoreTrackerTests = {
         TestUtils.assertEqual(exportData.detailedResults.length, 2, 'Detailed results should have 2 entries');
         
         console.log('✓ ScoreTracker export results test passed');
+    },
+    
+    /**
+     * Test that the session seed and sampling strategy are exported with the results
+     */
+    async testExportResultsSeed() {
+        console.log('Testing ScoreTracker export results seed...');
+        
+        const scoreTracker = new ScoreTracker();
+        scoreTracker.initialize(1, { seed: 12345, samplingStrategy: 'balanced' });
+        scoreTracker.recordAnswer(TestUtils.createMockQuestion(), '13', true, 2, false);
+        scoreTracker.completeQuiz();
+        
+        TestUtils.assertEqual(scoreTracker.exportResults().metadata.seed, 12345, 'Metadata should include the seed');
+        TestUtils.assertEqual(scoreTracker.exportResults().metadata.samplingStrategy, 'balanced', 'Metadata should include the sampling strategy');
+        
+        scoreTracker.reset();
+        TestUtils.assertEqual(scoreTracker.exportResults().metadata.seed, null, 'Seed should be cleared after reset');
+        
+        console.log('✓ ScoreTracker export results seed test passed');
+    },
+    
+    /**
+     * Test that multiple-choice records keep the chosen distractor
+     */
+    async testRecordChosenDistractor() {
+        console.log('Testing ScoreTracker chosen distractor...');
+        
+        const scoreTracker = new ScoreTracker();
+        scoreTracker.initialize(2);
+        
+        const question = {
+            ...TestUtils.createMockQuestion('number-to-alphabet', 'M'),
+            choices: ['L', 'M', 'N', 'W'],
+            distractors: [
+                { answer: 'L', reason: 'adjacent' },
+                { answer: 'N', reason: 'adjacent' },
+                { answer: 'W', reason: 'look-alike' }
+            ]
+        };
+        scoreTracker.recordAnswer(question, 'w', false, 3, false);
+        scoreTracker.recordAnswer(question, 'M', true, 2, false);
+        
+        const [wrong, right] = scoreTracker.getDetailedResults();
+        TestUtils.assertEqual(wrong.distractor.answer, 'W', 'Chosen distractor should be recorded');
+        TestUtils.assertEqual(wrong.distractor.reason, 'look-alike', 'Distractor reason should be recorded');
+        TestUtils.assertEqual(right.distractor, null, 'Correct answers should have no distractor');
+        
+        console.log('✓ ScoreTracker chosen distractor test passed');
+    },
+    
+    /**
+     * Test that per-question time limits are respected
+     */
+    async testPerQuestionTimeLimit() {
+        console.log('Testing ScoreTracker per-question time limit...');
+        
+        const scoreTracker = new ScoreTracker();
+        scoreTracker.initialize(2);
+        
+        const question = { ...TestUtils.createMockQuestion(), timeLimit: 15 };
+        scoreTracker.recordAnswer(question, '13', true, 12, false);
+        scoreTracker.recordAnswer(question, '', false, 20, true);
+        
+        const results = scoreTracker.getDetailedResults();
+        TestUtils.assertEqual(results[0].timeUsed, 12, 'Time within a longer limit should not be clamped');
+        TestUtils.assertEqual(results[0].timeLimit, 15, 'Time limit should be recorded');
+        TestUtils.assertEqual(results[0].timePercentage, 80, 'Time percentage should use the question limit');
+        TestUtils.assertEqual(results[1].timeUsed, 15, 'Time should be clamped to the question limit');
+        
+        console.log('✓ ScoreTracker per-question time limit test passed');
+    },
+    
+    /**
+     * Test per-letter statistics across saved sessions
+     */
+    async testSessionHistoryLetterStats() {
+        console.log('Testing SessionHistory letter stats...');
+        
+        if (typeof localStorage === 'undefined') {
+            console.log('✓ SessionHistory letter stats test skipped (no localStorage)');
+            return;
+        }
+        
+        const history = new SessionHistory('quiz_session_history_test');
+        history.clear();
+        
+        [[['M', true, 2], ['M', false, 6], ['Q', true, 3]], [['M', true, 4], ['Q', false, 10, true]]].forEach(answers => {
+            const scoreTracker = new ScoreTracker();
+            scoreTracker.initialize(answers.length);
+            answers.forEach(([item, isCorrect, timeUsed, timedOut = false]) => {
+                scoreTracker.recordAnswer({ ...TestUtils.createMockQuestion(), item }, isCorrect ? 'x' : '', isCorrect, timeUsed, timedOut);
+            });
+            scoreTracker.completeQuiz();
+            history.save(scoreTracker.exportResults());
+        });
+        
+        const stats = history.getLetterStats();
+        const m = stats.find(stat => stat.item === 'M');
+        const q = stats.find(stat => stat.item === 'Q');
+        
+        TestUtils.assertEqual(stats.length, 26, 'Every letter should have an entry');
+        TestUtils.assertEqual(history.getSessions().length, 2, 'Both sessions should be saved');
+        TestUtils.assertEqual(m.attempts, 3, 'M attempts should span sessions');
+        TestUtils.assertEqual(m.accuracy, 67, 'M accuracy should be rounded');
+        TestUtils.assertEqual(m.medianTime, 4, 'M median time should be the middle value');
+        TestUtils.assertEqual(q.medianTime, 3, 'Timed-out answers should not count towards the median');
+        TestUtils.assertEqual(stats.find(stat => stat.item === 'A').accuracy, null, 'Unpractised letters should have no accuracy');
+        
+        history.clear();
+        localStorage.removeItem(history.storageKey);
+        
+        console.log('✓ SessionHistory letter stats test passed');
+    },
+    
+    /**
+     * Test grouping of wrong answers into error patterns
+     */
+    async testErrorPatterns() {
+        console.log('Testing ScoreTracker error patterns...');
+        
+        const scoreTracker = new ScoreTracker();
+        scoreTracker.initialize(8);
+        
+        [
+            ['alphabet-to-number', '13', '14'],   // off by one
+            ['number-to-alphabet', 'M', 'W'],     // mirrored
+            ['number-to-alphabet', 'B', 'Y'],     // counted from Z
+            ['word-to-value', '21', '12'],        // transposed digits
+            ['number-to-alphabet', 'C', 'G'],     // look-alike
+            ['number-to-alphabet', 'M', 'w'],     // mirrored again, lower case
+            ['number-to-alphabet', 'A', 'K']      // no pattern
+        ].forEach(([type, answer, userAnswer]) => {
+            scoreTracker.recordAnswer(TestUtils.createMockQuestion(type, answer), userAnswer, false, 3, false);
+        });
+        scoreTracker.recordAnswer(TestUtils.createMockQuestion(), '', false, 10, true);
+        
+        const analysis = scoreTracker.exportResults().errorPatterns;
+        const countOf = (pattern) => {
+            const entry = analysis.patterns.find(item => item.pattern === pattern);
+            return entry ? entry.count : 0;
+        };
+        
+        TestUtils.assertEqual(analysis.totalMistakes, 7, 'Timeouts should not count as mistakes');
+        TestUtils.assertEqual(analysis.patterns[0].pattern, 'mirrored', 'Most common pattern should come first');
+        TestUtils.assertEqual(countOf('mirrored'), 2, 'Mirrored letters should be grouped');
+        TestUtils.assertEqual(countOf('off-by-one'), 1, 'Off-by-one numbers should be found');
+        TestUtils.assertEqual(countOf('reversed-alphabet'), 1, 'Counting from Z should be found');
+        TestUtils.assertEqual(countOf('transposed'), 1, 'Transposed digits should be found');
+        TestUtils.assertEqual(countOf('look-alike'), 1, 'Look-alike letters should be found');
+        TestUtils.assertEqual(analysis.unclassified, 1, 'Unmatched mistakes should be counted');
+        TestUtils.assertEqual(analysis.confusions[0].expected + analysis.confusions[0].given, 'MW', 'Repeated mix-ups should come first');
+        TestUtils.assertEqual(analysis.confusions[0].count, 2, 'Repeated mix-ups should be counted');
+        
+        console.log('✓ ScoreTracker error patterns test passed');
+    },
+    
+    /**
+     * Test versioned storage, the size cap and progress trend of the session history
+     */
+    async testSessionHistoryStorage() {
+        console.log('Testing SessionHistory storage...');
+        
+        if (typeof localStorage === 'undefined') {
+            console.log('✓ SessionHistory storage test skipped (no localStorage)');
+            return;
+        }
+        
+        const history = new SessionHistory('quiz_session_history_test', 3);
+        const makeResults = (correctCount) => {
+            const scoreTracker = new ScoreTracker();
+            scoreTracker.initialize(2);
+            scoreTracker.recordAnswer(TestUtils.createMockQuestion(), '13', correctCount > 0, 4, false);
+            scoreTracker.recordAnswer(TestUtils.createMockQuestion(), correctCount > 1 ? '13' : '', correctCount > 1, 10, correctCount < 2);
+            scoreTracker.completeQuiz();
+            return scoreTracker.exportResults();
+        };
+        
+        // Version 0 stored a bare array of sessions
+        localStorage.setItem(history.storageKey, JSON.stringify([makeResults(0)]));
+        TestUtils.assertEqual(history.getSessions().length, 1, 'Unversioned history should still load');
+        
+        [1, 2, 2].forEach(correctCount => history.save(makeResults(correctCount)));
+        const saved = JSON.parse(localStorage.getItem(history.storageKey));
+        TestUtils.assertEqual(saved.version, SESSION_HISTORY_VERSION, 'History should be saved with its version');
+        TestUtils.assertEqual(saved.sessions.length, 3, 'History should be capped at maxSessions');
+        
+        const trend = history.getTrend();
+        TestUtils.assertEqual(trend.map(point => point.accuracy).join(','), '50,100,100', 'Oldest sessions should be dropped first');
+        TestUtils.assertEqual(trend[0].timeouts, 1, 'Trend should count timeouts');
+        TestUtils.assertEqual(trend[2].session, 3, 'Trend points should be numbered');
+        
+        localStorage.setItem(history.storageKey, JSON.stringify({ version: SESSION_HISTORY_VERSION + 1, sessions: [{}] }));
+        TestUtils.assertEqual(history.getSessions().length, 0, 'History from a newer version should be ignored');
+        
+        localStorage.removeItem(history.storageKey);
+        
+        console.log('✓ SessionHistory storage test passed');
+    },
+    
+    /**
+     * Test saving and restoring an unfinished quiz
+     */
+    async testSnapshotRestore() {
+        console.log('Testing ScoreTracker snapshot restore...');
+        
+        const scoreTracker = new ScoreTracker();
+        scoreTracker.initialize(5, { seed: 42, samplingStrategy: 'balanced' });
+        scoreTracker.recordAnswer(TestUtils.createMockQuestion(), '13', true, 3, false);
+        scoreTracker.recordAnswer(TestUtils.createMockQuestion(), '', false, 10, true);
+        
+        // Snapshots go through localStorage as JSON
+        const snapshot = JSON.parse(JSON.stringify(scoreTracker.getSnapshot()));
+        const restored = new ScoreTracker();
+        restored.restoreSnapshot(snapshot);
+        
+        TestUtils.assertEqual(restored.answerRecords.length, 2, 'Answer records should be restored');
+        TestUtils.assertEqual(restored.totalQuestions, 5, 'Total questions should be restored');
+        TestUtils.assertEqual(restored.getScore().timeout, 1, 'Score should be recalculated from restored records');
+        TestUtils.assertEqual(restored.getCurrentQuestionNumber(), 3, 'Quiz should continue after the restored answers');
+        TestUtils.assert(restored.startTime instanceof Date, 'Start time should be a Date again');
+        TestUtils.assertEqual(restored.exportResults().metadata.seed, 42, 'Session info should be restored');
+        
+        let threw = false;
+        try {
+            restored.restoreSnapshot({});
+        } catch (error) {
+            threw = true;
+        }
+        TestUtils.assert(threw, 'Invalid snapshots should be rejected');
+        
+        console.log('✓ ScoreTracker snapshot restore test passed');
+    },
+    
+    /**
+     * Test that untimed practice keeps real response times out of the timed statistics
+     */
+    async testUntimedPractice() {
+        console.log('Testing ScoreTracker untimed practice...');
+        
+        const scoreTracker = new ScoreTracker();
+        scoreTracker.initialize(1, { gameMode: 'practice' });
+        scoreTracker.recordAnswer({ ...TestUtils.createMockQuestion(), item: 'M' }, '13', true, 25, false);
+        scoreTracker.completeQuiz();
+        
+        const results = scoreTracker.exportResults();
+        TestUtils.assertEqual(results.detailedResults[0].timeUsed, 25, 'Untimed answers should not be clamped');
+        TestUtils.assertEqual(results.detailedResults[0].timeLimit, null, 'Untimed answers should have no time limit');
+        TestUtils.assertEqual(results.detailedResults[0].timePercentage, null, 'Untimed answers should have no time percentage');
+        TestUtils.assertEqual(results.metadata.gameMode, 'practice', 'Game mode should be exported');
+        
+        if (typeof localStorage !== 'undefined') {
+            const history = new SessionHistory('quiz_session_history_test');
+            history.clear();
+            history.save(results);
+            
+            const m = history.getLetterStats().find(stat => stat.item === 'M');
+            TestUtils.assertEqual(history.getTrend().length, 0, 'Practice sessions should not be charted');
+            TestUtils.assertEqual(m.accuracy, 100, 'Practice answers should still count towards accuracy');
+            TestUtils.assertEqual(m.medianTime, null, 'Practice answers should not count towards median time');
+            
+            localStorage.removeItem(history.storageKey);
+        }
+        
+        console.log('✓ ScoreTracker untimed practice test passed');
+    },
+    
+    /**
+     * Test open-ended sessions and the longest streak
+     */
+    async testOpenEndedStreak() {
+        console.log('Testing ScoreTracker open-ended session streak...');
+        
+        const scoreTracker = new ScoreTracker();
+        scoreTracker.initialize(null, { gameMode: 'survival' });
+        [true, true, false, true, true, true, false].forEach(isCorrect => {
+            scoreTracker.recordAnswer(TestUtils.createMockQuestion(), isCorrect ? '13' : '14', isCorrect, 2, false);
+        });
+        
+        TestUtils.assertEqual(scoreTracker.isQuizComplete(), false, 'Open-ended sessions should never be complete by count');
+        TestUtils.assertEqual(scoreTracker.getLongestStreak(), 3, 'Longest streak should be the longest correct run');
+        TestUtils.assertEqual(scoreTracker.getPerformanceStats().longestStreak, 3, 'Performance stats should include the streak');
+        TestUtils.assertEqual(scoreTracker.exportResults().metadata.totalQuestions, null, 'Open-ended sessions should export no total');
+        
+        console.log('✓ ScoreTracker open-ended session streak test passed');
+    },
+    
+    /**
+     * Test that blitz sessions record any number of answers without the per-question clamp
+     */
+    async testBlitzSession() {
+        console.log('Testing ScoreTracker blitz session...');
+        
+        const scoreTracker = new ScoreTracker();
+        scoreTracker.initialize(null, { gameMode: 'blitz' });
+        for (let i = 0; i < CONFIG.TOTAL_QUESTIONS + 5; i++) {
+            scoreTracker.recordAnswer(TestUtils.createMockQuestion(), '13', true, i === 0 ? 14 : 2, false);
+        }
+        
+        TestUtils.assertEqual(scoreTracker.getScore().total, CONFIG.TOTAL_QUESTIONS + 5, 'Blitz should record more than the usual question count');
+        TestUtils.assertEqual(scoreTracker.answerRecords[0].timeUsed, 14, 'Blitz answers should not be clamped to the question limit');
+        TestUtils.assertEqual(scoreTracker.isQuizComplete(), false, 'Blitz sessions should end on the clock, not the count');
+        TestUtils.assertEqual(scoreTracker.answerRecords[0].timeLimit, null, 'Blitz answers should have no per-question time limit');
+        
+        // Blitz has no question timer but is played against the clock, so it still counts as timed
+        if (typeof localStorage !== 'undefined') {
+            const history = new SessionHistory('quiz_session_history_test');
+            history.clear();
+            scoreTracker.recordAnswer({ ...TestUtils.createMockQuestion(), item: 'M' }, '13', true, 3, false);
+            scoreTracker.completeQuiz();
+            history.save(scoreTracker.exportResults());
+            
+            TestUtils.assertEqual(history.getTrend().length, 1, 'Blitz sessions should be charted');
+            TestUtils.assertEqual(history.getLetterStats().find(stat => stat.item === 'M').medianTime, 3, 'Blitz answers should count towards median time');
+            
+            localStorage.removeItem(history.storageKey);
+        }
+        
+        console.log('✓ ScoreTracker blitz session test passed');
+    },
+    
+    /**
+     * Test the daily challenge best result and streak
+     */
+    async testDailyChallengeStreak() {
+        console.log('Testing DailyChallenge best result and streak...');
+        
+        if (typeof localStorage === 'undefined') {
+            console.log('✓ DailyChallenge test skipped (no localStorage)');
+            return;
+        }
+        
+        const daily = new DailyChallenge('quiz_daily_challenge_test');
+        localStorage.removeItem(daily.storageKey);
+        const makeResults = (correct, totalTime) => ({
+            score: { correct, total: 10, percentage: correct * 10 },
+            performanceStats: { totalTime }
+        });
+        
+        daily.recordResult('2026-10-16', makeResults(5, 60));
+        daily.recordResult('2026-10-18', makeResults(6, 60));
+        TestUtils.assertEqual(daily.getStreak(new Date(2026, 9, 19)), 1, 'An unplayed today should not break yesterday\'s streak');
+        
+        TestUtils.assertEqual(daily.recordResult('2026-10-19', makeResults(7, 50)).isBest, true, 'First attempt should be the best');
+        TestUtils.assertEqual(daily.recordResult('2026-10-19', makeResults(7, 40)).isBest, true, 'A faster equal score should be the new best');
+        const third = daily.recordResult('2026-10-19', makeResults(6, 30));
+        TestUtils.assertEqual(third.isBest, false, 'A lower score should not replace the best');
+        TestUtils.assertEqual(third.best.totalTime, 40, 'Best result should be kept');
+        TestUtils.assertEqual(third.attempts, 3, 'Attempts should be counted');
+        TestUtils.assertEqual(daily.getStreak(new Date(2026, 9, 19)), 2, 'Streak should count consecutive days');
+        
+        const calendar = daily.getCalendar(new Date(2026, 9, 19), 7);
+        TestUtils.assertEqual(calendar.length, 7, 'Calendar should show the requested days');
+        TestUtils.assertEqual(calendar[6].isToday && calendar[6].best.percentage, 70, 'Calendar should end today with its best');
+        TestUtils.assertEqual(calendar[4].best, null, 'Missed days should have no result');
+        
+        localStorage.removeItem(daily.storageKey);
+        
+        console.log('✓ DailyChallenge best result and streak test passed');
+    },
+    
+    /**
+     * Test the endless mode levels and personal best
+     */
+    async testEndlessLevels() {
+        console.log('Testing EndlessLevels levels and personal best...');
+        
+        const levels = new EndlessLevels('quiz_endless_best_test');
+        TestUtils.assertEqual(levels.getLevel(0), 1, 'Endless mode should start at level 1');
+        TestUtils.assertEqual(levels.getLevel(CONFIG.ENDLESS_LEVEL_UP), 2, 'Each batch of correct answers should raise the level');
+        TestUtils.assertEqual(levels.getLevel(1000), ENDLESS_LEVELS.length, 'The level should stop at the last entry');
+        TestUtils.assertEqual(levels.getSettings(1).letters, 10, 'Level 1 should ask about A–J');
+        TestUtils.assertEqual(levels.getSettings(ENDLESS_LEVELS.length).timeLimit, 4, 'The last level should give 4 seconds');
+        
+        if (typeof localStorage === 'undefined') {
+            console.log('✓ EndlessLevels personal best skipped (no localStorage)');
+            return;
+        }
+        
+        localStorage.removeItem(levels.storageKey);
+        const makeResults = correct => ({ score: { correct } });
+        TestUtils.assertEqual(levels.recordResult(makeResults(7)).isBest, true, 'First session should be the best');
+        const worse = levels.recordResult(makeResults(6));
+        TestUtils.assertEqual(worse.isBest, false, 'Fewer correct answers on the same level should not replace the best');
+        TestUtils.assertEqual(worse.best.correct, 7, 'Best result should be kept');
+        const better = levels.recordResult(makeResults(11));
+        TestUtils.assertEqual(better.isBest && better.level, 3, 'A higher level should be the new best');
+        TestUtils.assertEqual(levels.getBest().level, 3, 'Best should be saved');
+        
+        localStorage.removeItem(levels.storageKey);
+        
+        console.log('✓ EndlessLevels levels and personal best test passed');
+    },
+    
+    /**
+     * Test that a retry round's results link back to the original session
+     */
+    async testRetryRoundLink() {
+        console.log('Testing retry round link to the original session...');
+        
+        const tracker = new ScoreTracker();
+        const retryOf = { seed: 42, score: { correct: 8, total: 10, percentage: 80 }, mistakes: [{ questionId: 'q3' }] };
+        tracker.initialize(null, { gameMode: 'retry', retryOf });
+        
+        const question = { ...TestUtils.createMockQuestion('alphabet-to-number', '3'), id: 'q3-retry-1', retryOf: 'q3' };
+        tracker.recordAnswer(question, '4', false, 30);
+        tracker.recordAnswer({ ...question, id: 'q3-retry-2' }, '3', true, 2);
+        
+        const results = tracker.exportResults();
+        TestUtils.assertEqual(results.metadata.retryOf.seed, 42, 'Results should link back to the original session');
+        TestUtils.assertEqual(results.detailedResults.filter(record => record.retryOf === 'q3').length, 2, 'Records should name the question they retry');
+        TestUtils.assertEqual(results.detailedResults[0].timeUsed, 30, 'Retry rounds are untimed, so times should not be clamped');
+        
+        tracker.initialize(10, { gameMode: 'standard' });
+        TestUtils.assertEqual(tracker.exportResults().metadata.retryOf, null, 'Other sessions should have no retry link');
+        
+        console.log('✓ Retry round link test passed');
+    },
+    
+    /**
+     * Test that hot-seat players keep separate scores under their own names
+     */
+    async testHotSeatPlayerTrackers() {
+        console.log('Testing hot-seat player trackers...');
+        
+        const players = ['Ada', 'Ben'].map(name => {
+            const tracker = new ScoreTracker();
+            tracker.initialize(2, { seed: 7, playerName: name });
+            return tracker;
+        });
+        const question = TestUtils.createMockQuestion('alphabet-to-number', '13');
+        players[0].recordAnswer(question, '13', true, 2);
+        players[1].recordAnswer(question, '12', false, 3);
+        players[0].recordAnswer(question, '13', true, 4);
+        
+        TestUtils.assertEqual(players[0].getScore().correct, 2, 'First player should keep their own answers');
+        TestUtils.assertEqual(players[1].getScore().total, 1, 'Second player should keep their own answers');
+        TestUtils.assert(players[0].isQuizComplete() && !players[1].isQuizComplete(), 'Each player should finish on their own count');
+        TestUtils.assertEqual(players[1].exportResults().metadata.playerName, 'Ben', 'Results should carry the player name');
+        TestUtils.assertEqual(players[1].exportResults().metadata.seed, 7, 'Players should share the session details');
+        
+        console.log('✓ Hot-seat player trackers test passed');
+    },
+    
+    /**
+     * Test that race messages only reach other windows in the same race
+     */
+    async testRaceChannelMessages() {
+        console.log('Testing RaceChannel message filtering...');
+        
+        if (!RaceChannel.isSupported()) {
+            console.log('✓ RaceChannel test skipped (no BroadcastChannel)');
+            return;
+        }
+        
+        const host = new RaceChannel('quiz_race_test');
+        const guest = new RaceChannel('quiz_race_test');
+        const stranger = new RaceChannel('quiz_race_test');
+        const raceCode = `test_${Math.random().toString(36).substr(2, 6)}`;
+        const received = [];
+        host.open(raceCode, 'Ada', message => received.push(message));
+        guest.open(raceCode, 'Ben', () => {});
+        stranger.open(`${raceCode}_other`, 'Cy', () => {});
+        
+        guest.send(RACE_MESSAGES.JOIN);
+        stranger.send(RACE_MESSAGES.JOIN);
+        guest.channel.postMessage({ version: RACE_PROTOCOL_VERSION + 1, type: RACE_MESSAGES.JOIN, raceCode, playerId: 'old' });
+        guest.send(RACE_MESSAGES.ANSWER, { answered: 1, correct: 1 });
+        await new Promise(resolve => setTimeout(resolve, 50));
+        
+        TestUtils.assertEqual(received.length, 2, 'Only messages from the same race and protocol version should arrive');
+        TestUtils.assertEqual(received[0].type, RACE_MESSAGES.JOIN, 'Messages should arrive in order');
+        TestUtils.assertEqual(received[0].playerName, 'Ben', 'Messages should carry the sender name');
+        TestUtils.assertEqual(received[1].correct, 1, 'Messages should carry their fields');
+        
+        [host, guest, stranger].forEach(channel => channel.close());
+        TestUtils.assertEqual(guest.send(RACE_MESSAGES.FINISH), false, 'A closed channel should not send');
+        
+        console.log('✓ RaceChannel message filtering test passed');
+    },
+    
+    /**
+     * Test that classroom answer records keep the real time taken and survive being sent to the server as JSON
+     */
+    async testClassroomAnswerRecords() {
+        console.log('Testing classroom answer records...');
+        
+        TestUtils.assert(GAME_MODES.classroom.remote && !GAME_MODES.classroom.timed, 'Classroom mode should be remote-controlled and untimed');
+        
+        const scoreTracker = new ScoreTracker();
+        scoreTracker.initialize(CONFIG.TOTAL_QUESTIONS, { gameMode: 'classroom' });
+        scoreTracker.recordAnswer({ ...TestUtils.createMockQuestion(), item: 'M' }, '13', true, 25, false);
+        scoreTracker.recordAnswer({ ...TestUtils.createMockQuestion('number-to-alphabet', 'M'), item: 'M' }, '', false, 40, true);
+        
+        const sent = JSON.parse(JSON.stringify(scoreTracker.getDetailedResults()));
+        TestUtils.assertEqual(sent[0].timeUsed, 25, 'The time until the server moved on should not be clamped');
+        TestUtils.assertEqual(sent[0].isCorrect, true, 'Correctness should be sent');
+        TestUtils.assertEqual(sent[1].timedOut, true, 'Unanswered questions should be sent as timed out');
+        TestUtils.assertEqual(sent[1].item, 'M', 'The letter asked about should be sent');
+        TestUtils.assertEqual(sent[1].status, 'timeout', 'Records should carry their status');
+        
+        console.log('✓ Classroom answer records test passed');
     }
 };
 
@@ -508,7 +1011,23 @@ async function runScoreTrackerTests() {
         ScoreTrackerTests.testQuizCompletion,
         ScoreTrackerTests.testResultFiltering,
         ScoreTrackerTests.testReset,
-        ScoreTrackerTests.testExportResults
+        ScoreTrackerTests.testExportResults,
+        ScoreTrackerTests.testExportResultsSeed,
+        ScoreTrackerTests.testRecordChosenDistractor,
+        ScoreTrackerTests.testPerQuestionTimeLimit,
+        ScoreTrackerTests.testSessionHistoryLetterStats,
+        ScoreTrackerTests.testErrorPatterns,
+        ScoreTrackerTests.testSessionHistoryStorage,
+        ScoreTrackerTests.testSnapshotRestore,
+        ScoreTrackerTests.testUntimedPractice,
+        ScoreTrackerTests.testOpenEndedStreak,
+        ScoreTrackerTests.testBlitzSession,
+        ScoreTrackerTests.testDailyChallengeStreak,
+        ScoreTrackerTests.testEndlessLevels,
+        ScoreTrackerTests.testRetryRoundLink,
+        ScoreTrackerTests.testHotSeatPlayerTrackers,
+        ScoreTrackerTests.testRaceChannelMessages,
+        ScoreTrackerTests.testClassroomAnswerRecords
     ];
     
     let passed = 0;
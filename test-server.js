@@ -0,0 +1,528 @@
+/**
+ * Unit tests for the classroom server (server.js)
+ * Tests the quiz session, answer marking, the leaderboard, host rights and WebSocket framing
+ *
+ * Usage: node test-server.js
+ */
+
+const { EventEmitter } = require('events');
+const { ClassroomSession, LiveSocket, isSameOrigin, canHost, SERVER_SETTINGS } = require('./server.js');
+const { CONFIG } = require('./script.js');
+
+/**
+ * Test utilities and helpers
+ */
+const TestUtils = {
+    /**
+     * Creates a promise that resolves after specified milliseconds
+     * @param {number} ms - Milliseconds to wait
+     * @returns {Promise} Promise that resolves after delay
+     */
+    delay: (ms) => new Promise(resolve => setTimeout(resolve, ms)),
+    
+    /**
+     * Asserts that a condition is true
+     * @param {boolean} condition - Condition to test
+     * @param {string} message - Error message if assertion fails
+     */
+    assert: (condition, message) => {
+        if (!condition) {
+            throw new Error(`Assertion failed: ${message}`);
+        }
+    },
+    
+    /**
+     * Asserts that two values are equal
+     * @param {*} actual - Actual value
+     * @param {*} expected - Expected value
+     * @param {string} message - Error message if assertion fails
+     */
+    assertEqual: (actual, expected, message) => {
+        if (actual !== expected) {
+            throw new Error(`Assertion failed: ${message}. Expected: ${expected}, Actual: ${actual}`);
+        }
+    },
+    
+    /**
+     * Creates a stand-in for a LiveSocket that keeps every message sent to it
+     * @returns {Object} Mock connection ({ messages, send, close, onMessage, onClose })
+     */
+    createMockConnection: () => ({
+        messages: [],
+        send(message) {
+            this.messages.push(message);
+        },
+        close() {},
+        onMessage: () => {},
+        onClose: () => {}
+    }),
+    
+    /**
+     * Connects a mock student to a session and joins with a name
+     * @param {ClassroomSession} session - Session to join
+     * @param {string} name - Student name
+     * @returns {Object} Mock connection
+     */
+    joinStudent: (session, name) => {
+        const connection = TestUtils.createMockConnection();
+        session.connect(connection, false);
+        connection.onMessage({ type: 'join', name });
+        return connection;
+    },
+    
+    /**
+     * Connects a mock host dashboard to a session
+     * @param {ClassroomSession} session - Session to host
+     * @param {boolean} isLocal - Whether the connection may host
+     * @returns {Object} Mock connection
+     */
+    joinHost: (session, isLocal = true) => {
+        const connection = TestUtils.createMockConnection();
+        session.connect(connection, isLocal);
+        connection.onMessage({ type: 'host' });
+        return connection;
+    },
+    
+    /**
+     * Gets the messages of one type a mock connection received
+     * @param {Object} connection - Mock connection
+     * @param {string} type - Message type
+     * @returns {Array<Object>} Messages in the order received
+     */
+    messagesOfType: (connection, type) => connection.messages.filter(message => message.type === type),
+    
+    /**
+     * Stops a session's countdown so it cannot keep the process running
+     * @param {ClassroomSession} session - Session to stop
+     */
+    stopSession: (session) => clearTimeout(session.advanceTimer),
+    
+    /**
+     * Creates a stand-in for a net.Socket that keeps every chunk written to it
+     * @returns {EventEmitter} Mock socket ({ written, ended, destroyed })
+     */
+    createMockSocket: () => {
+        const socket = new EventEmitter();
+        socket.written = [];
+        socket.ended = false;
+        socket.destroyed = false;
+        socket.write = chunk => socket.written.push(Buffer.from(chunk));
+        socket.end = () => { socket.ended = true; };
+        socket.destroy = () => { socket.destroyed = true; };
+        return socket;
+    },
+    
+    /**
+     * Builds a client frame the way a browser does (masked)
+     * @param {number} opcode - Frame opcode
+     * @param {string} text - Payload text
+     * @param {boolean} fin - Whether this is the last frame of a message
+     * @param {boolean} masked - Whether to mask the payload
+     * @returns {Buffer} Frame bytes
+     */
+    createClientFrame: (opcode, text, fin = true, masked = true) => {
+        const payload = Buffer.from(text);
+        const mask = Buffer.from([0x12, 0x34, 0x56, 0x78]);
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([(fin ? 0x80 : 0) | opcode, (masked ? 0x80 : 0) | payload.length]);
+        } else {
+            header = Buffer.alloc(4);
+            header[0] = (fin ? 0x80 : 0) | opcode;
+            header[1] = (masked ? 0x80 : 0) | 126;
+            header.writeUInt16BE(payload.length, 2);
+        }
+        if (!masked) {
+            return Buffer.concat([header, payload]);
+        }
+        const body = Buffer.from(payload.map((byte, i) => byte ^ mask[i % 4]));
+        return Buffer.concat([header, mask, body]);
+    }
+};
+
+/**
+ * Test suite for the classroom server
+ */
+const ServerTests = {
+    /**
+     * Test starting, advancing and finishing a quiz
+     */
+    async testStartAdvanceFinish() {
+        console.log('Testing quiz start, advance and finish...');
+        
+        const session = new ClassroomSession();
+        const student = TestUtils.joinStudent(session, 'Ann');
+        const host = TestUtils.joinHost(session);
+        
+        TestUtils.assertEqual(TestUtils.messagesOfType(student, 'welcome')[0].name, 'Ann', 'Students should be welcomed by name');
+        TestUtils.assertEqual(session.phase, 'lobby', 'A new session should wait in the lobby');
+        
+        host.onMessage({ type: 'start', mappingMode: 'reverse', answerMode: 'choice', timeLimit: 30 });
+        const start = TestUtils.messagesOfType(student, 'start')[0];
+        TestUtils.assertEqual(session.phase, 'question', 'Starting should ask the first question');
+        TestUtils.assertEqual(start.mappingMode, 'reverse', 'Students should get the chosen numbering');
+        TestUtils.assertEqual(start.total, CONFIG.TOTAL_QUESTIONS, 'Students should get the quiz length');
+        TestUtils.assertEqual(start.seed, session.seed, 'Students should get the session seed');
+        TestUtils.assertEqual(session.questions.length, CONFIG.TOTAL_QUESTIONS, 'The server should build the answer key');
+        TestUtils.assertEqual(TestUtils.messagesOfType(student, 'question')[0].index, 0, 'The first question should be sent');
+        TestUtils.assertEqual(TestUtils.messagesOfType(student, 'question')[0].timeLimit, 30, 'The chosen time limit should be sent');
+        
+        host.onMessage({ type: 'next' });
+        TestUtils.assertEqual(session.questionIndex, 1, 'Next should move everyone on');
+        TestUtils.assert(session.questionTimes[0].endedAt !== null, 'The previous question should stop taking answers');
+        
+        host.onMessage({ type: 'end' });
+        TestUtils.assertEqual(session.phase, 'finished', 'End should finish the quiz');
+        TestUtils.assertEqual(TestUtils.messagesOfType(student, 'finish').length, 1, 'Students should get the final leaderboard');
+        TestUtils.assertEqual(TestUtils.messagesOfType(host, 'state').pop().phase, 'finished', 'The dashboard should see the quiz finish');
+        
+        host.onMessage({ type: 'start', mappingMode: 'unknown', timeLimit: 7 });
+        TestUtils.assertEqual(session.settings.mappingMode, 'standard', 'Unknown numbering should fall back to standard');
+        TestUtils.assertEqual(session.settings.timeLimit, SERVER_SETTINGS.DEFAULT_TIME_LIMIT, 'Unknown time limits should fall back');
+        
+        session.questionIndex = CONFIG.TOTAL_QUESTIONS - 1;
+        session.advance();
+        TestUtils.assertEqual(session.phase, 'finished', 'Advancing past the last question should finish the quiz');
+        
+        TestUtils.stopSession(session);
+        console.log('✓ Quiz start, advance and finish test passed');
+    },
+    
+    /**
+     * Test that the server marks and times answers itself
+     */
+    async testAnswerMarking() {
+        console.log('Testing answer marking...');
+        
+        const session = new ClassroomSession();
+        const student = TestUtils.joinStudent(session, 'Ann');
+        TestUtils.joinStudent(session, 'Ben');
+        session.start({ timeLimit: 20 });
+        const [ann, ben] = Array.from(session.players.values());
+        const question = session.questions[0];
+        
+        session.questionTimes[0].askedAt = Date.now() - 3000;
+        student.onMessage({ type: 'answer', questionIndex: 0, record: { userAnswer: question.correctAnswer, isCorrect: false, timeUsed: 19 } });
+        const record = ann.records.get(0);
+        TestUtils.assertEqual(record.isCorrect, true, 'A correct answer should be marked correct whatever the client claims');
+        TestUtils.assertEqual(record.correctAnswer, question.correctAnswer, 'The record should hold the server answer key');
+        TestUtils.assert(record.timeUsed >= 3 && record.timeUsed < 4, 'The time should run from when the question was sent');
+        
+        session.recordAnswer(ben, 0, { userAnswer: 'not an answer', isCorrect: true, timeUsed: 0 });
+        TestUtils.assertEqual(ben.records.get(0).isCorrect, false, 'A wrong answer claimed correct should be marked wrong');
+        
+        session.questionTimes[0].askedAt = Date.now() - 100000;
+        ann.records.delete(0);
+        session.recordAnswer(ann, 0, { userAnswer: question.correctAnswer });
+        TestUtils.assertEqual(ann.records.get(0).timeUsed, 20, 'Times should be capped at the time limit');
+        
+        session.recordAnswer(ann, 0, { userAnswer: 'x'.repeat(500) });
+        TestUtils.assertEqual(ann.records.get(0).userAnswer, question.correctAnswer, 'A repeated answer should be ignored');
+        
+        TestUtils.stopSession(session);
+        console.log('✓ Answer marking test passed');
+    },
+    
+    /**
+     * Test that a question closing gives unanswered students a timeout, which answers arriving later cannot change,
+     * and that each student is sent their marked record for it
+     */
+    async testLateAnswers() {
+        console.log('Testing late answers...');
+        
+        const session = new ClassroomSession();
+        const annConnection = TestUtils.joinStudent(session, 'Ann');
+        const benConnection = TestUtils.joinStudent(session, 'Ben');
+        session.start();
+        const [ann, ben] = Array.from(session.players.values());
+        
+        session.recordAnswer(ann, 0, { userAnswer: 'junk' });
+        session.advance();
+        const record = ben.records.get(0);
+        TestUtils.assert(record && record.timedOut && !record.isCorrect, 'An unanswered question should become a timeout when it closes');
+        TestUtils.assertEqual(record.userAnswer, '', 'A timeout should not keep an answer');
+        const times = session.questionTimes[0];
+        TestUtils.assertEqual(record.timeUsed, Math.round((times.endedAt - times.askedAt) / 100) / 10, 'A timeout should last until the question closed');
+        
+        benConnection.onMessage({ type: 'answer', questionIndex: 0, record: { userAnswer: session.questions[0].correctAnswer, isCorrect: true } });
+        TestUtils.assert(ben.records.get(0).timedOut, 'An answer arriving after the question closed should not replace the timeout');
+        TestUtils.assertEqual(session.getLeaderboard().find(entry => entry.name === 'Ben').correct, 0, 'A late answer should not score');
+        
+        const benQuestion = TestUtils.messagesOfType(benConnection, 'question')[1];
+        TestUtils.assertEqual(benQuestion.index, 1, 'Students should be sent to the next question');
+        TestUtils.assertEqual(benQuestion.marked.questionIndex, 0, 'The next question should carry the closed question\'s record');
+        TestUtils.assert(benQuestion.marked.record.timedOut, 'A student who had not answered should be told they timed out');
+        TestUtils.assertEqual(TestUtils.messagesOfType(annConnection, 'question')[1].marked.record.userAnswer, 'junk', 'A student who answered should get their own marked answer');
+        TestUtils.assertEqual(TestUtils.messagesOfType(annConnection, 'question')[0].marked, null, 'The first question should carry no record');
+        
+        session.recordAnswer(ann, 5, { userAnswer: '', timedOut: true });
+        TestUtils.assert(!ann.records.has(5), 'Answers to questions not yet asked should be ignored');
+        session.recordAnswer(ann, 1.5, { userAnswer: 'A' });
+        session.recordAnswer(ann, 1, null);
+        TestUtils.assert(!ann.records.has(1), 'Malformed answers should be ignored');
+        
+        session.finish();
+        TestUtils.assert(ann.records.get(1).timedOut, 'The last question should become a timeout when the quiz ends');
+        session.recordAnswer(ann, 1, { userAnswer: session.questions[1].correctAnswer });
+        TestUtils.assert(ann.records.get(1).timedOut, 'Answers after the quiz ends should be ignored');
+        const finish = TestUtils.messagesOfType(annConnection, 'finish')[0];
+        TestUtils.assertEqual(finish.marked.questionIndex, 1, 'The final leaderboard should carry the last question\'s record');
+        TestUtils.assert(finish.marked.record.timedOut, 'The last question\'s record should be the timeout');
+        
+        TestUtils.stopSession(session);
+        console.log('✓ Late answers test passed');
+    },
+    
+    /**
+     * Test moving on once every connected student has answered, and students leaving
+     */
+    async testAdvanceWhenEveryoneAnswered() {
+        console.log('Testing advance when everyone has answered...');
+        
+        const feedbackPause = SERVER_SETTINGS.FEEDBACK_PAUSE;
+        SERVER_SETTINGS.FEEDBACK_PAUSE = 20;
+        try {
+            const session = new ClassroomSession();
+            const annConnection = TestUtils.joinStudent(session, 'Ann');
+            const benConnection = TestUtils.joinStudent(session, 'Ben');
+            session.start();
+            
+            annConnection.onMessage({ type: 'answer', questionIndex: 0, record: { userAnswer: 'A' } });
+            await TestUtils.delay(60);
+            TestUtils.assertEqual(session.questionIndex, 0, 'The quiz should wait while a student has not answered');
+            
+            benConnection.onClose();
+            await TestUtils.delay(60);
+            TestUtils.assertEqual(session.questionIndex, 1, 'The quiz should move on once the students still connected have answered');
+            
+            const host = TestUtils.joinHost(session);
+            const leaderboard = TestUtils.messagesOfType(host, 'state')[0].leaderboard;
+            TestUtils.assert(leaderboard.some(entry => entry.name === 'Ben' && !entry.connected), 'Students who left should stay on the leaderboard');
+            
+            const lateConnection = TestUtils.joinStudent(session, 'Cat');
+            TestUtils.assertEqual(TestUtils.messagesOfType(lateConnection, 'question')[0].index, 1, 'Late joiners should be caught up to the current question');
+            
+            session.start();
+            TestUtils.assertEqual(session.players.size, 2, 'Students who left should be dropped when a new quiz starts');
+            TestUtils.assertEqual(Array.from(session.players.values())[0].records.size, 0, 'Earlier answers should be cleared');
+            
+            TestUtils.stopSession(session);
+        } finally {
+            SERVER_SETTINGS.FEEDBACK_PAUSE = feedbackPause;
+        }
+        
+        console.log('✓ Advance when everyone has answered test passed');
+    },
+    
+    /**
+     * Test leaderboard order, ties and ranks
+     */
+    async testLeaderboardRanks() {
+        console.log('Testing leaderboard ranks...');
+        
+        const session = new ClassroomSession();
+        ['Dee', 'Ann', 'Ben', 'Cat'].forEach(name => TestUtils.joinStudent(session, name));
+        const players = Array.from(session.players.values());
+        const scores = { Dee: [true, true, 2], Ann: [true, false, 2], Ben: [true, false, 2], Cat: [true, false, 4] };
+        players.forEach(player => {
+            const [first, second, time] = scores[player.name];
+            player.records.set(0, { isCorrect: first, timedOut: false, timeUsed: time });
+            player.records.set(1, { isCorrect: second, timedOut: false, timeUsed: time });
+            player.records.set(2, { isCorrect: false, timedOut: true, timeUsed: 20 });
+        });
+        
+        const leaderboard = session.getLeaderboard();
+        TestUtils.assertEqual(leaderboard.map(entry => entry.name).join(','), 'Dee,Ann,Ben,Cat', 'Students should be ranked by correct answers, then time, then name');
+        TestUtils.assertEqual(leaderboard.map(entry => entry.rank).join(','), '1,2,2,4', 'Tied students should share a rank and the next rank should be skipped');
+        TestUtils.assertEqual(leaderboard[0].answered, 2, 'Timeouts should not count as answered');
+        TestUtils.assertEqual(leaderboard[3].averageTime, 4, 'Timeouts should not count towards the average time');
+        
+        console.log('✓ Leaderboard ranks test passed');
+    },
+    
+    /**
+     * Test student name cleaning
+     */
+    async testCleanName() {
+        console.log('Testing student name cleaning...');
+        
+        TestUtils.assertEqual(ClassroomSession.cleanName('  Ann  '), 'Ann', 'Names should be trimmed');
+        TestUtils.assertEqual(ClassroomSession.cleanName('<b>Ben</b> & "Cat"'), 'bBen/b  Cat', 'Markup characters should be removed');
+        TestUtils.assertEqual(ClassroomSession.cleanName('A'.repeat(50)).length, SERVER_SETTINGS.MAX_NAME_LENGTH, 'Names should be shortened');
+        TestUtils.assertEqual(ClassroomSession.cleanName(''), 'Student', 'Blank names should get a default');
+        TestUtils.assertEqual(ClassroomSession.cleanName('<>'), 'Student', 'Names with only markup should get a default');
+        TestUtils.assertEqual(ClassroomSession.cleanName(undefined), 'Student', 'Missing names should get a default');
+        
+        console.log('✓ Student name cleaning test passed');
+    },
+    
+    /**
+     * Test that only the teacher's machine can host, and only pages from this server can connect
+     */
+    async testHostRights() {
+        console.log('Testing host rights...');
+        
+        const session = new ClassroomSession();
+        const remote = TestUtils.joinHost(session, false);
+        TestUtils.assertEqual(session.hosts.size, 0, 'Connections from other machines should not become hosts');
+        remote.onMessage({ type: 'start' });
+        TestUtils.assertEqual(session.phase, 'lobby', 'Other machines should not be able to start the quiz');
+        
+        const student = TestUtils.joinStudent(session, 'Ann');
+        student.onMessage({ type: 'host' });
+        TestUtils.assertEqual(session.hosts.size, 0, 'Students should not become hosts');
+        
+        const request = (remoteAddress, host, origin) => ({ socket: { remoteAddress }, headers: { host, origin } });
+        TestUtils.assert(canHost(request('127.0.0.1', 'localhost:8080')), 'localhost should be able to host');
+        TestUtils.assert(canHost(request('::1', '[::1]:8080')), 'IPv6 loopback should be able to host');
+        TestUtils.assert(!canHost(request('192.168.1.20', 'localhost:8080')), 'Other machines should not be able to host');
+        TestUtils.assert(!canHost(request('127.0.0.1', 'quiz.example:8080')), 'Requests for another host name should not be able to host');
+        TestUtils.assert(!canHost(request('127.0.0.1', undefined)), 'Requests without a host should not be able to host');
+        
+        TestUtils.assert(isSameOrigin(request('192.168.1.20', '192.168.1.5:8080', 'http://192.168.1.5:8080')), 'Pages from this server should connect');
+        TestUtils.assert(!isSameOrigin(request('127.0.0.1', 'localhost:8080', 'http://evil.example')), 'Other sites should not connect');
+        TestUtils.assert(!isSameOrigin(request('127.0.0.1', 'localhost:8080', undefined)), 'Connections without an origin should not connect');
+        TestUtils.assert(!isSameOrigin(request('127.0.0.1', 'localhost:8080', 'not a url')), 'Malformed origins should not connect');
+        
+        console.log('✓ Host rights test passed');
+    },
+    
+    /**
+     * Test the WebSocket handshake and sending frames
+     */
+    async testFrameEncoding() {
+        console.log('Testing WebSocket handshake and frame encoding...');
+        
+        const socket = TestUtils.createMockSocket();
+        const liveSocket = LiveSocket.accept({ headers: { upgrade: 'websocket', 'sec-websocket-key': 'dGhlIHNhbXBsZSBub25jZQ==' } }, socket);
+        const handshake = socket.written[0].toString();
+        TestUtils.assert(handshake.startsWith('HTTP/1.1 101'), 'The handshake should switch protocols');
+        TestUtils.assert(handshake.includes('Sec-WebSocket-Accept: s3pPLMBiTxaQ9kYGzzhZRbK+xOo='), 'The handshake should answer the key (RFC 6455 example)');
+        
+        liveSocket.send({ type: 'hi' });
+        const frame = socket.written[1];
+        TestUtils.assertEqual(frame[0], 0x81, 'Messages should be sent as one text frame');
+        TestUtils.assertEqual(frame[1], frame.length - 2, 'Short frames should carry their length unmasked');
+        TestUtils.assertEqual(JSON.parse(frame.subarray(2).toString()).type, 'hi', 'The payload should be the JSON message');
+        
+        liveSocket.send({ text: 'x'.repeat(300) });
+        const longFrame = socket.written[2];
+        TestUtils.assertEqual(longFrame[1], 126, 'Longer frames should use a 16-bit length');
+        TestUtils.assertEqual(longFrame.readUInt16BE(2), longFrame.length - 4, 'The 16-bit length should match the payload');
+        
+        const bad = TestUtils.createMockSocket();
+        TestUtils.assertEqual(LiveSocket.accept({ headers: { upgrade: 'websocket' } }, bad), null, 'Upgrades without a key should be refused');
+        TestUtils.assert(bad.ended, 'Refused upgrades should be answered and closed');
+        
+        console.log('✓ WebSocket handshake and frame encoding test passed');
+    },
+    
+    /**
+     * Test reading frames from a browser
+     */
+    async testFrameDecoding() {
+        console.log('Testing WebSocket frame decoding...');
+        
+        const socket = TestUtils.createMockSocket();
+        const liveSocket = new LiveSocket(socket);
+        const received = [];
+        liveSocket.onMessage = message => received.push(message);
+        
+        socket.emit('data', TestUtils.createClientFrame(0x1, JSON.stringify({ version: 1, type: 'join', name: 'Ann' })));
+        TestUtils.assertEqual(received[0].name, 'Ann', 'Masked text frames should be decoded');
+        
+        const long = JSON.stringify({ version: 1, type: 'join', name: 'B'.repeat(200) });
+        const longFrame = TestUtils.createClientFrame(0x1, long);
+        socket.emit('data', longFrame.subarray(0, 3));
+        socket.emit('data', longFrame.subarray(3, 50));
+        TestUtils.assertEqual(received.length, 1, 'Incomplete frames should wait for the rest');
+        socket.emit('data', longFrame.subarray(50));
+        TestUtils.assertEqual(received[1].name.length, 200, 'Frames with a 16-bit length split across reads should be decoded');
+        
+        const message = JSON.stringify({ version: 1, type: 'answer', questionIndex: 2 });
+        socket.emit('data', Buffer.concat([
+            TestUtils.createClientFrame(0x1, message.slice(0, 10), false),
+            TestUtils.createClientFrame(0x0, message.slice(10), true)
+        ]));
+        TestUtils.assertEqual(received[2].questionIndex, 2, 'Fragmented messages should be joined');
+        
+        socket.emit('data', TestUtils.createClientFrame(0x1, JSON.stringify({ version: 99, type: 'join' })));
+        socket.emit('data', TestUtils.createClientFrame(0x1, 'not json'));
+        TestUtils.assertEqual(received.length, 3, 'Other protocol versions and non-JSON text should be ignored');
+        
+        socket.written = [];
+        socket.emit('data', TestUtils.createClientFrame(0x9, 'ping'));
+        TestUtils.assertEqual(socket.written[0][0], 0x8A, 'Pings should be answered with a pong');
+        TestUtils.assertEqual(socket.written[0].subarray(2).toString(), 'ping', 'Pongs should echo the ping payload');
+        
+        let closed = false;
+        liveSocket.onClose = () => { closed = true; };
+        socket.written = [];
+        socket.emit('data', TestUtils.createClientFrame(0x1, 'unmasked', true, false));
+        TestUtils.assertEqual(socket.written[0][0], 0x88, 'Unmasked frames should close the connection');
+        TestUtils.assertEqual(socket.written[0].readUInt16BE(2), 1002, 'Unmasked frames should close with a protocol error');
+        TestUtils.assert(closed && !liveSocket.isOpen && socket.destroyed, 'The owner should be told the connection closed');
+        
+        liveSocket.send({ type: 'late' });
+        TestUtils.assertEqual(socket.written.length, 1, 'Nothing should be sent after closing');
+        
+        console.log('✓ WebSocket frame decoding test passed');
+    }
+};
+
+/**
+ * Test runner
+ */
+async function runServerTests() {
+    console.log('Starting classroom server tests...\n');
+    
+    const tests = [
+        ServerTests.testStartAdvanceFinish,
+        ServerTests.testAnswerMarking,
+        ServerTests.testLateAnswers,
+        ServerTests.testAdvanceWhenEveryoneAnswered,
+        ServerTests.testLeaderboardRanks,
+        ServerTests.testCleanName,
+        ServerTests.testHostRights,
+        ServerTests.testFrameEncoding,
+        ServerTests.testFrameDecoding
+    ];
+    
+    let passed = 0;
+    let failed = 0;
+    
+    for (const test of tests) {
+        try {
+            await test();
+            passed++;
+        } catch (error) {
+            console.error(`✗ Test failed: ${error.message}`);
+            failed++;
+        }
+    }
+    
+    console.log(`\nClassroom Server Tests Complete:`);
+    console.log(`✓ Passed: ${passed}`);
+    console.log(`✗ Failed: ${failed}`);
+    console.log(`Total: ${passed + failed}`);
+    
+    if (failed === 0) {
+        console.log('\n🎉 All classroom server tests passed!');
+    } else {
+        console.log(`\n❌ ${failed} test(s) failed.`);
+    }
+    
+    return { passed, failed, total: passed + failed };
+}
+
+// Export for use in other test files or manual execution
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ServerTests, runServerTests, TestUtils };
+}
+
+// Auto-run tests when started with node test-server.js
+if (require.main === module) {
+    runServerTests().then(({ failed }) => {
+        process.exitCode = failed === 0 ? 0 : 1;
+    });
+}